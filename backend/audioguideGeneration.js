@@ -1,100 +1,23 @@
-import { Storage } from '@google-cloud/storage';
 import { RedisSaver } from "@langchain/langgraph-checkpoint-redis";
+import { WatchError } from 'redis';
 import { traceable } from "langsmith/traceable";
-import fetch from 'node-fetch';
-import { GoogleAuth } from 'google-auth-library';
 import { createPreloadLocationSummariesNode } from './nodes/audioguide/preloadLocationSummaries.js';
-
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_AUDIOGUIDE_MODEL = process.env.GEMINI_AUDIOGUIDE_MODEL || 'gemini-3-pro-preview';
-const ENGLISH_VOICE = process.env.ENGLISH_VOICE || 'en-GB-Wavenet-B';
-const GCS_BUCKET_NAME = process.env.GCS_BUCKET_NAME || 'itaytevel-hearandthere';
-
-// Google Cloud Service Account credentials
-// In production (Railway), this comes from GOOGLE_APPLICATION_CREDENTIALS_JSON env var
-// In development, it reads from the JSON file
-let googleCredentials = null;
-function getGoogleCredentials() {
-  if (!googleCredentials) {
-    if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
-      // Production: Parse JSON from environment variable
-      googleCredentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON);
-      console.log('[audioguide] Using Google Cloud credentials from GOOGLE_APPLICATION_CREDENTIALS_JSON');
-      console.log('[audioguide] Project ID:', googleCredentials.project_id);
-      console.log('[audioguide] Service Account:', googleCredentials.client_email);
-    } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-      // Development: Use file path
-      console.log('[audioguide] Using Google Cloud credentials from file:', process.env.GOOGLE_APPLICATION_CREDENTIALS);
-      googleCredentials = null; // Let Google libraries auto-detect
-    } else {
-      throw new Error('Google Cloud credentials not configured. Set GOOGLE_APPLICATION_CREDENTIALS_JSON or GOOGLE_APPLICATION_CREDENTIALS');
-    }
-  }
-  return googleCredentials;
-}
-
-// Initialize Google Cloud Storage client
-let storageClient = null;
-function getStorageClient() {
-  if (!storageClient) {
-    const credentials = getGoogleCredentials();
-    storageClient = new Storage(
-      credentials ? { credentials } : {}
-    );
-  }
-  return storageClient;
-}
-
-// Initialize Google Auth client for TTS API
-let authClient = null;
-async function getAuthClient() {
-  if (!authClient) {
-    const credentials = getGoogleCredentials();
-    authClient = new GoogleAuth({
-      credentials,
-      scopes: ['https://www.googleapis.com/auth/cloud-platform'],
-    });
-  }
-  return authClient;
-}
-
-// Lazy load LangChain Gemini model
-let geminiModelPromise;
-let fallbackModelPromise;
-
-async function getGeminiModel(useFallback = false) {
-  const modelName = useFallback ? 'gemini-2.5-pro' : GEMINI_AUDIOGUIDE_MODEL;
-  const modelPromise = useFallback ? fallbackModelPromise : geminiModelPromise;
-
-  if (!modelPromise) {
-    const promise = import('@langchain/google-genai')
-      .then((mod) => {
-        if (!GEMINI_API_KEY) {
-          console.warn('[audioguide] GEMINI_API_KEY not set');
-          return null;
-        }
-        const { ChatGoogleGenerativeAI } = mod;
-        console.log(`[audioguide] Creating model: ${modelName}`);
-        return new ChatGoogleGenerativeAI({
-          apiKey: GEMINI_API_KEY,
-          model: modelName,
-          temperature: 0.7,
-        });
-      })
-      .catch((err) => {
-        console.warn('[audioguide] Failed to load Gemini model', err);
-        return null;
-      });
-
-    if (useFallback) {
-      fallbackModelPromise = promise;
-    } else {
-      geminiModelPromise = promise;
-    }
-    return promise;
-  }
-  return modelPromise;
-}
+import { publishTourEvent } from './utils/eventStream.js';
+import { getLlm } from './providers/llm/index.js';
+import { synthesizeSpeech, synthesizeConversation, defaultVoiceId, defaultSecondVoiceId, isSsmlEnabled } from './providers/tts/index.js';
+import { saveFile } from './providers/storage/index.js';
+import { getLexicon } from './utils/pronunciationLexicon.js';
+import { DEFAULT_LANGUAGE, getLanguage } from './utils/languages.js';
+import { DEFAULT_NARRATION_STYLE, DIALOGUE_SCHEMA, dialogueInstructions, dialogueTranscript, parseDialogueLines } from './utils/dialogue.js';
+import { retrievePassages, passageSources, formatPassagesForPrompt } from './providers/knowledge/index.js';
+import { getWordsPerMinute, recordSpeechRate, scriptWordBudget, plannedDwellMinutes, fitTourToNarration } from './utils/speechRate.js';
+import { generateReviewedScript, reviewScript } from './utils/scriptReview.js';
+import { releaseStopRegeneration } from './utils/tourEditing.js';
+
+// With SSML, *asterisks* become spoken emphasis; otherwise they are stripped before TTS
+const FORMATTING_INSTRUCTION = isSsmlEnabled()
+  ? 'Do NOT use markdown formatting. You may wrap a word or short phrase that deserves emphasis in single asterisks, like *this*, at most a few times.'
+  : 'Do NOT use asterisks (*) or markdown formatting.';
 
 // Lazy load LangGraph modules
 let langGraphModulesPromise;
@@ -118,32 +41,37 @@ async function getLangGraphModules() {
 }
 
 /**
- * Generate content with retry using LangChain model
- * Falls back to gemini-2.5-pro if API errors occur (rate limits, quota, permissions, etc.)
+ * Generate content with retry using the scripts LLM (see providers/llm)
+ * Falls back to the provider's fallback model (gemini-2.5-pro) if API errors occur (rate limits, quota, permissions, etc.)
+ * With `dialogue`, the model returns speaker-tagged lines ({ lines, modelUsed }) instead of a script
  */
-async function generateWithRetry(prompt, maxRetries = 3) {
+async function generateWithRetry(prompt, { dialogue = false } = {}, maxRetries = 3) {
   let useFallback = false;
-  let currentModelName = GEMINI_AUDIOGUIDE_MODEL;
   let attempt = 0;
 
   while (attempt < maxRetries) {
+    const llm = getLlm('scripts', { fallback: useFallback });
     try {
-      const model = await getGeminiModel(useFallback);
-      if (!model) {
-        throw new Error('Gemini model not available');
+      if (!llm) {
+        throw new Error('Script generation model not available');
       }
 
-      console.log(`[audioguide] Generating content with ${currentModelName} (attempt ${attempt + 1})`);
+      console.log(`[audioguide] Generating content with ${llm.model} (attempt ${attempt + 1})`);
 
-      const response = await model.invoke(prompt);
-      const script = response.content || '';
+      if (dialogue) {
+        const lines = parseDialogueLines(await llm.generateJson(prompt, { schema: DIALOGUE_SCHEMA }));
+        console.log(`[audioguide] Successfully generated dialogue (${lines.length} lines)`);
+        return { lines, modelUsed: llm.model };
+      }
+
+      const script = await llm.generateText(prompt);
 
       if (!script || script.trim().length === 0) {
         throw new Error('Empty response from model');
       }
 
       console.log(`[audioguide] Successfully generated content (${script.length} chars)`);
-      return { script, modelUsed: currentModelName };
+      return { script, modelUsed: llm.model };
 
     } catch (err) {
       const errorMessage = err.message || '';
@@ -163,11 +91,11 @@ async function generateWithRetry(prompt, maxRetries = 3) {
         errorMessage.includes('forbidden') ||
         errorMessage.includes('unauthorized');
 
-      // If API error and not already using fallback, switch to fallback model
-      if (isApiError && !useFallback) {
-        console.warn(`[audioguide] ⚠️  API error detected (status: ${statusCode || 'unknown'})! Falling back to gemini-2.5-pro`);
+      // If API error and not already using fallback, switch to fallback model (if the provider has one)
+      const fallbackLlm = useFallback ? null : getLlm('scripts', { fallback: true });
+      if (isApiError && fallbackLlm) {
+        console.warn(`[audioguide] ⚠️  API error detected (status: ${statusCode || 'unknown'})! Falling back to ${fallbackLlm.model}`);
         useFallback = true;
-        currentModelName = 'gemini-2.5-pro';
         // Don't count this as a retry attempt, just switch models and try again immediately
         continue;
       }
@@ -192,11 +120,10 @@ async function generateWithRetry(prompt, maxRetries = 3) {
 
 /**
  * Generate script for tour introduction
+ * Feedback lists the problems a review found in the previous draft (see utils/scriptReview.js)
  */
-async function generateIntroScript({ tour, locationSummaries, language, areaContext }) {
-  const languageInstruction = language === 'hebrew'
-    ? 'Write the ENTIRE script in HEBREW (עברית). Use natural, conversational Hebrew.'
-    : 'Write the ENTIRE script in ENGLISH.';
+async function generateIntroScript({ tour, locationSummaries, language, areaContext, feedback }) {
+  const languageInstruction = getLanguage(language).prompts.scripts;
 
   // Build comprehensive area context from ALL locations in the tour
   let areaContextText = '';
@@ -278,11 +205,11 @@ ${languageInstruction}
 Write in a natural, conversational style as if speaking directly to the visitor.
 Write in a natural, conversational style as if speaking directly to the visitor.
 Do NOT include stage directions or speaker labels - just the script text.
-Do NOT use asterisks (*) or markdown formatting.`;
+${FORMATTING_INSTRUCTION}${feedback ? `\n\n${feedback}` : ''}`;
 
   try {
     const { script, modelUsed } = await generateWithRetry(prompt);
-    return { script, modelUsed };
+    return { script, modelUsed, prompt };
   } catch (err) {
     console.error('[audioguide] Failed to generate intro script', err);
     throw err;
@@ -291,14 +218,20 @@ Do NOT use asterisks (*) or markdown formatting.`;
 
 /**
  * Generate script for a specific stop
+ * Optional guidance (e.g. "focus more on the architecture") comes from a reviewer regenerating the stop
+ * With narrationStyle 'dialogue' the stop is a conversation between two hosts (see utils/dialogue.js)
+ * The length follows the stop's dwell time at the voice's speech rate (see utils/speechRate.js)
+ * Facts come from the retrieved passages (see providers/knowledge); their sources are returned with the script
+ * Feedback lists the problems a review found in the previous draft (see utils/scriptReview.js)
  */
-async function generateStopScript({ stop, stopIndex, totalStops, tour, areaContext, nextStop, previousStop, language }) {
+async function generateStopScript({ stop, stopIndex, totalStops, tour, areaContext, nextStop, previousStop, language, guidance, feedback, narrationStyle, wordsPerMinute, passages = [] }) {
   const isFirst = stopIndex === 0;
   const isLast = stopIndex === totalStops - 1;
+  const isDialogue = narrationStyle === 'dialogue';
+  const dwellMinutes = plannedDwellMinutes(stop);
+  const { minutes, minWords, maxWords } = scriptWordBudget({ dwellMinutes, wordsPerMinute });
 
-  const languageInstruction = language === 'hebrew'
-    ? 'Write the ENTIRE script in HEBREW (עברית). Use natural, conversational Hebrew.'
-    : 'Write the ENTIRE script in ENGLISH.';
+  const languageInstruction = getLanguage(language).prompts.scripts;
 
   // Build walking directions context for the NEXT leg (after this stop)
   let walkingContext = '';
@@ -320,6 +253,19 @@ async function generateStopScript({ stop, stopIndex, totalStops, tour, areaConte
     }
   }
 
+  // Point-to-point and loop tours end with a walk from the last stop to the end location
+  if (isLast && tour.endLocation && tour.finalLeg) {
+    const { walkMinutes, walkingDirections } = tour.finalLeg;
+    const destinationName = tour.endLocation.returnToStart ? 'the starting point' : 'the end point of the tour';
+
+    walkingContext = `\n\nWalking Directions to ${destinationName}:
+- Walking time: ${walkMinutes} minute${walkMinutes !== 1 ? 's' : ''}`;
+
+    if (walkingDirections && walkingDirections.steps && walkingDirections.steps.length > 0) {
+      walkingContext += `\n- Turn-by-turn directions:\n${walkingDirections.steps.map((d, i) => `  ${i + 1}. ${d.instruction.replace(/<[^>]*>/g, '')} (${d.distance})`).join('\n')}`;
+    }
+  }
+
   // Build area context with city and neighborhood summaries and key facts
   let areaContextText = '';
 
@@ -345,6 +291,29 @@ async function generateStopScript({ stop, stopIndex, totalStops, tour, areaConte
     console.warn(`[generateStopScript] areaContext:`, JSON.stringify(areaContext, null, 2));
   }
 
+  // Step-free tours point out accessible entrances; rest stops are framed as a break from walking
+  let accessibilityText = '';
+  if (tour.accessibility?.stepFree) {
+    const entranceNote = stop.wheelchairAccessibleEntrance === true
+      ? `${stop.name} has a wheelchair accessible entrance - mention where it is if you know, otherwise just that it is accessible.`
+      : stop.wheelchairAccessibleEntrance === false
+        ? `${stop.name} has NO wheelchair accessible entrance - say so kindly and suggest enjoying it from outside.`
+        : `Accessibility of ${stop.name}'s entrance is unknown - suggest checking for an accessible entrance.`;
+    accessibilityText += `\nAccessibility: the listener needs a step-free route (wheelchair or stroller). ${entranceNote} When giving walking directions, warn about stairs, curbs or steep slopes and suggest step-free alternatives.`;
+  }
+  if (stop.restStop) {
+    accessibilityText += `\nThis is a REST STOP added to break up a long walk - invite them to sit down and take a break here, keep the content light.`;
+  }
+
+  const guidanceText = guidance
+    ? `\nAdditional guidance for this stop (follow it, while keeping the requirements above):\n${guidance}\n`
+    : '';
+
+  // Without passages the script relies on the area context alone
+  const passagesText = passages.length > 0
+    ? `\n${formatPassagesForPrompt(passages)}\n\nBase the facts, dates, names and stories about ${stop.name} on these sources and the context above. If they don't cover something, leave it out rather than guessing. Don't mention the sources or their numbers in the script.\n`
+    : '';
+
   const prompt = `You are a professional tour guide creating an engaging audio script for stop ${stopIndex + 1} of ${totalStops} on a walking tour.
 
 Stop Details:
@@ -356,145 +325,150 @@ ${!isFirst && previousStop ? `- Previous stop: ${previousStop.name}` : ''}
 ${isLast ? '- This is the LAST stop - include closing remarks' : ''}
 
 Context about the area:${areaContextText}
-${walkingContext}
+${passagesText}${walkingContext}
+${accessibilityText}
 
-Create an engaging 1-5 minute audio script that:
+Create an engaging audio script of about ${minutes} minute${minutes !== 1 ? 's' : ''}${dwellMinutes ? ` (the visitor spends ${dwellMinutes} minutes here)` : ''} that:
 1. ${isFirst ? 'Welcomes them to the first stop' : `Introduces stop ${stopIndex + 1}`}
 2. Shares fascinating historical facts, stories, or cultural significance about ${stop.name}
 3. Points out interesting architectural or visual details they should notice
 4. Includes surprising or little-known facts that tourists would love
 5. ${isLast ? 'Concludes the tour with warm closing remarks and thanks them for joining' : `Provides clear walking directions to the next stop, mentioning the street names and any interesting context about those streets (historical significance, famous buildings, local culture, etc.)`}
-6. The length depends on the richnest of the stop, the more depth the stop has the longer the script should be.
+6. Within the length below, the more depth the stop has the closer to the upper limit the script should be.
 
 ${!isLast ? `IMPORTANT: End the script by guiding them to the next stop. Use the walking directions provided above to give them clear, friendly guidance. If the streets have interesting historical or cultural significance, mention it! For example: "Now we'll head down Ben Yehuda Street, named after the father of modern Hebrew, where you'll see..."` : ''}
+${guidanceText}${feedback ? `\n${feedback}\n` : ''}
 
 ${languageInstruction}
-Write in a natural, conversational, enthusiastic style as if you're walking with them.
-Do NOT include stage directions or speaker labels - just the script text.
-Do NOT use asterisks (*) or markdown formatting.
-Keep it between 500-750 words.
-${isLast ? 'End with a memorable closing that thanks them and wishes them well.' : ''}`;
+${isDialogue ? dialogueInstructions() : `Write in a natural, conversational, enthusiastic style as if you're walking with them.
+Do NOT include stage directions or speaker labels - just the script text.`}
+${FORMATTING_INSTRUCTION}
+Keep it between ${minWords}-${maxWords} words${isDialogue ? ' in total' : ''}.
+${isLast ? 'End with a memorable closing that thanks them and wishes them well.' : ''}
+${isLast && tour.finalLeg ? 'Before the closing, briefly guide them on their way using the walking directions above.' : ''}`;
+
+  const sources = passageSources(passages);
 
   try {
+    if (isDialogue) {
+      const { lines, modelUsed } = await generateWithRetry(prompt, { dialogue: true });
+      return { script: dialogueTranscript(lines), lines, sources, modelUsed, prompt };
+    }
     const { script, modelUsed } = await generateWithRetry(prompt);
-    return { script, modelUsed };
+    return { script, sources, modelUsed, prompt };
   } catch (err) {
     console.error(`[audioguide] Failed to generate script for stop ${stopIndex}`, err);
     throw err;
   }
 }
 
-
-
 /**
- * Synthesize text to speech using Google Cloud TTS REST API with service account
- * and upload to Google Cloud Storage
+ * Generate a script and check it against its prompt before it is synthesized (see utils/scriptReview.js)
+ * generate(feedback) writes a draft; drafts with issues are rewritten with the issues as feedback
+ * Stop scripts must name their stop and, unless they are the last, give directions to the next one
+ * Returns the kept draft, with the verdict as `review`
  */
-const synthesizeAudio = traceable(async ({ text, outputFileName, language, voice }) => {
-  // Google TTS has a 5000 byte limit for text input
-  const MAX_BYTES = 4998; // Leave small buffer
-
-  // Check byte length and trim if necessary
-  // Also strip any asterisks to prevent TTS from reading them
-  let processedText = text.replace(/\*/g, '');
-  const textBytes = Buffer.byteLength(processedText, 'utf8');
-
-  if (textBytes > MAX_BYTES) {
-    console.warn(`[audioguide] WARNING: Script exceeds TTS limit!`);
-    console.warn(`[audioguide] File: ${outputFileName}`);
-    console.warn(`[audioguide] Original size: ${textBytes} bytes (limit: 5000 bytes)`);
-
-    // Trim text to fit within byte limit
-    // We need to trim by bytes, not characters, to handle multi-byte UTF-8 characters
-    let trimmedText = text;
-    while (Buffer.byteLength(trimmedText, 'utf8') > MAX_BYTES) {
-      // Remove last 10% of characters and try again
-      const newLength = Math.floor(trimmedText.length * 0.9);
-      trimmedText = trimmedText.substring(0, newLength);
-    }
-
-    // Add ellipsis to indicate truncation
-    processedText = trimmedText.trim() + '...';
-
-    const finalBytes = Buffer.byteLength(processedText, 'utf8');
-    console.warn(`[audioguide] Trimmed to: ${finalBytes} bytes (${Math.round((finalBytes / textBytes) * 100)}% of original)`);
-  }
-
-  // Determine language code from voice name
-  const languageCode = voice.startsWith('he-') ? 'he-IL' :
-    voice.startsWith('en-GB-') ? 'en-GB' : 'en-US';
+function generateCheckedScript(generate, { stopName, nextStopName } = {}) {
+  return generateReviewedScript(generate, (result) => reviewScript({
+    script: result.script,
+    spokenText: result.lines ? result.lines.map((line) => line.text).join('\n\n') : result.script,
+    brief: result.prompt,
+    stopName,
+    nextStopName,
+    isDialogue: Boolean(result.lines),
+    allowEmphasis: isSsmlEnabled(),
+  }));
+}
 
-  // Use the provided voice
-  const voiceConfig = {
-    languageCode: languageCode,
-    name: voice,
-  };
 
-  const requestBody = {
-    input: { text: processedText },
-    voice: voiceConfig,
-    audioConfig: {
-      audioEncoding: 'MP3',
-      speakingRate: 1.0,
-      pitch: 0.0,
-    },
-  };
 
+/**
+ * Synthesize text to speech with the voice's TTS provider
+ * and upload to the configured storage
+ * The lexicon fixes how the city's place names are pronounced (SSML only)
+ * Dialogue lines are voiced by host A (voice) and host B (secondVoice) and joined into one file
+ * Returns the file's URL and its measured length
+ */
+const synthesizeAudio = traceable(async ({ text, lines, outputFileName, language, voice, secondVoice, lexicon }) => {
   try {
-    // Get authenticated client
-    const auth = await getAuthClient();
-    const client = await auth.getClient();
-    const accessToken = await client.getAccessToken();
-
-    if (!accessToken.token) {
-      throw new Error('Failed to get access token from service account');
-    }
-
-    // Call Google Cloud TTS REST API with OAuth token
-    const ttsUrl = 'https://texttospeech.googleapis.com/v1/text:synthesize';
-    const response = await fetch(ttsUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${accessToken.token}`,
-      },
-      body: JSON.stringify(requestBody),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`TTS API error: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    const audioContent = Buffer.from(data.audioContent, 'base64');
-
-    // Upload to Google Cloud Storage
-    const storage = getStorageClient();
-    const bucket = storage.bucket(GCS_BUCKET_NAME);
-    const file = bucket.file(outputFileName);
+    const { audio, contentType, extension, durationSeconds } = lines
+      ? await synthesizeConversation({
+        turns: lines.map((line) => ({ text: line.text, voiceId: line.speaker === 'B' ? secondVoice : voice })),
+        language,
+        lexicon,
+      })
+      : await synthesizeSpeech({ text, voiceId: voice, language, lexicon });
 
-    await file.save(audioContent, {
-      metadata: {
-        contentType: 'audio/mpeg',
-      },
-    });
+    // Offline engines produce WAV; keep the file extension in line with the content
+    const fileName = outputFileName.replace(/\.mp3$/, `.${extension}`);
 
-    // Get public URL (bucket must have allUsers:objectViewer permission)
-    const publicUrl = `https://storage.googleapis.com/${GCS_BUCKET_NAME}/${outputFileName}`;
+    // Upload to the configured storage (GCS, local disk or S3)
+    const publicUrl = await saveFile(fileName, audio, { contentType });
 
-    console.log(`[audioguide] Audio uploaded to GCS: ${publicUrl}`);
-    return publicUrl;
+    console.log(`[audioguide] Audio uploaded: ${publicUrl}${durationSeconds ? ` (${Math.round(durationSeconds)}s)` : ''}`);
+    return { url: publicUrl, durationSeconds };
   } catch (err) {
     console.error('[audioguide] Failed to synthesize audio', err);
     throw err;
   }
 }, { name: 'synthesizeAudio', run_type: 'tool' });
 
+/**
+ * Audio entry for audioFiles, with the measured length when the format allows it
+ * @param {Object} audio - { url, durationSeconds } from synthesizeAudio
+ * @param {Object} [fields] - Extra fields (e.g. regeneratedAt)
+ * @returns {Object}
+ */
+function completeAudioFile({ url, durationSeconds }, fields = {}) {
+  return {
+    status: 'complete',
+    url,
+    ...(durationSeconds && { durationSeconds: Math.round(durationSeconds * 10) / 10 }),
+    ...fields,
+  };
+}
+
+/**
+ * Check whether a script or audio entry has already been produced
+ * @param {Object|null} item - Entry from scripts/audioFiles
+ * @returns {boolean}
+ */
+function isItemComplete(item) {
+  return item?.status === 'complete';
+}
+
+/**
+ * Reducer for the scripts and audioFiles state channels
+ * Updates carry { intro } and/or a sparse { stops } array; stops are merged by index,
+ * so parallel branches each writing their own stop never overwrite each other.
+ * @param {Object} current - Current { intro, stops }
+ * @param {Object|null} update - Partial update from a node
+ * @returns {Object} Merged { intro, stops }
+ */
+export function mergeAudioguideItems(current, update) {
+  if (!update) return current;
+  const result = { ...current };
+  if (update.intro !== undefined) result.intro = update.intro;
+  if (update.stops !== undefined) {
+    // Merge stops arrays properly
+    result.stops = [...(current.stops || [])];
+    if (Array.isArray(update.stops)) {
+      update.stops.forEach((stop, index) => {
+        if (stop !== undefined && stop !== null) {
+          result.stops[index] = stop;
+        }
+      });
+    }
+  }
+  return result;
+}
+
 /**
  * Build the audioguide generation graph
+ * `revision` is bumped by tour edits; it keeps new audio files from overwriting ones still in use
+ * `checkpointer` defaults to a RedisSaver on redisClient; null compiles the graph without checkpoints
  */
-export async function buildAudioguideGraph({ sessionId, tourId, language, voice, redisClient }) {
+export async function buildAudioguideGraph({ sessionId, tourId, language, voice, revision = 0, redisClient, checkpointer }) {
   const modules = await getLangGraphModules();
   if (!modules) {
     throw new Error('LangGraph modules not available');
@@ -518,11 +492,20 @@ export async function buildAudioguideGraph({ sessionId, tourId, language, voice,
     }),
     language: Annotation({
       reducer: (x, y) => y ?? x,
-      default: () => 'english',
+      default: () => DEFAULT_LANGUAGE,
     }),
     voice: Annotation({
       reducer: (x, y) => y ?? x,
-      default: () => 'en-GB-Wavenet-B',
+      default: () => defaultVoiceId(DEFAULT_LANGUAGE),
+    }),
+    narrationStyle: Annotation({
+      reducer: (x, y) => y ?? x,
+      default: () => DEFAULT_NARRATION_STYLE,
+    }),
+    // Voice of host B in dialogue narration
+    secondVoice: Annotation({
+      reducer: (x, y) => y ?? x,
+      default: () => null,
     }),
     locationSummaries: Annotation({
       reducer: (x, y) => y ?? x,
@@ -533,43 +516,11 @@ export async function buildAudioguideGraph({ sessionId, tourId, language, voice,
       default: () => ({}),
     }),
     scripts: Annotation({
-      reducer: (x, y) => {
-        if (!y) return x;
-        const result = { ...x };
-        if (y.intro !== undefined) result.intro = y.intro;
-        if (y.stops !== undefined) {
-          // Merge stops arrays properly
-          result.stops = [...(x.stops || [])];
-          if (Array.isArray(y.stops)) {
-            y.stops.forEach((stop, index) => {
-              if (stop !== undefined && stop !== null) {
-                result.stops[index] = stop;
-              }
-            });
-          }
-        }
-        return result;
-      },
+      reducer: mergeAudioguideItems,
       default: () => ({ intro: null, stops: [] }),
     }),
     audioFiles: Annotation({
-      reducer: (x, y) => {
-        if (!y) return x;
-        const result = { ...x };
-        if (y.intro !== undefined) result.intro = y.intro;
-        if (y.stops !== undefined) {
-          // Merge stops arrays properly
-          result.stops = [...(x.stops || [])];
-          if (Array.isArray(y.stops)) {
-            y.stops.forEach((stop, index) => {
-              if (stop !== undefined && stop !== null) {
-                result.stops[index] = stop;
-              }
-            });
-          }
-        }
-        return result;
-      },
+      reducer: mergeAudioguideItems,
       default: () => ({ intro: null, stops: [] }),
     }),
   });
@@ -594,32 +545,42 @@ export async function buildAudioguideGraph({ sessionId, tourId, language, voice,
   const preloadLocationSummariesNode = createPreloadLocationSummariesNode({ redisClient });
 
   // Node: Fan-out to generate all scripts in parallel
+  // Items that already have a complete script (resumed or retried runs) are skipped
   const fanOutScriptsNode = async (state) => {
-    const { selectedTour, areaContext } = state;
+    const { selectedTour, scripts } = state;
     const stops = selectedTour.stops || [];
 
-    console.log('[audioguide] Fanning out script generation for', stops.length + 1, 'items');
+    const sends = [];
 
-    // Create Send commands for parallel execution
-    const sends = [
-      // Generate intro script
-      new Send('generate_script', {
+    // Generate intro script
+    // (through retrieve_knowledge too, so every script is generated in the same step before fan_out_audio)
+    if (!isItemComplete(scripts?.intro)) {
+      sends.push(new Send('retrieve_knowledge', {
         ...state,
         scriptType: 'intro',
         stopIndex: -1,
-      }),
-      // Generate script for each stop
-      ...stops.map((stop, index) =>
-        new Send('generate_script', {
-          ...state,
-          scriptType: 'stop',
-          stopIndex: index,
-          stop,
-          nextStop: index < stops.length - 1 ? stops[index + 1] : null, // Pass next stop for walking directions
-          previousStop: index > 0 ? stops[index - 1] : null, // Pass previous stop for context
-        })
-      ),
-    ];
+      }));
+    }
+
+    // Generate script for each stop, after retrieving what is known about it
+    stops.forEach((stop, index) => {
+      if (isItemComplete(scripts?.stops?.[index])) return;
+      sends.push(new Send('retrieve_knowledge', {
+        ...state,
+        scriptType: 'stop',
+        stopIndex: index,
+        stop,
+        nextStop: index < stops.length - 1 ? stops[index + 1] : null, // Pass next stop for walking directions
+        previousStop: index > 0 ? stops[index - 1] : null, // Pass previous stop for context
+      }));
+    });
+
+    console.log('[audioguide] Fanning out script generation for', sends.length, 'of', stops.length + 1, 'items');
+
+    // Nothing missing - go straight to audio
+    if (sends.length === 0) {
+      return new Command({ goto: 'fan_out_audio' });
+    }
 
     // Wrap in Command object
     return new Command({
@@ -627,36 +588,110 @@ export async function buildAudioguideGraph({ sessionId, tourId, language, voice,
     });
   };
 
+  // Node: Retrieve passages about one stop, then hand them to its script generation
+  // A stop with nothing retrieved is still scripted, from the area context alone; the intro isn't grounded
+  const retrieveKnowledgeNode = async (state) => {
+    const { scriptType, stop, stopIndex, language } = state;
+    let passages = [];
+    try {
+      if (scriptType === 'stop') {
+        passages = await retrievePassages({ stop, language, redisClient });
+      }
+    } catch (err) {
+      console.warn(`[audioguide] Knowledge retrieval failed for stop ${stopIndex} ("${stop.name}"):`, err.message);
+    }
+    return new Command({ goto: new Send('generate_script', { ...state, passages }) });
+  };
+
+  // Build a state update for a single intro/stop entry of scripts or audioFiles
+  // Stops use a sparse array - the reducer merges by index, so parallel branches never
+  // overwrite each other's entries
+  const itemStateUpdate = (field, itemType, stopIndex, value) => {
+    if (itemType === 'intro') {
+      return { [field]: { intro: value } };
+    }
+    const stops = [];
+    stops[stopIndex] = value;
+    return { [field]: { stops } };
+  };
+
+  // Record a failed script/audio item on the tour document and in state, without failing the graph
+  // Other stops keep going; the failed item can be regenerated later via POST /api/tour/:tourId/retry
+  const recordItemFailure = async ({ field, itemType, stopIndex, tourId, error }) => {
+    const stage = field === 'scripts' ? 'script' : 'audio';
+    const failedItem = {
+      status: 'failed',
+      error,
+      failedAt: new Date().toISOString(),
+    };
+
+    console.error(`[audioguide] ❌ ${stage} failed for ${itemType}${itemType === 'stop' ? ` ${stopIndex}` : ''}:`, error);
+
+    const path = itemType === 'intro' ? `$.${field}.intro` : `$.${field}.stops[${stopIndex}]`;
+    try {
+      await redisClient.json.set(`tour:${tourId}`, path, failedItem);
+    } catch (err) {
+      console.warn(`[audioguide] Failed to save ${stage} failure to Redis:`, err);
+    }
+
+    await publishTourEvent(redisClient, tourId, 'failed', { itemType, stopIndex, stage, error });
+
+    return itemStateUpdate(field, itemType, stopIndex, failedItem);
+  };
+
   // Node: Generate a single script (intro or stop)
+  // Speech rate of the tour's voice, loaded once per run for sizing the stop scripts
+  let wordsPerMinutePromise = null;
+  const loadWordsPerMinute = ({ voice, language }) => {
+    wordsPerMinutePromise ??= getWordsPerMinute(redisClient, { voiceId: voice, language });
+    return wordsPerMinutePromise;
+  };
+
   const generateScriptNode = async (state) => {
-    const { scriptType, stopIndex, selectedTour, areaContext, stop, nextStop, previousStop, language, locationSummaries, stopLocationMap, tourId } = state;
+    const { scriptType, stopIndex, selectedTour, areaContext, stop, nextStop, previousStop, language, voice, narrationStyle, passages, locationSummaries, stopLocationMap, tourId } = state;
 
     console.log(`[audioguide] Generating ${scriptType} script, stopIndex:`, stopIndex, 'language:', language);
 
     let result;
     if (scriptType === 'intro') {
-      result = await generateIntroScript({ tour: selectedTour, locationSummaries, language, areaContext });
+      try {
+        result = await generateCheckedScript((feedback) =>
+          generateIntroScript({ tour: selectedTour, locationSummaries, language, areaContext, feedback }));
+      } catch (err) {
+        return recordItemFailure({
+          field: 'scripts',
+          itemType: 'intro',
+          stopIndex: -1,
+          tourId,
+          error: err.message || 'script-generation-failed',
+        });
+      }
+
+      const introScript = {
+        status: 'complete',
+        content: result.script,
+        modelUsed: result.modelUsed,
+        ...(result.review && { review: result.review }),
+      };
 
       // Save intro script to Redis immediately
       const tourDataKey = `tour:${tourId}`;
       try {
-        await redisClient.json.set(tourDataKey, '$.scripts.intro', {
-          status: 'complete',
-          content: result.script,
-          modelUsed: result.modelUsed
-        });
+        await redisClient.json.set(tourDataKey, '$.scripts.intro', introScript);
         console.log(`[audioguide] ✅ Saved intro script to Redis for tour ${tourId}`);
       } catch (err) {
         console.warn(`[audioguide] Failed to save intro script to Redis:`, err);
       }
 
+      await publishTourEvent(redisClient, tourId, 'script_complete', {
+        itemType: 'intro',
+        stopIndex: -1,
+        script: introScript,
+      });
+
       return {
         scripts: {
-          intro: {
-            status: 'complete',
-            content: result.script,
-            modelUsed: result.modelUsed
-          },
+          intro: introScript,
         },
       };
     } else {
@@ -679,23 +714,40 @@ export async function buildAudioguideGraph({ sessionId, tourId, language, voice,
         console.warn(`[audioguide] No location mapping found for stop ${stopIndex} ("${stop.name}"), using tour-level context`);
       }
 
-      result = await generateStopScript({
-        stop,
-        stopIndex,
-        totalStops: selectedTour.stops.length,
-        tour: selectedTour,
-        areaContext: poiAreaContext, // Use POI-specific context
-        nextStop,
-        previousStop,
-        language,
-      });
+      try {
+        const wordsPerMinute = await loadWordsPerMinute({ voice, language });
+        const isLast = stopIndex === selectedTour.stops.length - 1;
+        result = await generateCheckedScript((feedback) => generateStopScript({
+          stop,
+          stopIndex,
+          totalStops: selectedTour.stops.length,
+          tour: selectedTour,
+          areaContext: poiAreaContext, // Use POI-specific context
+          nextStop,
+          previousStop,
+          language,
+          feedback,
+          narrationStyle,
+          wordsPerMinute,
+          passages,
+        }), { stopName: stop.name, nextStopName: isLast ? undefined : nextStop?.name });
+      } catch (err) {
+        return recordItemFailure({
+          field: 'scripts',
+          itemType: 'stop',
+          stopIndex,
+          tourId,
+          error: err.message || 'script-generation-failed',
+        });
+      }
 
-      // Update the specific stop script
-      const updatedStops = [...(state.scripts?.stops || [])];
-      updatedStops[stopIndex] = {
+      const stopScript = {
         status: 'complete',
         content: result.script,
-        modelUsed: result.modelUsed
+        ...(result.lines && { lines: result.lines }),
+        ...(result.sources.length > 0 && { sources: result.sources }),
+        modelUsed: result.modelUsed,
+        ...(result.review && { review: result.review }),
       };
 
       // Save stop script to Redis immediately
@@ -714,49 +766,57 @@ export async function buildAudioguideGraph({ sessionId, tourId, language, voice,
         await redisClient.json.set(tourDataKey, '$.scripts.stops', stopsArray);
 
         // Now set the specific stop
-        await redisClient.json.set(tourDataKey, `$.scripts.stops[${stopIndex}]`, {
-          status: 'complete',
-          content: result.script,
-          modelUsed: result.modelUsed
-        });
+        await redisClient.json.set(tourDataKey, `$.scripts.stops[${stopIndex}]`, stopScript);
         console.log(`[audioguide] ✅ Saved stop ${stopIndex} script to Redis for tour ${tourId}`);
       } catch (err) {
         console.warn(`[audioguide] Failed to save stop ${stopIndex} script to Redis:`, err);
       }
 
-      return {
-        scripts: {
-          stops: updatedStops,
-        },
-      };
+      await publishTourEvent(redisClient, tourId, 'script_complete', {
+        itemType: 'stop',
+        stopIndex,
+        script: stopScript,
+      });
+
+      return itemStateUpdate('scripts', 'stop', stopIndex, stopScript);
     }
   };
 
   // Node: Fan-out to generate all audio files in parallel
+  // Items that already have complete audio (resumed or retried runs) are skipped
   const fanOutAudioNode = async (state) => {
-    const { scripts, selectedTour } = state;
+    const { scripts, audioFiles, selectedTour } = state;
     const stops = selectedTour.stops || [];
 
-    console.log('[audioguide] Fanning out audio synthesis for', stops.length + 1, 'items');
+    const sends = [];
 
-    const sends = [
-      // Synthesize intro audio
-      new Send('synthesize_audio', {
+    // Synthesize intro audio
+    if (!isItemComplete(audioFiles?.intro)) {
+      sends.push(new Send('synthesize_audio', {
         ...state,
         audioType: 'intro',
         stopIndex: -1,
         text: scripts.intro?.content,
-      }),
-      // Synthesize audio for each stop
-      ...stops.map((stop, index) =>
-        new Send('synthesize_audio', {
-          ...state,
-          audioType: 'stop',
-          stopIndex: index,
-          text: scripts.stops[index]?.content,
-        })
-      ),
-    ];
+      }));
+    }
+
+    // Synthesize audio for each stop
+    stops.forEach((stop, index) => {
+      if (isItemComplete(audioFiles?.stops?.[index])) return;
+      sends.push(new Send('synthesize_audio', {
+        ...state,
+        audioType: 'stop',
+        stopIndex: index,
+        text: scripts.stops[index]?.content,
+        lines: scripts.stops[index]?.lines,
+      }));
+    });
+
+    console.log('[audioguide] Fanning out audio synthesis for', sends.length, 'of', stops.length + 1, 'items');
+
+    if (sends.length === 0) {
+      return new Command({ goto: END });
+    }
 
     // Wrap in Command object
     return new Command({
@@ -764,62 +824,113 @@ export async function buildAudioguideGraph({ sessionId, tourId, language, voice,
     });
   };
 
+  // Pronunciation lexicons by city, loaded once per run and shared by the parallel audio branches
+  const lexicons = new Map();
+  const loadLexicon = ({ country, city } = {}) => {
+    const key = `${country}:${city}`;
+    if (!lexicons.has(key)) {
+      lexicons.set(key, isSsmlEnabled() ? getLexicon(redisClient, { country, city }) : Promise.resolve([]));
+    }
+    return lexicons.get(key);
+  };
+
   // Node: Synthesize a single audio file (intro or stop)
   const synthesizeAudioNode = async (state) => {
-    const { audioType, stopIndex, text, tourId, language, voice } = state;
+    const { audioType, stopIndex, text, lines, tourId, language, voice, secondVoice, areaContext, locationSummaries, stopLocationMap } = state;
 
     if (!text) {
+      // The script failed - mark the audio as failed too so a retry regenerates both
       console.warn(`[audioguide] No text available for ${audioType} at stopIndex ${stopIndex}`);
-      return {};
+      return recordItemFailure({
+        field: 'audioFiles',
+        itemType: audioType,
+        stopIndex,
+        tourId,
+        error: 'script-not-available',
+      });
     }
 
     console.log(`[audioguide] Synthesizing ${audioType} audio, stopIndex:`, stopIndex, 'language:', language, 'voice:', voice);
 
+    const revisionSuffix = revision ? `_r${revision}` : '';
     const fileName = audioType === 'intro'
-      ? `${tourId}_intro.mp3`
-      : `${tourId}_stop_${stopIndex}.mp3`;
+      ? `${tourId}_intro${revisionSuffix}.mp3`
+      : `${tourId}_stop_${stopIndex}${revisionSuffix}.mp3`;
 
-    const audioUrl = await synthesizeAudio({ text, outputFileName: fileName, language, voice });
+    // Stops are read with their own city's lexicon, the intro with the tour's
+    const location = audioType === 'stop' ? locationSummaries?.[stopLocationMap?.[stopIndex]] : null;
+    const lexicon = await loadLexicon(location || areaContext);
 
-    if (audioType === 'intro') {
-      return {
-        audioFiles: {
-          intro: { status: 'complete', url: audioUrl },
-        },
-      };
-    } else {
-      const updatedStops = [...(state.audioFiles?.stops || [])];
-      updatedStops[stopIndex] = { status: 'complete', url: audioUrl };
+    let audio;
+    try {
+      audio = await synthesizeAudio({
+        text,
+        lines: audioType === 'stop' ? lines : undefined,
+        outputFileName: fileName,
+        language,
+        voice,
+        secondVoice: secondVoice || defaultSecondVoiceId(language, voice),
+        lexicon,
+      });
+    } catch (err) {
+      return recordItemFailure({
+        field: 'audioFiles',
+        itemType: audioType,
+        stopIndex,
+        tourId,
+        error: err.message || 'audio-synthesis-failed',
+      });
+    }
 
-      return {
-        audioFiles: {
-          stops: updatedStops,
-        },
-      };
+    const audioFile = completeAudioFile(audio);
+
+    // Dialogue audio mixes two voices, so it doesn't count towards either one's speech rate
+    if (!(audioType === 'stop' && lines)) {
+      await recordSpeechRate(redisClient, { voiceId: voice, text, durationSeconds: audio.durationSeconds });
+    }
+
+    // Save the audio file to Redis immediately so the player can enable it before the rest finish
+    const tourDataKey = `tour:${tourId}`;
+    const audioPath = audioType === 'intro' ? '$.audioFiles.intro' : `$.audioFiles.stops[${stopIndex}]`;
+    try {
+      await redisClient.json.set(tourDataKey, audioPath, audioFile);
+    } catch (err) {
+      console.warn(`[audioguide] Failed to save ${audioType} audio to Redis:`, err);
     }
+
+    await publishTourEvent(redisClient, tourId, 'audio_complete', {
+      itemType: audioType,
+      stopIndex,
+      audio: audioFile,
+    });
+
+    return itemStateUpdate('audioFiles', audioType, stopIndex, audioFile);
   };
 
   // Create Redis checkpointer with 2-hour TTL to prevent Redis bloat
-  let checkpointer = null;
-  try {
-    checkpointer = new RedisSaver(redisClient, {
-      ttl: {
-        default_ttl: 120, // 2 hours in minutes
-        refresh_on_read: false // Don't refresh TTL on read
-      }
-    });
-    console.log('[audioguide] Using Redis checkpointer (TTL: 2 hours)');
-  } catch (err) {
-    console.warn('[audioguide] Redis checkpointer failed to initialize:', err.message);
+  if (checkpointer === undefined) {
+    checkpointer = null;
+    try {
+      checkpointer = new RedisSaver(redisClient, {
+        ttl: {
+          default_ttl: 120, // 2 hours in minutes
+          refresh_on_read: false // Don't refresh TTL on read
+        }
+      });
+      console.log('[audioguide] Using Redis checkpointer (TTL: 2 hours)');
+    } catch (err) {
+      console.warn('[audioguide] Redis checkpointer failed to initialize:', err.message);
+    }
   }
 
   // Build the graph
   const graph = new StateGraph(AudioguideState)
     .addNode('load_tour_data', loadTourDataNode)
     .addNode('preload_location_summaries', preloadLocationSummariesNode)
-    .addNode('fan_out_scripts', fanOutScriptsNode, { ends: ['generate_script'] })
+    .addNode('fan_out_scripts', fanOutScriptsNode, { ends: ['retrieve_knowledge', 'fan_out_audio'] })
+    .addNode('retrieve_knowledge', retrieveKnowledgeNode, { ends: ['generate_script'] })
     .addNode('generate_script', generateScriptNode)
-    .addNode('fan_out_audio', fanOutAudioNode, { ends: ['synthesize_audio'] })
+    .addNode('fan_out_audio', fanOutAudioNode, { ends: ['synthesize_audio', END] })
     .addNode('synthesize_audio', synthesizeAudioNode)
     .addEdge(START, 'load_tour_data')
     .addEdge('load_tour_data', 'preload_location_summaries')
@@ -833,26 +944,52 @@ export async function buildAudioguideGraph({ sessionId, tourId, language, voice,
 
 /**
  * Main function to generate audioguide for a tour
+ *
+ * If the checkpoint thread has an interrupted run (e.g. the worker died mid-run), it is resumed
+ * from the last checkpoint and LangGraph only re-runs the branches that never finished.
+ * Otherwise a new run starts, seeded with any scripts/audio already saved on the tour document
+ * so that only the missing items are generated. Each tour revision (see utils/tourEditing.js) gets its
+ * own checkpoint thread, so state from before an edit is never merged into the edited tour.
  */
-export async function generateAudioguide({ sessionId, tourId, selectedTour, areaContext, language, voice, redisClient }) {
+export async function generateAudioguide({ sessionId, tourId, selectedTour, areaContext, language, voice, narrationStyle, secondVoice, scripts, audioFiles, revision = 0, redisClient }) {
   console.log('[audioguide] Starting audioguide generation for tour:', tourId, 'language:', language, 'voice:', voice);
 
-  const graph = await buildAudioguideGraph({ sessionId, tourId, language, voice, redisClient });
+  const graph = await buildAudioguideGraph({ sessionId, tourId, language, voice, revision, redisClient });
 
   const config = {
-    configurable: { thread_id: `${sessionId}_audioguide_${tourId}` },
+    configurable: { thread_id: `${sessionId}_audioguide_${tourId}${revision ? `_r${revision}` : ''}` },
   };
 
-  const finalState = await graph.invoke(
-    {
-      tourId,
-      selectedTour,
-      areaContext,
-      language: language || 'english',
-      voice: voice || (language === 'hebrew' ? 'he-IL-Standard-D' : ENGLISH_VOICE),
-    },
-    config
-  );
+  let interruptedRun = null;
+  try {
+    const snapshot = await graph.getState(config);
+    if (snapshot?.next?.length > 0) {
+      interruptedRun = snapshot;
+    }
+  } catch (err) {
+    console.warn('[audioguide] Could not read checkpoint state, starting a new run:', err.message);
+  }
+
+  let finalState;
+  if (interruptedRun) {
+    console.log('[audioguide] Resuming interrupted run for tour:', tourId, 'pending nodes:', interruptedRun.next);
+    finalState = await graph.invoke(null, config);
+  } else {
+    finalState = await graph.invoke(
+      {
+        tourId,
+        selectedTour,
+        areaContext,
+        language: language || DEFAULT_LANGUAGE,
+        voice: voice || defaultVoiceId(language),
+        narrationStyle: narrationStyle || DEFAULT_NARRATION_STYLE,
+        ...(secondVoice && { secondVoice }),
+        ...(scripts && { scripts }),
+        ...(audioFiles && { audioFiles }),
+      },
+      config
+    );
+  }
 
   return {
     scripts: finalState.scripts,
@@ -860,6 +997,370 @@ export async function generateAudioguide({ sessionId, tourId, selectedTour, area
   };
 }
 
+/**
+ * List the script/audio items of a tour document that are failed or missing
+ *
+ * @param {Object} tourDocument - tour:{tourId} document
+ * @returns {Array<{itemType: string, stopIndex: number, stage: string, status: string, error: string|null}>}
+ */
+export function findIncompleteItems(tourDocument) {
+  const stopCount = tourDocument?.tour?.stops?.length || 0;
+  const items = [
+    { itemType: 'intro', stopIndex: -1 },
+    ...Array.from({ length: stopCount }, (_, index) => ({ itemType: 'stop', stopIndex: index })),
+  ];
+
+  const incomplete = [];
+  for (const { itemType, stopIndex } of items) {
+    for (const [field, stage] of [['scripts', 'script'], ['audioFiles', 'audio']]) {
+      const entry = itemType === 'intro'
+        ? tourDocument?.[field]?.intro
+        : tourDocument?.[field]?.stops?.[stopIndex];
+
+      if (!isItemComplete(entry)) {
+        incomplete.push({
+          itemType,
+          stopIndex,
+          stage,
+          status: entry?.status || 'missing',
+          error: entry?.error || null,
+        });
+      }
+    }
+  }
+  return incomplete;
+}
+
+/**
+ * Load a tour document from Redis
+ * @param {Object} redisClient - Redis client instance
+ * @param {string} tourId - Shareable tour ID
+ * @returns {Promise<Object|null>} Tour document or null if missing
+ */
+async function loadTourDocument(redisClient, tourId) {
+  const tourDataArray = await redisClient.json.get(`tour:${tourId}`, { path: '$' });
+  return Array.isArray(tourDataArray) && tourDataArray.length > 0 ? tourDataArray[0] : null;
+}
+
+// Attempts at a WATCHed update of a tour document before giving up to concurrent writes
+const MAX_WATCH_ATTEMPTS = 3;
+
+/**
+ * Stretch stops whose measured narration runs past their dwell time and save the new tour timing
+ * The tour and its audio are re-read under WATCH when the update is made, so edits and stop
+ * regenerations saved since the job started are fitted instead of overwritten.
+ * @param {Object} redisClient - Redis client instance
+ * @param {string} tourId - Shareable tour ID
+ */
+async function updateTourTiming(redisClient, tourId) {
+  const tourDataKey = `tour:${tourId}`;
+  // WATCH is per connection, so it can't share the client other jobs are using
+  const connection = redisClient.duplicate();
+  await connection.connect();
+
+  try {
+    for (let attempt = 1; attempt <= MAX_WATCH_ATTEMPTS; attempt++) {
+      await connection.watch(tourDataKey);
+      const tourDocument = await loadTourDocument(connection, tourId);
+      const fitted = fitTourToNarration(tourDocument?.tour || {}, tourDocument?.audioFiles);
+      if (!fitted.changed) {
+        await connection.unwatch();
+        return;
+      }
+
+      try {
+        await connection.multi()
+          .json.set(tourDataKey, '$.tour', fitted.tour)
+          .json.set(tourDataKey, '$.estimatedTotalMinutes', fitted.estimatedTotalMinutes)
+          .json.set(tourDataKey, '$.duration', fitted.estimatedTotalMinutes)
+          .exec();
+        console.log(`[audioguide] Tour ${tourId} now takes ${fitted.estimatedTotalMinutes} min (narration longer than the dwell time at stops [${fitted.extendedStops.join(', ')}])`);
+        return;
+      } catch (err) {
+        if (!(err instanceof WatchError)) throw err;
+      }
+    }
+    console.warn(`[audioguide] Tour ${tourId} kept changing, its timing was not updated`);
+  } catch (err) {
+    console.warn(`[audioguide] Failed to update the timing of tour ${tourId}:`, err.message);
+  } finally {
+    await connection.quit();
+  }
+}
+
+/**
+ * Run an audioguide generation job for a stored tour document (used by the job queue)
+ *
+ * Everything the graph needs is read from tour:{tourId}, so a job can be picked up by any
+ * worker, including after a restart. Completion or failure is written back to the document
+ * and pushed to the tour's event stream.
+ *
+ * @param {Object} params
+ * @param {string} params.tourId - Shareable tour ID
+ * @param {Object} params.redisClient - Redis client instance
+ */
+export async function runAudioguideJob({ tourId, redisClient }) {
+  const tourDataKey = `tour:${tourId}`;
+  const tourDocument = await loadTourDocument(redisClient, tourId);
+
+  if (!tourDocument) {
+    console.warn('[audioguide] Tour document not found for job, skipping:', tourId);
+    return;
+  }
+
+  if (tourDocument.status === 'complete') {
+    console.log('[audioguide] Tour already complete, skipping job:', tourId);
+    return;
+  }
+
+  try {
+    const result = await generateAudioguide({
+      sessionId: tourDocument.sessionId,
+      tourId,
+      selectedTour: tourDocument.tour,
+      areaContext: tourDocument.areaContext,
+      language: tourDocument.language,
+      voice: tourDocument.voice,
+      narrationStyle: tourDocument.narrationStyle,
+      secondVoice: tourDocument.secondVoice,
+      scripts: tourDocument.scripts,
+      audioFiles: tourDocument.audioFiles,
+      revision: tourDocument.revision || 0,
+      redisClient,
+    });
+
+    // Failed items don't fail the graph - a tour with some failed stops is 'partial'
+    const failedItems = findIncompleteItems({ ...tourDocument, ...result });
+    const status = failedItems.length === 0 ? 'complete' : 'partial';
+
+    console.log(`[audioguide] Audioguide generation finished for tour: ${tourId} (${status}, ${failedItems.length} failed item(s))`);
+
+    // Update the tour document with completion status, scripts, and audio files
+    if (result.scripts) {
+      await redisClient.json.set(tourDataKey, '$.scripts', result.scripts);
+    }
+    if (result.audioFiles) {
+      await redisClient.json.set(tourDataKey, '$.audioFiles', result.audioFiles);
+    }
+
+    await updateTourTiming(redisClient, tourId);
+
+    await redisClient.json.set(tourDataKey, '$.status', status);
+    await redisClient.json.set(tourDataKey, '$.completedAt', new Date().toISOString());
+
+    console.log('[audioguide] Audioguide data saved to Redis for shareable tour:', tourId);
+    await publishTourEvent(redisClient, tourId, 'status', { status, failedItems });
+  } catch (err) {
+    console.error('[audioguide] Audioguide generation failed for tour:', tourId, err);
+
+    // Mark as failed
+    await redisClient.json.set(tourDataKey, '$.status', 'failed');
+    await redisClient.json.set(tourDataKey, '$.error', err.message || 'audioguide-generation-failed');
+    await redisClient.json.set(tourDataKey, '$.failedAt', new Date().toISOString());
+    await publishTourEvent(redisClient, tourId, 'status', {
+      status: 'failed',
+      error: err.message || 'audioguide-generation-failed',
+    });
+  }
+}
+
+/**
+ * Regenerate a single stop's script and audio (used by the job queue)
+ *
+ * The stop's current script and audio stay playable while the new version is generated;
+ * both entries are then swapped in one MULTI so the player never sees a new script with old audio.
+ * The new audio is written to a versioned file name so cached copies of the old file don't linger.
+ *
+ * The swap happens only if the tour still has the requested stop (same placeId) at the same revision;
+ * otherwise the new version is dropped with a `regenerate_failed` event. Either way the stop's
+ * reservation (see utils/tourEditing.js) is released when the job ends.
+ *
+ * @param {Object} params
+ * @param {string} params.tourId - Shareable tour ID
+ * @param {number} params.stopIndex - Index of the stop in tour.stops
+ * @param {string|null} [params.placeId] - placeId of the stop when it was requested (not checked if omitted)
+ * @param {number} [params.revision] - Tour revision when it was requested (not checked if omitted)
+ * @param {string} [params.guidance] - Extra instructions for the script (e.g. "focus more on the architecture")
+ * @param {Object} params.redisClient - Redis client instance
+ */
+export async function regenerateStop({ tourId, stopIndex, placeId, revision, guidance, redisClient }) {
+  const tourDocument = await loadTourDocument(redisClient, tourId);
+
+  if (!tourDocument) {
+    console.warn(`[audioguide] Tour ${tourId} not found, skipping regeneration of stop ${stopIndex}`);
+    return;
+  }
+
+  try {
+    await regenerateReservedStop({ tourId, tourDocument, stopIndex, placeId, revision, guidance, redisClient });
+  } finally {
+    await releaseStopRegeneration(redisClient, tourId).catch((err) => {
+      console.warn(`[audioguide] Failed to release stop ${stopIndex} of tour ${tourId}:`, err.message);
+    });
+  }
+}
+
+const STOP_CHANGED_ERROR = 'tour-changed-during-regeneration';
+
+// Swap a regenerated stop's script and audio in, if the tour still has that stop
+// A write to the tour between the check and the MULTI (e.g. a speech-rate timing update) is retried
+async function swapRegeneratedStop({ redisClient, tourId, stopIndex, isSameStop, stopScript, audioFile }) {
+  const tourDataKey = `tour:${tourId}`;
+  // WATCH is per connection, so it can't share the client other jobs are using
+  const connection = redisClient.duplicate();
+  await connection.connect();
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      await connection.watch(tourDataKey);
+      if (!isSameStop(await loadTourDocument(connection, tourId))) {
+        throw new Error(STOP_CHANGED_ERROR);
+      }
+      try {
+        await connection.multi()
+          .json.set(tourDataKey, `$.scripts.stops[${stopIndex}]`, stopScript)
+          .json.set(tourDataKey, `$.audioFiles.stops[${stopIndex}]`, audioFile)
+          .exec();
+        return;
+      } catch (err) {
+        if (!(err instanceof WatchError)) throw err;
+        if (attempt === MAX_WATCH_ATTEMPTS) throw new Error(STOP_CHANGED_ERROR);
+      }
+    }
+  } finally {
+    await connection.quit();
+  }
+}
+
+async function regenerateReservedStop({ tourId, tourDocument, stopIndex, placeId, revision, guidance, redisClient }) {
+  const stops = tourDocument.tour?.stops || [];
+  const stop = stops[stopIndex];
+
+  if (!stop) {
+    console.warn(`[audioguide] Stop ${stopIndex} not found on tour ${tourId}, skipping regeneration`);
+    return;
+  }
+
+  const isSameStop = (document) => {
+    const current = document?.tour?.stops?.[stopIndex];
+    return Boolean(current)
+      && (placeId === undefined || (current.placeId ?? null) === placeId)
+      && (revision === undefined || (document.revision || 0) === revision);
+  };
+
+  const language = tourDocument.language || DEFAULT_LANGUAGE;
+  const voice = tourDocument.voice || defaultVoiceId(language);
+  const narrationStyle = tourDocument.narrationStyle || DEFAULT_NARRATION_STYLE;
+
+  console.log(`[audioguide] Regenerating stop ${stopIndex} ("${stop.name}") for tour ${tourId}${guidance ? ' with guidance' : ''}`);
+
+  let stage = 'script';
+  try {
+    // The tour was edited after the regeneration was requested
+    if (!isSameStop(tourDocument)) {
+      throw new Error(STOP_CHANGED_ERROR);
+    }
+
+    // Resolve the stop's own city/neighborhood context the same way the full graph does
+    let stopAreaContext = tourDocument.areaContext || {};
+    const preloadLocationSummaries = createPreloadLocationSummariesNode({ redisClient });
+    const { locationSummaries, stopLocationMap } = await preloadLocationSummaries({
+      selectedTour: { ...tourDocument.tour, stops: [stop] },
+    });
+    const locationKey = stopLocationMap?.[0];
+    if (locationKey && locationSummaries?.[locationKey]) {
+      stopAreaContext = locationSummaries[locationKey];
+    }
+
+    const nextStop = stops[stopIndex + 1] || null;
+    const wordsPerMinute = await getWordsPerMinute(redisClient, { voiceId: voice, language });
+    const passages = await retrievePassages({ stop, language, redisClient });
+    const result = await generateCheckedScript((feedback) => generateStopScript({
+      stop,
+      stopIndex,
+      totalStops: stops.length,
+      tour: tourDocument.tour,
+      areaContext: stopAreaContext,
+      nextStop,
+      previousStop: stopIndex > 0 ? stops[stopIndex - 1] : null,
+      language,
+      guidance,
+      feedback,
+      narrationStyle,
+      wordsPerMinute,
+      passages,
+    }), { stopName: stop.name, nextStopName: nextStop?.name });
+
+    stage = 'audio';
+    const regeneratedAt = new Date().toISOString();
+    const audio = await synthesizeAudio({
+      text: result.script,
+      lines: result.lines,
+      outputFileName: `${tourId}_stop_${stopIndex}_${Date.now()}.mp3`,
+      language,
+      voice,
+      secondVoice: tourDocument.secondVoice || defaultSecondVoiceId(language, voice),
+      lexicon: isSsmlEnabled() ? await getLexicon(redisClient, stopAreaContext) : [],
+    });
+
+    const stopScript = {
+      status: 'complete',
+      content: result.script,
+      ...(result.lines && { lines: result.lines }),
+      ...(result.sources.length > 0 && { sources: result.sources }),
+      modelUsed: result.modelUsed,
+      ...(result.review && { review: result.review }),
+      regeneratedAt,
+      ...(guidance && { guidance }),
+    };
+    const audioFile = completeAudioFile(audio, { regeneratedAt });
+    if (!result.lines) {
+      await recordSpeechRate(redisClient, { voiceId: voice, text: result.script, durationSeconds: audio.durationSeconds });
+    }
+
+    stage = 'swap';
+    await swapRegeneratedStop({ redisClient, tourId, stopIndex, isSameStop, stopScript, audioFile });
+
+    console.log(`[audioguide] ✅ Swapped regenerated stop ${stopIndex} for tour ${tourId}`);
+
+    await updateTourTiming(redisClient, tourId);
+
+    await publishTourEvent(redisClient, tourId, 'script_complete', { itemType: 'stop', stopIndex, script: stopScript });
+    await publishTourEvent(redisClient, tourId, 'audio_complete', { itemType: 'stop', stopIndex, audio: audioFile });
+  } catch (err) {
+    // The previous version is left in place, so only listeners are told about the failure
+    console.error(`[audioguide] Failed to regenerate stop ${stopIndex} for tour ${tourId}:`, err);
+    await publishTourEvent(redisClient, tourId, 'regenerate_failed', {
+      itemType: 'stop',
+      stopIndex,
+      stage,
+      error: err.message || 'stop-regeneration-failed',
+    });
+  }
+}
+
+/**
+ * Job handlers for the audioguide queue, keyed by job type
+ * Shared by the embedded worker in index.js and the standalone worker.js
+ *
+ * @param {Object} params
+ * @param {Object} params.redisClient - Redis client instance
+ * @returns {Object} Map of job type -> async (job) => void
+ */
+export function createAudioguideJobHandlers({ redisClient }) {
+  return {
+    generate: (job) => runAudioguideJob({ tourId: job.tourId, redisClient }),
+    regenerate_stop: (job) => regenerateStop({
+      tourId: job.tourId,
+      stopIndex: job.payload.stopIndex,
+      placeId: job.payload.placeId,
+      revision: job.payload.revision,
+      guidance: job.payload.guidance,
+      redisClient,
+    }),
+  };
+}
+
 /**
  * Generate TTS audio for neighborhood intro script
  * Uses the same synthesizeAudio function as the audioguide generation
@@ -867,8 +1368,8 @@ export async function generateAudioguide({ sessionId, tourId, selectedTour, area
  * @param {Object} params
  * @param {string} params.introScript - The intro script text
  * @param {string} params.outputFileName - Output filename (e.g., "neighborhood_intro_uuid.mp3")
- * @param {string} params.language - Language (e.g., 'english', 'hebrew')
- * @param {string} params.voice - Voice name (optional, will use default for language)
+ * @param {string} params.language - Language key (e.g., 'english', 'hebrew', see utils/languages.js)
+ * @param {string} params.voice - Provider-qualified voice id (optional, will use default for language)
  * @returns {Promise<string>} Audio URL
  */
 export async function generateNeighborhoodIntroAudio({ introScript, outputFileName, language, voice }) {
@@ -880,10 +1381,10 @@ export async function generateNeighborhoodIntroAudio({ introScript, outputFileNa
   });
 
   // Determine voice if not provided
-  const selectedVoice = voice || (language === 'hebrew' ? 'he-IL-Standard-D' : ENGLISH_VOICE);
+  const selectedVoice = voice || defaultVoiceId(language);
 
   // Use the same synthesizeAudio function
-  const audioUrl = await synthesizeAudio({
+  const { url: audioUrl } = await synthesizeAudio({
     text: introScript,
     outputFileName,
     language,
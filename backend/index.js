@@ -5,14 +5,28 @@ import { createClient } from 'redis';
 import { v4 as uuidv4 } from 'uuid';
 import { readFileSync } from 'fs';
 import { generateTours } from './tourGeneration.js';
-import { generateAudioguide } from './audioguideGeneration.js';
+import { createItinerary, generateItineraryDays, MAX_HOURS_PER_DAY } from './itineraryGeneration.js';
+import { createAudioguideJobHandlers, findIncompleteItems } from './audioguideGeneration.js';
 import { reverseGeocode } from './utils/geocodingHelpers.js';
+import { createEventHub, itineraryEventsChannel, openSseStream, publishSessionEvent, sessionEventsChannel, tourEventsChannel } from './utils/eventStream.js';
+import { enqueueAudioguideJob, startAudioguideWorker } from './utils/audioguideQueue.js';
+import { editTourStops, releaseStopRegeneration, reserveStopRegeneration } from './utils/tourEditing.js';
+import { parseStartTime } from './utils/openingHours.js';
+import { getLexicon, saveLexicon, validateLexiconEntries } from './utils/pronunciationLexicon.js';
+import { saveWikipediaArticles, validateWikipediaArticles } from './utils/knowledgeBase.js';
+import { requireAdmin } from './utils/adminAuth.js';
+import { defaultVoiceId, defaultSecondVoiceId, isVoiceAllowed, parseVoiceId, validateDialogueVoices } from './providers/tts/index.js';
+import { DEFAULT_LANGUAGE, describeLanguages, getLanguage, isSupportedLanguage } from './utils/languages.js';
+import { DEFAULT_NARRATION_STYLE, NARRATION_STYLES } from './utils/dialogue.js';
+import { mountStorageRoutes } from './providers/storage/index.js';
 
 const packageJson = JSON.parse(readFileSync('./package.json', 'utf8'));
 const { version } = packageJson;
 
 const app = express();
 const PORT = process.env.PORT || 4000;
+const MAX_SELECTED_PLACES = 12; // Upper bound for the selected places mode of POST /api/session
+const MAX_ITINERARY_DAYS = 7;
 
 // Prefer configuring this via the REDIS_URL env var in local/dev.
 // Falls back to the URL you provided.
@@ -28,6 +42,88 @@ redisClient.on('error', (err) => {
   console.error('Redis Client Error', err);
 });
 
+// Shared pub/sub subscriber for the SSE endpoints
+const eventHub = createEventHub(redisClient);
+
+// Build the progress payload from a session hash (shared by the progress and events endpoints)
+function buildSessionProgress(sessionId, data) {
+  let tourCount = 0;
+  let tours = [];
+  if (data.tours) {
+    try {
+      const parsed = JSON.parse(data.tours);
+      if (Array.isArray(parsed)) {
+        tours = parsed;
+        tourCount = parsed.length;
+      }
+    } catch {
+      // ignore parse errors
+    }
+  }
+
+  let interestingMessages = [];
+  if (data.interestingMessages) {
+    try {
+      const parsed = JSON.parse(data.interestingMessages);
+      if (Array.isArray(parsed)) {
+        interestingMessages = parsed;
+      }
+    } catch {
+      // ignore parse errors
+    }
+  }
+
+  let neighborhoodData = null;
+  if (data.neighborhoodData) {
+    try {
+      neighborhoodData = JSON.parse(data.neighborhoodData);
+    } catch {
+      // ignore parse errors
+    }
+  }
+
+  return {
+    sessionId,
+    stage: data.stage || null,
+    city: data.city || null,
+    neighborhood: data.neighborhood || null,
+    tourCount,
+    tours, // Include actual tours array for progressive display
+    interestingMessages,
+    neighborhoodData, // Include neighborhood data with intro_script and intro_audio_url
+    status: tourCount > 0 ? 'tours-ready' : 'in-progress',
+  };
+}
+
+// Apply a stop edit to a finalized tour and queue regeneration of the scripts it invalidated
+// (shared by the tour editing endpoints)
+async function handleTourStopEdit(req, res, edit) {
+  const { tourId } = req.params;
+
+  try {
+    const result = await editTourStops({ redisClient, tourId, edit });
+
+    if (result.needsGeneration) {
+      await enqueueAudioguideJob(redisClient, { type: 'generate', tourId });
+    }
+
+    res.status(result.needsGeneration ? 202 : 200).json({
+      tourId,
+      status: result.needsGeneration ? 'generating' : 'unchanged',
+      tour: result.tour,
+      revision: result.revision,
+      rescriptedStops: result.rescriptedStops,
+      introChanged: result.introChanged,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[api/tour/edit] Error applying ${edit.type} to tour ${tourId}:`, err);
+    res.status(500).json({ error: 'failed-to-edit-tour' });
+  }
+}
+
 async function start() {
   try {
     await redisClient.connect();
@@ -57,8 +153,8 @@ async function start() {
   }));
   app.use(express.json());
 
-  // Audio files are now served from Google Cloud Storage
-  // No need for local static file serving
+  // Audio files live in the configured storage; with local storage this server serves them
+  mountStorageRoutes(app);
 
   app.get('/health', async (req, res) => {
     try {
@@ -76,6 +172,11 @@ async function start() {
     }
   });
 
+  // Languages from the registry (languages.json), with the voices offered for each
+  app.get('/api/languages', (req, res) => {
+    res.json({ defaultLanguage: DEFAULT_LANGUAGE, languages: describeLanguages() });
+  });
+
   // Reverse geocode endpoint - returns city and neighborhood for given coordinates
   app.post('/api/reverse-geocode', async (req, res) => {
     const { latitude, longitude } = req.body || {};
@@ -137,6 +238,12 @@ async function start() {
       city: providedCity,
       neighborhood: providedNeighborhood,
       country: providedCountry,
+      endLatitude,
+      endLongitude,
+      returnToStart,
+      placeIds,
+      accessibility: rawAccessibility,
+      startTime: rawStartTime,
     } = req.body || {};
 
     if (
@@ -149,6 +256,76 @@ async function start() {
       });
     }
 
+    if (language != null && !isSupportedLanguage(language)) {
+      return res.status(400).json({ error: 'unsupported-language' });
+    }
+
+    // Optional end of the tour: explicit coordinates (point-to-point) or back at the start (loop)
+    const hasEndCoordinates = endLatitude !== undefined || endLongitude !== undefined;
+    if (hasEndCoordinates && (typeof endLatitude !== 'number' || typeof endLongitude !== 'number')) {
+      return res.status(400).json({
+        error: 'Invalid payload. endLatitude and endLongitude must both be numbers.',
+      });
+    }
+    if (hasEndCoordinates && returnToStart === true) {
+      return res.status(400).json({
+        error: 'Invalid payload. Use either endLatitude/endLongitude or returnToStart, not both.',
+      });
+    }
+
+    // Optional selected places mode: build one tour that visits all of these places
+    if (placeIds !== undefined && (
+      !Array.isArray(placeIds) ||
+      placeIds.length === 0 ||
+      placeIds.length > MAX_SELECTED_PLACES ||
+      !placeIds.every((id) => typeof id === 'string' && id.trim().length > 0)
+    )) {
+      return res.status(400).json({
+        error: `Invalid payload. placeIds must be an array of 1-${MAX_SELECTED_PLACES} place IDs.`,
+      });
+    }
+    const selectedPlaceIds = placeIds ? placeIds.map((id) => id.trim()) : null;
+
+    // Optional planned start time (local time at the tour location), used for opening hours and arrival times
+    if (rawStartTime !== undefined && rawStartTime !== null && !parseStartTime(rawStartTime)) {
+      return res.status(400).json({
+        error: 'Invalid payload. startTime must be a local date and time like "2025-06-01T10:30".',
+      });
+    }
+    const startTime = rawStartTime ? rawStartTime.slice(0, 16) : null;
+
+    // Optional accessibility limits: { stepFree?, maxLegMeters?, maxTotalMeters? }
+    let accessibility = null;
+    if (rawAccessibility !== undefined && rawAccessibility !== null) {
+      const { stepFree, maxLegMeters, maxTotalMeters } = rawAccessibility;
+      const isPositiveMeters = (value) => value === undefined || (typeof value === 'number' && value > 0);
+      if (
+        typeof rawAccessibility !== 'object' ||
+        Array.isArray(rawAccessibility) ||
+        (stepFree !== undefined && typeof stepFree !== 'boolean') ||
+        !isPositiveMeters(maxLegMeters) ||
+        !isPositiveMeters(maxTotalMeters)
+      ) {
+        return res.status(400).json({
+          error: 'Invalid payload. accessibility must be { stepFree?: boolean, maxLegMeters?: number, maxTotalMeters?: number } with positive distances.',
+        });
+      }
+      if (stepFree || maxLegMeters || maxTotalMeters) {
+        accessibility = {
+          stepFree: stepFree === true,
+          ...(maxLegMeters && { maxLegMeters: Math.round(maxLegMeters) }),
+          ...(maxTotalMeters && { maxTotalMeters: Math.round(maxTotalMeters) }),
+        };
+      }
+    }
+
+    let endLocation = null;
+    if (returnToStart === true) {
+      endLocation = { latitude, longitude, returnToStart: true };
+    } else if (hasEndCoordinates) {
+      endLocation = { latitude: endLatitude, longitude: endLongitude };
+    }
+
     // Normalize duration to discrete values (30, 60, 90, 120, 180)
     const durationMinutes = normalizeDuration(rawDuration);
 
@@ -169,6 +346,10 @@ async function start() {
       city: providedCity || '(not provided)',
       neighborhood: providedNeighborhood || '(not provided)',
       country: providedCountry || '(not provided)',
+      endLocation: endLocation || '(open-ended)',
+      selectedPlaceIds: selectedPlaceIds || '(none)',
+      accessibility: accessibility || '(none)',
+      startTime: startTime || '(none)',
     });
 
     try {
@@ -181,6 +362,10 @@ async function start() {
 
       if (customization) sessionData.customization = customization;
       if (language) sessionData.language = language;
+      if (endLocation) sessionData.endLocation = JSON.stringify(endLocation);
+      if (selectedPlaceIds) sessionData.selectedPlaceIds = JSON.stringify(selectedPlaceIds);
+      if (accessibility) sessionData.accessibility = JSON.stringify(accessibility);
+      if (startTime) sessionData.startTime = startTime;
 
       await redisClient.hSet(key, sessionData);
 
@@ -199,6 +384,10 @@ async function start() {
           durationMinutes,
           customization,
           language,
+          endLocation,
+          selectedPlaceIds,
+          accessibility,
+          startTime,
           city: providedCity || null,
           neighborhood: providedNeighborhood || null,
           country: providedCountry || null,
@@ -215,6 +404,7 @@ async function start() {
 
         const extraFields = {};
         if (city) extraFields.city = city;
+        if (country) extraFields.country = country;
         if (neighborhood) extraFields.neighborhood = neighborhood;
         if (tours.length) extraFields.tours = JSON.stringify(tours);
         if (cityData) extraFields.cityData = JSON.stringify(cityData);
@@ -232,12 +422,22 @@ async function start() {
           country,
           tourCount: tours.length,
         });
+
+        await publishSessionEvent(redisClient, sessionId, 'complete', {
+          status: tours.length ? 'tours-ready' : 'saved',
+          city,
+          neighborhood,
+          country,
+          tourCount: tours.length,
+          tours,
+        });
       } catch (err) {
         console.error('[api/session] Error generating tours:', err);
 
         // Check if this is a cancellation
         if (err.message === 'CANCELLED') {
           console.log('[api/session] Tour generation cancelled by user');
+          await publishSessionEvent(redisClient, sessionId, 'cancelled', {});
           return res.status(499).json({
             error: 'cancelled',
             message: 'Tour generation cancelled by user'
@@ -247,14 +447,45 @@ async function start() {
         // Check if this is a "no POIs" error
         if (err.message && err.message.includes('No points of interest detected')) {
           console.warn('[api/session] ⚠️ No POIs available for this location');
+          await publishSessionEvent(redisClient, sessionId, 'failed', { error: 'no_pois_available' });
           return res.status(400).json({
             error: 'no_pois_available',
             message: 'No points of interest detected in this area. Please try again from a different location.'
           });
         }
 
+        if (err.message === 'No accessible tour found.') {
+          console.warn('[api/session] ⚠️ No tour meets the accessibility limits');
+          await publishSessionEvent(redisClient, sessionId, 'failed', {
+            error: 'no_accessible_tour_found',
+            rejectedTours: err.rejectedTours,
+          });
+          return res.status(400).json({
+            error: 'no_accessible_tour_found',
+            message: 'None of the generated tours meet the accessibility limits. Try higher limits or a different start.',
+            rejectedTours: err.rejectedTours,
+          });
+        }
+
+        if (err.message && err.message.includes('None of the selected places could be found')) {
+          console.warn('[api/session] ⚠️ None of the selected places were found');
+          await publishSessionEvent(redisClient, sessionId, 'failed', { error: 'selected_places_not_found' });
+          return res.status(400).json({
+            error: 'selected_places_not_found',
+            message: 'None of the selected places could be found. Please check the place IDs.'
+          });
+        }
+
         // For other errors, log but continue (return empty tours)
         console.error('[api/session] Continuing with empty tours due to error');
+        await publishSessionEvent(redisClient, sessionId, 'complete', {
+          status: 'saved',
+          city,
+          neighborhood,
+          country,
+          tourCount: 0,
+          tours: [],
+        });
       }
 
       res.json({
@@ -286,55 +517,58 @@ async function start() {
         return res.status(404).json({ error: 'session-not-found' });
       }
 
-      let tourCount = 0;
-      let tours = [];
-      if (data.tours) {
-        try {
-          const parsed = JSON.parse(data.tours);
-          if (Array.isArray(parsed)) {
-            tours = parsed;
-            tourCount = parsed.length;
-          }
-        } catch {
-          // ignore parse errors
-        }
-      }
+      res.json(buildSessionProgress(sessionId, data));
+    } catch (err) {
+      console.error('Error reading session progress', err);
+      res.status(500).json({ error: 'failed-to-read-session-progress' });
+    }
+  });
 
-      let interestingMessages = [];
-      if (data.interestingMessages) {
-        try {
-          const parsed = JSON.parse(data.interestingMessages);
-          if (Array.isArray(parsed)) {
-            interestingMessages = parsed;
-          }
-        } catch {
-          // ignore parse errors
-        }
-      }
+  // Stream tour generation progress as Server-Sent Events
+  // Sends one snapshot of the session, then pushes stage changes, interesting messages and tours as they happen
+  app.get('/api/session/:sessionId/events', async (req, res) => {
+    const { sessionId } = req.params;
 
-      let neighborhoodData = null;
-      if (data.neighborhoodData) {
-        try {
-          neighborhoodData = JSON.parse(data.neighborhoodData);
-        } catch {
-          // ignore parse errors
-        }
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+
+    const stream = openSseStream(res);
+    let unsubscribe = null;
+    let closed = false;
+
+    const cleanup = () => {
+      if (closed) return;
+      closed = true;
+      if (unsubscribe) {
+        unsubscribe().catch(() => {});
       }
+      stream.close();
+    };
 
-      res.json({
-        sessionId,
-        stage: data.stage || null,
-        city: data.city || null,
-        neighborhood: data.neighborhood || null,
-        tourCount,
-        tours, // Include actual tours array for progressive display
-        interestingMessages,
-        neighborhoodData, // Include neighborhood data with intro_script and intro_audio_url
-        status: tourCount > 0 ? 'tours-ready' : 'in-progress',
+    req.on('close', cleanup);
+
+    try {
+      // Subscribe before reading the snapshot so no event falls between the two
+      unsubscribe = await eventHub.subscribe(sessionEventsChannel(sessionId), (event) => {
+        stream.send(event.type, event.data);
       });
+
+      if (closed) {
+        await unsubscribe();
+        return;
+      }
+
+      // The client usually connects before POST /api/session creates the hash - that's fine,
+      // everything after this point arrives as events
+      const data = await redisClient.hGetAll(`session:${sessionId}`);
+      if (data && Object.keys(data).length > 0) {
+        stream.send('snapshot', buildSessionProgress(sessionId, data));
+      }
     } catch (err) {
-      console.error('Error reading session progress', err);
-      res.status(500).json({ error: 'failed-to-read-session-progress' });
+      console.error('[api/session/events] Failed to open event stream:', err);
+      stream.send('stream_error', { error: 'failed-to-open-event-stream' });
+      cleanup();
     }
   });
 
@@ -370,15 +604,153 @@ async function start() {
     }
   });
 
+  // Plan a multi-day itinerary: one non-overlapping tour per day
+  // Each day is its own session, so POST /api/session/:sessionId/tour/:tourId/audioguide turns it into a shareable tour
+  // Returns 202 once the itinerary exists; days are planned in the background (see GET /api/itinerary/:itineraryId/events)
+  app.post('/api/itinerary', async (req, res) => {
+    const {
+      city,
+      country,
+      days,
+      hoursPerDay,
+      latitude,
+      longitude,
+      language,
+      customization,
+    } = req.body || {};
+
+    if (typeof city !== 'string' || city.trim().length === 0) {
+      return res.status(400).json({ error: 'city is required' });
+    }
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_ITINERARY_DAYS) {
+      return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_ITINERARY_DAYS}` });
+    }
+
+    if (typeof hoursPerDay !== 'number' || hoursPerDay < 0.5 || hoursPerDay > MAX_HOURS_PER_DAY) {
+      return res.status(400).json({ error: `hoursPerDay must be a number between 0.5 and ${MAX_HOURS_PER_DAY}` });
+    }
+
+    if (language != null && !isSupportedLanguage(language)) {
+      return res.status(400).json({ error: 'unsupported-language' });
+    }
+
+    const itineraryId = uuidv4();
+    console.log('[api/itinerary] new itinerary', { itineraryId, city, country, days, hoursPerDay, language });
+
+    let itinerary;
+    try {
+      itinerary = await createItinerary({
+        itineraryId,
+        city: city.trim(),
+        country: country || null,
+        days,
+        hoursPerDay,
+        latitude: typeof latitude === 'number' ? latitude : null,
+        longitude: typeof longitude === 'number' ? longitude : null,
+        language: language || DEFAULT_LANGUAGE,
+        redisClient,
+      });
+    } catch (err) {
+      if (err.message === 'CITY_NOT_FOUND') {
+        return res.status(400).json({ error: 'city-not-found' });
+      }
+      console.error('[api/itinerary] Error creating itinerary:', err);
+      return res.status(500).json({ error: 'failed-to-generate-itinerary' });
+    }
+
+    // generateItineraryDays records its own failures on the itinerary
+    generateItineraryDays({ itinerary, customization: customization || null, redisClient }).catch((err) => {
+      console.error(`[api/itinerary] Error planning itinerary ${itineraryId}:`, err);
+    });
+
+    res.status(202).json(itinerary);
+  });
+
+  app.get('/api/itinerary/:itineraryId', async (req, res) => {
+    const { itineraryId } = req.params;
+
+    try {
+      const itineraryArray = await redisClient.json.get(`itinerary:${itineraryId}`, { path: '$' });
+      if (!itineraryArray || !Array.isArray(itineraryArray) || itineraryArray.length === 0) {
+        return res.status(404).json({ error: 'itinerary-not-found' });
+      }
+
+      res.json(itineraryArray[0]);
+    } catch (err) {
+      console.error('[api/itinerary] Error fetching itinerary:', err);
+      res.status(500).json({ error: 'failed-to-fetch-itinerary' });
+    }
+  });
+
+  // Stream itinerary planning progress as Server-Sent Events
+  // Sends the itinerary once, then day_complete as each day is planned and complete at the end
+  app.get('/api/itinerary/:itineraryId/events', async (req, res) => {
+    const { itineraryId } = req.params;
+    const itineraryKey = `itinerary:${itineraryId}`;
+
+    try {
+      const exists = await redisClient.exists(itineraryKey);
+      if (!exists) {
+        return res.status(404).json({ error: 'itinerary-not-found' });
+      }
+    } catch (err) {
+      console.error('[api/itinerary/events] Error checking itinerary:', err);
+      return res.status(500).json({ error: 'failed-to-open-event-stream' });
+    }
+
+    const stream = openSseStream(res);
+    let unsubscribe = null;
+    let closed = false;
+
+    const cleanup = () => {
+      if (closed) return;
+      closed = true;
+      if (unsubscribe) {
+        unsubscribe().catch(() => {});
+      }
+      stream.close();
+    };
+
+    req.on('close', cleanup);
+
+    try {
+      // Subscribe before reading the snapshot so no event falls between the two
+      unsubscribe = await eventHub.subscribe(itineraryEventsChannel(itineraryId), (event) => {
+        stream.send(event.type, event.data);
+      });
+
+      if (closed) {
+        await unsubscribe();
+        return;
+      }
+
+      const itineraryArray = await redisClient.json.get(itineraryKey, { path: '$' });
+      stream.send('snapshot', Array.isArray(itineraryArray) ? itineraryArray[0] : null);
+    } catch (err) {
+      console.error('[api/itinerary/events] Failed to open event stream:', err);
+      stream.send('stream_error', { error: 'failed-to-open-event-stream' });
+      cleanup();
+    }
+  });
+
   // Generate audioguide for a specific tour
   app.post('/api/session/:sessionId/tour/:tourId/audioguide', async (req, res) => {
     const { sessionId, tourId } = req.params;
-    const { voice } = req.body || {};
+    const { voice, narrationStyle = DEFAULT_NARRATION_STYLE, secondVoice } = req.body || {};
 
     if (!sessionId || !tourId) {
       return res.status(400).json({ error: 'sessionId and tourId are required' });
     }
 
+    if ((voice != null && !parseVoiceId(voice)) || (secondVoice != null && !parseVoiceId(secondVoice))) {
+      return res.status(400).json({ error: 'invalid-voice' });
+    }
+
+    if (!NARRATION_STYLES.includes(narrationStyle)) {
+      return res.status(400).json({ error: 'invalid-narration-style' });
+    }
+
     const key = `session:${sessionId}`;
 
     try {
@@ -427,6 +799,7 @@ async function start() {
       }
 
       const areaContext = {
+        country: sessionData.country || null,
         city: sessionData.city || null,
         neighborhood: sessionData.neighborhood || null,
         cityData,
@@ -434,10 +807,21 @@ async function start() {
       };
 
       // Get language preference from session
-      const language = sessionData.language || 'english';
+      const language = sessionData.language || DEFAULT_LANGUAGE;
 
-      // Get voice preference from request body (defaults based on language)
-      const selectedVoice = voice || (language === 'hebrew' ? 'he-IL-Standard-D' : 'en-GB-Wavenet-B');
+      // Get voice preference from request body (defaults based on language and TTS_PROVIDER)
+      if ([voice, secondVoice].some((v) => v != null && !isVoiceAllowed(v, language))) {
+        return res.status(400).json({ error: 'voice-not-available-for-language' });
+      }
+      const selectedVoice = voice || defaultVoiceId(language);
+      // Dialogue stops are voiced by two hosts: host A has the selected voice
+      const selectedSecondVoice = narrationStyle === 'dialogue'
+        ? secondVoice || defaultSecondVoiceId(language, selectedVoice)
+        : null;
+      const voicePairProblem = selectedSecondVoice && validateDialogueVoices(selectedVoice, selectedSecondVoice);
+      if (voicePairProblem) {
+        return res.status(400).json({ error: 'incompatible-dialogue-voices', message: voicePairProblem });
+      }
 
       // Use the tour's existing UUID (assigned during generation)
       // This ensures consistency: toursuggest:{UUID} → tour:{UUID}
@@ -490,6 +874,8 @@ async function start() {
         duration: selectedTour.estimatedTotalMinutes, // For RediSearch NUMERIC query
         language,
         voice: selectedVoice, // Store selected voice
+        narrationStyle,
+        ...(selectedSecondVoice && { secondVoice: selectedSecondVoice }),
         // Store starting point as GEO field for RediSearch (indexed)
         startLocation: `${startLongitude},${startLatitude}`,
         // Store full tour data with stops and walking directions
@@ -509,8 +895,9 @@ async function start() {
 
       await redisClient.json.set(tourDataKey, '$', tourDocument);
 
-      // Start audioguide generation (async)
-      console.log('[api] Starting audioguide generation for shareable tour:', shareableTourId, 'language:', language, 'voice:', selectedVoice);
+      // Queue audioguide generation - a worker picks it up and survives API restarts
+      console.log('[api] Queueing audioguide generation for shareable tour:', shareableTourId, 'language:', language, 'voice:', selectedVoice);
+      await enqueueAudioguideJob(redisClient, { type: 'generate', tourId: shareableTourId });
 
       // Return immediately with the shareable tour ID
       res.status(202).json({
@@ -520,39 +907,6 @@ async function start() {
         message: 'Audioguide generation started',
       });
 
-      // Generate audioguide in background
-      generateAudioguide({
-        sessionId,
-        tourId: shareableTourId, // Pass shareable tour ID
-        selectedTour,
-        areaContext,
-        language,
-        voice: selectedVoice,
-        redisClient,
-      }).then(async (result) => {
-        console.log('[api] Audioguide generation completed for tour:', shareableTourId);
-
-        // Update the tour document with completion status, scripts, and audio files
-        await redisClient.json.set(tourDataKey, '$.status', 'complete');
-        await redisClient.json.set(tourDataKey, '$.completedAt', new Date().toISOString());
-
-        if (result.scripts) {
-          await redisClient.json.set(tourDataKey, '$.scripts', result.scripts);
-        }
-        if (result.audioFiles) {
-          await redisClient.json.set(tourDataKey, '$.audioFiles', result.audioFiles);
-        }
-
-        console.log('[api] Audioguide data saved to Redis for shareable tour:', shareableTourId);
-      }).catch(async (err) => {
-        console.error('[api] Audioguide generation failed for tour:', shareableTourId, err);
-
-        // Mark as failed
-        await redisClient.json.set(tourDataKey, '$.status', 'failed');
-        await redisClient.json.set(tourDataKey, '$.error', err.message || 'audioguide-generation-failed');
-        await redisClient.json.set(tourDataKey, '$.failedAt', new Date().toISOString());
-      });
-
     } catch (err) {
       console.error('Error starting audioguide generation', err);
       res.status(500).json({ error: 'failed-to-start-audioguide-generation' });
@@ -675,6 +1029,9 @@ async function start() {
         }
       }
 
+      // Scripts are shown right-to-left for languages such as Hebrew
+      tourData.direction = getLanguage(tourData.language).direction;
+
       // Return the complete tour document (includes tour, scripts, audioFiles, etc.)
       res.json(tourData);
     } catch (err) {
@@ -683,6 +1040,220 @@ async function start() {
     }
   });
 
+  // Stream audioguide progress for a shareable tour as Server-Sent Events
+  // Sends the current scripts/audio state once, then script_complete / audio_complete / failed per item
+  // and a final status event when the whole audioguide is done
+  app.get('/api/tour/:tourId/events', async (req, res) => {
+    const { tourId } = req.params;
+
+    if (!tourId) {
+      return res.status(400).json({ error: 'tourId is required' });
+    }
+
+    const tourDataKey = `tour:${tourId}`;
+
+    try {
+      const exists = await redisClient.exists(tourDataKey);
+      if (!exists) {
+        return res.status(404).json({ error: 'tour-not-found' });
+      }
+    } catch (err) {
+      console.error('[api/tour/events] Error checking tour:', err);
+      return res.status(500).json({ error: 'failed-to-open-event-stream' });
+    }
+
+    const stream = openSseStream(res);
+    let unsubscribe = null;
+    let closed = false;
+
+    const cleanup = () => {
+      if (closed) return;
+      closed = true;
+      if (unsubscribe) {
+        unsubscribe().catch(() => {});
+      }
+      stream.close();
+    };
+
+    req.on('close', cleanup);
+
+    try {
+      // Subscribe before reading the snapshot so no event falls between the two
+      unsubscribe = await eventHub.subscribe(tourEventsChannel(tourId), (event) => {
+        stream.send(event.type, event.data);
+      });
+
+      if (closed) {
+        await unsubscribe();
+        return;
+      }
+
+      // Only the progress-related fields - the client already has the full document
+      const [status, scripts, audioFiles, error] = await Promise.all([
+        redisClient.json.get(tourDataKey, { path: '$.status' }),
+        redisClient.json.get(tourDataKey, { path: '$.scripts' }),
+        redisClient.json.get(tourDataKey, { path: '$.audioFiles' }),
+        redisClient.json.get(tourDataKey, { path: '$.error' }),
+      ]);
+
+      stream.send('snapshot', {
+        tourId,
+        status: Array.isArray(status) ? status[0] : null,
+        scripts: Array.isArray(scripts) ? scripts[0] : null,
+        audioFiles: Array.isArray(audioFiles) ? audioFiles[0] : null,
+        error: Array.isArray(error) && error.length > 0 ? error[0] : null,
+      });
+    } catch (err) {
+      console.error('[api/tour/events] Failed to open event stream:', err);
+      stream.send('stream_error', { error: 'failed-to-open-event-stream' });
+      cleanup();
+    }
+  });
+
+  // Retry an audioguide: regenerate only the failed or missing scripts/audio
+  // Completed items (and their audio files in storage) are left untouched
+  app.post('/api/tour/:tourId/retry', async (req, res) => {
+    const { tourId } = req.params;
+
+    if (!tourId) {
+      return res.status(400).json({ error: 'tourId is required' });
+    }
+
+    const tourDataKey = `tour:${tourId}`;
+
+    try {
+      const tourDataArray = await redisClient.json.get(tourDataKey, { path: '$' });
+      if (!tourDataArray || !Array.isArray(tourDataArray) || tourDataArray.length === 0) {
+        return res.status(404).json({ error: 'tour-not-found' });
+      }
+
+      const tourData = tourDataArray[0];
+
+      if (tourData.status === 'generating') {
+        return res.status(409).json({ error: 'audioguide-already-generating' });
+      }
+
+      // The full job rewrites every script, which would drop the stop being regenerated
+      if (tourData.regeneratingStop) {
+        return res.status(409).json({ error: 'stop-regeneration-pending' });
+      }
+
+      const incompleteItems = findIncompleteItems(tourData);
+      if (incompleteItems.length === 0) {
+        return res.json({
+          tourId,
+          status: tourData.status,
+          retryItems: [],
+          message: 'Nothing to retry',
+        });
+      }
+
+      console.log(`[api/tour/retry] Retrying ${incompleteItems.length} item(s) for tour ${tourId}`);
+
+      // Clear failed entries so the player shows them as pending again
+      for (const item of incompleteItems) {
+        const field = item.stage === 'script' ? 'scripts' : 'audioFiles';
+        const path = item.itemType === 'intro' ? `$.${field}.intro` : `$.${field}.stops[${item.stopIndex}]`;
+        await redisClient.json.set(tourDataKey, path, null);
+      }
+
+      await redisClient.json.set(tourDataKey, '$.status', 'generating');
+      await redisClient.json.set(tourDataKey, '$.retryCount', (tourData.retryCount || 0) + 1);
+      await redisClient.json.set(tourDataKey, '$.retriedAt', new Date().toISOString());
+      if (tourData.error) {
+        await redisClient.json.del(tourDataKey, { path: '$.error' });
+      }
+
+      await enqueueAudioguideJob(redisClient, { type: 'generate', tourId });
+
+      res.status(202).json({
+        tourId,
+        status: 'generating',
+        retryItems: incompleteItems,
+        message: 'Audioguide retry started',
+      });
+    } catch (err) {
+      console.error('[api/tour/retry] Error retrying audioguide:', err);
+      res.status(500).json({ error: 'failed-to-retry-audioguide' });
+    }
+  });
+
+  // Regenerate a single stop's script and audio, optionally with reviewer guidance
+  // The current version stays playable until the new one is swapped in
+  app.post('/api/tour/:tourId/stops/:index/regenerate', async (req, res) => {
+    const { tourId, index } = req.params;
+    const { guidance } = req.body || {};
+    const stopIndex = Number(index);
+
+    if (!Number.isInteger(stopIndex) || stopIndex < 0) {
+      return res.status(400).json({ error: 'invalid-stop-index' });
+    }
+
+    if (guidance !== undefined && guidance !== null && typeof guidance !== 'string') {
+      return res.status(400).json({ error: 'guidance must be a string' });
+    }
+
+    const trimmedGuidance = guidance ? guidance.trim().slice(0, 1000) : '';
+
+    let reservation;
+    try {
+      // Edits, retries and other regenerations are refused until the job is done with this stop
+      reservation = await reserveStopRegeneration({ redisClient, tourId, stopIndex });
+
+      console.log(`[api/tour/regenerate] Regenerating stop ${stopIndex} for tour ${tourId}`);
+
+      await enqueueAudioguideJob(redisClient, {
+        type: 'regenerate_stop',
+        tourId,
+        payload: { ...reservation, ...(trimmedGuidance && { guidance: trimmedGuidance }) },
+      });
+
+      res.status(202).json({
+        tourId,
+        stopIndex,
+        status: 'regenerating',
+        message: 'Stop regeneration started',
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error('[api/tour/regenerate] Error regenerating stop:', err);
+      if (reservation) {
+        await releaseStopRegeneration(redisClient, tourId).catch((releaseErr) => {
+          console.warn(`[api/tour/regenerate] Failed to release stop ${stopIndex} of tour ${tourId}:`, releaseErr.message);
+        });
+      }
+      res.status(500).json({ error: 'failed-to-regenerate-stop' });
+    }
+  });
+
+  // Tour editing: move, remove and insert stops of a finalized tour (admin only, like other curation)
+  // The route is re-validated after each edit, and only stops whose neighbors changed get new scripts/audio
+  app.post('/api/tour/:tourId/stops/:index/move', requireAdmin, async (req, res) => {
+    const { to } = req.body || {};
+    await handleTourStopEdit(req, res, { type: 'move', index: Number(req.params.index), to: Number(to) });
+  });
+
+  app.delete('/api/tour/:tourId/stops/:index', requireAdmin, async (req, res) => {
+    await handleTourStopEdit(req, res, { type: 'remove', index: Number(req.params.index) });
+  });
+
+  app.post('/api/tour/:tourId/stops', requireAdmin, async (req, res) => {
+    const { placeId, index, dwellMinutes } = req.body || {};
+
+    if (!placeId || typeof placeId !== 'string') {
+      return res.status(400).json({ error: 'placeId is required' });
+    }
+
+    await handleTourStopEdit(req, res, {
+      type: 'insert',
+      placeId,
+      index: index === undefined || index === null ? undefined : Number(index),
+      dwellMinutes: dwellMinutes === undefined || dwellMinutes === null ? undefined : Number(dwellMinutes),
+    });
+  });
+
   // Get feedback for a tour
   app.get('/api/tour/:tourId/feedback', async (req, res) => {
     const { tourId } = req.params;
@@ -785,13 +1356,81 @@ async function start() {
     }
   });
 
+  // Get the pronunciation lexicon of a city (used for SSML when TTS_SSML=true)
+  app.get('/api/lexicon/:country/:city', async (req, res) => {
+    const { country, city } = req.params;
+
+    try {
+      const entries = await getLexicon(redisClient, { country, city });
+      res.json({ country, city, entries });
+    } catch (err) {
+      console.error('[api/lexicon] Error fetching lexicon', err);
+      res.status(500).json({ error: 'failed-to-fetch-lexicon' });
+    }
+  });
+
+  // Replace the pronunciation lexicon of a city (admin only, every tour of the city uses it)
+  app.put('/api/lexicon/:country/:city', requireAdmin, async (req, res) => {
+    const { country, city } = req.params;
+    const { entries } = req.body || {};
+
+    const problem = validateLexiconEntries(entries);
+    if (problem) {
+      return res.status(400).json({ error: 'invalid-lexicon', message: problem });
+    }
+
+    try {
+      const lexicon = await saveLexicon(redisClient, { country, city }, entries);
+      res.json(lexicon);
+    } catch (err) {
+      console.error('[api/lexicon] Error saving lexicon', err);
+      res.status(500).json({ error: 'failed-to-save-lexicon' });
+    }
+  });
+
+  // Import Wikipedia extracts into the knowledge base that stop scripts are grounded in
+  app.post('/api/knowledge/wikipedia', requireAdmin, async (req, res) => {
+    const { articles } = req.body || {};
+
+    const problem = validateWikipediaArticles(articles);
+    if (problem) {
+      return res.status(400).json({ error: 'invalid-articles', message: problem });
+    }
+
+    try {
+      const saved = await saveWikipediaArticles(redisClient, articles);
+      res.json({ saved });
+    } catch (err) {
+      console.error('[api/knowledge] Error saving Wikipedia articles', err);
+      res.status(500).json({ error: 'failed-to-save-articles' });
+    }
+  });
+
 
   const server = app.listen(PORT, () => {
     console.log(`API server listening on http://localhost:${PORT}`);
   });
 
+  // Process audioguide jobs in this process unless dedicated workers (worker.js) are deployed
+  let audioguideWorker = null;
+  if (process.env.RUN_AUDIOGUIDE_WORKER !== 'false') {
+    try {
+      audioguideWorker = await startAudioguideWorker({
+        redisClient,
+        role: 'api',
+        handlers: createAudioguideJobHandlers({ redisClient }),
+      });
+    } catch (err) {
+      console.error('Failed to start embedded audioguide worker', err);
+    }
+  }
+
   const shutdown = async () => {
     console.log('Shutting down API server...');
+    if (audioguideWorker) {
+      await audioguideWorker.stop();
+    }
+    await eventHub.close();
     try {
       await redisClient.quit();
     } catch (err) {
@@ -0,0 +1,200 @@
+/**
+ * Multi-day Itinerary Generation
+ *
+ * Plans one walking tour per day in a city by running the regular tour generation pipeline
+ * once per day. POIs used on earlier days are excluded from later days, so nothing repeats.
+ *
+ * Every day gets its own session (session:{itineraryId}_day{n}) with the same fields as
+ * POST /api/session, so a day's tour can be turned into a shareable tour:{id} with an audioguide
+ * through the usual POST /api/session/:sessionId/tour/:tourId/audioguide endpoint.
+ *
+ * Planning takes a full tour generation per day, so it is split in two: createItinerary geocodes
+ * and saves the itinerary:{id} document, then generateItineraryDays plans the days in the
+ * background and publishes a day_complete event on itinerary:{id}:events as each one finishes.
+ */
+
+import { generateTours } from './tourGeneration.js';
+import { geocodeCity } from './utils/geocodingHelpers.js';
+import { publishItineraryEvent } from './utils/eventStream.js';
+
+export const MAX_HOURS_PER_DAY = 3; // Longest tour the generation pipeline supports
+
+/**
+ * Session ID used for one day of an itinerary
+ * @param {string} itineraryId - Itinerary ID
+ * @param {number} day - 1-based day number
+ * @returns {string} Session ID
+ */
+export function itineraryDaySessionId(itineraryId, day) {
+  return `${itineraryId}_day${day}`;
+}
+
+// Pick the tour closest to the requested duration
+function pickDayTour(tours, durationMinutes) {
+  return [...tours].sort((a, b) =>
+    Math.abs((a.estimatedTotalMinutes || 0) - durationMinutes) - Math.abs((b.estimatedTotalMinutes || 0) - durationMinutes)
+  )[0] || null;
+}
+
+async function saveItinerary(redisClient, itinerary) {
+  await redisClient.json.set(`itinerary:${itinerary.itineraryId}`, '$', itinerary);
+}
+
+/**
+ * Create an itinerary document, ready for its days to be planned
+ *
+ * @param {Object} params
+ * @param {string} params.itineraryId - Itinerary ID
+ * @param {string} params.city - City name
+ * @param {string} [params.country] - Country name (helps geocoding)
+ * @param {number} params.days - Number of days
+ * @param {number} params.hoursPerDay - Walking hours per day (at most MAX_HOURS_PER_DAY)
+ * @param {number} [params.latitude] - Optional start point used for every day instead of the city centre
+ * @param {number} [params.longitude] - Optional start point used for every day instead of the city centre
+ * @param {string} [params.language] - Tour language
+ * @param {Object} params.redisClient - Redis client instance
+ * @returns {Promise<Object>} Itinerary document ({ itineraryId, status: 'generating', city, country, days: [] })
+ * @throws {Error} CITY_NOT_FOUND when the city can't be geocoded
+ */
+export async function createItinerary({
+  itineraryId,
+  city,
+  country = null,
+  days,
+  hoursPerDay,
+  latitude = null,
+  longitude = null,
+  language = 'english',
+  redisClient
+}) {
+  let start = null;
+  if (typeof latitude === 'number' && typeof longitude === 'number') {
+    start = { latitude, longitude, city, country };
+  } else {
+    start = await geocodeCity(city, country);
+  }
+
+  if (!start) {
+    throw new Error('CITY_NOT_FOUND');
+  }
+
+  const itinerary = {
+    itineraryId,
+    status: 'generating',
+    city: start.city || city,
+    country: start.country || country,
+    startLocation: `${start.longitude},${start.latitude}`,
+    dayCount: days,
+    hoursPerDay,
+    durationMinutes: Math.round(hoursPerDay * 60),
+    language,
+    days: [],
+    createdAt: new Date().toISOString(),
+  };
+  await saveItinerary(redisClient, itinerary);
+
+  return itinerary;
+}
+
+/**
+ * Plan every day of an itinerary created with createItinerary
+ * Each finished day is saved and published as a day_complete event; the itinerary ends 'ready'
+ * (at least one day planned) or 'failed', announced with a complete event.
+ *
+ * @param {Object} params
+ * @param {Object} params.itinerary - Itinerary document from createItinerary
+ * @param {string} [params.customization] - Customization applied to every day
+ * @param {Object} params.redisClient - Redis client instance
+ * @returns {Promise<Object>} The finished itinerary document
+ */
+export async function generateItineraryDays({ itinerary, customization = null, redisClient }) {
+  const { itineraryId, dayCount, durationMinutes, language } = itinerary;
+  const [longitude, latitude] = itinerary.startLocation.split(',').map(parseFloat);
+
+  console.log(`[itinerary] Planning ${dayCount} day(s) in ${itinerary.city} (${durationMinutes} min/day) for itinerary ${itineraryId}`);
+
+  try {
+    const usedPlaceIds = new Set();
+
+    for (let day = 1; day <= dayCount; day++) {
+      const sessionId = itineraryDaySessionId(itineraryId, day);
+      const sessionKey = `session:${sessionId}`;
+
+      // Same fields as POST /api/session, so the audioguide endpoint works for each day
+      await redisClient.hSet(sessionKey, {
+        latitude: String(latitude),
+        longitude: String(longitude),
+        durationMinutes: String(durationMinutes),
+        createdAt: String(Date.now()),
+        language,
+        itineraryId,
+        day: String(day),
+        ...(customization && { customization }),
+      });
+
+      let dayEntry;
+      try {
+        const result = await generateTours({
+          sessionId,
+          latitude,
+          longitude,
+          durationMinutes,
+          customization,
+          language,
+          excludePlaceIds: [...usedPlaceIds],
+          city: itinerary.city,
+          country: itinerary.country,
+          redisClient,
+        });
+
+        const tour = pickDayTour(result.tours || [], durationMinutes);
+        if (!tour) {
+          throw new Error('No tours generated');
+        }
+
+        for (const stop of tour.stops || []) {
+          if (stop.placeId) usedPlaceIds.add(stop.placeId);
+        }
+
+        // Keep only the chosen tour on the day's session, the alternatives may reuse other days' POIs
+        await redisClient.hSet(sessionKey, {
+          tours: JSON.stringify([tour]),
+          ...(result.city && { city: result.city }),
+          ...(result.neighborhood && { neighborhood: result.neighborhood }),
+          ...(result.cityData && { cityData: JSON.stringify(result.cityData) }),
+          ...(result.neighborhoodData && { neighborhoodData: JSON.stringify(result.neighborhoodData) }),
+        });
+
+        console.log(`[itinerary] ✅ Day ${day}: "${tour.title}" (${tour.stops?.length || 0} stops)`);
+        dayEntry = { day, sessionId, status: 'ready', tour };
+      } catch (err) {
+        console.error(`[itinerary] ❌ Day ${day} failed:`, err.message);
+        dayEntry = { day, sessionId, status: 'failed', tour: null, error: err.message || 'day-generation-failed' };
+      }
+
+      itinerary.days.push(dayEntry);
+      await saveItinerary(redisClient, itinerary);
+      await publishItineraryEvent(redisClient, itineraryId, 'day_complete', { ...dayEntry, dayCount });
+    }
+
+    itinerary.status = itinerary.days.some(day => day.status === 'ready') ? 'ready' : 'failed';
+  } catch (err) {
+    // Redis went away mid-plan; keep the days planned so far
+    console.error(`[itinerary] Planning itinerary ${itineraryId} failed:`, err);
+    itinerary.status = 'failed';
+    itinerary.error = err.message || 'itinerary-generation-failed';
+  }
+
+  itinerary.completedAt = new Date().toISOString();
+  try {
+    await saveItinerary(redisClient, itinerary);
+  } catch (err) {
+    console.error(`[itinerary] Failed to save itinerary ${itineraryId}:`, err);
+  }
+  await publishItineraryEvent(redisClient, itineraryId, 'complete', {
+    status: itinerary.status,
+    days: itinerary.days,
+  });
+
+  return itinerary;
+}
@@ -16,6 +16,11 @@ export function createSaveTourSuggestionsToCache({
   longitude, 
   latitude, 
   customization, 
+  endLocation = null,
+  selectedPlaceIds = null,
+  excludePlaceIds = [],
+  accessibility = null,
+  startTime = null,
   redisClient 
 }) {
   return async (state) => {
@@ -28,6 +33,36 @@ export function createSaveTourSuggestionsToCache({
       return { messages };
     }
 
+    // Skip cache save for point-to-point/loop tours - the cache only serves open-ended tours
+    if (endLocation) {
+      console.log('[saveTourSuggestionsToCache] Skipping - end location provided');
+      return { messages };
+    }
+
+    // Skip cache save for tours built from user-selected places
+    if (Array.isArray(selectedPlaceIds) && selectedPlaceIds.length > 0) {
+      console.log('[saveTourSuggestionsToCache] Skipping - built from selected places');
+      return { messages };
+    }
+
+    // Skip cache save when POIs were excluded - these tours only cover part of the area
+    if (excludePlaceIds?.length > 0) {
+      console.log('[saveTourSuggestionsToCache] Skipping - POIs were excluded');
+      return { messages };
+    }
+
+    // Skip cache save for tours shaped by accessibility limits (rest stops, shorter legs)
+    if (accessibility) {
+      console.log('[saveTourSuggestionsToCache] Skipping - accessibility limits provided');
+      return { messages };
+    }
+
+    // Skip cache save for tours scheduled around a start time (stops may have been dropped)
+    if (startTime) {
+      console.log('[saveTourSuggestionsToCache] Skipping - start time provided');
+      return { messages };
+    }
+
     // Skip if cache was hit (already cached)
     if (state.cacheHit) {
       console.log('[saveTourSuggestionsToCache] Skipping - cache was hit');
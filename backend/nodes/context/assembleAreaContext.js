@@ -6,9 +6,9 @@
  */
 
 import { traceable } from "langsmith/traceable";
+import { publishSessionEvent, setSessionStage } from '../../utils/eventStream.js';
+import { getLlm } from '../../providers/llm/index.js';
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const INTERESTING_MESSAGES_MODEL = process.env.INTERESTING_MESSAGES_MODEL || 'gemini-2.5-flash-lite';
 const TOUR_DEBUG = process.env.TOUR_DEBUG === '1' || process.env.TOUR_DEBUG === 'true';
 
 const DEFAULT_ICON = 'map-pin-check-inside';
@@ -16,29 +16,6 @@ const ICON_INDEX_NAME = 'lucide_icon_index';
 
 let embeddingModel = null;
 
-let geminiFlashLiteModelPromise;
-async function getGeminiFlashLiteModel() {
-  if (!GEMINI_API_KEY) {
-    console.warn('[assembleAreaContext] GEMINI_API_KEY is not set');
-    return null;
-  }
-
-  if (!geminiFlashLiteModelPromise) {
-    geminiFlashLiteModelPromise = import('@google/generative-ai')
-      .then((mod) => {
-        const { GoogleGenerativeAI } = mod;
-        const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-        return genAI.getGenerativeModel({ model: INTERESTING_MESSAGES_MODEL });
-      })
-      .catch((err) => {
-        console.error('[assembleAreaContext] Failed to load Gemini model for interesting messages:', err);
-        return null;
-      });
-  }
-
-  return geminiFlashLiteModelPromise;
-}
-
 function debugLog(...args) {
   if (TOUR_DEBUG) {
     console.log('[assembleAreaContext]', ...args);
@@ -105,7 +82,7 @@ async function searchBestIcon(message, redisClient) {
 }
 
 /**
- * Generate interesting messages about POIs using Gemini Flash Lite
+ * Generate interesting messages about POIs using the messages LLM
  * @param {Array} pois - Array of POI objects
  * @param {Object} redisClient - Redis client for icon search
  * @returns {Promise<Array>} Array of {icon, message} objects
@@ -115,9 +92,9 @@ async function generateInterestingMessages(pois, redisClient) {
     return [];
   }
 
-  const model = await getGeminiFlashLiteModel();
-  if (!model) {
-    console.warn('[assembleAreaContext] Gemini Flash Lite model not available, skipping message generation');
+  const llm = getLlm('messages');
+  if (!llm) {
+    console.warn('[assembleAreaContext] Messages LLM not available, skipping message generation');
     return [];
   }
 
@@ -134,17 +111,12 @@ async function generateInterestingMessages(pois, redisClient) {
 List of places and their types:
 ${poiList}`;
 
-    console.log('[assembleAreaContext] Generating interesting messages with Gemini Flash Lite...');
+    console.log(`[assembleAreaContext] Generating interesting messages with ${llm.model}...`);
 
-    // Wrap Gemini call with traceable for LangSmith observability
+    // Wrap LLM call with traceable for LangSmith observability
     const generateMessagesTraceable = traceable(
-      async (promptText) => {
-        const result = await model.generateContent(promptText);
-        const response = result.response;
-        const text = response.text();
-        return text;
-      },
-      { name: 'generate_interesting_messages', run_type: 'llm' }
+      async (promptText) => llm.generateText(promptText),
+      { name: 'generate_interesting_messages', run_type: 'chain' }
     );
 
     const text = await generateMessagesTraceable(prompt);
@@ -253,8 +225,12 @@ export function createAssembleAreaContextNode({ sessionId, redisClient }) {
         } catch (err) {
           console.error('[assembleAreaContext] ❌ Failed to save interesting messages to Redis:', err);
         }
+
+        await publishSessionEvent(redisClient, sessionId, 'interesting_messages', { interestingMessages });
       }
 
+      await setSessionStage(redisClient, sessionId, 'area_context_built');
+
       const msg = {
         role: 'assistant',
         content: `Assembled area context with ${pois.length} POIs for ${city || 'area'}`
@@ -1,7 +1,7 @@
 /**
  * Generate Area Summaries Node
  * 
- * LangGraph node that generates city and neighborhood summaries using Gemini LLM.
+ * LangGraph node that generates city and neighborhood summaries using the summaries LLM.
  */
 
 import { generateCitySummary, generateNeighborhoodSummary } from '../../utils/geocodingHelpers.js';
@@ -19,7 +19,7 @@ function debugLog(...args) {
  * Create the generateAreaSummaries node
  *
  * This node generates summaries and key facts for the city and neighborhood
- * using Gemini LLM. The summaries are generated in parallel for efficiency.
+ * using the summaries LLM. The summaries are generated in parallel for efficiency.
  * Checks cache first before generating new summaries.
  *
  * @param {Object} config - Node configuration
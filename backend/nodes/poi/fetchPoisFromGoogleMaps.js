@@ -1,7 +1,8 @@
 /**
  * Fetch POIs from Google Maps Node
  *
- * LangGraph node that fetches POIs from Google Maps API when cache doesn't have enough data.
+ * LangGraph node that fetches POIs from the configured POI provider (Google Places by default,
+ * or OpenStreetMap - see providers/poi) when cache doesn't have enough data.
  */
 
 import { searchNearbyPois, cachePlaceInRedis } from '../../utils/poiHelpers.js';
@@ -17,32 +18,33 @@ function debugLog(...args) {
 /**
  * Create the fetchPoisFromGoogleMaps node
  *
- * This node fetches POIs from Google Maps API and caches them in Redis.
+ * This node fetches POIs from the POI provider and caches them in Redis.
  * It's only called when the POI cache doesn't have sufficient data (< MAX_POIS_IN_TOURPLAN_CONTEXT primary POIs).
  *
  * @param {Object} config - Node configuration
  * @param {number} config.latitude - Starting latitude
  * @param {number} config.longitude - Starting longitude
  * @param {number} config.durationMinutes - Tour duration in minutes
+ * @param {Object} [config.endLocation] - Optional { latitude, longitude, returnToStart } where the tour ends
  * @param {Object} config.redisClient - Redis client instance
  * @returns {Function} LangGraph node function
  */
-export function createFetchPoisFromGoogleMapsNode({ latitude, longitude, durationMinutes, redisClient }) {
+export function createFetchPoisFromGoogleMapsNode({ latitude, longitude, durationMinutes, endLocation = null, redisClient }) {
   return async (state) => {
     const messages = Array.isArray(state.messages) ? state.messages : [];
 
     try {
-      console.log('[fetchPoisFromGoogleMaps] Fetching POIs from Google Maps API...');
+      console.log('[fetchPoisFromGoogleMaps] Fetching POIs from POI provider...');
       debugLog('Fetching POIs for', { latitude, longitude, durationMinutes });
 
-      // Fetch POIs from Google Maps
-      const pois = await searchNearbyPois(latitude, longitude, durationMinutes, redisClient);
+      // Fetch POIs from the POI provider
+      const pois = await searchNearbyPois(latitude, longitude, durationMinutes, redisClient, endLocation);
 
-      console.log(`[fetchPoisFromGoogleMaps] Fetched ${pois.length} POIs from Google Maps`);
+      console.log(`[fetchPoisFromGoogleMaps] Fetched ${pois.length} POIs from POI provider`);
 
-      // VALIDATION: Warn if Google Maps returned no POIs
+      // VALIDATION: Warn if the provider returned no POIs
       if (pois.length === 0) {
-        console.warn('[fetchPoisFromGoogleMaps] ⚠️ WARNING: Google Maps API returned 0 POIs!');
+        console.warn('[fetchPoisFromGoogleMaps] ⚠️ WARNING: POI provider returned 0 POIs!');
         console.warn('[fetchPoisFromGoogleMaps] This may indicate an issue with the location or API.');
       }
 
@@ -60,7 +62,7 @@ export function createFetchPoisFromGoogleMapsNode({ latitude, longitude, duratio
 
       const msg = {
         role: 'assistant',
-        content: `Fetched ${pois.length} POIs from Google Maps API and cached them in Redis.`
+        content: `Fetched ${pois.length} POIs from the POI provider and cached them in Redis.`
       };
 
       return {
@@ -70,12 +72,12 @@ export function createFetchPoisFromGoogleMapsNode({ latitude, longitude, duratio
         googleMapsFetched: true  // Flag to prevent infinite loop
       };
     } catch (err) {
-      console.error('[fetchPoisFromGoogleMaps] ❌ ERROR: Failed to fetch POIs from Google Maps:', err);
+      console.error('[fetchPoisFromGoogleMaps] ❌ ERROR: Failed to fetch POIs from POI provider:', err);
       console.error('[fetchPoisFromGoogleMaps] Error details:', err.message);
 
       const errorMsg = {
         role: 'assistant',
-        content: 'Failed to fetch POIs from Google Maps API. Using empty POI list.'
+        content: 'Failed to fetch POIs from the POI provider. Using empty POI list.'
       };
 
       return {
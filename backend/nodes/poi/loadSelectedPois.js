@@ -0,0 +1,123 @@
+/**
+ * Load Selected POIs Node
+ *
+ * LangGraph node that loads the places a user picked (instead of discovering POIs),
+ * plus nearby filler POIs from the Redis cache to fill the rest of the tour.
+ */
+
+import {
+  getCachedPoi,
+  fetchPlaceDetails,
+  cachePlaceInRedis,
+  getPoiSearchArea,
+  queryPoisFromRedis
+} from '../../utils/poiHelpers.js';
+
+const TOUR_DEBUG = process.env.TOUR_DEBUG === '1' || process.env.TOUR_DEBUG === 'true';
+
+function debugLog(...args) {
+  if (TOUR_DEBUG) {
+    console.log('[loadSelectedPois]', ...args);
+  }
+}
+
+/**
+ * Normalize a place reference - accepts Google place IDs or poi_cache keys
+ * @param {string} placeId - "ChIJ..." or "poi_cache:ChIJ..."
+ * @returns {string} Google place ID
+ */
+function normalizePlaceId(placeId) {
+  return String(placeId).trim().replace(/^poi_cache:/, '');
+}
+
+/**
+ * Create the loadSelectedPois node
+ *
+ * Each selected place is read from the POI cache, or looked up with the Places API and cached.
+ * Filler POIs are queried around the centre of the selected places, so the route can be padded
+ * with nearby highlights when the selected places don't fill the requested duration.
+ *
+ * @param {Object} config - Node configuration
+ * @param {Array<string>} config.selectedPlaceIds - Places IDs or poi_cache IDs the tour must visit
+ * @param {number} config.latitude - Starting latitude
+ * @param {number} config.longitude - Starting longitude
+ * @param {number} config.durationMinutes - Tour duration in minutes
+ * @param {Object} config.redisClient - Redis client instance
+ * @returns {Function} LangGraph node function
+ */
+export function createLoadSelectedPoisNode({ selectedPlaceIds, latitude, longitude, durationMinutes, redisClient }) {
+  return async (state) => {
+    const messages = Array.isArray(state.messages) ? state.messages : [];
+    const placeIds = [...new Set((selectedPlaceIds || []).map(normalizePlaceId).filter(Boolean))];
+
+    console.log(`[loadSelectedPois] Loading ${placeIds.length} selected places...`);
+
+    const selectedPois = [];
+    const missingPlaceIds = [];
+
+    for (const placeId of placeIds) {
+      try {
+        let poi = await getCachedPoi(redisClient, placeId);
+
+        if (!poi) {
+          debugLog('Place not cached, looking it up:', placeId);
+          poi = await fetchPlaceDetails(placeId);
+          if (poi) {
+            await cachePlaceInRedis(redisClient, poi);
+          }
+        }
+
+        if (poi) {
+          selectedPois.push(poi);
+        } else {
+          missingPlaceIds.push(placeId);
+        }
+      } catch (err) {
+        console.error(`[loadSelectedPois] Failed to load place ${placeId}:`, err.message);
+        missingPlaceIds.push(placeId);
+      }
+    }
+
+    if (missingPlaceIds.length > 0) {
+      console.warn(`[loadSelectedPois] ⚠️ Could not find ${missingPlaceIds.length} selected place(s):`, missingPlaceIds);
+    }
+
+    if (selectedPois.length === 0) {
+      return {
+        messages: [...messages, { role: 'assistant', content: 'None of the selected places could be found.' }],
+        pois: [],
+        poisCount: 0,
+        selectedPoiIds: [],
+        error: 'selected_places_not_found'
+      };
+    }
+
+    // Look for fillers around the middle of the selected places (and the start)
+    const centerLatitude = (latitude + selectedPois.reduce((sum, poi) => sum + poi.latitude, 0)) / (selectedPois.length + 1);
+    const centerLongitude = (longitude + selectedPois.reduce((sum, poi) => sum + poi.longitude, 0)) / (selectedPois.length + 1);
+    const { radiusMeters } = getPoiSearchArea({ latitude: centerLatitude, longitude: centerLongitude, durationMinutes });
+
+    const selectedIds = new Set(selectedPois.map(poi => poi.id));
+    let fillerPois = [];
+    try {
+      const nearbyPois = await queryPoisFromRedis(centerLatitude, centerLongitude, radiusMeters, redisClient);
+      fillerPois = nearbyPois.filter(poi => !selectedIds.has(poi.id));
+    } catch (err) {
+      console.error('[loadSelectedPois] Failed to query filler POIs:', err.message);
+    }
+
+    console.log(`[loadSelectedPois] Loaded ${selectedPois.length} selected places and ${fillerPois.length} filler POIs`);
+
+    const pois = [...selectedPois, ...fillerPois];
+
+    return {
+      messages: [...messages, {
+        role: 'assistant',
+        content: `Loaded ${selectedPois.length} selected places and ${fillerPois.length} nearby POIs.`
+      }],
+      pois,
+      poisCount: pois.length,
+      selectedPoiIds: selectedPois.map(poi => poi.id)
+    };
+  };
+}
@@ -4,7 +4,7 @@
  * LangGraph node that queries POIs from Redis cache using RediSearch.
  */
 
-import { queryPoisFromRedis } from '../../utils/poiHelpers.js';
+import { getPoiSearchArea, queryPoisFromRedis } from '../../utils/poiHelpers.js';
 
 const TOUR_DEBUG = process.env.TOUR_DEBUG === '1' || process.env.TOUR_DEBUG === 'true';
 
@@ -26,10 +26,15 @@ function debugLog(...args) {
  * @param {number} config.latitude - Starting latitude
  * @param {number} config.longitude - Starting longitude
  * @param {number} config.durationMinutes - Tour duration in minutes
+ * @param {Object} [config.endLocation] - Optional { latitude, longitude, returnToStart } where the tour ends
+ * @param {Array<string>} [config.excludePlaceIds] - POIs that must not be offered (e.g. used on earlier itinerary days)
  * @param {Object} config.redisClient - Redis client instance
  * @returns {Function} LangGraph node function
  */
-export function createQueryPoisNode({ latitude, longitude, durationMinutes, redisClient }) {
+export function createQueryPoisNode({ latitude, longitude, durationMinutes, endLocation = null, excludePlaceIds = [], redisClient }) {
+  const excluded = new Set(excludePlaceIds);
+  const withoutExcluded = (pois) => (excluded.size > 0 ? pois.filter(poi => !excluded.has(poi.id)) : pois);
+
   return async (state) => {
     const messages = Array.isArray(state.messages) ? state.messages : [];
 
@@ -39,10 +44,11 @@ export function createQueryPoisNode({ latitude, longitude, durationMinutes, redi
       console.log(`[queryPois] Using ${state.pois.length} POIs already in state (from Google Maps fetch)`);
       debugLog('Skipping Redis query - POIs already fetched from Google Maps');
 
+      const pois = withoutExcluded(state.pois);
       return {
         messages,
-        pois: state.pois,
-        poisCount: state.pois.length
+        pois,
+        poisCount: pois.length
       };
     }
 
@@ -56,18 +62,17 @@ export function createQueryPoisNode({ latitude, longitude, durationMinutes, redi
       console.log('[queryPois] Querying POIs from Redis cache...');
       debugLog('Querying POIs for', { latitude, longitude, durationMinutes });
 
-      // Calculate radius based on duration
-      const walkingTimeMinutes = durationMinutes * 0.4;
-      const maxWalkingMeters = walkingTimeMinutes * 83;
-      const calculatedRadius = Math.round(maxWalkingMeters / 2);
-      const radiusMeters = Math.max(500, Math.min(3000, calculatedRadius));
+      // Calculate search area based on duration (and the end location, if any)
+      const searchArea = getPoiSearchArea({ latitude, longitude, durationMinutes, endLocation });
 
-      debugLog('Calculated radius:', radiusMeters, 'meters');
+      debugLog('Calculated search area:', searchArea);
 
       // Query POIs from Redis
-      const pois = await queryPoisFromRedis(latitude, longitude, radiusMeters, redisClient);
+      const pois = withoutExcluded(
+        await queryPoisFromRedis(searchArea.latitude, searchArea.longitude, searchArea.radiusMeters, redisClient)
+      );
 
-      console.log(`[queryPois] Retrieved ${pois.length} POIs from Redis cache`);
+      console.log(`[queryPois] Retrieved ${pois.length} POIs from Redis cache${excluded.size > 0 ? ` (${excluded.size} excluded)` : ''}`);
 
       // VALIDATION: Warn if Redis query returned no POIs
       if (pois.length === 0) {
@@ -0,0 +1,106 @@
+/**
+ * Build Selected Places Tour Node
+ *
+ * LangGraph node that builds a single tour around places the user selected,
+ * instead of generating candidate tours with the LLM.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { validateSingleTour, enrichTourWithPoiDetails } from '../../utils/tourHelpers.js';
+import { planSelectedPlacesTour } from '../../utils/selectedPlacesTour.js';
+import { checkCancellation } from '../../utils/cancellationHelper.js';
+import { publishSessionEvent, setSessionStage } from '../../utils/eventStream.js';
+import { fitTourToOpeningHours } from '../../utils/openingHours.js';
+
+/**
+ * Create the buildSelectedPlacesTour node
+ *
+ * The route is planned deterministically (see utils/selectedPlacesTour.js), then enriched and
+ * validated exactly like LLM-generated tours so the rest of the app sees the same tour shape.
+ *
+ * @param {Object} config - Node configuration
+ * @param {number} config.latitude - Starting latitude
+ * @param {number} config.longitude - Starting longitude
+ * @param {number} config.durationMinutes - Tour duration in minutes
+ * @param {string} config.language - Tour language, for the tour's title, abstract and theme
+ * @param {Object} [config.endLocation] - Optional { latitude, longitude, returnToStart } where the tour ends
+ * @param {Object} [config.accessibility] - Optional { stepFree, maxLegMeters, maxTotalMeters } route limits
+ * @param {string} [config.startTime] - Optional planned start time ("YYYY-MM-DDTHH:mm", local time)
+ * @param {Object} config.redisClient - Redis client instance
+ * @returns {Function} LangGraph node function
+ */
+export function createBuildSelectedPlacesTourNode({
+  latitude,
+  longitude,
+  durationMinutes,
+  language,
+  endLocation = null,
+  accessibility = null,
+  startTime = null,
+  redisClient
+}) {
+  return async (state, config) => {
+    const messages = Array.isArray(state.messages) ? state.messages : [];
+    const sessionId = config?.configurable?.thread_id;
+    const pois = state.areaContext?.pois || state.pois || [];
+
+    await checkCancellation(sessionId, redisClient, 'buildSelectedPlacesTour');
+    await setSessionStage(redisClient, sessionId, 'candidates_generated');
+
+    const plannedTour = planSelectedPlacesTour({
+      pois,
+      selectedPoiIds: state.selectedPoiIds || [],
+      latitude,
+      longitude,
+      durationMinutes,
+      endLocation,
+      language,
+    });
+
+    const tourWithId = {
+      ...plannedTour,
+      originalTourId: plannedTour.id,
+      id: uuidv4(),
+    };
+
+    const enrichedTour = {
+      ...enrichTourWithPoiDetails(tourWithId, pois),
+      ...(endLocation && { endLocation }),
+      ...(accessibility && { accessibility }),
+      ...(startTime && { startTime }),
+    };
+
+    // Reorder around opening hours; selected places are never dropped
+    const scheduledTour = fitTourToOpeningHours(enrichedTour, {
+      latitude,
+      longitude,
+      startTime,
+      requiredPlaceIds: state.selectedPoiIds || [],
+    });
+
+    console.log(`[buildSelectedPlacesTour] 🔍 Validating tour: ${enrichedTour.title}`);
+    // The selected places are kept even if the route can't meet the accessibility limits;
+    // remaining violations are reported on the tour (accessibilityViolations)
+    const validatedTour = await validateSingleTour(scheduledTour, latitude, longitude, {
+      restPoints: pois,
+    });
+
+    try {
+      await redisClient.hSet(`session:${sessionId}`, {
+        tours: JSON.stringify([validatedTour]),
+      });
+    } catch (err) {
+      console.error('[buildSelectedPlacesTour] Failed to save tour to Redis:', err);
+    }
+
+    await publishSessionEvent(redisClient, sessionId, 'tour', {
+      tour: validatedTour,
+      tourCount: 1,
+    });
+
+    return {
+      messages: [...messages, { role: 'system', content: `Built tour around ${state.selectedPoiIds?.length || 0} selected places.` }],
+      finalTours: [validatedTour],
+    };
+  };
+}
@@ -1,12 +1,14 @@
 /**
  * Generate Candidate Tours Node
  *
- * LangGraph node that generates candidate walking tours using Gemini LLM.
+ * LangGraph node that generates candidate walking tours with the tour-planning LLM.
  */
 
 import { v4 as uuidv4 } from 'uuid';
-import { generateToursWithGemini, validateSingleTour, enrichTourWithPoiDetails } from '../../utils/tourHelpers.js';
+import { generateToursWithLlm, validateSingleTour, enrichTourWithPoiDetails } from '../../utils/tourHelpers.js';
 import { checkCancellation, getSessionIdFromState } from '../../utils/cancellationHelper.js';
+import { publishSessionEvent, setSessionStage } from '../../utils/eventStream.js';
+import { fitTourToOpeningHours } from '../../utils/openingHours.js';
 
 const TOUR_DEBUG = process.env.TOUR_DEBUG === '1' || process.env.TOUR_DEBUG === 'true';
 
@@ -19,7 +21,7 @@ function debugLog(...args) {
 /**
  * Create the generateCandidateTours node
  *
- * This node generates candidate walking tours using Gemini LLM based on the
+ * This node generates candidate walking tours using the tour-planning LLM based on the
  * assembled area context (city, neighborhood, POIs, summaries).
  *
  * Each generated tour is assigned a unique UUID, and the LLM-generated ID
@@ -31,6 +33,9 @@ function debugLog(...args) {
  * @param {number} config.durationMinutes - Tour duration in minutes
  * @param {string} config.customization - User customization request
  * @param {string} config.language - Tour language (english/hebrew)
+ * @param {Object} [config.endLocation] - Optional { latitude, longitude, returnToStart } where tours must end
+ * @param {Object} [config.accessibility] - Optional { stepFree, maxLegMeters, maxTotalMeters } route limits
+ * @param {string} [config.startTime] - Optional planned start time ("YYYY-MM-DDTHH:mm", local time)
  * @param {Object} config.redisClient - Redis client instance
  * @returns {Function} LangGraph node function
  */
@@ -40,6 +45,9 @@ export function createGenerateCandidateToursNode({
   durationMinutes,
   customization,
   language,
+  endLocation = null,
+  accessibility = null,
+  startTime = null,
   redisClient
 }) {
   return async (state, config) => {
@@ -70,7 +78,7 @@ export function createGenerateCandidateToursNode({
     }
 
     try {
-      console.log('[generateCandidateTours] Generating candidate tours with Gemini LLM...');
+      console.log('[generateCandidateTours] Generating candidate tours with LLM...');
       debugLog('Generating tours for', {
         latitude,
         longitude,
@@ -85,9 +93,11 @@ export function createGenerateCandidateToursNode({
       // Check for cancellation before expensive operations
       await checkCancellation(sessionId, redisClient, 'generateCandidateTours');
 
-      // Generate tours using Gemini LLM with streaming (always enabled)
+      await setSessionStage(redisClient, sessionId, 'candidates_generated');
+
+      // Generate tours using the LLM with streaming (always enabled)
       console.log('[generateCandidateTours] 🌊 Starting streaming tour generation...');
-      const tourStream = await generateToursWithGemini({
+      const tourStream = await generateToursWithLlm({
         latitude,
         longitude,
         durationMinutes,
@@ -98,6 +108,9 @@ export function createGenerateCandidateToursNode({
         pois: areaContext.pois,
         cityData: areaContext.cityData,
         neighborhoodData: areaContext.neighborhoodData,
+        endLocation,
+        accessibility,
+        startTime,
         sessionId, // Pass sessionId for cancellation checks
         redisClient, // Pass redisClient for cancellation checks
         streaming: true, // Always use streaming for tour generation
@@ -106,6 +119,7 @@ export function createGenerateCandidateToursNode({
       // Consume the stream, validate each tour, and send to frontend immediately
       const rawTours = [];
       const validatedTours = [];
+      const rejectedTours = [];
 
       for await (const tour of tourStream) {
         console.log(`[generateCandidateTours] 📥 Received streamed tour: ${tour.title || 'Untitled'}`);
@@ -121,11 +135,30 @@ export function createGenerateCandidateToursNode({
 
         // Enrich tour with POI details (name, lat, lon) from placeIds
         console.log(`[generateCandidateTours] 🔍 Enriching tour with POI details: ${tourWithId.title}`);
-        const enrichedTour = enrichTourWithPoiDetails(tourWithId, areaContext.pois);
+        const enrichedTour = {
+          ...enrichTourWithPoiDetails(tourWithId, areaContext.pois),
+          // Kept on the tour so later re-validation (e.g. tour edits) routes to the same end point
+          ...(endLocation && { endLocation }),
+          ...(accessibility && { accessibility }),
+          ...(startTime && { startTime }),
+        };
 
         // Validate walking times immediately
         console.log(`[generateCandidateTours] 🔍 Validating tour: ${enrichedTour.title}`);
-        const validatedTour = await validateSingleTour(enrichedTour, latitude, longitude);
+        // Move or drop stops that would be closed when the walker gets there
+        const scheduledTour = fitTourToOpeningHours(enrichedTour, { latitude, longitude, startTime });
+
+        const validatedTour = await validateSingleTour(scheduledTour, latitude, longitude, {
+          restPoints: areaContext.pois,
+        });
+
+        // Tours that break the accessibility limits even after adding rest stops are dropped
+        if (validatedTour.accessibilityViolations?.length > 0) {
+          console.warn(`[generateCandidateTours] ⏭️ Skipping tour "${validatedTour.title}" - exceeds accessibility limits`);
+          rejectedTours.push({ title: validatedTour.title, accessibilityViolations: validatedTour.accessibilityViolations });
+          continue;
+        }
+
         validatedTours.push(validatedTour);
 
         // Send validated tour to Redis immediately so frontend can display it
@@ -138,10 +171,27 @@ export function createGenerateCandidateToursNode({
         } catch (err) {
           console.error('[generateCandidateTours] Failed to update Redis with streamed tour:', err);
         }
+
+        // Push the tour to connected clients (SSE) without waiting for the next read
+        await publishSessionEvent(redisClient, sessionId, 'tour', {
+          tour: validatedTour,
+          tourCount: validatedTours.length,
+        });
       }
 
       console.log(`[generateCandidateTours] ✅ Streaming complete. Received and validated ${validatedTours.length} tours`);
 
+      // Every tour broke the limits - report why instead of an empty list
+      if (validatedTours.length === 0 && rejectedTours.length > 0) {
+        console.warn(`[generateCandidateTours] ⚠️ None of the ${rejectedTours.length} tours meet the accessibility limits`);
+        return {
+          messages: [...messages, { role: 'system', content: 'No generated tour meets the accessibility limits.' }],
+          finalTours: [],
+          rejectedTours,
+          error: 'no_accessible_tour_found',
+        };
+      }
+
       // Tours are already validated and have UUIDs assigned
       const allTours = validatedTours;
 
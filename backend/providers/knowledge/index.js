@@ -0,0 +1,120 @@
+/**
+ * Knowledge Sources
+ *
+ * Passages about a stop that its script is grounded in, so the LLM retells documented facts
+ * instead of inventing them:
+ *   - wikipedia: local index of Wikipedia extracts in RediSearch (see utils/knowledgeBase.js)
+ *   - places:    the Google Places editorial summary of the stop
+ *   - stub:      a placeholder passage per stop, for development and tests
+ *
+ * CONFIGURATION (environment):
+ *   KNOWLEDGE_SOURCES=wikipedia,places  Sources to query, in priority order ("none" disables retrieval)
+ *   KNOWLEDGE_MAX_CHARS=4000            Most passage text given to one script prompt
+ *
+ * SOURCE INTERFACE:
+ *   {
+ *     name,
+ *     retrieve({ stop, language, redisClient }) -> Promise<Array<Passage>>
+ *   }
+ *
+ * Passage: { text, source: { provider, title, url } }
+ * A source that fails is skipped, so a script can always be generated.
+ */
+
+import { createWikipediaKnowledgeSource } from './wikipedia.js';
+import { createPlacesKnowledgeSource } from './places.js';
+import { createStubKnowledgeSource } from './stub.js';
+
+const SOURCE_FACTORIES = {
+  wikipedia: createWikipediaKnowledgeSource,
+  places: createPlacesKnowledgeSource,
+  stub: createStubKnowledgeSource,
+};
+
+const MAX_CHARS = parseInt(process.env.KNOWLEDGE_MAX_CHARS || '4000', 10);
+
+let sources = null;
+
+/**
+ * Get the configured knowledge sources
+ * @returns {Array<Object>} Knowledge sources, in priority order
+ */
+export function getKnowledgeSources() {
+  if (!sources) {
+    const names = (process.env.KNOWLEDGE_SOURCES ?? 'wikipedia,places')
+      .split(',')
+      .map((name) => name.trim().toLowerCase())
+      .filter((name) => name && name !== 'none');
+
+    sources = names.map((name) => {
+      const factory = SOURCE_FACTORIES[name];
+      if (!factory) {
+        throw new Error(`Unknown knowledge source "${name}" in KNOWLEDGE_SOURCES`);
+      }
+      return factory();
+    });
+    console.log(`[knowledge] Using knowledge sources: ${names.join(', ') || 'none'}`);
+  }
+  return sources;
+}
+
+/**
+ * Retrieve passages about a stop from every configured source
+ * @param {Object} params
+ * @param {Object} params.stop - Tour stop (name, latitude, longitude, placeId, source)
+ * @param {string} [params.language] - Language key of the tour
+ * @param {Object} [params.redisClient] - Redis client instance
+ * @returns {Promise<Array<Object>>} Passages in source priority order, within KNOWLEDGE_MAX_CHARS
+ */
+export async function retrievePassages({ stop, language, redisClient }) {
+  const results = await Promise.allSettled(
+    getKnowledgeSources().map((source) => source.retrieve({ stop, language, redisClient }))
+  );
+
+  const passages = [];
+  let chars = 0;
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.warn(`[knowledge] ${getKnowledgeSources()[index].name} failed for "${stop.name}":`, result.reason?.message || result.reason);
+      return;
+    }
+    for (const passage of result.value) {
+      if (chars + passage.text.length > MAX_CHARS) return;
+      passages.push(passage);
+      chars += passage.text.length;
+    }
+  });
+
+  console.log(`[knowledge] ${passages.length} passage(s) for "${stop.name}"`);
+  return passages;
+}
+
+const sourceKey = (source) => `${source.provider}:${source.url || source.title}`;
+
+/**
+ * The distinct sources of a set of passages, in first-use order
+ * @param {Array<Object>} passages
+ * @returns {Array<Object>} [{ provider, title, url }]
+ */
+export function passageSources(passages) {
+  const seen = new Map();
+  for (const { source } of passages || []) {
+    if (!seen.has(sourceKey(source))) seen.set(sourceKey(source), source);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Prompt section with the passages, each tagged with the number of its source
+ * @param {Array<Object>} passages
+ * @returns {string} Empty when there are no passages
+ */
+export function formatPassagesForPrompt(passages) {
+  if (!passages?.length) return '';
+  const sources = passageSources(passages);
+  const numbers = new Map(sources.map((source, index) => [sourceKey(source), index + 1]));
+
+  const lines = passages.map((passage) => `[${numbers.get(sourceKey(passage.source))}] ${passage.text}`);
+  const legend = sources.map((source, index) => `[${index + 1}] ${source.title} (${source.provider})`);
+  return `Sources about this stop:\n${lines.join('\n')}\n\nSource list:\n${legend.join('\n')}`;
+}
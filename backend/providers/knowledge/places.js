@@ -0,0 +1,73 @@
+/**
+ * Google Places Knowledge Source
+ *
+ * The editorial summary Google Places keeps for a place (a sentence or two written by Google),
+ * in the tour's language. Only stops found by the Google POI provider have a place ID to look up.
+ * Summaries (including "no summary") are cached at place_summary:{placeId}:{language} for 7 days.
+ */
+
+import { traceable } from 'langsmith/traceable';
+import { httpFetch } from '../../utils/http.js';
+import { getLanguage } from '../../utils/languages.js';
+
+const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+const CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Fetch a place's editorial summary from the Places API
+ * @param {string} placeId - Google place ID
+ * @param {string} languageCode - e.g. 'en', 'he'
+ * @returns {Promise<Object|null>} { text, title, url }, or null if the place has no summary
+ */
+export const fetchEditorialSummary = traceable(async (placeId, languageCode) => {
+  const url = `https://places.googleapis.com/v1/places/${encodeURIComponent(placeId)}?languageCode=${languageCode}`;
+  const res = await httpFetch(url, {
+    headers: {
+      'X-Goog-Api-Key': GOOGLE_MAPS_API_KEY,
+      'X-Goog-FieldMask': 'id,displayName,editorialSummary,googleMapsUri',
+    },
+  });
+
+  if (!res.ok) {
+    throw new Error(`Places details for ${placeId} failed with status ${res.status}`);
+  }
+
+  const place = await res.json();
+  const text = place.editorialSummary?.text?.trim();
+  return text ? { text, title: place.displayName?.text || null, url: place.googleMapsUri || null } : null;
+}, { name: 'fetchEditorialSummary', run_type: 'tool' });
+
+/**
+ * Create the Google Places knowledge source
+ * @returns {Object} Knowledge source (see providers/knowledge/index.js)
+ */
+export function createPlacesKnowledgeSource() {
+  return {
+    name: 'places',
+
+    async retrieve({ stop, language, redisClient }) {
+      if (!GOOGLE_MAPS_API_KEY || stop.source !== 'google' || !stop.placeId || stop.placeId === 'not_found') {
+        return [];
+      }
+
+      const languageCode = getLanguage(language).locale;
+      const cacheKey = `place_summary:${stop.placeId}:${languageCode}`;
+
+      let cached = redisClient ? await redisClient.json.get(cacheKey) : null;
+      if (!cached) {
+        cached = { editorialSummary: await fetchEditorialSummary(stop.placeId, languageCode) };
+        if (redisClient) {
+          await redisClient.json.set(cacheKey, '$', cached);
+          await redisClient.expire(cacheKey, CACHE_TTL_SECONDS);
+        }
+      }
+
+      const { editorialSummary } = cached;
+      if (!editorialSummary) return [];
+      return [{
+        text: editorialSummary.text,
+        source: { provider: 'places', title: editorialSummary.title || stop.name, url: editorialSummary.url },
+      }];
+    },
+  };
+}
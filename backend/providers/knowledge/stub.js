@@ -0,0 +1,23 @@
+/**
+ * Stub Knowledge Source
+ *
+ * One made-up passage per stop, for development and tests: scripts go through the grounded
+ * prompt and store sources without a knowledge index or a Places key.
+ */
+
+/**
+ * Create the stub knowledge source
+ * @returns {Object} Knowledge source
+ */
+export function createStubKnowledgeSource() {
+  return {
+    name: 'stub',
+
+    async retrieve({ stop }) {
+      return [{
+        text: `${stop.name} is a stop on this tour.`,
+        source: { provider: 'stub', title: stop.name, url: null },
+      }];
+    },
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * Wikipedia Knowledge Source
+ *
+ * Passages from the local index of Wikipedia extracts (see utils/knowledgeBase.js), so no network
+ * call is made while scripts are generated. An article is about the stop if it is geotagged near it
+ * and its title matches the stop's name, or it is geotagged right at the stop.
+ * Articles in the tour's language are preferred; English articles fill in where there are none.
+ */
+
+import { findArticlesNear } from '../../utils/knowledgeBase.js';
+import { getDistanceMeters } from '../../utils/poiHelpers.js';
+import { getLanguage } from '../../utils/languages.js';
+
+const SEARCH_RADIUS_METERS = 300;
+const SAME_PLACE_METERS = 40;
+const MIN_TITLE_MATCH = 0.6; // more than half, so a shared "Market" alone is not a match
+const MAX_ARTICLES = 2;
+const MAX_PARAGRAPHS_PER_ARTICLE = 4;
+
+const words = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((word) => word.length > 1);
+
+/**
+ * Share of the article title's words that appear in the stop name
+ * @param {string} title - Article title, e.g. "Great Synagogue of Tel Aviv"
+ * @param {string} name - Stop name, e.g. "The Great Synagogue"
+ * @param {string} [city] - Stop's city, whose words in the title are ignored
+ * @returns {number} 0..1
+ */
+export function titleMatch(title, name, city) {
+  const cityWords = new Set(words(city));
+  const titleWords = words(title.replace(/\s*\(.*?\)\s*/g, ' ')) // "Bauhaus (Tel Aviv)" -> "Bauhaus"
+    .filter((word) => !cityWords.has(word));
+  const nameWords = new Set(words(name));
+  if (titleWords.length === 0) return 0;
+  return titleWords.filter((word) => nameWords.has(word)).length / titleWords.length;
+}
+
+/**
+ * Create the Wikipedia knowledge source
+ * @returns {Object} Knowledge source (see providers/knowledge/index.js)
+ */
+export function createWikipediaKnowledgeSource() {
+  return {
+    name: 'wikipedia',
+
+    async retrieve({ stop, language, redisClient }) {
+      if (!redisClient || !Number.isFinite(stop.latitude) || !Number.isFinite(stop.longitude)) return [];
+
+      const tourLanguage = getLanguage(language).locale;
+      const languages = [...new Set([tourLanguage, 'en'])];
+      const articles = await findArticlesNear(redisClient, {
+        latitude: stop.latitude,
+        longitude: stop.longitude,
+        radiusMeters: SEARCH_RADIUS_METERS,
+        languages,
+      });
+
+      const matching = articles
+        .map((article) => {
+          const [lon, lat] = article.location.split(',').map(parseFloat);
+          return {
+            article,
+            distance: getDistanceMeters(stop.latitude, stop.longitude, lat, lon),
+            match: titleMatch(article.title, stop.name, stop.city),
+          };
+        })
+        .filter(({ distance, match }) => match >= MIN_TITLE_MATCH || distance <= SAME_PLACE_METERS)
+        .sort((a, b) =>
+          (a.article.language === tourLanguage ? 0 : 1) - (b.article.language === tourLanguage ? 0 : 1)
+          || b.match - a.match
+          || a.distance - b.distance)
+        .slice(0, MAX_ARTICLES);
+
+      return matching.flatMap(({ article }) => article.paragraphs.slice(0, MAX_PARAGRAPHS_PER_ARTICLE).map((text) => ({
+        text,
+        source: { provider: 'wikipedia', title: article.title, url: article.url },
+      })));
+    },
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Gemini LLM Provider
+ *
+ * Text, structured output and streaming through @google/generative-ai.
+ * Structured output uses Gemini's responseSchema, so schemas are plain JSON-schema-like objects.
+ */
+
+// The SDK calls the global fetch, which the HTTP layer takes over when recording or replaying
+import '../../utils/http.js';
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+
+/**
+ * Whether the Gemini provider can be used
+ * @returns {boolean} True if GEMINI_API_KEY is set
+ */
+export function isGeminiConfigured() {
+  return Boolean(GEMINI_API_KEY);
+}
+
+/**
+ * Create a Gemini provider for one model
+ *
+ * @param {Object} config
+ * @param {string} config.model - Gemini model name
+ * @param {number} [config.temperature] - Sampling temperature (model default when omitted)
+ * @returns {Object} LLM provider (see providers/llm/index.js)
+ */
+export function createGeminiProvider({ model, temperature }) {
+  let modelPromise;
+  const getModel = () => {
+    if (!modelPromise) {
+      modelPromise = import('@google/generative-ai')
+        .then(({ GoogleGenerativeAI }) => new GoogleGenerativeAI(GEMINI_API_KEY).getGenerativeModel({ model }));
+    }
+    return modelPromise;
+  };
+
+  const generationConfig = (schema) => ({
+    ...(temperature !== undefined && { temperature }),
+    ...(schema && { responseMimeType: 'application/json', responseSchema: schema }),
+  });
+
+  const request = (prompt, schema) => ({
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: generationConfig(schema),
+  });
+
+  const logUsage = (usageMetadata) => {
+    if (usageMetadata) {
+      const { promptTokenCount, candidatesTokenCount, totalTokenCount } = usageMetadata;
+      console.log(`[llm/gemini] 📊 ${model} tokens: ${totalTokenCount || 0} (input: ${promptTokenCount || 0} / output: ${candidatesTokenCount || 0})`);
+    }
+  };
+
+  return {
+    name: 'gemini',
+    model,
+
+    async generateText(prompt) {
+      const result = await (await getModel()).generateContent(request(prompt));
+      logUsage(result.response.usageMetadata);
+      return result.response.text();
+    },
+
+    async generateJson(prompt, { schema } = {}) {
+      const result = await (await getModel()).generateContent(request(prompt, schema));
+      logUsage(result.response.usageMetadata);
+      return JSON.parse(result.response.text());
+    },
+
+    async *streamText(prompt, { schema } = {}) {
+      const streamResult = await (await getModel()).generateContentStream(request(prompt, schema));
+      for await (const chunk of streamResult.stream) {
+        const chunkText = chunk.text();
+        if (chunkText) {
+          yield chunkText;
+        }
+      }
+      logUsage((await streamResult.response)?.usageMetadata);
+    },
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * LLM Providers
+ *
+ * One interface for text generation, structured output and streamed JSON, so each call site can
+ * run on Gemini, an OpenAI-compatible endpoint (e.g. a local Ollama) or the fixture-backed mock.
+ *
+ * Call sites ask for a provider by purpose:
+ *   - tours:     tour planning (streamed JSON)
+ *   - scripts:   audioguide scripts
+ *   - summaries: city/neighborhood summaries and neighborhood intro scripts
+ *   - messages:  short messages shown while tours are generating
+ *   - reviews:   fact-checking audioguide scripts before they are recorded (utils/scriptReview.js)
+ *
+ * CONFIGURATION (environment):
+ *   LLM_PROVIDER=gemini|openai|mock        Provider for every purpose (default: gemini)
+ *   LLM_<PURPOSE>_PROVIDER=...             Provider for one purpose, e.g. LLM_MESSAGES_PROVIDER=openai
+ *   LLM_<PURPOSE>_MODEL=...                Model for one purpose, e.g. LLM_SCRIPTS_MODEL=gemini-2.5-pro
+ *
+ * The existing Gemini model variables (GEMINI_MODEL_TOUR_GENERATION, GEMINI_AUDIOGUIDE_MODEL,
+ * INTERESTING_MESSAGES_MODEL) still set the Gemini defaults.
+ *
+ * PROVIDER INTERFACE:
+ *   {
+ *     name, model,
+ *     generateText(prompt) -> Promise<string>
+ *     generateJson(prompt, { schema }) -> Promise<any>
+ *     streamText(prompt, { schema? }) -> AsyncIterable<string>   (JSON text when a schema is given)
+ *   }
+ */
+
+import { traceable } from "langsmith/traceable";
+import { createGeminiProvider, isGeminiConfigured } from './gemini.js';
+import { createOpenAiCompatibleProvider, defaultOpenAiCompatibleModel } from './openaiCompatible.js';
+import { createMockProvider } from './mock.js';
+
+const PURPOSES = {
+  tours: {
+    geminiModel: process.env.GEMINI_MODEL_TOUR_GENERATION || 'gemini-2.5-flash',
+  },
+  scripts: {
+    geminiModel: process.env.GEMINI_AUDIOGUIDE_MODEL || 'gemini-3-pro-preview',
+    geminiFallbackModel: 'gemini-2.5-pro',
+    temperature: 0.7,
+  },
+  summaries: {
+    geminiModel: process.env.GEMINI_MODEL_TOUR_GENERATION || 'gemini-2.5-flash',
+  },
+  messages: {
+    geminiModel: process.env.INTERESTING_MESSAGES_MODEL || 'gemini-2.5-flash-lite',
+  },
+  reviews: {
+    geminiModel: process.env.GEMINI_MODEL_TOUR_GENERATION || 'gemini-2.5-flash',
+    temperature: 0,
+  },
+};
+
+const providers = new Map();
+
+/**
+ * Resolve provider name and model for a purpose from the environment
+ * @param {string} purpose - tours | scripts | summaries | messages | reviews
+ * @param {Object} [options]
+ * @param {boolean} [options.fallback] - Use the purpose's fallback model (Gemini only)
+ * @returns {Object|null} { provider, model, temperature }, or null if there is no fallback model
+ */
+export function resolveLlmConfig(purpose, { fallback = false } = {}) {
+  const defaults = PURPOSES[purpose];
+  if (!defaults) {
+    throw new Error(`Unknown LLM purpose: ${purpose}`);
+  }
+
+  const prefix = `LLM_${purpose.toUpperCase()}`;
+  const provider = (process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+  let model = process.env[`${prefix}_MODEL`];
+  if (fallback) {
+    // Only Gemini has a known fallback model; other providers retry the same model
+    if (provider !== 'gemini' || !defaults.geminiFallbackModel) return null;
+    model = defaults.geminiFallbackModel;
+  } else if (!model) {
+    model = provider === 'gemini' ? defaults.geminiModel
+      : provider === 'openai' ? defaultOpenAiCompatibleModel()
+      : 'mock';
+  }
+
+  return { provider, model, temperature: defaults.temperature };
+}
+
+function createProvider(purpose, { provider, model, temperature }) {
+  switch (provider) {
+    case 'gemini':
+      if (!isGeminiConfigured()) {
+        console.warn(`[llm] GEMINI_API_KEY is not set, no LLM available for ${purpose}`);
+        return null;
+      }
+      return createGeminiProvider({ model, temperature });
+    case 'openai':
+      return createOpenAiCompatibleProvider({ model, temperature });
+    case 'mock':
+      return createMockProvider({ purpose, model });
+    default:
+      throw new Error(`Unknown LLM provider "${provider}" for ${purpose}`);
+  }
+}
+
+/**
+ * Get the LLM provider configured for a purpose
+ *
+ * Providers are created once per purpose/model. Non-streaming calls are traced in LangSmith.
+ *
+ * @param {string} purpose - tours | scripts | summaries | messages | reviews
+ * @param {Object} [options]
+ * @param {boolean} [options.fallback] - Get the purpose's fallback model instead
+ * @returns {Object|null} LLM provider, or null if it isn't available (e.g. missing API key, no fallback)
+ */
+export function getLlm(purpose, { fallback = false } = {}) {
+  const config = resolveLlmConfig(purpose, { fallback });
+  if (!config) return null;
+
+  const key = `${purpose}:${config.provider}:${config.model}`;
+  if (!providers.has(key)) {
+    const provider = createProvider(purpose, config);
+    if (!provider) return null;
+
+    const metadata = { purpose, provider: provider.name, model: provider.model };
+    providers.set(key, {
+      ...provider,
+      generateText: traceable(provider.generateText, { name: `llm_${purpose}_text`, run_type: 'llm', metadata }),
+      generateJson: traceable(provider.generateJson, { name: `llm_${purpose}_json`, run_type: 'llm', metadata }),
+    });
+  }
+
+  return providers.get(key);
+}
@@ -0,0 +1,82 @@
+/**
+ * Mock LLM Provider
+ *
+ * Deterministic, offline provider backed by JSON fixtures - for local development and tests.
+ *
+ * Each response is looked up in LLM_MOCK_FIXTURES_DIR (default: providers/llm/fixtures):
+ *   1. {purpose}/{promptHash}.json - response recorded for this exact prompt
+ *   2. {purpose}.json              - default response for the purpose
+ *
+ * A fixture file is { "text": "...", "json": ... }: generateText returns `text`, generateJson and
+ * streamText return `json` (streamText yields it as JSON text in small chunks, like a real stream).
+ */
+
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = process.env.LLM_MOCK_FIXTURES_DIR || join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const STREAM_CHUNK_SIZE = 64;
+
+/**
+ * Hash a prompt the way fixture file names are keyed
+ * @param {string} prompt - Prompt text
+ * @returns {string} First 16 hex chars of the SHA-256 of the prompt
+ */
+export function hashPrompt(prompt) {
+  return createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+}
+
+async function readFixture(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Create a mock provider for one purpose
+ *
+ * @param {Object} config
+ * @param {string} config.purpose - Call site purpose (tours, scripts, summaries, messages, reviews)
+ * @param {string} [config.model] - Reported model name
+ * @returns {Object} LLM provider (see providers/llm/index.js)
+ */
+export function createMockProvider({ purpose, model = 'mock' }) {
+  const loadFixture = async (prompt) => {
+    const promptHash = hashPrompt(prompt);
+    const fixture = await readFixture(join(FIXTURES_DIR, purpose, `${promptHash}.json`))
+      || await readFixture(join(FIXTURES_DIR, `${purpose}.json`));
+
+    if (!fixture) {
+      throw new Error(`No mock LLM fixture for "${purpose}" (prompt ${promptHash})`);
+    }
+    return fixture;
+  };
+
+  const jsonResponse = (fixture) => (fixture.json !== undefined ? fixture.json : JSON.parse(fixture.text));
+
+  return {
+    name: 'mock',
+    model,
+
+    async generateText(prompt) {
+      const fixture = await loadFixture(prompt);
+      return fixture.text !== undefined ? fixture.text : JSON.stringify(fixture.json);
+    },
+
+    async generateJson(prompt) {
+      return jsonResponse(await loadFixture(prompt));
+    },
+
+    async *streamText(prompt) {
+      const text = JSON.stringify(jsonResponse(await loadFixture(prompt)));
+      for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+        yield text.slice(i, i + STREAM_CHUNK_SIZE);
+      }
+    },
+  };
+}
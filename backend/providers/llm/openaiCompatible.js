@@ -0,0 +1,114 @@
+/**
+ * OpenAI-compatible LLM Provider
+ *
+ * Talks to any /v1/chat/completions endpoint (OpenAI, a local Ollama, vLLM, LM Studio, ...).
+ * Structured output is requested with response_format json_schema; streaming uses server-sent events.
+ */
+
+import { httpFetch } from '../../utils/http.js';
+
+const OPENAI_COMPAT_BASE_URL = (process.env.OPENAI_COMPAT_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const OPENAI_COMPAT_API_KEY = process.env.OPENAI_COMPAT_API_KEY;
+
+/**
+ * Default model for the OpenAI-compatible provider
+ * @returns {string} Model name
+ */
+export function defaultOpenAiCompatibleModel() {
+  return process.env.OPENAI_COMPAT_MODEL || 'llama3.1';
+}
+
+// Some models wrap JSON in a markdown code fence even when asked not to
+function parseJsonContent(content) {
+  const text = String(content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+  return JSON.parse(text);
+}
+
+/**
+ * Create an OpenAI-compatible provider for one model
+ *
+ * @param {Object} config
+ * @param {string} config.model - Model name as known by the endpoint
+ * @param {number} [config.temperature] - Sampling temperature (endpoint default when omitted)
+ * @returns {Object} LLM provider (see providers/llm/index.js)
+ */
+export function createOpenAiCompatibleProvider({ model, temperature }) {
+  const chatCompletion = async (prompt, { schema, stream = false } = {}) => {
+    const res = await httpFetch(`${OPENAI_COMPAT_BASE_URL}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(OPENAI_COMPAT_API_KEY && { Authorization: `Bearer ${OPENAI_COMPAT_API_KEY}` }),
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        stream,
+        ...(temperature !== undefined && { temperature }),
+        ...(schema && {
+          response_format: { type: 'json_schema', json_schema: { name: 'response', schema } },
+        }),
+      }),
+    });
+
+    if (!res.ok) {
+      const body = await res.text().catch(() => '');
+      const error = new Error(`LLM request failed with status ${res.status}: ${body.slice(0, 200)}`);
+      error.status = res.status;
+      throw error;
+    }
+
+    return res;
+  };
+
+  const completionText = async (prompt, options) => {
+    const data = await (await chatCompletion(prompt, options)).json();
+    if (data.usage) {
+      console.log(`[llm/openai] 📊 ${model} tokens: ${data.usage.total_tokens || 0} (input: ${data.usage.prompt_tokens || 0} / output: ${data.usage.completion_tokens || 0})`);
+    }
+    return data.choices?.[0]?.message?.content || '';
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    async generateText(prompt) {
+      return completionText(prompt);
+    },
+
+    async generateJson(prompt, { schema } = {}) {
+      return parseJsonContent(await completionText(prompt, { schema }));
+    },
+
+    async *streamText(prompt, { schema } = {}) {
+      const res = await chatCompletion(prompt, { schema, stream: true });
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for await (const bytes of res.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+
+        // Server-sent events: one "data: {...}" line per chunk
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newlineIndex).trim();
+          buffer = buffer.slice(newlineIndex + 1);
+
+          if (!line.startsWith('data:')) continue;
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') return;
+
+          try {
+            const content = JSON.parse(payload).choices?.[0]?.delta?.content;
+            if (content) {
+              yield content;
+            }
+          } catch (err) {
+            console.warn('[llm/openai] Skipping malformed stream chunk:', payload.slice(0, 100));
+          }
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * GeoJSON POI Provider
+ *
+ * Reads POIs from a local GeoJSON file with OSM tags as feature properties, for offline use.
+ * A PBF extract can be converted with osmium, e.g.:
+ *   osmium tags-filter city.osm.pbf nwr/historic nwr/tourism nwr/amenity nwr/leisure -o pois.osm.pbf
+ *   osmium export pois.osm.pbf -f geojson -o pois.geojson
+ */
+
+import { readFileSync } from 'fs';
+import { getDistanceMeters } from '../../utils/poiHelpers.js';
+import { osmTagsToPoi, selectOsmPois } from './osmTags.js';
+
+/**
+ * Representative point of a geometry (the point itself, or the center of its bounding box)
+ * @returns {Array|null} [longitude, latitude]
+ */
+function getGeometryCenter(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'Point') return geometry.coordinates;
+
+  let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') {
+      minLon = Math.min(minLon, coords[0]);
+      maxLon = Math.max(maxLon, coords[0]);
+      minLat = Math.min(minLat, coords[1]);
+      maxLat = Math.max(maxLat, coords[1]);
+    } else {
+      coords.forEach(visit);
+    }
+  };
+  const geometries = geometry.type === 'GeometryCollection' ? geometry.geometries : [geometry];
+  geometries.forEach((g) => g?.coordinates && visit(g.coordinates));
+
+  return Number.isFinite(minLon) ? [(minLon + maxLon) / 2, (minLat + maxLat) / 2] : null;
+}
+
+/**
+ * Load and classify every feature in the file
+ */
+function loadPois(filePath) {
+  const collection = JSON.parse(readFileSync(filePath, 'utf8'));
+  const features = Array.isArray(collection.features) ? collection.features : [];
+
+  const pois = [];
+  features.forEach((feature, index) => {
+    const center = getGeometryCenter(feature.geometry);
+    if (!center) return;
+
+    const tags = feature.properties || {};
+    // osmium sets feature ids like "n123"/"w456"; fall back to the position in the file
+    const featureId = feature.id ?? tags['@id'] ?? index;
+    const poi = osmTagsToPoi({
+      id: `geojson_${String(featureId).replace(/[^\w-]/g, '_')}`,
+      tags,
+      latitude: center[1],
+      longitude: center[0],
+      source: 'geojson',
+    });
+    if (poi) pois.push(poi);
+  });
+
+  console.log(`[poi/geojson] Loaded ${pois.length} POIs from ${features.length} features in ${filePath}`);
+  return pois;
+}
+
+/**
+ * Create the GeoJSON provider
+ * @returns {Object} POI provider (see providers/poi/index.js)
+ */
+export function createGeoJsonPoiProvider() {
+  const filePath = process.env.POI_GEOJSON_PATH;
+  if (!filePath) {
+    throw new Error('POI_GEOJSON_PATH is not set (required for POI_PROVIDER=geojson)');
+  }
+
+  let pois = null;
+
+  return {
+    name: 'geojson',
+
+    async searchNearby({ latitude, longitude, radiusMeters }) {
+      if (!pois) {
+        pois = loadPois(filePath);
+      }
+
+      const nearby = pois
+        .map((poi) => ({ ...poi, distanceMeters: getDistanceMeters(latitude, longitude, poi.latitude, poi.longitude) }))
+        .filter((poi) => poi.distanceMeters <= radiusMeters);
+
+      return selectOsmPois(nearby);
+    },
+  };
+}
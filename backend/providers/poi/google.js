@@ -0,0 +1,149 @@
+/**
+ * Google Places POI Provider
+ *
+ * Nearby search with the Places API (New), in three calls of up to 20 results:
+ * two groups of primary (sightseeing) types and one group of secondary (food, shops) types.
+ */
+
+import { traceable } from 'langsmith/traceable';
+import { httpFetch } from '../../utils/http.js';
+
+const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+const MIN_SECONDARY_RATING = 3.5;
+const TOUR_DEBUG = process.env.TOUR_DEBUG === '1' || process.env.TOUR_DEBUG === 'true';
+
+function debugLog(...args) {
+  if (TOUR_DEBUG) {
+    console.log('[poi/google]', ...args);
+  }
+}
+
+const PRIMARY_TYPES_GROUP_1 = [
+  'historical_place', 'historical_landmark', 'monument', 'cultural_landmark', 'museum',
+  'art_gallery', 'sculpture', 'performing_arts_theater', 'opera_house', 'philharmonic_hall',
+  'concert_hall', 'cultural_center', 'community_center', 'library',
+  'city_hall', 'courthouse', 'embassy', 'church', 'amusement_park',
+  'hindu_temple', 'mosque', 'synagogue', 'market'
+];
+
+const PRIMARY_TYPES_GROUP_2 = [
+  'park', 'national_park', 'state_park', 'botanical_garden', 'garden',
+  'plaza', 'visitor_center', 'beach', 'wildlife_park', 'wildlife_refuge',
+  'zoo', 'aquarium', 'marina', 'hiking_area', 'observation_deck',
+  'athletic_field', 'playground', 'dog_park', 'skateboard_park', 'picnic_ground',
+  'campground', 'rv_park', 'tourist_attraction'
+];
+
+const SECONDARY_TYPES = [
+  'restaurant', 'cafe', 'coffee_shop', 'ice_cream_shop', 'bakery',
+  'bar', 'pub', 'wine_bar', 'tea_house', 'fast_food_restaurant',
+  'pizza_restaurant', 'hamburger_restaurant', 'seafood_restaurant', 'steak_house', 'sushi_restaurant',
+  'breakfast_restaurant', 'brunch_restaurant', 'mexican_restaurant', 'indian_restaurant', 'chinese_restaurant',
+  'japanese_restaurant', 'thai_restaurant', 'mediterranean_restaurant', 'middle_eastern_restaurant', 'turkish_restaurant',
+  'greek_restaurant', 'italian_restaurant', 'spanish_restaurant', 'vegan_restaurant', 'vegetarian_restaurant',
+  'bagel_shop', 'donut_shop', 'dessert_shop', 'dessert_restaurant', 'confectionery',
+  'candy_store', 'acai_shop', 'juice_shop', 'cat_cafe', 'dog_cafe',
+  'bar_and_grill', 'food_court', 'fine_dining_restaurant', 'shopping_mall', 'gift_shop',
+  'spa', 'local_government_office', 'auditorium', 'movie_theater'
+];
+
+/**
+ * Search for places nearby using Google Places API
+ */
+export const searchPlacesNearby = traceable(async (latitude, longitude, radiusMeters, includedTypes, isPrimary = false) => {
+  const url = 'https://places.googleapis.com/v1/places:searchNearby';
+  
+  const requestBody = {
+    includedTypes,
+    maxResultCount: 20,
+    locationRestriction: {
+      circle: {
+        center: { latitude, longitude },
+        radius: radiusMeters
+      }
+    }
+  };
+
+  debugLog('searchPlacesNearby: requesting', { url, types: includedTypes.length });
+  
+  const res = await httpFetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Goog-Api-Key': GOOGLE_MAPS_API_KEY,
+      'X-Goog-FieldMask': 'places.id,places.displayName,places.types,places.location,places.rating,places.accessibilityOptions,places.regularOpeningHours'
+    },
+    body: JSON.stringify(requestBody)
+  });
+
+  if (!res.ok) {
+    console.warn('[poi/google] Places search failed with status', res.status);
+    debugLog('searchPlacesNearby: non-OK response', res.status);
+    return [];
+  }
+
+  const data = await res.json();
+  const places = Array.isArray(data.places) ? data.places : [];
+  debugLog('searchPlacesNearby: got places count', places.length);
+
+  return places
+    .filter((place) => {
+      // Filter out secondary POIs with rating below MIN_SECONDARY_RATING
+      if (!isPrimary) {
+        const rating = place.rating || null;
+        if (rating === null || rating < MIN_SECONDARY_RATING) {
+          const displayName = place.displayName?.text || 'Unknown Place';
+          console.log(`[poi/google] Discarding secondary POI "${displayName}" with rating ${rating}`);
+          return false;
+        }
+      }
+      return true;
+    })
+    .map((place, index) => {
+      const originalTypes = place.types || [];
+
+      // Filter out generic types that don't add value
+      let types = originalTypes.filter(t => t !== 'point_of_interest' && t !== 'establishment');
+
+      return {
+        id: place.id || `poi_${index + 1}`,
+        name: place.displayName?.text || 'Unknown Place',
+        latitude: place.location?.latitude || latitude,
+        longitude: place.location?.longitude || longitude,
+        types: types,
+        rating: place.rating || null,
+        primary: isPrimary, // Mark as primary or secondary
+        wheelchairAccessibleEntrance: place.accessibilityOptions?.wheelchairAccessibleEntrance ?? null,
+        openingHours: place.regularOpeningHours?.periods ?? null,
+        source: 'google',
+      };
+    });
+}, { name: 'searchPlacesNearby', run_type: 'tool' });
+
+/**
+ * Create the Google Places provider
+ * @returns {Object} POI provider (see providers/poi/index.js)
+ */
+export function createGooglePoiProvider() {
+  return {
+    name: 'google',
+
+    async searchNearby({ latitude, longitude, radiusMeters }) {
+      if (!GOOGLE_MAPS_API_KEY) {
+        console.warn('[poi/google] GOOGLE_MAPS_API_KEY is not set; skipping POI search.');
+        return [];
+      }
+
+      // Query primary types in 2 groups (20 results each) + secondary types (20 results)
+      const [primaryResults1, primaryResults2, secondaryResults] = await Promise.all([
+        searchPlacesNearby(latitude, longitude, radiusMeters, PRIMARY_TYPES_GROUP_1, true),
+        searchPlacesNearby(latitude, longitude, radiusMeters, PRIMARY_TYPES_GROUP_2, true),
+        searchPlacesNearby(latitude, longitude, radiusMeters, SECONDARY_TYPES, false)
+      ]);
+
+      console.log(`[poi/google] 📍 POI search results - Primary Group 1: ${primaryResults1.length}, Primary Group 2: ${primaryResults2.length}, Secondary: ${secondaryResults.length}`);
+
+      return [...primaryResults1, ...primaryResults2, ...secondaryResults];
+    },
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * POI Providers
+ *
+ * Where tour POIs come from when the Redis POI cache doesn't have enough for an area:
+ *   - google:   Google Places nearby search (default)
+ *   - overpass: OpenStreetMap through an Overpass API endpoint
+ *   - geojson:  local GeoJSON file of OSM features (e.g. converted from a PBF extract), for offline use
+ *
+ * Every provider returns POIs in the same shape, with a `source` field naming the provider,
+ * so they are cached and queried the same way (see cachePlaceInRedis / queryPoisFromRedis).
+ * OSM tags are mapped onto the Google place types (see osmTags.js).
+ *
+ * CONFIGURATION (environment):
+ *   POI_PROVIDER=google|overpass|geojson
+ *   OVERPASS_URL      Overpass endpoint (default https://overpass-api.de/api/interpreter)
+ *   POI_GEOJSON_PATH  GeoJSON file for the geojson provider
+ *
+ * PROVIDER INTERFACE:
+ *   {
+ *     name,
+ *     searchNearby({ latitude, longitude, radiusMeters }) -> Promise<Array<POI>>
+ *   }
+ *
+ * POI: { id, name, latitude, longitude, types, rating, primary, wheelchairAccessibleEntrance, openingHours, source }
+ */
+
+import { createGooglePoiProvider } from './google.js';
+import { createOverpassPoiProvider } from './overpass.js';
+import { createGeoJsonPoiProvider } from './geojson.js';
+
+const PROVIDER_FACTORIES = {
+  google: createGooglePoiProvider,
+  overpass: createOverpassPoiProvider,
+  geojson: createGeoJsonPoiProvider,
+};
+
+let provider = null;
+
+/**
+ * Get the configured POI provider
+ * @returns {Object} POI provider
+ */
+export function getPoiProvider() {
+  if (!provider) {
+    const name = (process.env.POI_PROVIDER || 'google').toLowerCase();
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown POI_PROVIDER "${name}"`);
+    }
+    provider = factory();
+    console.log(`[poi] Using ${name} POI provider`);
+  }
+  return provider;
+}
@@ -0,0 +1,216 @@
+/**
+ * OpenStreetMap Tag Mapping
+ *
+ * Maps OSM tags (historic, tourism, amenity, leisure, ...) onto the place types used by the
+ * Google provider, so tour planning sees one taxonomy whichever provider found the POI.
+ * Shared by the Overpass and GeoJSON providers.
+ */
+
+// [tag key, tag value ('*' = any), our types, primary]
+const TAG_RULES = [
+  ['historic', 'monument', ['monument', 'historical_landmark'], true],
+  ['historic', 'memorial', ['monument', 'historical_landmark'], true],
+  ['historic', '*', ['historical_landmark', 'historical_place'], true],
+  ['tourism', 'museum', ['museum'], true],
+  ['tourism', 'gallery', ['art_gallery'], true],
+  ['tourism', 'artwork', ['sculpture', 'tourist_attraction'], true],
+  ['tourism', 'attraction', ['tourist_attraction'], true],
+  ['tourism', 'viewpoint', ['observation_deck'], true],
+  ['tourism', 'zoo', ['zoo'], true],
+  ['tourism', 'aquarium', ['aquarium'], true],
+  ['tourism', 'theme_park', ['amusement_park'], true],
+  ['amenity', 'theatre', ['performing_arts_theater'], true],
+  ['amenity', 'arts_centre', ['cultural_center'], true],
+  ['amenity', 'community_centre', ['community_center'], true],
+  ['amenity', 'library', ['library'], true],
+  ['amenity', 'townhall', ['city_hall'], true],
+  ['amenity', 'courthouse', ['courthouse'], true],
+  ['amenity', 'marketplace', ['market'], true],
+  ['amenity', 'fountain', ['tourist_attraction'], true],
+  ['amenity', 'place_of_worship', ['place_of_worship'], true],
+  ['leisure', 'park', ['park'], true],
+  ['leisure', 'garden', ['garden'], true],
+  ['leisure', 'nature_reserve', ['wildlife_refuge'], true],
+  ['leisure', 'marina', ['marina'], true],
+  ['natural', 'beach', ['beach'], true],
+  ['place', 'square', ['plaza'], true],
+  ['amenity', 'restaurant', ['restaurant'], false],
+  ['amenity', 'cafe', ['cafe'], false],
+  ['amenity', 'bar', ['bar'], false],
+  ['amenity', 'pub', ['pub'], false],
+  ['amenity', 'ice_cream', ['ice_cream_shop'], false],
+  ['amenity', 'fast_food', ['fast_food_restaurant'], false],
+  ['amenity', 'food_court', ['food_court'], false],
+  ['amenity', 'cinema', ['movie_theater'], false],
+  ['shop', 'bakery', ['bakery'], false],
+  ['shop', 'confectionery', ['confectionery'], false],
+  ['shop', 'gift', ['gift_shop'], false],
+  ['shop', 'mall', ['shopping_mall'], false],
+];
+
+// place_of_worship is refined by religion into the specific Google types
+const RELIGION_TYPES = {
+  christian: 'church',
+  muslim: 'mosque',
+  jewish: 'synagogue',
+  hindu: 'hindu_temple',
+};
+
+/**
+ * Build the Overpass filters matching TAG_RULES, e.g. ['historic', 'tourism~"^(museum|gallery)$"']
+ * @returns {Array<string>} Overpass tag filters
+ */
+export function getOverpassTagFilters() {
+  const valuesByKey = new Map();
+  for (const [key, value] of TAG_RULES) {
+    if (!valuesByKey.has(key)) valuesByKey.set(key, new Set());
+    valuesByKey.get(key).add(value);
+  }
+
+  return [...valuesByKey.entries()].map(([key, values]) =>
+    values.has('*') ? `"${key}"` : `"${key}"~"^(${[...values].join('|')})$"`
+  );
+}
+
+/**
+ * Classify OSM tags into our place types
+ * @param {Object} tags - OSM tags
+ * @returns {Object|null} { types, primary }, or null if no rule matches
+ */
+export function classifyOsmTags(tags) {
+  const types = new Set();
+  let primary = false;
+
+  for (const [key, value, ruleTypes, rulePrimary] of TAG_RULES) {
+    const tagValue = tags[key];
+    if (!tagValue || (value !== '*' && tagValue !== value)) continue;
+    // A specific historic rule already matched, skip the catch-all
+    if (value === '*' && types.size > 0 && key === 'historic') continue;
+
+    for (const type of ruleTypes) {
+      types.add(type === 'place_of_worship' ? (RELIGION_TYPES[tags.religion] || 'place_of_worship') : type);
+    }
+    primary = primary || rulePrimary;
+  }
+
+  return types.size > 0 ? { types: [...types], primary } : null;
+}
+
+const OSM_DAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+function parseDays(daySpec) {
+  const days = new Set();
+  for (const part of daySpec.split(',')) {
+    const [from, to] = part.split('-').map((d) => OSM_DAYS.indexOf(d.trim()));
+    if (from === -1 || (to !== undefined && to === -1)) return null;
+    if (to === undefined) {
+      days.add(from);
+    } else {
+      for (let d = from; ; d = (d + 1) % 7) {
+        days.add(d);
+        if (d === to) break;
+      }
+    }
+  }
+  return days;
+}
+
+function parseClock(clock) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(clock.trim());
+  return match ? { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Convert an OSM opening_hours value into Places API style periods
+ *
+ * Handles the common subset ("24/7", "Mo-Fr 09:00-17:00; Sa 10:00-14:00", "09:00-18:00").
+ * Anything else (public holidays, months, sunset, ...) returns null, which means "unknown"
+ * and never drops a stop.
+ *
+ * @param {string} value - opening_hours tag
+ * @returns {Array|null} [{ open: { day, hour, minute }, close: { day, hour, minute } }]
+ */
+export function parseOsmOpeningHours(value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+
+  if (trimmed === '24/7') {
+    // Places API represents always-open as a single period without close
+    return [{ open: { day: 0, hour: 0, minute: 0 } }];
+  }
+
+  const periods = [];
+  for (const rule of trimmed.split(';').map((r) => r.trim()).filter(Boolean)) {
+    const match = /^(?:([A-Za-z,\- ]+?)\s+)?([\d:,\- ]+|off|closed)$/.exec(rule);
+    if (!match) return null;
+
+    const days = match[1] ? parseDays(match[1].replace(/\s/g, '')) : new Set([0, 1, 2, 3, 4, 5, 6]);
+    if (!days) return null;
+    if (match[2] === 'off' || match[2] === 'closed') continue;
+
+    for (const range of match[2].split(',')) {
+      const [openClock, closeClock] = range.split('-');
+      const open = openClock && parseClock(openClock);
+      const close = closeClock && parseClock(closeClock);
+      if (!open || !close) return null;
+
+      for (const day of days) {
+        // Ranges past midnight (e.g. 18:00-02:00) close on the next day
+        const closesNextDay = close.hour * 60 + close.minute <= open.hour * 60 + open.minute;
+        periods.push({
+          open: { day, ...open },
+          close: { day: closesNextDay ? (day + 1) % 7 : day, hour: close.hour % 24, minute: close.minute },
+        });
+      }
+    }
+  }
+
+  return periods.length > 0 ? periods : null;
+}
+
+/**
+ * Convert OSM tags at a location into a POI
+ * @param {Object} params
+ * @param {string} params.id - Stable POI id (e.g. "osm_node_123")
+ * @param {Object} params.tags - OSM tags
+ * @param {number} params.latitude
+ * @param {number} params.longitude
+ * @param {string} params.source - Provider name recorded on the POI
+ * @returns {Object|null} POI in the shape used by the Google provider, or null if unnamed/unclassified
+ */
+export function osmTagsToPoi({ id, tags, latitude, longitude, source }) {
+  const name = tags?.name;
+  if (!name || typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+
+  const classification = classifyOsmTags(tags);
+  if (!classification) return null;
+
+  return {
+    id,
+    name,
+    latitude,
+    longitude,
+    types: classification.types,
+    rating: null, // OSM has no ratings
+    primary: classification.primary,
+    wheelchairAccessibleEntrance: tags.wheelchair === 'yes' ? true : tags.wheelchair === 'no' ? false : null,
+    openingHours: parseOsmOpeningHours(tags.opening_hours),
+    source,
+    // Wikipedia/Wikidata links mark the better-known places
+    notable: Boolean(tags.wikipedia || tags.wikidata),
+  };
+}
+
+/**
+ * Pick the POIs to return from a larger set, most notable and nearest first
+ * Mirrors the Google provider's budget: up to 40 primary and 20 secondary POIs.
+ * @param {Array} pois - POIs with a distanceMeters field
+ * @returns {Array} Selected POIs, without the ranking fields
+ */
+export function selectOsmPois(pois) {
+  const rank = (a, b) => (b.notable - a.notable) || (a.distanceMeters - b.distanceMeters);
+  const primary = pois.filter((p) => p.primary).sort(rank).slice(0, 40);
+  const secondary = pois.filter((p) => !p.primary).sort(rank).slice(0, 20);
+
+  return [...primary, ...secondary].map(({ notable, distanceMeters, ...poi }) => poi);
+}
@@ -0,0 +1,75 @@
+/**
+ * Overpass (OpenStreetMap) POI Provider
+ *
+ * Queries an Overpass API endpoint for named places with sightseeing and food tags.
+ * OVERPASS_URL can point at a self-hosted instance; the public one is rate limited.
+ */
+
+import { traceable } from 'langsmith/traceable';
+import { httpFetch } from '../../utils/http.js';
+import { getDistanceMeters } from '../../utils/poiHelpers.js';
+import { getOverpassTagFilters, osmTagsToPoi, selectOsmPois } from './osmTags.js';
+
+const OVERPASS_URL = process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter';
+const OVERPASS_TIMEOUT_SECONDS = 25;
+
+/**
+ * Build the Overpass QL query for named POIs in a circle
+ */
+function buildQuery(latitude, longitude, radiusMeters) {
+  const around = `(around:${Math.round(radiusMeters)},${latitude},${longitude})`;
+  const statements = getOverpassTagFilters().map((filter) => `  nwr${around}["name"][${filter}];`);
+
+  return `[out:json][timeout:${OVERPASS_TIMEOUT_SECONDS}];\n(\n${statements.join('\n')}\n);\nout center tags;`;
+}
+
+const queryOverpass = traceable(async (latitude, longitude, radiusMeters) => {
+  const res = await httpFetch(OVERPASS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ data: buildQuery(latitude, longitude, radiusMeters) }).toString(),
+  });
+
+  if (!res.ok) {
+    console.warn('[poi/overpass] Overpass query failed with status', res.status);
+    return [];
+  }
+
+  const data = await res.json();
+  return Array.isArray(data.elements) ? data.elements : [];
+}, { name: 'queryOverpass', run_type: 'tool' });
+
+/**
+ * Create the Overpass provider
+ * @returns {Object} POI provider (see providers/poi/index.js)
+ */
+export function createOverpassPoiProvider() {
+  return {
+    name: 'overpass',
+
+    async searchNearby({ latitude, longitude, radiusMeters }) {
+      const elements = await queryOverpass(latitude, longitude, radiusMeters);
+
+      const pois = [];
+      for (const element of elements) {
+        // Ways and relations come with a computed center
+        const lat = element.lat ?? element.center?.lat;
+        const lon = element.lon ?? element.center?.lon;
+        const poi = osmTagsToPoi({
+          id: `osm_${element.type}_${element.id}`,
+          tags: element.tags || {},
+          latitude: lat,
+          longitude: lon,
+          source: 'overpass',
+        });
+        if (poi) {
+          pois.push({ ...poi, distanceMeters: getDistanceMeters(latitude, longitude, lat, lon) });
+        }
+      }
+
+      const selected = selectOsmPois(pois);
+      console.log(`[poi/overpass] 📍 ${elements.length} OSM elements, ${pois.length} classified, returning ${selected.length}`);
+      return selected;
+    },
+  };
+}
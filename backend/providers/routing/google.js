@@ -0,0 +1,87 @@
+/**
+ * Google Directions Routing Provider
+ *
+ * Walking routes from the Directions API, with turn-by-turn steps for the audioguide.
+ */
+
+import { traceable } from 'langsmith/traceable';
+import { httpFetch } from '../../utils/http.js';
+
+const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+
+/**
+ * Get walking directions from Google Maps Directions API
+ */
+export const getWalkingDirections = traceable(async (origin, destination, waypoints = null) => {
+  const url = new URL('https://maps.googleapis.com/maps/api/directions/json');
+  url.searchParams.set('origin', origin);
+  url.searchParams.set('destination', destination);
+  if (waypoints) url.searchParams.set('waypoints', waypoints);
+  url.searchParams.set('mode', 'walking');
+  url.searchParams.set('key', GOOGLE_MAPS_API_KEY);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+
+  try {
+    const response = await httpFetch(url.toString(), {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': 'HearAndThere/1.0'
+      }
+    });
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      throw new Error(`Directions API returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data;
+  } catch (err) {
+    clearTimeout(timeoutId);
+    throw err;
+  }
+}, { name: 'getWalkingDirections', run_type: 'tool' });
+
+// Extract walking directions from a leg
+const getLegDirections = (leg) => (leg.steps ? {
+  distance: leg.distance?.text || '',
+  duration: leg.duration?.text || '',
+  steps: leg.steps.map(step => ({
+    instruction: step.html_instructions || step.instructions || '',
+    distance: step.distance?.text || '',
+    duration: step.duration?.text || ''
+  }))
+} : undefined);
+
+/**
+ * Create the Google Directions provider
+ * @returns {Object} Routing provider (see providers/routing/index.js)
+ */
+export function createGoogleRoutingProvider() {
+  return {
+    name: 'google',
+    confidence: 'high',
+
+    isAvailable() {
+      return Boolean(GOOGLE_MAPS_API_KEY);
+    },
+
+    async route(points) {
+      const toParam = (point) => `${point.latitude},${point.longitude}`;
+      const waypoints = points.slice(1, -1).map(toParam).join('|') || null;
+
+      const data = await getWalkingDirections(toParam(points[0]), toParam(points[points.length - 1]), waypoints);
+      if (data.status !== 'OK' || !data.routes || data.routes.length === 0) {
+        throw new Error(`No route found, API status: ${data.status}`);
+      }
+
+      return (data.routes[0].legs || []).map((leg) => ({
+        distanceMeters: leg.distance?.value ?? null,
+        durationSeconds: leg.duration?.value ?? null,
+        directions: getLegDirections(leg),
+      }));
+    },
+  };
+}
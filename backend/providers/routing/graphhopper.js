@@ -0,0 +1,85 @@
+/**
+ * GraphHopper Routing Provider
+ *
+ * Walking routes from a GraphHopper server (self-hosted, or the hosted API with GRAPHHOPPER_API_KEY).
+ */
+
+import { traceable } from 'langsmith/traceable';
+import { httpFetch } from '../../utils/http.js';
+import { formatDistance, formatDuration } from './shared.js';
+
+const GRAPHHOPPER_URL = (process.env.GRAPHHOPPER_URL || 'http://localhost:8989').replace(/\/+$/, '');
+const GRAPHHOPPER_API_KEY = process.env.GRAPHHOPPER_API_KEY;
+const GRAPHHOPPER_PROFILE = process.env.GRAPHHOPPER_PROFILE || 'foot';
+
+// Instruction signs marking the end of a leg
+const SIGN_REACHED_VIA = 5;
+const SIGN_FINISH = 4;
+
+const queryGraphHopper = traceable(async (points) => {
+  const url = new URL(`${GRAPHHOPPER_URL}/route`);
+  for (const point of points) {
+    url.searchParams.append('point', `${point.latitude},${point.longitude}`);
+  }
+  url.searchParams.set('profile', GRAPHHOPPER_PROFILE);
+  url.searchParams.set('instructions', 'true');
+  url.searchParams.set('calc_points', 'false');
+  if (GRAPHHOPPER_API_KEY) url.searchParams.set('key', GRAPHHOPPER_API_KEY);
+
+  const response = await httpFetch(url.toString(), { signal: AbortSignal.timeout(10000) });
+  if (!response.ok) {
+    throw new Error(`GraphHopper returned ${response.status}`);
+  }
+  return response.json();
+}, { name: 'queryGraphHopper', run_type: 'tool' });
+
+/**
+ * Create the GraphHopper provider
+ * @returns {Object} Routing provider (see providers/routing/index.js)
+ */
+export function createGraphHopperRoutingProvider() {
+  return {
+    name: 'graphhopper',
+    confidence: 'high',
+
+    isAvailable() {
+      return true;
+    },
+
+    async route(points) {
+      const data = await queryGraphHopper(points);
+      const path = data.paths?.[0];
+      if (!path) {
+        throw new Error(`No route found: ${data.message || 'empty response'}`);
+      }
+
+      // GraphHopper returns one instruction list for the whole route; split it into legs at each waypoint
+      const legs = [];
+      let current = { distance: 0, time: 0, steps: [] };
+      for (const instruction of path.instructions || []) {
+        current.distance += instruction.distance || 0;
+        current.time += instruction.time || 0;
+        current.steps.push({
+          instruction: instruction.text || '',
+          distance: formatDistance(instruction.distance),
+          duration: formatDuration((instruction.time || 0) / 1000),
+        });
+
+        if (instruction.sign === SIGN_REACHED_VIA || instruction.sign === SIGN_FINISH) {
+          legs.push(current);
+          current = { distance: 0, time: 0, steps: [] };
+        }
+      }
+
+      return legs.map((leg) => ({
+        distanceMeters: Math.round(leg.distance),
+        durationSeconds: Math.round(leg.time / 1000),
+        directions: {
+          distance: formatDistance(leg.distance),
+          duration: formatDuration(leg.time / 1000),
+          steps: leg.steps,
+        },
+      }));
+    },
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * Straight-Line Routing Estimator
+ *
+ * Estimates each leg from the great-circle distance times a detour factor, at walking pace.
+ * Never fails, so it's the fallback when no routing service answers. No turn-by-turn directions.
+ */
+
+import { getDistanceMeters } from '../../utils/poiHelpers.js';
+
+const DETOUR_FACTOR = parseFloat(process.env.ROUTING_DETOUR_FACTOR || '1.3');
+const WALKING_METERS_PER_MINUTE = 83; // Same pace as the POI search radius (see getPoiSearchArea)
+
+/**
+ * Create the haversine estimator
+ * @returns {Object} Routing provider (see providers/routing/index.js)
+ */
+export function createHaversineRoutingProvider() {
+  return {
+    name: 'haversine',
+    confidence: 'estimated',
+
+    isAvailable() {
+      return true;
+    },
+
+    async route(points) {
+      return points.slice(1).map((point, i) => {
+        const previous = points[i];
+        const distanceMeters = Math.round(
+          getDistanceMeters(previous.latitude, previous.longitude, point.latitude, point.longitude) * DETOUR_FACTOR
+        );
+        return {
+          distanceMeters,
+          durationSeconds: Math.round((distanceMeters / WALKING_METERS_PER_MINUTE) * 60),
+        };
+      });
+    },
+  };
+}
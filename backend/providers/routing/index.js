@@ -0,0 +1,83 @@
+/**
+ * Routing Providers
+ *
+ * Walking routes used to validate tour walk times and distances:
+ *   - google:      Google Directions API (default)
+ *   - osrm:        OSRM-compatible server, e.g. a local osrm-backend
+ *   - graphhopper: GraphHopper server or hosted API
+ *   - haversine:   straight-line estimate with a detour factor (no network)
+ *
+ * When the configured provider is unavailable or fails, the haversine estimator is used instead,
+ * so tours always get walk times computed from the stop positions rather than the LLM's guesses.
+ * The result records which provider answered and how much to trust it:
+ *   confidence: 'high' (street network) | 'estimated' (straight line)
+ *
+ * CONFIGURATION (environment):
+ *   ROUTING_PROVIDER=google|osrm|graphhopper|haversine
+ *   OSRM_URL (default http://localhost:5000), OSRM_PROFILE (default foot)
+ *   GRAPHHOPPER_URL (default http://localhost:8989), GRAPHHOPPER_API_KEY, GRAPHHOPPER_PROFILE (default foot)
+ *   ROUTING_DETOUR_FACTOR (default 1.3)
+ *
+ * PROVIDER INTERFACE:
+ *   {
+ *     name, confidence,
+ *     isAvailable() -> boolean
+ *     route(points: Array<{ latitude, longitude }>) -> Promise<Array<Leg>>   (one leg per consecutive pair)
+ *   }
+ *
+ * Leg: { distanceMeters, durationSeconds, directions?: { distance, duration, steps: [{ instruction, distance, duration }] } }
+ */
+
+import { createGoogleRoutingProvider } from './google.js';
+import { createOsrmRoutingProvider } from './osrm.js';
+import { createGraphHopperRoutingProvider } from './graphhopper.js';
+import { createHaversineRoutingProvider } from './haversine.js';
+
+const PROVIDER_FACTORIES = {
+  google: createGoogleRoutingProvider,
+  osrm: createOsrmRoutingProvider,
+  graphhopper: createGraphHopperRoutingProvider,
+  haversine: createHaversineRoutingProvider,
+};
+
+const providers = new Map();
+
+function getProvider(name) {
+  if (!providers.has(name)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown ROUTING_PROVIDER "${name}"`);
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+}
+
+/**
+ * Route a walk through a list of points
+ * @param {Array<Object>} points - { latitude, longitude } in walking order (at least 2)
+ * @returns {Promise<Object>} { legs, provider, confidence }
+ */
+export async function routeWalk(points) {
+  const primary = getProvider((process.env.ROUTING_PROVIDER || 'google').toLowerCase());
+  const expectedLegs = points.length - 1;
+
+  if (primary.isAvailable()) {
+    try {
+      const legs = await primary.route(points);
+      if (legs.length === expectedLegs) {
+        return { legs, provider: primary.name, confidence: primary.confidence };
+      }
+      console.warn(`[routing] ${primary.name} leg count mismatch, expected: ${expectedLegs}, got: ${legs.length}`);
+    } catch (err) {
+      console.warn(`[routing] ${primary.name} routing failed:`, err.message);
+    }
+  } else {
+    console.warn(`[routing] ${primary.name} is not configured`);
+  }
+
+  const fallback = getProvider('haversine');
+  console.warn('[routing] Falling back to straight-line estimates');
+  const legs = await fallback.route(points);
+  return { legs, provider: fallback.name, confidence: fallback.confidence };
+}
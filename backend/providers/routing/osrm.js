@@ -0,0 +1,83 @@
+/**
+ * OSRM Routing Provider
+ *
+ * Walking routes from an OSRM-compatible server (e.g. a local osrm-backend built with the foot profile).
+ */
+
+import { traceable } from 'langsmith/traceable';
+import { httpFetch } from '../../utils/http.js';
+import { formatDistance, formatDuration } from './shared.js';
+
+const OSRM_URL = (process.env.OSRM_URL || 'http://localhost:5000').replace(/\/+$/, '');
+const OSRM_PROFILE = process.env.OSRM_PROFILE || 'foot';
+
+const queryOsrm = traceable(async (coordinates) => {
+  const url = `${OSRM_URL}/route/v1/${OSRM_PROFILE}/${coordinates}?overview=false&steps=true`;
+  const response = await httpFetch(url, { signal: AbortSignal.timeout(10000) });
+
+  if (!response.ok) {
+    throw new Error(`OSRM returned ${response.status}`);
+  }
+  return response.json();
+}, { name: 'queryOsrm', run_type: 'tool' });
+
+// OSRM steps carry a maneuver instead of text, e.g. { type: 'turn', modifier: 'left' } onto "Main St"
+function describeStep(step) {
+  const { type, modifier } = step.maneuver || {};
+  const onto = step.name ? ` onto ${step.name}` : '';
+
+  switch (type) {
+    case 'depart':
+      return `Head ${modifier || 'out'}${onto}`;
+    case 'arrive':
+      return 'Arrive at your destination';
+    case 'turn':
+    case 'end of road':
+    case 'fork':
+      return `Turn ${modifier || ''}${onto}`.replace(/\s+/g, ' ');
+    case 'roundabout':
+    case 'rotary':
+      return `Go through the roundabout${onto}`;
+    default:
+      return `Continue${modifier ? ` ${modifier}` : ''}${onto}`;
+  }
+}
+
+/**
+ * Create the OSRM provider
+ * @returns {Object} Routing provider (see providers/routing/index.js)
+ */
+export function createOsrmRoutingProvider() {
+  return {
+    name: 'osrm',
+    confidence: 'high',
+
+    isAvailable() {
+      return true;
+    },
+
+    async route(points) {
+      // OSRM takes "lon,lat;lon,lat;..."
+      const coordinates = points.map((point) => `${point.longitude},${point.latitude}`).join(';');
+      const data = await queryOsrm(coordinates);
+
+      if (data.code !== 'Ok' || !data.routes?.length) {
+        throw new Error(`No route found, OSRM code: ${data.code}`);
+      }
+
+      return data.routes[0].legs.map((leg) => ({
+        distanceMeters: leg.distance,
+        durationSeconds: leg.duration,
+        directions: {
+          distance: formatDistance(leg.distance),
+          duration: formatDuration(leg.duration),
+          steps: (leg.steps || []).map((step) => ({
+            instruction: describeStep(step),
+            distance: formatDistance(step.distance),
+            duration: formatDuration(step.duration),
+          })),
+        },
+      }));
+    },
+  };
+}
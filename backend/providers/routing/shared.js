@@ -0,0 +1,20 @@
+/**
+ * Shared helpers for routing providers that compute their own direction text
+ */
+
+/**
+ * Format a distance the way Google Directions does ("350 m", "1.2 km")
+ */
+export function formatDistance(meters) {
+  if (meters == null) return '';
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Format a duration the way Google Directions does ("1 min", "12 mins")
+ */
+export function formatDuration(seconds) {
+  if (seconds == null) return '';
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  return `${minutes} ${minutes === 1 ? 'min' : 'mins'}`;
+}
@@ -0,0 +1,44 @@
+/**
+ * Google Cloud Storage Adapter
+ *
+ * Uploads to a GCS bucket. The bucket must be publicly readable (allUsers:objectViewer),
+ * since the audio player loads files straight from their public URL.
+ */
+
+import { Storage } from '@google-cloud/storage';
+import { getGoogleCredentials } from '../../utils/googleCredentials.js';
+
+/**
+ * Create the GCS storage adapter
+ * @returns {Object} Storage adapter (see providers/storage/index.js)
+ */
+export function createGcsStorage() {
+  const bucketName = process.env.GCS_BUCKET_NAME;
+  if (!bucketName) {
+    throw new Error('GCS_BUCKET_NAME is not set (required for STORAGE_PROVIDER=gcs)');
+  }
+
+  let bucket = null;
+  function getBucket() {
+    if (!bucket) {
+      const credentials = getGoogleCredentials();
+      const storage = new Storage(credentials ? { credentials } : {});
+      bucket = storage.bucket(bucketName);
+    }
+    return bucket;
+  }
+
+  return {
+    name: 'gcs',
+
+    async save(key, data, { contentType }) {
+      await getBucket().file(key).save(data, {
+        metadata: { contentType },
+      });
+    },
+
+    publicUrl(key) {
+      return `https://storage.googleapis.com/${bucketName}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    },
+  };
+}
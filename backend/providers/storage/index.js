@@ -0,0 +1,83 @@
+/**
+ * Storage Adapters
+ *
+ * Where generated audio files are kept and the URLs the player loads them from:
+ *   - gcs:   Google Cloud Storage bucket (default)
+ *   - local: directory on disk, served by the backend at /files (supports Range requests for seeking)
+ *   - s3:    S3-compatible bucket (AWS S3, MinIO)
+ *
+ * CONFIGURATION (environment):
+ *   STORAGE_PROVIDER=gcs|local|s3
+ *   gcs:   GCS_BUCKET_NAME
+ *   local: LOCAL_STORAGE_DIR (default ./audio-files), PUBLIC_BASE_URL (default http://localhost:<PORT>)
+ *   s3:    S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_REGION, S3_ENDPOINT, S3_PUBLIC_BASE_URL
+ *
+ * ADAPTER INTERFACE:
+ *   {
+ *     name,
+ *     save(key, data: Buffer, { contentType }) -> Promise<void>
+ *     publicUrl(key) -> string
+ *   }
+ */
+
+import express from 'express';
+import { createGcsStorage } from './gcs.js';
+import { createLocalStorage } from './local.js';
+import { createS3Storage } from './s3.js';
+
+const ADAPTER_FACTORIES = {
+  gcs: createGcsStorage,
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage adapter
+ * @returns {Object} Storage adapter
+ */
+export function getStorage() {
+  if (!storage) {
+    const name = (process.env.STORAGE_PROVIDER || 'gcs').toLowerCase();
+    const factory = ADAPTER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_PROVIDER "${name}"`);
+    }
+    storage = factory();
+    console.log(`[storage] Using ${name} storage`);
+  }
+  return storage;
+}
+
+/**
+ * Save a file and return its public URL
+ * @param {string} key - File name within the store
+ * @param {Buffer} data - File contents
+ * @param {Object} options
+ * @param {string} options.contentType - MIME type
+ * @returns {Promise<string>} Public URL
+ */
+export async function saveFile(key, data, { contentType }) {
+  const adapter = getStorage();
+  await adapter.save(key, data, { contentType });
+  return adapter.publicUrl(key);
+}
+
+/**
+ * Serve stored files from this server when using local storage
+ * express.static answers Range requests, so the audio player can seek.
+ * @param {import('express').Express} app
+ */
+export function mountStorageRoutes(app) {
+  if ((process.env.STORAGE_PROVIDER || 'gcs').toLowerCase() !== 'local') return;
+
+  const adapter = getStorage();
+  app.use(adapter.routePath, express.static(adapter.directory, {
+    acceptRanges: true,
+    fallthrough: false,
+    index: false,
+    maxAge: '7d',
+  }));
+  console.log(`[storage] Serving ${adapter.directory} at ${adapter.routePath}`);
+}
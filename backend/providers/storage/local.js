@@ -0,0 +1,44 @@
+/**
+ * Local Filesystem Storage Adapter
+ *
+ * Writes files to a directory on disk, served by the backend itself (see mountStorageRoutes),
+ * so self-hosted deployments and development don't need a cloud bucket.
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname, resolve, sep } from 'path';
+
+/**
+ * Create the local storage adapter
+ * @returns {Object} Storage adapter (see providers/storage/index.js)
+ */
+export function createLocalStorage() {
+  const directory = resolve(process.env.LOCAL_STORAGE_DIR || './audio-files');
+  const routePath = '/files';
+  const baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/+$/, '');
+
+  // Keys are generated file names; still refuse anything that would land outside the directory
+  function resolveKey(key) {
+    const filePath = resolve(directory, key);
+    if (!filePath.startsWith(directory + sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  return {
+    name: 'local',
+    directory,
+    routePath,
+
+    async save(key, data) {
+      const filePath = resolveKey(key);
+      await mkdir(dirname(filePath), { recursive: true });
+      await writeFile(filePath, data);
+    },
+
+    publicUrl(key) {
+      return `${baseUrl}${routePath}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    },
+  };
+}
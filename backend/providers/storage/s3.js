@@ -0,0 +1,112 @@
+/**
+ * S3-Compatible Storage Adapter
+ *
+ * Uploads with a SigV4-signed PUT, so it works against AWS S3 and self-hosted MinIO
+ * without pulling in the AWS SDK. The bucket must allow public reads.
+ *
+ * With S3_ENDPOINT set (e.g. MinIO at http://localhost:9000), path-style URLs are used:
+ *   <endpoint>/<bucket>/<key>
+ * Otherwise AWS virtual-hosted URLs:
+ *   https://<bucket>.s3.<region>.amazonaws.com/<key>
+ */
+
+import { createHash, createHmac } from 'crypto';
+import { httpFetch } from '../../utils/http.js';
+
+const sha256Hex = (data) => createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, per path segment, as SigV4 expects
+function encodeKey(key) {
+  return key
+    .split('/')
+    .map((segment) => encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @returns {Object} Headers to send (x-amz-date, x-amz-content-sha256, authorization)
+ */
+function signRequest({ method, url, payloadHash, region, accessKeyId, secretAccessKey }) {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    `host:${url.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Create the S3-compatible storage adapter
+ * @returns {Object} Storage adapter (see providers/storage/index.js)
+ */
+export function createS3Storage() {
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  const region = process.env.S3_REGION || 'us-east-1';
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for STORAGE_PROVIDER=s3');
+  }
+
+  const endpoint = process.env.S3_ENDPOINT?.replace(/\/+$/, '');
+  const bucketUrl = endpoint
+    ? `${endpoint}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+  // A CDN or reverse proxy in front of the bucket can be used for playback
+  const publicBaseUrl = (process.env.S3_PUBLIC_BASE_URL || bucketUrl).replace(/\/+$/, '');
+
+  return {
+    name: 's3',
+
+    async save(key, data, { contentType }) {
+      const url = new URL(`${bucketUrl}/${encodeKey(key)}`);
+      const headers = signRequest({
+        method: 'PUT',
+        url,
+        payloadHash: sha256Hex(data),
+        region,
+        accessKeyId,
+        secretAccessKey,
+      });
+
+      const response = await httpFetch(url.toString(), {
+        method: 'PUT',
+        headers: { ...headers, 'content-type': contentType },
+        body: data,
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`S3 upload error: ${response.status} - ${errorText.slice(0, 300)}`);
+      }
+    },
+
+    publicUrl(key) {
+      return `${publicBaseUrl}/${encodeKey(key)}`;
+    },
+  };
+}
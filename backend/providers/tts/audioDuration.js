@@ -0,0 +1,119 @@
+/**
+ * Audio Duration
+ *
+ * Measures how long synthesized audio plays, from the file itself rather than an estimate:
+ *   - MP3: walks the frames and adds up their samples (works for CBR and VBR files)
+ *   - WAV: data chunk size divided by the byte rate
+ */
+
+// Bitrates in kbps by [MPEG version group][layer], index 0 = free format (not supported)
+const BITRATES = {
+  v1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  v2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+// Sample rates by version bits (0 = MPEG 2.5, 2 = MPEG 2, 3 = MPEG 1)
+const SAMPLE_RATES = { 0: [11025, 12000, 8000], 2: [22050, 24000, 16000], 3: [44100, 48000, 32000] };
+
+/**
+ * Length of an ID3v2 tag at the start of a file: "ID3", version, flags, syncsafe size
+ * @param {Buffer} audio
+ * @returns {number} Bytes (0 without a tag)
+ */
+export function id3v2Length(audio) {
+  if (audio.length < 10 || audio.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = (audio[6] << 21) | (audio[7] << 14) | (audio[8] << 7) | audio[9];
+  const hasFooter = (audio[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+// Frame header at `offset`: { bytes, samples, sampleRate }, or null if there is no valid header
+function parseFrameHeader(audio, offset) {
+  if (offset + 4 > audio.length || audio[offset] !== 0xff || (audio[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (audio[offset + 1] >> 3) & 0x03;
+  const layer = 4 - ((audio[offset + 1] >> 1) & 0x03); // 1, 2 or 3
+  const bitrateIndex = audio[offset + 2] >> 4;
+  const sampleRateIndex = (audio[offset + 2] >> 2) & 0x03;
+  const padding = (audio[offset + 2] >> 1) & 0x01;
+
+  if (versionBits === 1 || layer === 4 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+  const isV1 = versionBits === 3;
+  const bitrate = BITRATES[isV1 ? 'v1' : 'v2'][layer][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[versionBits][sampleRateIndex];
+
+  if (layer === 1) {
+    return { bytes: (Math.floor((12 * bitrate) / sampleRate) + padding) * 4, samples: 384, sampleRate };
+  }
+  const samples = layer === 3 && !isV1 ? 576 : 1152;
+  return { bytes: Math.floor(((samples / 8) * bitrate) / sampleRate) + padding, samples, sampleRate };
+}
+
+/**
+ * Playing time of an MP3 file
+ * Bytes that are not a frame (ID3v1 tags, junk between segments) are skipped.
+ * @param {Buffer} audio
+ * @returns {number} Seconds
+ */
+export function mp3DurationSeconds(audio) {
+  let seconds = 0;
+  let offset = id3v2Length(audio);
+  while (offset < audio.length - 4) {
+    const frame = parseFrameHeader(audio, offset);
+    if (!frame) {
+      offset++;
+      continue;
+    }
+    seconds += frame.samples / frame.sampleRate;
+    offset += frame.bytes;
+  }
+  return seconds;
+}
+
+/**
+ * Playing time of a PCM WAV file
+ * @param {Buffer} audio
+ * @returns {number|null} Seconds, or null if the file has no fmt/data chunks
+ */
+export function wavDurationSeconds(audio) {
+  if (audio.length < 12 || audio.toString('latin1', 0, 4) !== 'RIFF' || audio.toString('latin1', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let byteRate = null;
+  let offset = 12;
+  while (offset + 8 <= audio.length) {
+    const chunkId = audio.toString('latin1', offset, offset + 4);
+    const chunkSize = audio.readUInt32LE(offset + 4);
+    if (chunkId === 'fmt ' && offset + 16 <= audio.length) {
+      byteRate = audio.readUInt32LE(offset + 16);
+    } else if (chunkId === 'data') {
+      // Streamed WAVs may leave the size unset; the rest of the file is then the data
+      const dataBytes = Math.min(chunkSize, audio.length - offset - 8);
+      return byteRate ? dataBytes / byteRate : null;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+}
+
+/**
+ * Playing time of synthesized audio
+ * @param {Buffer} audio
+ * @param {string} contentType - audio/mpeg or audio/wav
+ * @returns {number|null} Seconds, or null for formats that can't be measured
+ */
+export function measureAudioSeconds(audio, contentType) {
+  if (contentType === 'audio/mpeg') return mp3DurationSeconds(audio);
+  if (contentType === 'audio/wav') return wavDurationSeconds(audio);
+  return null;
+}
@@ -0,0 +1,168 @@
+/**
+ * Long Text Synthesis Helpers
+ *
+ * Providers with an input limit (Google Cloud TTS: 5000 bytes) can't voice a long script in one
+ * request. The text is split at paragraph and sentence boundaries into requests that fit, and the
+ * segments are joined back into one file (MP3 or PCM WAV), so nothing is dropped.
+ */
+
+import { id3v2Length } from './audioDuration.js';
+
+const bytes = (text) => Buffer.byteLength(text, 'utf8');
+
+/**
+ * Split a sentence that is over the limit at clauses, then words, then (last resort) characters
+ */
+function splitOversized(text, maxBytes, level = 0) {
+  if (bytes(text) <= maxBytes) return [text];
+
+  const splitters = [
+    (t) => t.split(/(?<=[,;:–—])\s+/), // clauses
+    (t) => t.split(/\s+/), // words
+  ];
+  if (level >= splitters.length) return splitByBytes(text, maxBytes);
+
+  const parts = splitters[level](text).filter(Boolean);
+  if (parts.length <= 1) return splitOversized(text, maxBytes, level + 1);
+
+  const pieces = parts.flatMap((part) => splitOversized(part, maxBytes, level + 1));
+  return pack(pieces.map((piece) => ({ text: piece, separator: ' ' })), maxBytes);
+}
+
+// Cut on code points, never inside a multi-byte character
+function splitByBytes(text, maxBytes) {
+  const pieces = [];
+  let current = '';
+  for (const char of text) {
+    if (bytes(current + char) > maxBytes) {
+      pieces.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Greedily join pieces (each within the limit) into as few chunks as fit
+function pack(pieces, maxBytes) {
+  const chunks = [];
+  let current = '';
+  for (const { text, separator } of pieces) {
+    const joined = current ? `${current}${separator}${text}` : text;
+    if (current && bytes(joined) > maxBytes) {
+      chunks.push(current);
+      current = text;
+    } else {
+      current = joined;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function splitSentences(paragraph, locale) {
+  const segmenter = new Intl.Segmenter(locale, { granularity: 'sentence' });
+  return [...segmenter.segment(paragraph)].map(({ segment }) => segment.trim()).filter(Boolean);
+}
+
+/**
+ * Split text into chunks that each fit a provider's input limit
+ * Breaks fall between paragraphs or sentences; only a single sentence longer than the limit
+ * is broken further (at commas, then between words).
+ *
+ * @param {string} text - Text to speak
+ * @param {Object} options
+ * @param {number} options.maxBytes - Limit per request, in UTF-8 bytes
+ * @param {string} [options.locale] - Locale for sentence detection (e.g. 'en', 'he')
+ * @returns {Array<string>} Chunks in speaking order
+ */
+export function splitTextForTts(text, { maxBytes, locale = 'en' }) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return [];
+  if (bytes(trimmed) <= maxBytes) return [trimmed];
+
+  const pieces = [];
+  for (const paragraph of trimmed.split(/\n\s*\n/)) {
+    splitSentences(paragraph, locale).forEach((sentence, index) => {
+      splitOversized(sentence, maxBytes).forEach((piece, pieceIndex) => {
+        pieces.push({ text: piece, separator: index === 0 && pieceIndex === 0 ? '\n\n' : ' ' });
+      });
+    });
+  }
+
+  return pack(pieces, maxBytes);
+}
+
+/**
+ * Join MP3 segments into one playable file
+ * MP3 is a sequence of self-contained frames, so segments in the same format can be appended;
+ * ID3 tags are removed so players don't stop at the start of the second segment.
+ *
+ * @param {Array<Buffer>} segments - MP3 files in playing order
+ * @returns {Buffer} One MP3 file
+ */
+export function concatMp3(segments) {
+  return Buffer.concat(segments.map((audio) => {
+    let end = audio.length;
+    if (end >= 128 && audio.toString('latin1', end - 128, end - 125) === 'TAG') {
+      end -= 128; // ID3v1 tag at the end
+    }
+    return audio.subarray(id3v2Length(audio), end);
+  }));
+}
+
+// fmt chunk and samples of a WAV file
+function readWav(audio) {
+  if (audio.length < 12 || audio.toString('latin1', 0, 4) !== 'RIFF' || audio.toString('latin1', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= audio.length) {
+    const chunkId = audio.toString('latin1', offset, offset + 4);
+    const chunkSize = audio.readUInt32LE(offset + 4);
+    if (chunkId === 'fmt ') {
+      fmt = audio.subarray(offset + 8, offset + 8 + chunkSize);
+    } else if (chunkId === 'data') {
+      if (!fmt) break;
+      // Streamed WAVs (espeak-ng --stdout) may leave the size unset; the rest of the file is then the data
+      return { fmt, data: audio.subarray(offset + 8, offset + 8 + Math.min(chunkSize, audio.length - offset - 8)) };
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  throw new Error('WAV file has no fmt/data chunks');
+}
+
+const describeWavFormat = (fmt) => `${fmt.readUInt16LE(2)} channel(s), ${fmt.readUInt32LE(4)} Hz, ${fmt.readUInt16LE(14)} bit`;
+
+/**
+ * Join WAV segments into one playable file
+ * Samples can only be appended when every segment has the same format (channels, sample rate,
+ * sample size); segments from voices with different sample rates are rejected.
+ *
+ * @param {Array<Buffer>} segments - WAV files in playing order
+ * @returns {Buffer} One WAV file
+ */
+export function concatWav(segments) {
+  const wavs = segments.map(readWav);
+  const [{ fmt }] = wavs;
+  const other = wavs.find((wav) => !wav.fmt.equals(fmt));
+  if (other) {
+    throw new Error(`Cannot join WAV segments in different formats (${describeWavFormat(fmt)} and ${describeWavFormat(other.fmt)})`);
+  }
+
+  const dataBytes = wavs.reduce((sum, wav) => sum + wav.data.length, 0);
+  const header = Buffer.alloc(20);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(4 + 8 + fmt.length + (fmt.length % 2) + 8 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(fmt.length, 16);
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.write('data', 0);
+  dataHeader.writeUInt32LE(dataBytes, 4);
+
+  return Buffer.concat([header, fmt, Buffer.alloc(fmt.length % 2), dataHeader, ...wavs.map((wav) => wav.data)]);
+}
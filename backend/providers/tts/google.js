@@ -0,0 +1,91 @@
+/**
+ * Google Cloud Text-to-Speech Provider
+ *
+ * Synthesizes MP3 through the Cloud TTS REST API, authenticated with the service account.
+ */
+
+import { getHttpMode, httpFetch } from '../../utils/http.js';
+import { GoogleAuth } from 'google-auth-library';
+import { getGoogleCredentials } from '../../utils/googleCredentials.js';
+
+// Google TTS has a 5000 byte limit for text input; longer text is split by synthesizeSpeech
+const MAX_BYTES = 4998; // Leave small buffer
+
+let authClient = null;
+async function getAuthClient() {
+  if (!authClient) {
+    const credentials = getGoogleCredentials();
+    authClient = new GoogleAuth({
+      credentials,
+      scopes: ['https://www.googleapis.com/auth/cloud-platform'],
+    });
+  }
+  return authClient;
+}
+
+// The token exchange bypasses httpFetch (see utils/http.js), so replays don't authenticate at all
+async function getAccessToken() {
+  if (getHttpMode() === 'replay') {
+    return 'replay';
+  }
+
+  const auth = await getAuthClient();
+  const client = await auth.getClient();
+  const accessToken = await client.getAccessToken();
+
+  if (!accessToken.token) {
+    throw new Error('Failed to get access token from service account');
+  }
+  return accessToken.token;
+}
+
+/**
+ * Create the Google Cloud TTS provider
+ * @returns {Object} TTS provider (see providers/tts/index.js)
+ */
+export function createGoogleTtsProvider() {
+  return {
+    name: 'google',
+    maxInputBytes: MAX_BYTES,
+    supportsSsml: true,
+    audioType: () => 'audio/mpeg',
+
+    async synthesize({ text, ssml, voice }) {
+      // Google voice names start with their language code, e.g. he-IL-Standard-D, cmn-CN-Wavenet-A
+      const languageCode = /^([a-z]{2,3}-[A-Z]{2})-/.exec(voice)?.[1] || 'en-US';
+
+      const requestBody = {
+        input: ssml ? { ssml } : { text },
+        voice: { languageCode, name: voice },
+        audioConfig: {
+          audioEncoding: 'MP3',
+          speakingRate: 1.0,
+          pitch: 0.0,
+        },
+      };
+
+      const accessToken = await getAccessToken();
+
+      const response = await httpFetch('https://texttospeech.googleapis.com/v1/text:synthesize', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+        },
+        body: JSON.stringify(requestBody),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`TTS API error: ${response.status} - ${errorText}`);
+      }
+
+      const data = await response.json();
+      return {
+        audio: Buffer.from(data.audioContent, 'base64'),
+        contentType: 'audio/mpeg',
+        extension: 'mp3',
+      };
+    },
+  };
+}
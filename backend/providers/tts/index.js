@@ -0,0 +1,290 @@
+/**
+ * Text-to-Speech Providers
+ *
+ * One interface for speech synthesis, so audioguides can be voiced by Google Cloud TTS,
+ * an offline engine (espeak-ng, Piper) or a stub that produces silence or a tone.
+ *
+ * VOICE IDS are provider-qualified: "<provider>:<voice>", e.g.
+ *   google:en-GB-Wavenet-B, espeak:en-gb, piper:en_GB-alan-medium, stub:silence, stub:sine
+ * Unqualified ids (stored on tours before providers existed) are Google voices.
+ *
+ * CONFIGURATION (environment):
+ *   TTS_PROVIDER=google|espeak|piper|stub  Provider for the default voices (default: google)
+ *   TTS_VOICE_<LANGUAGE>                   Full voice id overriding the default for a language (e.g. TTS_VOICE_HEBREW)
+ *   <LANGUAGE>_VOICE / PIPER_<LANGUAGE>_VOICE  Google / Piper voice name overriding the registry default
+ *
+ * Default and allowed voices per language come from the language registry (utils/languages.js).
+ *   TTS_SSML=true                          Send SSML to providers that accept it (see ssml.js)
+ *
+ * PROVIDER INTERFACE:
+ *   {
+ *     name,
+ *     maxInputBytes?,   Longest text one request accepts (UTF-8 bytes); omitted = no limit
+ *     supportsSsml?,    Accepts { ssml } in place of { text }
+ *     audioType(voice), Content type synthesize returns for the voice (audio/mpeg or audio/wav)
+ *     synthesize({ text | ssml, voice }) -> Promise<{ audio: Buffer, contentType, extension }>
+ *   }
+ *
+ * Text over a provider's limit is split at sentence boundaries and the segments joined
+ * (see chunking.js), so long scripts are never cut short. Dialogue joins the two hosts' turns the
+ * same way, so both voices must produce the same format (see validateDialogueVoices).
+ * Results carry durationSeconds, measured from the audio (see audioDuration.js).
+ */
+
+import { createGoogleTtsProvider } from './google.js';
+import { createEspeakProvider, createPiperProvider } from './offline.js';
+import { createStubTtsProvider } from './stub.js';
+import { splitTextForTts, concatMp3, concatWav } from './chunking.js';
+import { measureAudioSeconds } from './audioDuration.js';
+import { buildSsml } from './ssml.js';
+import { getLanguage } from '../../utils/languages.js';
+
+const PROVIDER_FACTORIES = {
+  google: createGoogleTtsProvider,
+  espeak: createEspeakProvider,
+  piper: createPiperProvider,
+  stub: createStubTtsProvider,
+};
+
+// Environment overrides of the registry's default voice names, per provider and language key
+const VOICE_NAME_OVERRIDES = {
+  google: (key) => process.env[`${key.toUpperCase()}_VOICE`], // e.g. ENGLISH_VOICE
+  piper: (key) => process.env[`PIPER_${key.toUpperCase()}_VOICE`],
+};
+
+// Optional SSML (pauses, emphasis, pronunciation lexicon) for providers that accept it
+const SSML_ENABLED = process.env.TTS_SSML === 'true';
+const MIN_CHUNK_BYTES = 100;
+
+const providers = new Map();
+
+/**
+ * Split a voice id into provider and voice name
+ * @param {string} voiceId - "<provider>:<voice>", or a bare Google voice name
+ * @returns {Object|null} { provider, voice }, or null if the id is malformed or the provider unknown
+ */
+export function parseVoiceId(voiceId) {
+  if (typeof voiceId !== 'string' || !voiceId.trim()) return null;
+
+  const separator = voiceId.indexOf(':');
+  if (separator === -1) {
+    return { provider: 'google', voice: voiceId };
+  }
+
+  const provider = voiceId.slice(0, separator).toLowerCase();
+  const voice = voiceId.slice(separator + 1);
+  if (!PROVIDER_FACTORIES[provider] || !voice) return null;
+
+  return { provider, voice };
+}
+
+/**
+ * Default voice id for a language
+ * From the language registry (see utils/languages.js), for TTS_PROVIDER
+ * @param {string} language - Language key (e.g. english, hebrew)
+ * @returns {string} Provider-qualified voice id
+ */
+export function defaultVoiceId(language) {
+  const { key, voices } = getLanguage(language);
+  const override = process.env[`TTS_VOICE_${key.toUpperCase()}`];
+  if (override) return override;
+
+  let provider = (process.env.TTS_PROVIDER || 'google').toLowerCase();
+  if (!PROVIDER_FACTORIES[provider]) {
+    console.warn(`[tts] Unknown TTS_PROVIDER "${provider}", using google`);
+    provider = 'google';
+  }
+
+  const voice = VOICE_NAME_OVERRIDES[provider]?.(key) || voices.defaults[provider];
+  if (voice) return `${provider}:${voice}`;
+
+  // No voice for this provider in the registry - use the language's first voice elsewhere
+  const [fallbackProvider, fallbackVoice] = Object.entries(voices.defaults)[0];
+  console.warn(`[tts] No ${provider} voice for ${key}, using ${fallbackProvider}:${fallbackVoice}`);
+  return `${fallbackProvider}:${fallbackVoice}`;
+}
+
+/**
+ * Default voice of the second host in dialogue narration
+ * The registry's dialogue voice for the first host's provider, or another voice option of that
+ * provider; the first host's voice if the language has no other voice there.
+ * @param {string} language - Language key
+ * @param {string} firstVoiceId - Voice of the first host
+ * @returns {string} Provider-qualified voice id
+ */
+export function defaultSecondVoiceId(language, firstVoiceId) {
+  const { key, voices } = getLanguage(language);
+  const first = parseVoiceId(firstVoiceId);
+  if (!first) return defaultVoiceId(key);
+
+  const candidates = [
+    voices.dialogueDefaults?.[first.provider] && `${first.provider}:${voices.dialogueDefaults[first.provider]}`,
+    ...(voices.options || []).map((option) => option.id),
+  ].filter(Boolean);
+  const second = candidates.find((voiceId) => {
+    const parsed = parseVoiceId(voiceId);
+    return parsed.provider === first.provider && parsed.voice !== first.voice;
+  });
+
+  if (!second) {
+    console.warn(`[tts] No second ${first.provider} voice for ${key}, both hosts use ${firstVoiceId}`);
+  }
+  return second || firstVoiceId;
+}
+
+/**
+ * Check whether a voice may be used for a language
+ * Allowed are the language's voice options and its default and dialogue voices (including overrides).
+ * @param {string} voiceId - Provider-qualified voice id
+ * @param {string} language - Language key
+ * @returns {boolean}
+ */
+export function isVoiceAllowed(voiceId, language) {
+  const parsed = parseVoiceId(voiceId);
+  if (!parsed) return false;
+
+  const { key, voices } = getLanguage(language);
+  const allowed = new Set([
+    ...(voices.options || []).map((option) => option.id),
+    ...Object.entries(voices.defaults).map(([provider, voice]) => `${provider}:${VOICE_NAME_OVERRIDES[provider]?.(key) || voice}`),
+    ...Object.entries(voices.dialogueDefaults || {}).map(([provider, voice]) => `${provider}:${voice}`),
+    defaultVoiceId(key),
+  ]);
+  return allowed.has(`${parsed.provider}:${parsed.voice}`);
+}
+
+/**
+ * Whether scripts are sent as SSML (TTS_SSML=true) to providers that accept it
+ * @returns {boolean}
+ */
+export function isSsmlEnabled() {
+  return SSML_ENABLED;
+}
+
+function getProvider(name) {
+  if (!providers.has(name)) {
+    providers.set(name, PROVIDER_FACTORIES[name]());
+  }
+  return providers.get(name);
+}
+
+/**
+ * Build the provider requests for a text: one per chunk that fits the provider's limit,
+ * as { ssml } when SSML is enabled and the provider accepts it, otherwise as { text }
+ */
+function buildRequests(text, provider, { language, lexicon }) {
+  const { locale } = getLanguage(language);
+  const toRequest = SSML_ENABLED && provider.supportsSsml
+    ? (chunk) => ({ ssml: buildSsml(chunk, { language, lexicon }) })
+    // Emphasis markers would be read out loud
+    : (chunk) => ({ text: chunk.replace(/\*/g, '') });
+
+  if (!provider.maxInputBytes) return [toRequest(text)];
+
+  // SSML markup counts towards the limit, so the text budget shrinks until every request fits
+  let maxBytes = provider.maxInputBytes;
+  for (;;) {
+    const chunks = splitTextForTts(text, { maxBytes, locale });
+    const requests = (chunks.length > 0 ? chunks : [text]).map(toRequest);
+    const largest = Math.max(...requests.map((request) => Buffer.byteLength(request.ssml ?? request.text, 'utf8')));
+    if (largest <= provider.maxInputBytes || maxBytes <= MIN_CHUNK_BYTES) return requests;
+    maxBytes = Math.max(MIN_CHUNK_BYTES, Math.floor((maxBytes * provider.maxInputBytes * 0.9) / largest));
+  }
+}
+
+/**
+ * Synthesize speech with the provider named in the voice id
+ * @param {Object} params
+ * @param {string} params.text - Text to speak; *word* marks emphasis
+ * @param {string} [params.voiceId] - Provider-qualified voice id (defaults to the language's voice)
+ * @param {string} [params.language] - Language key of the script (see utils/languages.js)
+ * @param {Array<Object>} [params.lexicon] - Pronunciation entries for the tour's city (SSML only)
+ * @returns {Promise<Object>} { audio: Buffer, contentType, extension, voiceId, durationSeconds }
+ */
+export async function synthesizeSpeech({ text, voiceId, language, lexicon }) {
+  const resolvedVoiceId = voiceId || defaultVoiceId(language);
+  const parsed = parseVoiceId(resolvedVoiceId);
+  if (!parsed) {
+    throw new Error(`Invalid voice id: ${resolvedVoiceId}`);
+  }
+
+  const provider = getProvider(parsed.provider);
+  const requests = buildRequests(text, provider, { language, lexicon });
+
+  if (requests.length === 1) {
+    const result = await provider.synthesize({ ...requests[0], voice: parsed.voice });
+    return { ...withDuration(result), voiceId: resolvedVoiceId };
+  }
+
+  console.log(`[tts] Text is ${Buffer.byteLength(text, 'utf8')} bytes (limit ${provider.maxInputBytes}), synthesizing ${requests.length} segments`);
+
+  // One request at a time, in speaking order
+  const segments = [];
+  for (const request of requests) {
+    segments.push(await provider.synthesize({ ...request, voice: parsed.voice }));
+  }
+
+  return { ...joinSegments(segments), voiceId: resolvedVoiceId };
+}
+
+function withDuration(result) {
+  return { ...result, durationSeconds: measureAudioSeconds(result.audio, result.contentType) };
+}
+
+const JOINERS = {
+  'audio/mpeg': { concat: concatMp3, extension: 'mp3' },
+  'audio/wav': { concat: concatWav, extension: 'wav' },
+};
+
+// Join synthesized segments into one file; all segments must be MP3, or all WAV
+function joinSegments(segments) {
+  const [{ contentType }] = segments;
+  const other = segments.find((segment) => segment.contentType !== contentType);
+  if (other) {
+    throw new Error(`Cannot join ${contentType} and ${other.contentType} segments`);
+  }
+  const joiner = JOINERS[contentType];
+  if (!joiner) {
+    throw new Error(`Cannot join ${contentType} segments`);
+  }
+
+  return withDuration({
+    audio: joiner.concat(segments.map((segment) => segment.audio)),
+    contentType,
+    extension: joiner.extension,
+  });
+}
+
+/**
+ * Check that two voices can share a dialogue
+ * The hosts' turns are joined into one file, so both voices must produce the same audio format.
+ * @param {string} firstVoiceId - Voice of the first host
+ * @param {string} secondVoiceId - Voice of the second host
+ * @returns {string|null} Error message, or null if the pair works
+ */
+export function validateDialogueVoices(firstVoiceId, secondVoiceId) {
+  const [firstType, secondType] = [firstVoiceId, secondVoiceId].map((voiceId) => {
+    const { provider, voice } = parseVoiceId(voiceId);
+    return getProvider(provider).audioType(voice);
+  });
+  if (firstType !== secondType) {
+    return `${firstVoiceId} produces ${firstType} and ${secondVoiceId} ${secondType}; dialogue needs two voices with the same audio format`;
+  }
+  return null;
+}
+
+/**
+ * Synthesize a conversation: each turn in its own voice, joined into one file
+ * @param {Object} params
+ * @param {Array<Object>} params.turns - [{ text, voiceId }] in speaking order
+ * @param {string} [params.language] - Language key of the script
+ * @param {Array<Object>} [params.lexicon] - Pronunciation entries for the tour's city (SSML only)
+ * @returns {Promise<Object>} { audio: Buffer, contentType, extension, durationSeconds }
+ */
+export async function synthesizeConversation({ turns, language, lexicon }) {
+  const segments = [];
+  for (const { text, voiceId } of turns) {
+    segments.push(await synthesizeSpeech({ text, voiceId, language, lexicon }));
+  }
+  return joinSegments(segments);
+}
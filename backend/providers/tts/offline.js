@@ -0,0 +1,103 @@
+/**
+ * Offline Text-to-Speech Providers
+ *
+ * Run a local TTS binary, so audio can be produced without cloud credentials:
+ *   - espeak-ng: voice is an espeak voice name (e.g. "en-gb", "he")
+ *   - piper:     voice is a model name in PIPER_MODELS_DIR (e.g. "en_GB-alan-medium") or a path to a .onnx model
+ *
+ * Both engines produce WAV.
+ */
+
+import { spawn } from 'child_process';
+import { readFile, unlink } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+const ESPEAK_PATH = process.env.ESPEAK_PATH || 'espeak-ng';
+const PIPER_PATH = process.env.PIPER_PATH || 'piper';
+const PIPER_MODELS_DIR = process.env.PIPER_MODELS_DIR || './piper-voices';
+const ENGINE_TIMEOUT_MS = parseInt(process.env.TTS_ENGINE_TIMEOUT_MS || '120000', 10);
+
+/**
+ * Run a TTS binary with the text on stdin
+ * @param {string} command - Binary to run
+ * @param {Array<string>} args - Arguments
+ * @param {string} input - Text written to stdin
+ * @returns {Promise<Buffer>} Everything the binary wrote to stdout
+ */
+function runEngine(command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const stdout = [];
+    let stderr = '';
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`${command} timed out after ${ENGINE_TIMEOUT_MS}ms`));
+    }, ENGINE_TIMEOUT_MS);
+
+    child.stdout.on('data', (chunk) => stdout.push(chunk));
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      if (err.code === 'ENOENT') {
+        reject(new Error(`TTS engine "${command}" not found - install it or set its path in the environment`));
+      } else {
+        reject(err);
+      }
+    });
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(Buffer.concat(stdout));
+      } else {
+        reject(new Error(`${command} exited with code ${code}: ${stderr.slice(0, 300)}`));
+      }
+    });
+
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Create the espeak-ng provider
+ * @returns {Object} TTS provider (see providers/tts/index.js)
+ */
+export function createEspeakProvider() {
+  return {
+    name: 'espeak',
+    audioType: () => 'audio/wav',
+
+    async synthesize({ text, voice }) {
+      const audio = await runEngine(ESPEAK_PATH, ['-v', voice, '-s', '160', '--stdin', '--stdout'], text);
+      return { audio, contentType: 'audio/wav', extension: 'wav' };
+    },
+  };
+}
+
+/**
+ * Create the Piper provider
+ * @returns {Object} TTS provider (see providers/tts/index.js)
+ */
+export function createPiperProvider() {
+  return {
+    name: 'piper',
+    audioType: () => 'audio/wav',
+
+    async synthesize({ text, voice }) {
+      const modelPath = voice.endsWith('.onnx') || voice.includes('/') ? voice : join(PIPER_MODELS_DIR, `${voice}.onnx`);
+      const outputFile = join(tmpdir(), `piper_${uuidv4()}.wav`);
+
+      try {
+        await runEngine(PIPER_PATH, ['--model', modelPath, '--output_file', outputFile], text);
+        const audio = await readFile(outputFile);
+        return { audio, contentType: 'audio/wav', extension: 'wav' };
+      } finally {
+        await unlink(outputFile).catch(() => {});
+      }
+    },
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * SSML Generation
+ *
+ * Turns a plain-text script into SSML for providers that accept it:
+ *   - paragraphs become <p> elements with a <break> between them
+ *   - *word* or **words** (the only markup scripts may use) become <emphasis>
+ *   - terms from the city's pronunciation lexicon (see utils/pronunciationLexicon.js) are wrapped
+ *     in <phoneme>, <sub> or <lang>
+ *   - any other run of words in another script (Latin in a Hebrew script, Hebrew in an English one)
+ *     is wrapped in <lang> with the language registry's language for that script, so street names
+ *     are read in their own language
+ */
+
+import { getLanguage, listLanguages } from '../../utils/languages.js';
+
+const PARAGRAPH_BREAK = process.env.TTS_SSML_PARAGRAPH_BREAK || '700ms';
+
+// Runs of words in one script, e.g. "Rothschild Boulevard" (Latin) or "שדרות רוטשילד" (Hebrew)
+const scriptRun = (script) => new RegExp(`\\p{Script=${script}}+(?:[\\s'’"״׳.-]+\\p{Script=${script}}+)*`, 'gu');
+
+// Other scripts in the registry, each read by the first language written in it
+function foreignScripts(language) {
+  const { script } = getLanguage(language);
+  const byScript = new Map();
+  for (const entry of listLanguages()) {
+    if (entry.script !== script && !byScript.has(entry.script)) {
+      byScript.set(entry.script, { pattern: scriptRun(entry.script), lang: entry.ttsLanguageCode });
+    }
+  }
+  return [...byScript.values()];
+}
+
+const EMPHASIS = /\*{1,2}([^*\n]+?)\*{1,2}/g;
+
+/**
+ * Escape text for use in SSML content or attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Replace matches of `pattern` with render(match); text between matches goes through `rest`
+function replaceRuns(text, pattern, render, rest) {
+  let output = '';
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    output += rest(text.slice(last, match.index)) + render(match);
+    last = match.index + match[0].length;
+  }
+  return output + rest(text.slice(last));
+}
+
+function renderLexiconEntry(term, entry) {
+  if (entry.ipa) {
+    return `<phoneme alphabet="ipa" ph="${escapeXml(entry.ipa)}">${escapeXml(term)}</phoneme>`;
+  }
+  if (entry.alias) {
+    return `<sub alias="${escapeXml(entry.alias)}">${escapeXml(term)}</sub>`;
+  }
+  return `<lang xml:lang="${escapeXml(entry.lang)}">${escapeXml(term)}</lang>`;
+}
+
+// One regex over all terms, longest first so "Rothschild Boulevard" wins over "Rothschild"
+function buildLexiconMatcher(lexicon) {
+  const entries = (lexicon || []).filter((entry) => entry?.term);
+  if (entries.length === 0) return null;
+
+  const byTerm = new Map(entries.map((entry) => [entry.term.toLowerCase(), entry]));
+  const alternatives = [...byTerm.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return {
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu'),
+    lookup: (term) => byTerm.get(term.toLowerCase()),
+  };
+}
+
+/**
+ * Build SSML for a script
+ * @param {string} text - Plain-text script (paragraphs separated by blank lines)
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language key of the script (see utils/languages.js)
+ * @param {Array<Object>} [options.lexicon] - Pronunciation entries { term, ipa?, alias?, lang? }
+ * @returns {string} <speak> document
+ */
+export function buildSsml(text, { language, lexicon = [] } = {}) {
+  const lexiconMatcher = buildLexiconMatcher(lexicon);
+
+  // One pass per foreign script; text outside its runs goes on to the next script
+  const renderForeign = foreignScripts(language).reduceRight(
+    (rest, { pattern, lang }) => (part) => replaceRuns(part, pattern, ([run]) => `<lang xml:lang="${lang}">${escapeXml(run)}</lang>`, rest),
+    escapeXml
+  );
+
+  const renderTerms = (part) => (lexiconMatcher
+    ? replaceRuns(part, lexiconMatcher.pattern, ([term]) => renderLexiconEntry(term, lexiconMatcher.lookup(term)), renderForeign)
+    : renderForeign(part));
+
+  const renderInline = (part) => replaceRuns(
+    part,
+    EMPHASIS,
+    ([, words]) => `<emphasis level="moderate">${renderTerms(words)}</emphasis>`,
+    // Stray asterisks would be read out loud
+    (rest) => renderTerms(rest.replace(/\*/g, ''))
+  );
+
+  const paragraphs = String(text || '')
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map((paragraph) => `<p>${renderInline(paragraph)}</p>`);
+
+  return `<speak>${paragraphs.join(`<break time="${PARAGRAPH_BREAK}"/>`)}</speak>`;
+}
+
+/**
+ * Text a listener would hear from an SSML document (tags removed, entities decoded)
+ * @param {string} ssml
+ * @returns {string}
+ */
+export function ssmlToText(ssml) {
+  return ssml
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
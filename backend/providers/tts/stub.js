@@ -0,0 +1,96 @@
+/**
+ * Stub Text-to-Speech Provider
+ *
+ * Produces placeholder audio instead of speech, for development and tests:
+ *   - stub:silence - silent MP3 (same format as the real audioguide files)
+ *   - stub:sine    - 440 Hz sine tone WAV, so playback can be heard
+ *
+ * The length follows the text at a normal speaking rate, so durations look realistic.
+ * STUB_TTS_MAX_INPUT_BYTES gives the stub an input limit like Google's, to exercise long-text splitting.
+ * SSML is accepted and timed by the words it contains.
+ */
+
+import { ssmlToText } from './ssml.js';
+
+const WORDS_PER_MINUTE = 150;
+
+// MPEG-1 Layer III frame, 32 kbps, 44.1 kHz, mono: 104 bytes, 1152 samples
+const MP3_FRAME_HEADER = Buffer.from([0xff, 0xfb, 0x10, 0xc0]);
+const MP3_FRAME_BYTES = 104;
+const MP3_FRAME_SECONDS = 1152 / 44100;
+
+const WAV_SAMPLE_RATE = 8000;
+const MAX_INPUT_BYTES = parseInt(process.env.STUB_TTS_MAX_INPUT_BYTES || '0', 10) || undefined;
+const SINE_FREQUENCY = 440;
+
+/**
+ * Estimated speaking time for a text
+ * @param {string} text - Text to "speak"
+ * @returns {number} Seconds (at least 1)
+ */
+export function estimateSpeechSeconds(text) {
+  const words = String(text || '').split(/\s+/).filter(Boolean).length;
+  return Math.max(1, (words / WORDS_PER_MINUTE) * 60);
+}
+
+// Frames with an empty side info decode as silence
+function silentMp3(seconds) {
+  const frameCount = Math.ceil(seconds / MP3_FRAME_SECONDS);
+  const audio = Buffer.alloc(frameCount * MP3_FRAME_BYTES);
+  for (let i = 0; i < frameCount; i++) {
+    MP3_FRAME_HEADER.copy(audio, i * MP3_FRAME_BYTES);
+  }
+  return audio;
+}
+
+// 16-bit mono PCM WAV
+function sineWav(seconds) {
+  const sampleCount = Math.round(seconds * WAV_SAMPLE_RATE);
+  const dataBytes = sampleCount * 2;
+  const audio = Buffer.alloc(44 + dataBytes);
+
+  audio.write('RIFF', 0);
+  audio.writeUInt32LE(36 + dataBytes, 4);
+  audio.write('WAVE', 8);
+  audio.write('fmt ', 12);
+  audio.writeUInt32LE(16, 16); // fmt chunk size
+  audio.writeUInt16LE(1, 20); // PCM
+  audio.writeUInt16LE(1, 22); // mono
+  audio.writeUInt32LE(WAV_SAMPLE_RATE, 24);
+  audio.writeUInt32LE(WAV_SAMPLE_RATE * 2, 28); // byte rate
+  audio.writeUInt16LE(2, 32); // block align
+  audio.writeUInt16LE(16, 34); // bits per sample
+  audio.write('data', 36);
+  audio.writeUInt32LE(dataBytes, 40);
+
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = Math.round(Math.sin((2 * Math.PI * SINE_FREQUENCY * i) / WAV_SAMPLE_RATE) * 0.2 * 32767);
+    audio.writeInt16LE(sample, 44 + i * 2);
+  }
+
+  return audio;
+}
+
+/**
+ * Create the stub provider
+ * @returns {Object} TTS provider (see providers/tts/index.js)
+ */
+export function createStubTtsProvider() {
+  return {
+    name: 'stub',
+    maxInputBytes: MAX_INPUT_BYTES,
+    supportsSsml: true,
+    audioType: (voice) => (voice === 'sine' ? 'audio/wav' : 'audio/mpeg'),
+
+    async synthesize({ text, ssml, voice }) {
+      if (MAX_INPUT_BYTES && Buffer.byteLength(ssml ?? text, 'utf8') > MAX_INPUT_BYTES) {
+        throw new Error(`Stub TTS input over ${MAX_INPUT_BYTES} bytes`);
+      }
+      const seconds = estimateSpeechSeconds(ssml ? ssmlToText(ssml) : text);
+      if (voice === 'sine') {
+        return { audio: sineWav(seconds), contentType: 'audio/wav', extension: 'wav' };
+      }
+      return { audio: silentMp3(seconds), contentType: 'audio/mpeg', extension: 'mp3' };
+    },
+  };
+}
@@ -0,0 +1,58 @@
+import './helpers/env.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { isAdminAuthorized, requireAdmin } = await import('../utils/adminAuth.js');
+
+// Just enough of Express' req/res for the middleware
+function runMiddleware(authorization) {
+  const req = { method: 'PUT', path: '/api/lexicon/Israel/Tel%20Aviv-Yafo', get: () => authorization };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let nextCalled = false;
+  requireAdmin(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
+
+describe('admin authentication', () => {
+  afterEach(() => {
+    delete process.env.ADMIN_TOKEN;
+  });
+
+  it('accepts only the configured bearer token', () => {
+    assert.equal(isAdminAuthorized('Bearer s3cret', 's3cret'), true);
+    assert.equal(isAdminAuthorized('Bearer wrong', 's3cret'), false);
+    assert.equal(isAdminAuthorized('s3cret', 's3cret'), false);
+    assert.equal(isAdminAuthorized(undefined, 's3cret'), false);
+    assert.equal(isAdminAuthorized('Bearer s3cret', undefined), false);
+  });
+
+  it('rejects writes without the token', () => {
+    process.env.ADMIN_TOKEN = 's3cret';
+
+    assert.equal(runMiddleware('Bearer s3cret').nextCalled, true);
+
+    const { res, nextCalled } = runMiddleware('Bearer wrong');
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.body, { error: 'admin-token-required' });
+  });
+
+  it('disables admin writes when no token is configured', () => {
+    const { res, nextCalled } = runMiddleware('Bearer anything');
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+});
@@ -0,0 +1,47 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeAudioguideItems } from '../audioguideGeneration.js';
+
+// How the graph nodes shape their updates: one entry at its index of a sparse array
+const stopUpdate = (index, value) => {
+  const stops = [];
+  stops[index] = value;
+  return { stops };
+};
+
+describe('mergeAudioguideItems', () => {
+  const empty = { intro: null, stops: [] };
+
+  it('merges parallel stop updates by index', () => {
+    const updates = [stopUpdate(2, { text: 'c' }), stopUpdate(0, { text: 'a' }), stopUpdate(1, { text: 'b' })];
+
+    const merged = updates.reduce(mergeAudioguideItems, empty);
+
+    assert.deepEqual(merged.stops, [{ text: 'a' }, { text: 'b' }, { text: 'c' }]);
+    assert.equal(merged.intro, null);
+  });
+
+  it('keeps existing entries that an update does not touch', () => {
+    const current = { intro: { text: 'hi' }, stops: [{ text: 'a' }, { status: 'failed' }] };
+
+    const merged = mergeAudioguideItems(current, stopUpdate(1, { text: 'retried' }));
+
+    assert.deepEqual(merged, { intro: { text: 'hi' }, stops: [{ text: 'a' }, { text: 'retried' }] });
+    // The current state is not mutated
+    assert.deepEqual(current.stops[1], { status: 'failed' });
+  });
+
+  it('updates the intro without touching the stops', () => {
+    const current = { intro: null, stops: [{ text: 'a' }] };
+
+    assert.deepEqual(mergeAudioguideItems(current, { intro: { text: 'hi' } }), { intro: { text: 'hi' }, stops: [{ text: 'a' }] });
+  });
+
+  it('ignores empty updates', () => {
+    const current = { intro: null, stops: [{ text: 'a' }] };
+
+    assert.equal(mergeAudioguideItems(current, null), current);
+    assert.deepEqual(mergeAudioguideItems(current, { stops: [null, undefined] }).stops, [{ text: 'a' }]);
+  });
+});
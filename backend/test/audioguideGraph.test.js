@@ -0,0 +1,59 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeRedis } from './helpers/fakeRedis.js';
+import { MARKET_STOP, seedTour } from './helpers/tours.js';
+
+// One placeholder passage per stop, so grounding doesn't depend on the knowledge index
+process.env.KNOWLEDGE_SOURCES = 'stub';
+
+const { buildAudioguideGraph } = await import('../audioguideGeneration.js');
+
+// Run the whole graph on a seeded tour; the fake Redis can't back a checkpointer, so there is none
+async function runGraph(redis, stops) {
+  const { tour } = await seedTour(redis, { stops });
+  const graph = await buildAudioguideGraph({ tourId: 'tour_1', language: 'english', voice: 'stub:silence', redisClient: redis, checkpointer: null });
+  return graph.invoke({ tourId: 'tour_1', selectedTour: tour, areaContext: {}, language: 'english', voice: 'stub:silence' });
+}
+
+describe('buildAudioguideGraph', () => {
+  it('grounds stop scripts in the retrieved passages and saves their sources', async () => {
+    const redis = createFakeRedis();
+
+    const finalState = await runGraph(redis, [MARKET_STOP, { ...MARKET_STOP, id: 'poi_2', name: 'Garden' }]);
+
+    const { scripts, audioFiles } = await redis.json.get('tour:tour_1');
+    assert.deepEqual(scripts.stops.map((script) => script.sources), [
+      [{ provider: 'stub', title: 'Market', url: null }],
+      [{ provider: 'stub', title: 'Garden', url: null }],
+    ]);
+    assert.equal(scripts.intro.status, 'complete');
+    assert.equal(scripts.intro.sources, undefined);
+    assert.deepEqual(finalState.scripts.stops.map((script) => script.sources[0].title), ['Market', 'Garden']);
+    assert.ok(audioFiles.stops.every((audio) => audio.status === 'complete'));
+  });
+
+  it('fact-checks the intro and stop scripts, saving and publishing the verdicts', async () => {
+    const redis = createFakeRedis();
+
+    await runGraph(redis, [MARKET_STOP]);
+
+    const { scripts } = await redis.json.get('tour:tour_1');
+    for (const { review } of [scripts.intro, scripts.stops[0]]) {
+      // The mock checker finds no issues, so the first drafts pass
+      assert.deepEqual(review.issues, []);
+      assert.equal(review.passed, true);
+      assert.equal(review.attempts, 1);
+      assert.equal(review.modelUsed, 'mock');
+      assert.ok(review.checkedAt);
+    }
+
+    const published = redis.published
+      .filter((p) => p.channel === 'tour:tour_1:events')
+      .map((p) => JSON.parse(p.message))
+      .filter((event) => event.type === 'script_complete');
+    const reviewOf = (itemType) => published.find((event) => event.data.itemType === itemType).data.script.review;
+    assert.deepEqual(reviewOf('intro'), scripts.intro.review);
+    assert.deepEqual(reviewOf('stop'), scripts.stops[0].review);
+  });
+});
@@ -0,0 +1,119 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { hostname } from 'os';
+import { createFakeRedis } from './helpers/fakeRedis.js';
+import { waitFor } from './helpers/waitFor.js';
+
+// Short enough that the heartbeat (every CLAIM_IDLE_MS / 3, at least 1 s) runs during a test
+process.env.AUDIOGUIDE_JOB_CLAIM_IDLE_MS = '3000';
+
+const { AUDIOGUIDE_JOBS_STREAM, enqueueAudioguideJob, startAudioguideWorker, uniqueConsumerName } = await import('../utils/audioguideQueue.js');
+
+const GROUP = 'audioguide-workers';
+
+const pendingJobs = (redis) => redis.xPendingRange(AUDIOGUIDE_JOBS_STREAM, GROUP, '-', '+', 100);
+
+// Start a worker whose handler records the jobs it runs; the test stops it
+async function startRecordingWorker(redis, { handle = async () => {}, ...options } = {}) {
+  const runs = [];
+  const worker = await startAudioguideWorker({
+    redisClient: redis,
+    handlers: {
+      generate: async (job) => {
+        runs.push(job);
+        await handle(job);
+      },
+    },
+    ...options,
+  });
+  return { runs, worker };
+}
+
+describe('uniqueConsumerName', () => {
+  it('differs between workers of one process and host', () => {
+    const first = uniqueConsumerName('worker');
+    const second = uniqueConsumerName('worker');
+
+    assert.notEqual(first, second);
+    assert.ok(first.startsWith(`${hostname()}-worker-${process.pid}-`));
+  });
+});
+
+describe('startAudioguideWorker', () => {
+  it('runs an enqueued job and acknowledges it once the handler finishes', async () => {
+    const redis = createFakeRedis();
+    const pendingWhileRunning = [];
+    const { runs, worker } = await startRecordingWorker(redis, {
+      handle: async () => pendingWhileRunning.push((await pendingJobs(redis)).length),
+    });
+
+    try {
+      await enqueueAudioguideJob(redis, { tourId: 'tour_1', payload: { reason: 'test' } });
+      await waitFor(async () => runs.length === 1 && (await pendingJobs(redis)).length === 0);
+    } finally {
+      await worker.stop();
+    }
+
+    assert.equal(runs[0].tourId, 'tour_1');
+    assert.deepEqual(runs[0].payload, { reason: 'test' });
+    assert.deepEqual(pendingWhileRunning, [1]);
+  });
+
+  it('claims the pending job of a dead consumer and runs it only once', async () => {
+    let clock = Date.now();
+    const redis = createFakeRedis({ now: () => clock });
+    await enqueueAudioguideJob(redis, { tourId: 'tour_1' });
+    // The dead worker received the job but never acknowledged it
+    await redis.xReadGroup(GROUP, 'dead-worker', { key: AUDIOGUIDE_JOBS_STREAM, id: '>' });
+    clock += 10_000;
+
+    const first = await startRecordingWorker(redis);
+    const second = await startRecordingWorker(redis);
+    try {
+      await waitFor(async () => (await pendingJobs(redis)).length === 0);
+    } finally {
+      await Promise.all([first.worker.stop(), second.worker.stop()]);
+    }
+
+    assert.deepEqual([...first.runs, ...second.runs].map((job) => job.tourId), ['tour_1']);
+  });
+
+  it('resumes its own pending jobs at once when restarted under the same name', async () => {
+    const redis = createFakeRedis();
+    await enqueueAudioguideJob(redis, { tourId: 'tour_1' });
+    await redis.xReadGroup(GROUP, 'worker-1', { key: AUDIOGUIDE_JOBS_STREAM, id: '>' });
+
+    // Not idle long enough for anyone else to claim it
+    const { runs, worker } = await startRecordingWorker(redis, { consumerName: 'worker-1' });
+    try {
+      await waitFor(async () => (await pendingJobs(redis)).length === 0);
+    } finally {
+      await worker.stop();
+    }
+
+    assert.equal(runs.length, 1);
+  });
+
+  it('keeps a long-running job from looking abandoned', async () => {
+    const redis = createFakeRedis();
+    let finish;
+    const running = new Promise((resolve) => { finish = resolve; });
+    const { runs, worker } = await startRecordingWorker(redis, { handle: () => running });
+
+    try {
+      await enqueueAudioguideJob(redis, { tourId: 'tour_1' });
+      await waitFor(() => runs.length === 1);
+      const startedAt = Date.now();
+
+      // The heartbeat re-claims the job every second, resetting its idle time
+      await waitFor(async () => {
+        const [job] = await pendingJobs(redis);
+        return Date.now() - startedAt > 1200 && job.millisecondsSinceLastDelivery < Date.now() - startedAt - 100;
+      }, { timeoutMs: 3000 });
+    } finally {
+      finish();
+      await worker.stop();
+    }
+  });
+});
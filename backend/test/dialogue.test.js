@@ -0,0 +1,110 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeRedis } from './helpers/fakeRedis.js';
+import { seedTour } from './helpers/tours.js';
+
+const { parseDialogueLines, dialogueTranscript } = await import('../utils/dialogue.js');
+const { synthesizeConversation, synthesizeSpeech, defaultSecondVoiceId, isVoiceAllowed, validateDialogueVoices } = await import('../providers/tts/index.js');
+const { regenerateStop } = await import('../audioguideGeneration.js');
+
+describe('parseDialogueLines', () => {
+  it('normalizes speakers and drops empty lines', () => {
+    const lines = parseDialogueLines({
+      lines: [
+        { speaker: 'a', text: ' Welcome. ' },
+        { speaker: 'B', text: '' },
+        { speaker: ' B', text: 'Thanks!' },
+      ],
+    });
+
+    assert.deepEqual(lines, [{ speaker: 'A', text: 'Welcome.' }, { speaker: 'B', text: 'Thanks!' }]);
+  });
+
+  it('rejects unknown speakers and dialogues with fewer than two lines', () => {
+    assert.throws(() => parseDialogueLines({ lines: [{ speaker: 'A', text: 'Hi' }, { speaker: 'C', text: 'Hello' }] }), /unknown speaker "C"/);
+    assert.throws(() => parseDialogueLines({ lines: [{ speaker: 'A', text: 'Hi' }] }), /Empty response/);
+    assert.throws(() => parseDialogueLines('not a dialogue'), /Empty response/);
+  });
+
+  it('builds a transcript with one paragraph per line', () => {
+    assert.equal(
+      dialogueTranscript([{ speaker: 'A', text: 'Look up.' }, { speaker: 'B', text: 'Wow.' }]),
+      'A: Look up.\n\nB: Wow.'
+    );
+  });
+});
+
+describe('synthesizeConversation', () => {
+  it('voices each turn and joins them into one MP3', async () => {
+    const turns = [
+      { text: 'Welcome to the old market.', voiceId: 'stub:silence' },
+      { text: 'What do they sell here?', voiceId: 'stub:silence' },
+    ];
+
+    const result = await synthesizeConversation({ turns, language: 'english' });
+    const first = await synthesizeSpeech({ text: turns[0].text, voiceId: 'stub:silence' });
+    const second = await synthesizeSpeech({ text: turns[1].text, voiceId: 'stub:silence' });
+
+    assert.equal(result.contentType, 'audio/mpeg');
+    assert.equal(result.audio.length, first.audio.length + second.audio.length);
+  });
+
+  it('joins WAV turns of offline voices', async () => {
+    const result = await synthesizeConversation({ turns: [{ text: 'One.', voiceId: 'stub:sine' }, { text: 'Two.', voiceId: 'stub:sine' }] });
+    assert.equal(result.contentType, 'audio/wav');
+  });
+
+  it('refuses to join MP3 and WAV turns', async () => {
+    await assert.rejects(
+      synthesizeConversation({ turns: [{ text: 'One.', voiceId: 'stub:silence' }, { text: 'Two.', voiceId: 'stub:sine' }] }),
+      /Cannot join audio\/mpeg and audio\/wav segments/
+    );
+  });
+});
+
+describe('validateDialogueVoices', () => {
+  it('accepts voices with the same audio format only', () => {
+    assert.equal(validateDialogueVoices('google:en-GB-Wavenet-B', 'google:en-GB-Wavenet-A'), null);
+    assert.equal(validateDialogueVoices('espeak:en-gb', 'piper:en_GB-alan-medium'), null);
+    assert.match(validateDialogueVoices('google:en-GB-Wavenet-B', 'espeak:en-gb+f3'), /same audio format/);
+    assert.match(validateDialogueVoices('stub:silence', 'stub:sine'), /stub:sine audio\/wav/);
+  });
+});
+
+describe('defaultSecondVoiceId', () => {
+  it("uses the language's dialogue voice for the first host's provider", () => {
+    assert.equal(defaultSecondVoiceId('english', 'google:en-GB-Wavenet-B'), 'google:en-GB-Wavenet-A');
+    assert.equal(defaultSecondVoiceId('hebrew', 'espeak:he'), 'espeak:he+f3');
+    assert.ok(isVoiceAllowed('google:en-GB-Wavenet-A', 'english'));
+  });
+
+  it('picks another voice of the same provider when the first host already has the dialogue voice', () => {
+    assert.equal(defaultSecondVoiceId('english', 'google:en-GB-Wavenet-A'), 'google:en-GB-Wavenet-B');
+  });
+
+  it("falls back to the first host's voice when the provider has no other voice", () => {
+    assert.equal(defaultSecondVoiceId('english', 'stub:silence'), 'stub:silence');
+  });
+});
+
+describe('regenerateStop in dialogue mode', () => {
+  it('stores speaker-tagged lines with a plain transcript', async () => {
+    const redis = createFakeRedis();
+    await seedTour(redis, {
+      narrationStyle: 'dialogue',
+      scripts: { intro: null, stops: [{ status: 'complete', content: 'Old monologue' }] },
+      audioFiles: { intro: null, stops: [{ status: 'complete', url: '/old.mp3' }] },
+    });
+
+    await regenerateStop({ tourId: 'tour_1', stopIndex: 0, redisClient: redis });
+
+    const { scripts, audioFiles } = await redis.json.get('tour:tour_1');
+    const [script] = scripts.stops;
+    assert.equal(script.status, 'complete');
+    assert.ok(script.lines.length >= 2);
+    assert.deepEqual([...new Set(script.lines.map((line) => line.speaker))].sort(), ['A', 'B']);
+    assert.equal(script.content, dialogueTranscript(script.lines));
+    assert.notEqual(audioFiles.stops[0].url, '/old.mp3');
+  });
+});
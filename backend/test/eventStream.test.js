@@ -0,0 +1,71 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { createEventHub } = await import('../utils/eventStream.js');
+
+// Redis client whose duplicate() is a pub/sub subscriber failing its first `failures` SUBSCRIBEs
+function createPubSubClient({ failures = 0 } = {}) {
+  const handlers = new Map();
+  let subscribeCalls = 0;
+  const subscriber = {
+    on() {},
+    async connect() {},
+    async subscribe(channel, handler) {
+      subscribeCalls++;
+      if (subscribeCalls <= failures) throw new Error('SUBSCRIBE failed');
+      handlers.set(channel, handler);
+    },
+    async unsubscribe(channel) {
+      handlers.delete(channel);
+    },
+    async quit() {},
+  };
+  return {
+    duplicate: () => subscriber,
+    publish: (channel, event) => handlers.get(channel)?.(JSON.stringify(event), channel),
+    get subscribeCalls() {
+      return subscribeCalls;
+    },
+  };
+}
+
+describe('createEventHub', () => {
+  it('subscribes again after a failed SUBSCRIBE', async () => {
+    const client = createPubSubClient({ failures: 1 });
+    const hub = createEventHub(client);
+
+    await assert.rejects(hub.subscribe('tour:1:events', () => {}), /SUBSCRIBE failed/);
+
+    const received = [];
+    await hub.subscribe('tour:1:events', (event) => received.push(event.type));
+    client.publish('tour:1:events', { type: 'status' });
+
+    assert.equal(client.subscribeCalls, 2);
+    assert.deepEqual(received, ['status']);
+  });
+
+  it('fails listeners that joined while the SUBSCRIBE was pending', async () => {
+    const hub = createEventHub(createPubSubClient({ failures: 1 }));
+
+    const results = await Promise.allSettled([
+      hub.subscribe('tour:1:events', () => {}),
+      hub.subscribe('tour:1:events', () => {}),
+    ]);
+    assert.deepEqual(results.map((result) => result.status), ['rejected', 'rejected']);
+  });
+
+  it('shares one SUBSCRIBE between listeners of a channel', async () => {
+    const client = createPubSubClient();
+    const hub = createEventHub(client);
+    const received = [];
+
+    const unsubscribeFirst = await hub.subscribe('tour:1:events', () => received.push('first'));
+    await hub.subscribe('tour:1:events', () => received.push('second'));
+    await unsubscribeFirst();
+    client.publish('tour:1:events', { type: 'status' });
+
+    assert.equal(client.subscribeCalls, 1);
+    assert.deepEqual(received, ['second']);
+  });
+});
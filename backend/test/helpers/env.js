@@ -0,0 +1,40 @@
+/**
+ * Test environment
+ *
+ * Import this first in every test file: the app reads most configuration when a module loads,
+ * so the providers have to be chosen before any app module is imported.
+ * Everything runs offline - mock LLM fixtures, stub TTS, straight-line routing, the GeoJSON
+ * POI fixture, local storage in a temp directory and strict HTTP replay.
+ */
+
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const fixturesDir = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+Object.assign(process.env, {
+  LLM_PROVIDER: 'mock',
+  TTS_PROVIDER: 'stub',
+  ROUTING_PROVIDER: 'haversine',
+  POI_PROVIDER: 'geojson',
+  POI_GEOJSON_PATH: join(fixturesDir, 'pois.geojson'),
+  STORAGE_PROVIDER: 'local',
+  LOCAL_STORAGE_DIR: mkdtempSync(join(tmpdir(), 'audioguide-test-')),
+  HTTP_MODE: 'replay',
+  HTTP_FIXTURES_DIR: join(fixturesDir, 'http'),
+  // Any key makes LocationIQ the geocoder; its responses come from the HTTP fixtures
+  LOCATIONIQ_API_KEY: 'test',
+  // Skips the embedding-model icon search in assembleAreaContext, which downloads a model
+  NODE_ENV: 'production',
+  LANGCHAIN_TRACING_V2: 'false',
+  LANGSMITH_TRACING: 'false',
+});
+
+for (const name of ['GOOGLE_MAPS_API_KEY', 'TOUR_DEBUG', 'TTS_VOICE_ENGLISH', 'TTS_VOICE_HEBREW', 'LLM_MOCK_FIXTURES_DIR']) {
+  delete process.env[name];
+}
+
+// Tel Aviv, next to the POIs in fixtures/pois.geojson
+export const START = { latitude: 32.0853, longitude: 34.7818 };
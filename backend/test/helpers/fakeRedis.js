@@ -0,0 +1,443 @@
+/**
+ * In-memory Redis stand-in for tests
+ *
+ * Covers the commands the LangGraph nodes use: hashes, RedisJSON (root and simple dotted paths,
+ * e.g. $.scripts.stops[2]), expire, publish, multi, WATCH on duplicate() connections, the stream
+ * consumer-group commands of the audioguide queue and a small RediSearch subset.
+ * Blocking stream reads wait at most BLOCK_POLL_MS, so a stopping worker never waits out a full BLOCK.
+ * Idle times of pending stream entries follow the `now` clock, which tests can move forward.
+ * FT.SEARCH
+ * understands the query forms the app builds:
+ *   @field:[lon lat radius m]   GEO
+ *   @field:[min max]            NUMERIC
+ *   @field:{a|b}                TAG
+ * Clauses are ANDed; anything else throws, so a new query form fails loudly instead of matching everything.
+ */
+
+import { WatchError } from 'redis';
+
+const EARTH_RADIUS_METERS = 6371000;
+const UNIT_METERS = { m: 1, km: 1000, mi: 1609.34, ft: 0.3048 };
+
+const BLOCK_POLL_MS = 20;
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+// Stream IDs ("ms-seq") in stream order
+const compareIds = (a, b) => {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+};
+
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+// "$.a.b[2]" -> ['a', 'b', 2]; "$.types[*]" -> ['types', '*']
+function parsePath(path) {
+  if (path === '$' || path === '.') return [];
+  if (!path.startsWith('$.')) {
+    throw new Error(`fakeRedis: unsupported JSON path "${path}"`);
+  }
+  const segments = [];
+  for (const part of path.slice(2).split('.')) {
+    const match = /^([^[\]]+)((?:\[(?:\d+|\*)\])*)$/.exec(part);
+    if (!match) throw new Error(`fakeRedis: unsupported JSON path "${path}"`);
+    segments.push(match[1]);
+    for (const [, index] of match[2].matchAll(/\[(\d+|\*)\]/g)) {
+      segments.push(index === '*' ? '*' : Number(index));
+    }
+  }
+  return segments;
+}
+
+function readPath(doc, segments) {
+  let values = [doc];
+  for (const segment of segments) {
+    values = values.flatMap((value) => {
+      if (value == null || typeof value !== 'object') return [];
+      if (segment === '*') return Array.isArray(value) ? value : [];
+      return value[segment] === undefined ? [] : [value[segment]];
+    });
+  }
+  return values;
+}
+
+function parseQuery(query) {
+  const clauses = [];
+  const rest = query.replace(/@(\w+):(\[[^\]]*\]|\{[^}]*\})/g, (_, field, spec) => {
+    if (spec.startsWith('{')) {
+      clauses.push({ field, kind: 'tag', values: spec.slice(1, -1).split('|').map((v) => v.trim().toLowerCase()) });
+      return '';
+    }
+    const parts = spec.slice(1, -1).trim().split(/\s+/);
+    if (parts.length === 4) {
+      const [lon, lat, radius, unit] = parts;
+      clauses.push({ field, kind: 'geo', lon: Number(lon), lat: Number(lat), meters: Number(radius) * (UNIT_METERS[unit] ?? NaN) });
+    } else if (parts.length === 2) {
+      const bound = (value) => (value === '-inf' ? -Infinity : value === '+inf' || value === 'inf' ? Infinity : Number(value));
+      clauses.push({ field, kind: 'numeric', min: bound(parts[0]), max: bound(parts[1]) });
+    } else {
+      throw new Error(`fakeRedis: unsupported range "${spec}"`);
+    }
+    return '';
+  });
+
+  if (rest.trim() && rest.trim() !== '*') {
+    throw new Error(`fakeRedis: unsupported query "${query}"`);
+  }
+  return clauses;
+}
+
+function matchesClause(values, clause) {
+  return values.some((value) => {
+    if (clause.kind === 'tag') {
+      return clause.values.includes(String(value).toLowerCase());
+    }
+    if (clause.kind === 'numeric') {
+      const number = Number(value);
+      return number >= clause.min && number <= clause.max;
+    }
+    const [lon, lat] = String(value).split(',').map(Number);
+    return distanceMeters(clause.lat, clause.lon, lat, lon) <= clause.meters;
+  });
+}
+
+/**
+ * Create an in-memory Redis client
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock for stream idle times (default Date.now)
+ * @returns {Object} Client with the node-redis method names, plus `store`, `ttls` and `published` for assertions
+ */
+export function createFakeRedis({ now = Date.now } = {}) {
+  const store = new Map(); // key -> { type: 'hash' | 'json', value }
+  const ttls = new Map();
+  const indexes = new Map(); // name -> { prefixes, fields: [{ path, as, type }] }
+  const published = [];
+  const versions = new Map(); // key -> write count, for WATCH
+  const streams = new Map(); // key -> { entries: [{ id, message }], groups: Map(name -> { lastId, pending }) }
+  let lastStreamMs = 0;
+  let lastStreamSeq = 0;
+
+  const stream = (key) => {
+    if (!streams.has(key)) streams.set(key, { entries: [], groups: new Map() });
+    return streams.get(key);
+  };
+
+  const group = (key, name) => {
+    const found = streams.get(key)?.groups.get(name);
+    if (!found) throw new Error(`NOGROUP No such key '${key}' or consumer group '${name}'`);
+    return found;
+  };
+
+  const findEntry = (key, id) => streams.get(key).entries.find((entry) => entry.id === id) || null;
+
+  // Give pending entries to a consumer, resetting their idle time
+  const claim = (pendingEntry, consumer, { delivered = true } = {}) => {
+    pendingEntry.consumer = consumer;
+    pendingEntry.deliveredAt = now();
+    if (delivered) pendingEntry.deliveries++;
+  };
+
+  const touch = (key) => versions.set(key, (versions.get(key) || 0) + 1);
+
+  const entry = (key, type) => {
+    const found = store.get(key);
+    if (found && found.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return found;
+  };
+
+  const json = {
+    async get(key, options = {}) {
+      const found = entry(key, 'json');
+      if (!found) return null;
+      if (!options.path) return clone(found.value);
+      return clone(readPath(found.value, parsePath(options.path)));
+    },
+
+    async set(key, path, value) {
+      const segments = parsePath(path);
+      const found = entry(key, 'json');
+      touch(key);
+      if (segments.length === 0) {
+        store.set(key, { type: 'json', value: clone(value) });
+        return 'OK';
+      }
+      if (!found) {
+        throw new Error('ERR new objects must be created at the root');
+      }
+      const [parent] = readPath(found.value, segments.slice(0, -1));
+      if (parent == null || typeof parent !== 'object') return null;
+      parent[segments[segments.length - 1]] = clone(value);
+      return 'OK';
+    },
+  };
+
+  const ft = {
+    async create(name, schema, options = {}) {
+      if (indexes.has(name)) throw new Error('Index already exists');
+      const prefixes = [].concat(options.PREFIX || '');
+      const fields = Object.entries(schema).map(([path, spec]) => ({ path, as: spec.AS || path, type: spec.type }));
+      indexes.set(name, { prefixes, fields });
+      return 'OK';
+    },
+
+    async info(name) {
+      const index = indexes.get(name);
+      if (!index) throw new Error('Unknown index name');
+      return { indexName: name, numDocs: indexedKeys(index).length };
+    },
+
+    async search(name, query, options = {}) {
+      const index = indexes.get(name);
+      if (!index) throw new Error('Unknown index name');
+
+      const clauses = parseQuery(query);
+      const fieldPaths = new Map(index.fields.map((field) => [field.as, parsePath(field.path)]));
+
+      const matches = indexedKeys(index).filter((key) => {
+        const doc = store.get(key).value;
+        return clauses.every((clause) => {
+          const segments = fieldPaths.get(clause.field);
+          if (!segments) throw new Error(`Unknown field "${clause.field}"`);
+          return matchesClause(readPath(doc, segments), clause);
+        });
+      });
+
+      const { from = 0, size = 10 } = options.LIMIT || {};
+      return {
+        total: matches.length,
+        documents: matches.slice(from, from + size).map((key) => ({ id: key, value: clone(store.get(key).value) })),
+      };
+    },
+  };
+
+  function indexedKeys(index) {
+    return [...store.keys()].filter((key) =>
+      store.get(key).type === 'json' && index.prefixes.some((prefix) => key.startsWith(prefix))
+    );
+  }
+
+  const client = {
+    store,
+    ttls,
+    published,
+    json,
+    ft,
+
+    async hSet(key, fieldOrValues, value) {
+      const found = entry(key, 'hash') || { type: 'hash', value: {} };
+      const values = typeof fieldOrValues === 'object' ? fieldOrValues : { [fieldOrValues]: value };
+      let added = 0;
+      touch(key);
+      for (const [field, fieldValue] of Object.entries(values)) {
+        if (!(field in found.value)) added++;
+        found.value[field] = String(fieldValue);
+      }
+      store.set(key, found);
+      return added;
+    },
+
+    async hGet(key, field) {
+      return entry(key, 'hash')?.value[field] ?? null;
+    },
+
+    async hGetAll(key) {
+      return { ...(entry(key, 'hash')?.value || {}) };
+    },
+
+    async hIncrByFloat(key, field, increment) {
+      const found = entry(key, 'hash') || { type: 'hash', value: {} };
+      touch(key);
+      const value = parseFloat(found.value[field] || '0') + Number(increment);
+      found.value[field] = String(value);
+      store.set(key, found);
+      return String(value);
+    },
+
+    async expire(key, seconds) {
+      if (!store.has(key)) return 0;
+      ttls.set(key, seconds);
+      return 1;
+    },
+
+    async del(keys) {
+      return [].concat(keys).filter((key) => {
+        touch(key);
+        ttls.delete(key);
+        return store.delete(key);
+      }).length;
+    },
+
+    async publish(channel, message) {
+      published.push({ channel, message });
+      return 0;
+    },
+
+    async xGroupCreate(key, name, id, options = {}) {
+      if (!streams.has(key) && !options.MKSTREAM) throw new Error('ERR The XGROUP subcommand requires the key to exist');
+      const { entries, groups } = stream(key);
+      if (groups.has(name)) throw new Error('BUSYGROUP Consumer Group name already exists');
+      groups.set(name, { lastId: id === '$' ? (entries.at(-1)?.id ?? '0-0') : id, pending: new Map() });
+      return 'OK';
+    },
+
+    async xAdd(key, id, message) {
+      const ms = Math.max(Date.now(), lastStreamMs);
+      lastStreamSeq = ms === lastStreamMs ? lastStreamSeq + 1 : 0;
+      lastStreamMs = ms;
+      const entryId = `${ms}-${lastStreamSeq}`;
+      stream(key).entries.push({ id: entryId, message: { ...message } });
+      return entryId;
+    },
+
+    // '>' delivers new entries to the consumer; an ID re-reads the consumer's own pending entries
+    async xReadGroup(name, consumer, { key, id }, options = {}) {
+      const readGroup = group(key, name);
+      const count = options.COUNT ?? Infinity;
+
+      if (id !== '>') {
+        const messages = [...readGroup.pending.values()]
+          .filter((pendingEntry) => pendingEntry.consumer === consumer && compareIds(pendingEntry.id, id) > 0)
+          .slice(0, count)
+          .map((pendingEntry) => findEntry(key, pendingEntry.id));
+        return [{ name: key, messages }];
+      }
+
+      const deadline = Date.now() + Math.min(options.BLOCK ?? 0, BLOCK_POLL_MS);
+      for (;;) {
+        const fresh = streams.get(key).entries.filter((entry) => compareIds(entry.id, readGroup.lastId) > 0).slice(0, count);
+        if (fresh.length > 0) {
+          for (const entry of fresh) {
+            const pendingEntry = { id: entry.id, deliveries: 0 };
+            claim(pendingEntry, consumer);
+            readGroup.pending.set(entry.id, pendingEntry);
+          }
+          readGroup.lastId = fresh.at(-1).id;
+          return [{ name: key, messages: fresh.map((entry) => ({ id: entry.id, message: { ...entry.message } })) }];
+        }
+        if (Date.now() >= deadline) return null;
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+    },
+
+    async xAck(key, name, ids) {
+      const { pending } = group(key, name);
+      return [].concat(ids).filter((id) => pending.delete(id)).length;
+    },
+
+    async xPendingRange(key, name, start, end, count) {
+      return [...group(key, name).pending.values()]
+        .filter((pendingEntry) => (start === '-' || compareIds(pendingEntry.id, start) >= 0) && (end === '+' || compareIds(pendingEntry.id, end) <= 0))
+        .slice(0, count)
+        .map((pendingEntry) => ({
+          id: pendingEntry.id,
+          consumer: pendingEntry.consumer,
+          millisecondsSinceLastDelivery: now() - pendingEntry.deliveredAt,
+          deliveriesCounter: pendingEntry.deliveries,
+        }));
+    },
+
+    async xClaimJustId(key, name, consumer, minIdleTime, ids) {
+      const { pending } = group(key, name);
+      return [].concat(ids).filter((id) => {
+        const pendingEntry = pending.get(id);
+        if (!pendingEntry || now() - pendingEntry.deliveredAt < minIdleTime) return false;
+        claim(pendingEntry, consumer, { delivered: false });
+        return true;
+      });
+    },
+
+    async xAutoClaim(key, name, consumer, minIdleTime, start, options = {}) {
+      const candidates = [...group(key, name).pending.values()]
+        .filter((pendingEntry) => compareIds(pendingEntry.id, start) >= 0)
+        .sort((a, b) => compareIds(a.id, b.id));
+      const count = options.COUNT ?? 100;
+      const messages = [];
+      let scanned = 0;
+      for (const pendingEntry of candidates) {
+        if (messages.length >= count) break;
+        scanned++;
+        if (now() - pendingEntry.deliveredAt < minIdleTime) continue;
+        claim(pendingEntry, consumer);
+        const entry = findEntry(key, pendingEntry.id);
+        messages.push({ id: entry.id, message: { ...entry.message } });
+      }
+      return { nextId: candidates[scanned]?.id ?? '0-0', messages, deletedMessages: [] };
+    },
+
+    async xGroupDelConsumer(key, name, consumer) {
+      const { pending } = group(key, name);
+      const owned = [...pending.values()].filter((pendingEntry) => pendingEntry.consumer === consumer);
+      owned.forEach((pendingEntry) => pending.delete(pendingEntry.id));
+      return owned.length;
+    },
+
+    // Queued commands run in order on exec(), like a MULTI block
+    multi() {
+      const queue = [];
+      const transaction = {
+        json: {
+          set: (...args) => { queue.push(() => json.set(...args)); return transaction; },
+        },
+        hSet: (...args) => { queue.push(() => client.hSet(...args)); return transaction; },
+        hIncrByFloat: (...args) => { queue.push(() => client.hIncrByFloat(...args)); return transaction; },
+        expire: (...args) => { queue.push(() => client.expire(...args)); return transaction; },
+        del: (...args) => { queue.push(() => client.del(...args)); return transaction; },
+        async exec() {
+          const results = [];
+          for (const command of queue) results.push(await command());
+          return results;
+        },
+      };
+      return transaction;
+    },
+
+    // A connection of its own that shares the data, for WATCH: exec() throws WatchError if a
+    // watched key was written since watch()
+    duplicate() {
+      const watched = new Map();
+      const connection = {
+        ...client,
+        on() {
+          return connection;
+        },
+        async connect() {
+          return connection;
+        },
+        async watch(keys) {
+          for (const key of [].concat(keys)) watched.set(key, versions.get(key) || 0);
+          return 'OK';
+        },
+        async unwatch() {
+          watched.clear();
+          return 'OK';
+        },
+        multi() {
+          const transaction = client.multi();
+          const exec = transaction.exec;
+          transaction.exec = async () => {
+            const changed = [...watched].some(([key, version]) => (versions.get(key) || 0) !== version);
+            watched.clear();
+            if (changed) throw new WatchError();
+            return exec();
+          };
+          return transaction;
+        },
+        async quit() {
+          watched.clear();
+        },
+      };
+      return connection;
+    },
+  };
+
+  return client;
+}
@@ -0,0 +1,28 @@
+/**
+ * POI builders for tests
+ */
+
+import { START } from './env.js';
+
+/**
+ * Build POIs on a small grid next to START (all within ~300 m)
+ * @param {number} count - Number of POIs
+ * @param {Object} [options]
+ * @param {boolean} [options.primary] - Primary (highlight) or secondary POIs
+ * @param {string} [options.prefix] - Id prefix, so batches don't collide
+ * @returns {Array} POIs in the provider shape
+ */
+export function makePois(count, { primary = true, prefix = 'poi' } = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `${prefix}_${i + 1}`,
+    name: `${prefix} place ${i + 1}`,
+    latitude: START.latitude + (i % 10) * 0.0003,
+    longitude: START.longitude + Math.floor(i / 10) * 0.0003,
+    types: primary ? ['museum'] : ['cafe'],
+    rating: 4.5,
+    primary,
+    wheelchairAccessibleEntrance: null,
+    openingHours: null,
+    source: 'geojson',
+  }));
+}
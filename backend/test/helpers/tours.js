@@ -0,0 +1,33 @@
+/**
+ * Tour documents for tests
+ */
+
+// A stop in the city whose summary seedTour caches, so no LLM call is needed for it
+export const MARKET_STOP = {
+  id: 'poi_1', name: 'Market', latitude: 32.0, longitude: 34.8,
+  country: 'Israel', city: 'Tel Aviv-Yafo', neighborhood: 'Lev HaIr',
+};
+
+/**
+ * Save a tour document ready for regenerateStop, with its city summary already cached
+ * @param {Object} redis - Fake Redis client
+ * @param {Object} [overrides]
+ * @param {string} [overrides.tourId] - Defaults to tour_1
+ * @param {Array<Object>} [overrides.stops] - Tour stops (defaults to MARKET_STOP alone)
+ * @param {Object} [overrides.tour] - Other fields of the tour
+ * @param {...*} [overrides.document] - Any other top-level fields (language, voice, scripts, ...)
+ * @returns {Promise<Object>} The saved document
+ */
+export async function seedTour(redis, { tourId = 'tour_1', stops = [MARKET_STOP], tour = {}, ...document } = {}) {
+  await redis.json.set('summary_cache:Israel:Tel Aviv-Yafo', '$', { summary: 'Cached city', keyFacts: [] });
+  const saved = {
+    tour: { title: 'Walk', stops, ...tour },
+    language: 'english',
+    voice: 'stub:silence',
+    scripts: { intro: null, stops: stops.map(() => null) },
+    audioFiles: { intro: null, stops: stops.map(() => null) },
+    ...document,
+  };
+  await redis.json.set(`tour:${tourId}`, '$', saved);
+  return saved;
+}
@@ -0,0 +1,16 @@
+/**
+ * Poll until a condition holds - for work the app fires off in the background
+ * @param {Function} condition - Sync or async predicate
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<void>} Rejects if the condition still fails after the timeout
+ */
+export async function waitFor(condition, { timeoutMs = 2000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
@@ -0,0 +1,35 @@
+import { START } from './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeRedis } from './helpers/fakeRedis.js';
+
+const { createItinerary, generateItineraryDays } = await import('../itineraryGeneration.js');
+
+describe('itinerary planning', () => {
+  it('saves the itinerary first, then publishes each day as it is planned', async () => {
+    const redis = createFakeRedis();
+    const itinerary = await createItinerary({
+      itineraryId: 'it_1', city: 'Tel Aviv-Yafo', country: 'Israel', days: 2, hoursPerDay: 1, ...START, redisClient: redis,
+    });
+
+    assert.equal(itinerary.status, 'generating');
+    assert.equal(itinerary.durationMinutes, 60);
+    assert.deepEqual((await redis.json.get('itinerary:it_1')).days, []);
+
+    // Days run the full tour pipeline, whose Redis checkpointer the fake doesn't support, so
+    // this covers the bookkeeping around them rather than the tours
+    const finished = await generateItineraryDays({ itinerary, redisClient: redis });
+
+    const events = redis.published
+      .filter((p) => p.channel === 'itinerary:it_1:events')
+      .map((p) => JSON.parse(p.message));
+    assert.deepEqual(events.map((e) => e.type), ['day_complete', 'day_complete', 'complete']);
+    assert.deepEqual(events.slice(0, 2).map((e) => `${e.data.day}/${e.data.dayCount}`), ['1/2', '2/2']);
+    assert.equal(events[2].data.status, finished.status);
+
+    const saved = await redis.json.get('itinerary:it_1');
+    assert.equal(saved.days.length, 2);
+    assert.ok(saved.completedAt);
+    assert.equal((await redis.hGetAll('session:it_1_day1')).itineraryId, 'it_1');
+  });
+});
@@ -0,0 +1,141 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeRedis } from './helpers/fakeRedis.js';
+import { MARKET_STOP, seedTour } from './helpers/tours.js';
+
+// The Places source only looks stops up with a key; its responses come from the HTTP fixtures
+process.env.GOOGLE_MAPS_API_KEY = 'test';
+
+const { saveWikipediaArticles, validateWikipediaArticles, wikipediaArticleKey } = await import('../utils/knowledgeBase.js');
+const { createWikipediaKnowledgeSource, titleMatch } = await import('../providers/knowledge/wikipedia.js');
+const { createPlacesKnowledgeSource } = await import('../providers/knowledge/places.js');
+const { formatPassagesForPrompt, passageSources } = await import('../providers/knowledge/index.js');
+const { regenerateStop } = await import('../audioguideGeneration.js');
+
+const MARKET = { latitude: 32.0684, longitude: 34.7691 };
+
+const articles = [
+  {
+    title: 'Carmel Market',
+    extract: 'The Carmel Market is a marketplace in Tel Aviv.\nIt opened in 1920 on land bought from an Arab landowner.',
+    ...MARKET,
+    language: 'en',
+  },
+  {
+    title: 'Kerem HaTeimanim',
+    extract: 'Kerem HaTeimanim is a neighborhood founded by Yemenite Jews.',
+    latitude: 32.0698, // ~170 m away
+    longitude: 34.7675,
+    language: 'en',
+  },
+];
+
+const marketStop = { name: 'Carmel Market (Shuk HaCarmel)', ...MARKET, source: 'google', placeId: 'ChIJH3w7GaZMHRURkD-WwKJy-8E' };
+
+describe('validateWikipediaArticles', () => {
+  it('accepts located articles with an extract and language', () => {
+    assert.equal(validateWikipediaArticles(articles), null);
+  });
+
+  it('rejects articles without coordinates or a language code', () => {
+    assert.match(validateWikipediaArticles([{ ...articles[0], latitude: undefined }]), /latitude and longitude/);
+    assert.match(validateWikipediaArticles([{ ...articles[0], language: 'English' }]), /language/);
+    assert.match(validateWikipediaArticles([]), /non-empty/);
+  });
+});
+
+describe('wikipedia knowledge source', () => {
+  it('matches titles without their disambiguation', () => {
+    assert.equal(titleMatch('Carmel Market', 'The Carmel Market'), 1);
+    assert.equal(titleMatch('Bauhaus (Tel Aviv)', 'Bauhaus Center'), 1);
+    assert.equal(titleMatch('Kerem HaTeimanim', 'Carmel Market'), 0);
+    assert.equal(titleMatch('Carmel Market', 'Levinsky Market'), 0.5);
+  });
+
+  it("ignores the city's name in titles", () => {
+    assert.equal(titleMatch('Great Synagogue of Tel Aviv', 'The Great Synagogue', 'Tel Aviv-Yafo'), 2 / 3);
+  });
+
+  it('returns the paragraphs of nearby articles about the stop only', async () => {
+    const redis = createFakeRedis();
+    assert.equal(await saveWikipediaArticles(redis, articles), 2);
+
+    const stored = await redis.json.get(wikipediaArticleKey('en', 'Carmel Market'));
+    assert.equal(stored.url, 'https://en.wikipedia.org/wiki/Carmel_Market');
+    assert.equal(stored.paragraphs.length, 2);
+
+    const passages = await createWikipediaKnowledgeSource().retrieve({ stop: marketStop, language: 'english', redisClient: redis });
+
+    assert.equal(passages.length, 2);
+    assert.ok(passages.every((passage) => passage.source.title === 'Carmel Market'));
+    assert.equal(passages[1].text, 'It opened in 1920 on land bought from an Arab landowner.');
+  });
+});
+
+describe('places knowledge source', () => {
+  it("returns the place's editorial summary and caches it", async () => {
+    const redis = createFakeRedis();
+    const passages = await createPlacesKnowledgeSource().retrieve({ stop: marketStop, language: 'english', redisClient: redis });
+
+    assert.equal(passages.length, 1);
+    assert.match(passages[0].text, /open-air market/);
+    assert.deepEqual(passages[0].source, { provider: 'places', title: 'Carmel Market', url: 'https://maps.google.com/?cid=9290413398475716752' });
+    assert.ok(await redis.json.get(`place_summary:${marketStop.placeId}:en`));
+  });
+
+  it('uses the cache instead of the API', async () => {
+    const redis = createFakeRedis();
+    // No HTTP fixture exists for this place, so a request would fail in replay mode
+    await redis.json.set('place_summary:ChIJuncached:en', '$', { editorialSummary: null });
+
+    const passages = await createPlacesKnowledgeSource().retrieve({
+      stop: { ...marketStop, placeId: 'ChIJuncached' }, language: 'english', redisClient: redis,
+    });
+    assert.deepEqual(passages, []);
+  });
+
+  it('skips stops that did not come from Google Places', async () => {
+    const passages = await createPlacesKnowledgeSource().retrieve({
+      stop: { ...marketStop, source: 'geojson' }, language: 'english', redisClient: createFakeRedis(),
+    });
+    assert.deepEqual(passages, []);
+  });
+});
+
+describe('passage formatting', () => {
+  const passages = [
+    { text: 'First paragraph.', source: { provider: 'wikipedia', title: 'Carmel Market', url: 'https://en.wikipedia.org/wiki/Carmel_Market' } },
+    { text: 'Second paragraph.', source: { provider: 'wikipedia', title: 'Carmel Market', url: 'https://en.wikipedia.org/wiki/Carmel_Market' } },
+    { text: 'Summary.', source: { provider: 'places', title: 'Carmel Market', url: null } },
+  ];
+
+  it('numbers passages by their source', () => {
+    assert.equal(
+      formatPassagesForPrompt(passages),
+      'Sources about this stop:\n[1] First paragraph.\n[1] Second paragraph.\n[2] Summary.\n\n'
+        + 'Source list:\n[1] Carmel Market (wikipedia)\n[2] Carmel Market (places)'
+    );
+    assert.equal(formatPassagesForPrompt([]), '');
+  });
+
+  it('lists each source once', () => {
+    assert.deepEqual(passageSources(passages).map((source) => source.provider), ['wikipedia', 'places']);
+  });
+});
+
+describe('regenerateStop grounding', () => {
+  it("stores the sources of the stop's script", async () => {
+    const redis = createFakeRedis();
+    await saveWikipediaArticles(redis, articles);
+    await seedTour(redis, { stops: [{ ...MARKET_STOP, ...marketStop, dwellMinutes: 10 }] });
+
+    await regenerateStop({ tourId: 'tour_1', stopIndex: 0, redisClient: redis });
+
+    const { scripts } = await redis.json.get('tour:tour_1');
+    assert.deepEqual(scripts.stops[0].sources.map(({ provider, title }) => `${provider}:${title}`), [
+      'wikipedia:Carmel Market',
+      'places:Carmel Market',
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The shipped registry plus a language the code has never heard of
+const registry = JSON.parse(readFileSync(new URL('../languages.json', import.meta.url), 'utf8'));
+registry.greek = {
+  label: 'Ελληνικά (Greek)',
+  locale: 'el',
+  ttsLanguageCode: 'el-GR',
+  script: 'Greek',
+  direction: 'ltr',
+  prompts: { tours: 'Generate everything in GREEK.', scripts: 'Write the ENTIRE script in GREEK.' },
+  ui: { tourIntroduction: 'Εισαγωγή της περιήγησης' },
+  voices: {
+    defaults: { google: 'el-GR-Standard-A', stub: 'silence' },
+    options: [{ id: 'google:el-GR-Standard-A', label: 'Greek - Standard' }],
+  },
+};
+const languagesFile = join(mkdtempSync(join(tmpdir(), 'languages-')), 'languages.json');
+writeFileSync(languagesFile, JSON.stringify(registry));
+process.env.LANGUAGES_FILE = languagesFile;
+
+const { getLanguage, isSupportedLanguage, describeLanguages } = await import('../utils/languages.js');
+const { defaultVoiceId, isVoiceAllowed } = await import('../providers/tts/index.js');
+const { buildSsml } = await import('../providers/tts/ssml.js');
+
+describe('language registry', () => {
+  it('serves a new entry without code changes', () => {
+    assert.ok(isSupportedLanguage('greek'));
+    assert.equal(getLanguage('greek').prompts.scripts, 'Write the ENTIRE script in GREEK.');
+    const { ui, ...greek } = describeLanguages().find((l) => l.key === 'greek');
+    assert.deepEqual(greek, {
+      key: 'greek',
+      label: 'Ελληνικά (Greek)',
+      direction: 'ltr',
+      voices: [{ id: 'google:el-GR-Standard-A', label: 'Greek - Standard' }],
+    });
+    // UI strings it doesn't translate stay English
+    assert.equal(ui.tourIntroduction, 'Εισαγωγή της περιήγησης');
+    assert.equal(ui.showScript, 'show script');
+    // Greek words in an English script are read by the Greek voice
+    assert.match(buildSsml('Walk to Πλάκα now.', { language: 'english' }), /<lang xml:lang="el-GR">Πλάκα<\/lang>/);
+  });
+
+  it('falls back to English for unknown languages', () => {
+    assert.equal(isSupportedLanguage('klingon'), false);
+    assert.equal(isSupportedLanguage('toString'), false);
+    assert.equal(getLanguage('klingon').key, 'english');
+    assert.equal(getLanguage(undefined).key, 'english');
+  });
+
+  it('translates every UI string in the shipped languages', () => {
+    const english = Object.keys(getLanguage('english').ui).sort();
+    for (const key of ['hebrew', 'spanish', 'french', 'arabic']) {
+      assert.deepEqual(Object.keys(getLanguage(key).ui).sort(), english, key);
+    }
+  });
+});
+
+describe('voices', () => {
+  it('picks the default voice of TTS_PROVIDER from the registry', () => {
+    assert.equal(defaultVoiceId('hebrew'), 'stub:silence');
+
+    process.env.TTS_PROVIDER = 'piper';
+    try {
+      assert.equal(defaultVoiceId('hebrew'), 'piper:he_IL-motek-medium');
+      // No Piper voice registered for Greek - its first registered voice is used instead
+      assert.equal(defaultVoiceId('greek'), 'google:el-GR-Standard-A');
+    } finally {
+      process.env.TTS_PROVIDER = 'stub';
+    }
+  });
+
+  it('allows only the voices registered for the language', () => {
+    assert.equal(isVoiceAllowed('google:he-IL-Chirp3-HD-Alnilam', 'hebrew'), true);
+    assert.equal(isVoiceAllowed('he-IL-Standard-D', 'hebrew'), true);
+    assert.equal(isVoiceAllowed('espeak:he', 'hebrew'), true);
+    assert.equal(isVoiceAllowed('google:en-GB-Wavenet-B', 'hebrew'), false);
+    assert.equal(isVoiceAllowed('not-a-provider:x', 'hebrew'), false);
+  });
+});
@@ -0,0 +1,36 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import { createPreloadLocationSummariesNode } from '../../nodes/audioguide/preloadLocationSummaries.js';
+
+describe('preloadLocationSummaries', () => {
+  it('loads one set of summaries per location and maps stops to it', async () => {
+    const redis = createFakeRedis();
+    await redis.json.set('summary_cache:Israel:Tel Aviv-Yafo', '$', { summary: 'Cached city', keyFacts: [] });
+    const node = createPreloadLocationSummariesNode({ redisClient: redis });
+
+    const stops = [
+      // Geocoded from fixtures/http/us1.locationiq.com
+      { id: 'poi_1', name: 'First', latitude: 32.0853, longitude: 34.7818 },
+      { id: 'poi_2', name: 'Second', latitude: 32.0, longitude: 34.8, country: 'Israel', city: 'Tel Aviv-Yafo', neighborhood: 'Lev HaIr' },
+      { id: 'poi_3', name: 'No coordinates' },
+    ];
+
+    const result = await node({ selectedTour: { stops } });
+
+    const key = 'Israel:Tel Aviv-Yafo:Lev HaIr';
+    assert.deepEqual(result.stopLocationMap, { 0: key, 1: key });
+    assert.deepEqual(Object.keys(result.locationSummaries), [key]);
+    assert.equal(result.locationSummaries[key].cityData.summary, 'Cached city');
+    assert.match(result.locationSummaries[key].neighborhoodData.summary, /lively area/);
+
+    // The geocoded location is written back to the POI cache
+    assert.equal((await redis.json.get('poi_cache:poi_1')).neighborhood, 'Lev HaIr');
+  });
+
+  it('returns nothing for a tour without stops', async () => {
+    const node = createPreloadLocationSummariesNode({ redisClient: createFakeRedis() });
+    assert.deepEqual(await node({ selectedTour: { stops: [] } }), { locationSummaries: {} });
+  });
+});
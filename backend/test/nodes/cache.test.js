@@ -0,0 +1,141 @@
+import { START } from '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import { makePois } from '../helpers/pois.js';
+import { createSavePoiToCacheNode } from '../../nodes/cache/savePoiToCache.js';
+import { createCheckPoiCacheNode } from '../../nodes/cache/checkPoiCache.js';
+import { createCheckCacheForTourSuggestionsNode } from '../../nodes/cache/checkCacheForTourSuggestions.js';
+import { createSaveTourSuggestionsToCache } from '../../nodes/cache/saveTourSuggestionsToCache.js';
+
+const WEEK_SECONDS = 7 * 24 * 60 * 60;
+const request = { durationMinutes: 60, language: 'English', ...START };
+
+describe('savePoiToCache', () => {
+  it('stores each POI as a JSON document with a 7-day TTL', async () => {
+    const redis = createFakeRedis();
+    const node = createSavePoiToCacheNode({ redisClient: redis });
+
+    const result = await node({ messages: [], pois: makePois(3) });
+
+    assert.equal(result.messages.length, 1);
+    const doc = await redis.json.get('poi_cache:poi_1');
+    assert.equal(doc.name, 'poi place 1');
+    assert.equal(doc.location, `${START.longitude},${START.latitude}`);
+    assert.equal(doc.source, 'geojson');
+    assert.equal(redis.ttls.get('poi_cache:poi_3'), WEEK_SECONDS);
+  });
+
+  it('skips POIs that came from the cache', async () => {
+    const redis = createFakeRedis();
+    const node = createSavePoiToCacheNode({ redisClient: redis });
+
+    const result = await node({ messages: [], pois: makePois(3), poiCacheHit: true });
+
+    assert.deepEqual(result.messages, []);
+    assert.equal(redis.store.size, 0);
+  });
+});
+
+describe('checkPoiCache', () => {
+  const seed = async (redis, pois) => {
+    const save = createSavePoiToCacheNode({ redisClient: redis });
+    await save({ pois });
+  };
+
+  it('creates the POI index and reports a miss below 40 primary POIs', async () => {
+    const redis = createFakeRedis();
+    await seed(redis, [...makePois(39), ...makePois(10, { primary: false, prefix: 'cafe' })]);
+    const node = createCheckPoiCacheNode({ ...request, redisClient: redis });
+
+    const result = await node({ messages: [] });
+
+    assert.equal(result.poiCacheHit, false);
+    assert.equal(result.poisCount, 39);
+    assert.ok(await redis.ft.info('idx:pois'));
+  });
+
+  it('reports a hit with 40 primary POIs in range', async () => {
+    const redis = createFakeRedis();
+    await seed(redis, makePois(40));
+    const node = createCheckPoiCacheNode({ ...request, redisClient: redis });
+
+    const result = await node({ messages: [] });
+
+    assert.equal(result.poiCacheHit, true);
+    assert.equal(result.poisCount, 40);
+  });
+
+  it('reports a miss without Redis', async () => {
+    const node = createCheckPoiCacheNode({ ...request, redisClient: null });
+    assert.equal((await node({})).poiCacheHit, false);
+  });
+});
+
+describe('tour suggestions cache', () => {
+  const tours = [
+    { id: 'tour-a', title: 'Tour A', stops: [] },
+    { id: 'tour-b', title: 'Tour B', stops: [] },
+  ];
+
+  it('saves each tour under its own key and finds them again from the same start', async () => {
+    const redis = createFakeRedis();
+    const check = createCheckCacheForTourSuggestionsNode({ ...request, redisClient: redis });
+    const save = createSaveTourSuggestionsToCache({ ...request, redisClient: redis });
+
+    // First check creates the index and misses
+    assert.equal((await check({ messages: [] })).cacheHit, false);
+
+    await save({ messages: [], finalTours: tours });
+    const doc = await redis.json.get('toursuggest_cache:tour-a');
+    assert.equal(doc.language, 'english');
+    assert.equal(doc.duration, 60);
+    assert.equal(redis.ttls.get('toursuggest_cache:tour-b'), WEEK_SECONDS);
+
+    // ~20 m away still counts as the same start
+    const nearby = createCheckCacheForTourSuggestionsNode({ ...request, latitude: START.latitude + 0.0002, redisClient: redis });
+    const result = await nearby({ messages: [] });
+    assert.equal(result.cacheHit, true);
+    assert.deepEqual(result.finalTours.map(t => t.id).sort(), ['tour-a', 'tour-b']);
+  });
+
+  it('misses for another duration, language or a start more than 50 m away', async () => {
+    const redis = createFakeRedis();
+    await createCheckCacheForTourSuggestionsNode({ ...request, redisClient: redis })({ messages: [] });
+    await createSaveTourSuggestionsToCache({ ...request, redisClient: redis })({ finalTours: tours });
+
+    for (const changed of [{ durationMinutes: 90 }, { language: 'hebrew' }, { latitude: START.latitude + 0.001 }]) {
+      const check = createCheckCacheForTourSuggestionsNode({ ...request, ...changed, redisClient: redis });
+      assert.equal((await check({ messages: [] })).cacheHit, false, JSON.stringify(changed));
+    }
+  });
+
+  it('skips the cache for customized requests', async () => {
+    const redis = createFakeRedis();
+    const check = createCheckCacheForTourSuggestionsNode({ ...request, customization: 'food only', redisClient: redis });
+
+    assert.equal((await check({ messages: [] })).cacheHit, false);
+    assert.equal(redis.store.size, 0);
+  });
+
+  it('does not save tours shaped by request options or served from the cache', async () => {
+    const variants = [
+      { customization: 'food only' },
+      { endLocation: { latitude: 32.09, longitude: 34.78 } },
+      { selectedPlaceIds: ['poi_1'] },
+      { excludePlaceIds: ['poi_2'] },
+      { accessibility: { stepFree: true } },
+      { startTime: '2026-05-01T10:00' },
+    ];
+
+    for (const variant of variants) {
+      const redis = createFakeRedis();
+      await createSaveTourSuggestionsToCache({ ...request, ...variant, redisClient: redis })({ finalTours: tours });
+      assert.equal(redis.store.size, 0, JSON.stringify(variant));
+    }
+
+    const redis = createFakeRedis();
+    await createSaveTourSuggestionsToCache({ ...request, redisClient: redis })({ finalTours: tours, cacheHit: true });
+    assert.equal(redis.store.size, 0);
+  });
+});
@@ -0,0 +1,139 @@
+import { START } from '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import { makePois } from '../helpers/pois.js';
+import { waitFor } from '../helpers/waitFor.js';
+import { createReverseGeocodeNode } from '../../nodes/context/reverseGeocode.js';
+import { createGenerateAreaSummariesNode } from '../../nodes/context/generateAreaSummaries.js';
+import { createAssembleAreaContextNode } from '../../nodes/context/assembleAreaContext.js';
+
+const area = { country: 'Israel', city: 'Tel Aviv-Yafo', neighborhood: 'Lev HaIr' };
+
+describe('reverseGeocode', () => {
+  it('resolves country, city and neighborhood from the coordinates', async () => {
+    // Served from fixtures/http/us1.locationiq.com
+    const node = createReverseGeocodeNode({ ...START, redisClient: null });
+
+    const result = await node({ messages: [] });
+
+    assert.deepEqual(
+      { country: result.country, city: result.city, neighborhood: result.neighborhood },
+      area
+    );
+  });
+
+  it('keeps a city and neighborhood given with the request', async () => {
+    const node = createReverseGeocodeNode({ ...START, redisClient: null });
+
+    const result = await node({ messages: [], country: 'Portugal', city: 'Lisbon', neighborhood: 'Alfama' });
+
+    assert.equal(result.city, 'Lisbon');
+    assert.equal(result.neighborhood, 'Alfama');
+    assert.equal(result.country, 'Portugal');
+  });
+
+  it('carries on without a location when geocoding finds nothing', async () => {
+    // No recorded response for these coordinates
+    const node = createReverseGeocodeNode({ latitude: 0, longitude: 0, redisClient: null });
+
+    const result = await node({ messages: [] });
+
+    assert.equal(result.city, null);
+    assert.equal(result.neighborhood, null);
+    assert.equal(result.messages.length, 1);
+  });
+});
+
+describe('generateAreaSummaries', () => {
+  it('generates and caches city and neighborhood summaries, then voices the intro', async () => {
+    const redis = createFakeRedis();
+    const node = createGenerateAreaSummariesNode({ redisClient: redis });
+
+    const result = await node({ messages: [], ...area, language: 'english' });
+
+    assert.match(result.cityData.summary, /lively area/);
+    assert.equal(result.cityData.keyFacts.length, 5);
+    assert.match(result.neighborhoodData.intro_script, /^Welcome to the neighborhood/);
+    assert.ok(await redis.json.get('summary_cache:Israel:Tel Aviv-Yafo'));
+
+    // The intro is synthesized in the background (stub TTS, local storage)
+    const key = 'summary_cache:Israel:Tel Aviv-Yafo:Lev HaIr';
+    await waitFor(async () => (await redis.json.get(key))?.intro_audio_status === 'complete');
+    const { intro_audio_url: url } = await redis.json.get(key);
+    assert.match(url, /\/files\/neighborhood_intro_.+\.mp3$/);
+    assert.ok(existsSync(join(process.env.LOCAL_STORAGE_DIR, url.split('/').pop())));
+  });
+
+  it('uses cached summaries instead of the LLM', async () => {
+    const redis = createFakeRedis();
+    await redis.json.set('summary_cache:Israel:Tel Aviv-Yafo', '$', { summary: 'Cached city', keyFacts: [] });
+    await redis.json.set('summary_cache:Israel:Tel Aviv-Yafo:Lev HaIr', '$', {
+      summary: 'Cached neighborhood',
+      keyFacts: [],
+      intro_script: 'Cached intro',
+    });
+    const node = createGenerateAreaSummariesNode({ redisClient: redis });
+
+    const result = await node({ messages: [], ...area });
+
+    assert.equal(result.cityData.summary, 'Cached city');
+    assert.equal(result.neighborhoodData.intro_script, 'Cached intro');
+  });
+
+  it('returns empty summaries when the session was cancelled', async () => {
+    const redis = createFakeRedis();
+    await redis.hSet('session:s1', { cancelled: 'true' });
+    const node = createGenerateAreaSummariesNode({ redisClient: redis });
+
+    const result = await node({ messages: [], sessionId: 's1', ...area });
+
+    assert.equal(result.cityData.summary, null);
+    assert.equal(result.neighborhoodData.intro_script, null);
+  });
+});
+
+describe('assembleAreaContext', () => {
+  it('assembles the area context and pushes waiting messages to the session', async () => {
+    const redis = createFakeRedis();
+    const pois = makePois(4);
+    const node = createAssembleAreaContextNode({ sessionId: 's1', redisClient: redis });
+
+    const result = await node({
+      messages: [],
+      ...area,
+      pois,
+      cityData: { summary: 'City', keyFacts: ['a'] },
+      neighborhoodData: { summary: 'Neighborhood', keyFacts: ['b'], intro_script: 'Hello' },
+    });
+
+    assert.equal(result.areaContext.city, 'Tel Aviv-Yafo');
+    assert.equal(result.areaContext.pois, pois);
+    assert.equal(result.areaContext.neighborhoodData.intro_script, 'Hello');
+    assert.equal(result.areaContext.neighborhoodData.intro_audio_status, 'pending');
+
+    assert.equal(result.interestingMessages.length, 7);
+    assert.ok(result.interestingMessages.every(m => m.icon && m.message));
+
+    const session = await redis.hGetAll('session:s1');
+    assert.equal(JSON.parse(session.interestingMessages).length, 7);
+    assert.equal(session.stage, 'area_context_built');
+    assert.deepEqual(
+      redis.published.map(p => JSON.parse(p.message).type),
+      ['interesting_messages', 'stage']
+    );
+  });
+
+  it('skips the waiting messages when there are no POIs', async () => {
+    const redis = createFakeRedis();
+    const node = createAssembleAreaContextNode({ sessionId: 's1', redisClient: redis });
+
+    const result = await node({ messages: [], ...area });
+
+    assert.deepEqual(result.areaContext.pois, []);
+    assert.deepEqual(result.interestingMessages, []);
+    assert.equal(await redis.hGet('session:s1', 'interestingMessages'), null);
+  });
+});
@@ -0,0 +1,106 @@
+import { START } from '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import { makePois } from '../helpers/pois.js';
+import { cachePlaceInRedis, ensurePoiIndexExists } from '../../utils/poiHelpers.js';
+import { createQueryPoisNode } from '../../nodes/poi/queryPois.js';
+import { createLoadSelectedPoisNode } from '../../nodes/poi/loadSelectedPois.js';
+import { createFetchPoisFromGoogleMapsNode } from '../../nodes/poi/fetchPoisFromGoogleMaps.js';
+
+const request = { durationMinutes: 60, ...START };
+
+async function seededRedis(pois) {
+  const redis = createFakeRedis();
+  await ensurePoiIndexExists(redis);
+  await Promise.all(pois.map(poi => cachePlaceInRedis(redis, poi)));
+  return redis;
+}
+
+describe('queryPois', () => {
+  it('reads nearby POIs from the cache, without excluded places', async () => {
+    const redis = await seededRedis([...makePois(5), ...makePois(2, { primary: false, prefix: 'cafe' })]);
+    const node = createQueryPoisNode({ ...request, excludePlaceIds: ['poi_2'], redisClient: redis });
+
+    const result = await node({ messages: [] });
+
+    assert.equal(result.poisCount, 6);
+    assert.ok(!result.pois.some(poi => poi.id === 'poi_2'));
+    assert.ok(result.pois.some(poi => poi.id === 'cafe_1' && poi.primary === false));
+    assert.equal(result.pois[0].source, 'geojson');
+  });
+
+  it('keeps POIs already in state from a provider fetch', async () => {
+    const redis = createFakeRedis();
+    const pois = makePois(3);
+    const node = createQueryPoisNode({ ...request, excludePlaceIds: ['poi_3'], redisClient: redis });
+
+    const result = await node({ messages: [], pois });
+
+    assert.deepEqual(result.pois.map(poi => poi.id), ['poi_1', 'poi_2']);
+    assert.equal(redis.store.size, 0);
+  });
+
+  it('returns no POIs for an empty area', async () => {
+    const redis = await seededRedis(makePois(3));
+    const node = createQueryPoisNode({ ...request, latitude: 31.5, redisClient: redis });
+
+    assert.equal((await node({ messages: [] })).poisCount, 0);
+  });
+});
+
+describe('loadSelectedPois', () => {
+  it('loads the selected places first, then nearby fillers', async () => {
+    const redis = await seededRedis(makePois(6));
+    const node = createLoadSelectedPoisNode({
+      ...request,
+      selectedPlaceIds: ['poi_cache:poi_4', 'poi_2', 'poi_2'],
+      redisClient: redis,
+    });
+
+    const result = await node({ messages: [] });
+
+    assert.deepEqual(result.selectedPoiIds, ['poi_4', 'poi_2']);
+    assert.deepEqual(result.pois.slice(0, 2).map(poi => poi.id), ['poi_4', 'poi_2']);
+    assert.equal(result.pois.length, 6);
+    assert.equal(result.error, undefined);
+  });
+
+  it('fails when none of the selected places can be found', async () => {
+    // Not cached, and without a Google Maps key the Places lookup finds nothing
+    const node = createLoadSelectedPoisNode({ ...request, selectedPlaceIds: ['missing'], redisClient: createFakeRedis() });
+
+    const result = await node({ messages: [] });
+
+    assert.equal(result.error, 'selected_places_not_found');
+    assert.deepEqual(result.pois, []);
+  });
+});
+
+describe('fetchPoisFromGoogleMaps', () => {
+  it('fetches POIs from the provider and caches them', async () => {
+    const redis = createFakeRedis();
+    const node = createFetchPoisFromGoogleMapsNode({ ...request, redisClient: redis });
+
+    const result = await node({ messages: [] });
+
+    // pois.geojson: 6 highlights and 2 food places around START
+    assert.equal(result.googleMapsFetched, true);
+    assert.equal(result.poisCount, 8);
+    assert.equal(result.pois.filter(poi => poi.primary).length, 6);
+    assert.ok(result.pois.every(poi => poi.source === 'geojson'));
+
+    const synagogue = result.pois.find(poi => poi.name === 'Great Synagogue');
+    assert.deepEqual(synagogue.types, ['synagogue']);
+    assert.ok(await redis.json.get(`poi_cache:${synagogue.id}`));
+  });
+
+  it('marks the fetch as done even when the area has no POIs', async () => {
+    const node = createFetchPoisFromGoogleMapsNode({ ...request, latitude: 31.5, redisClient: createFakeRedis() });
+
+    const result = await node({ messages: [] });
+
+    assert.deepEqual(result.pois, []);
+    assert.equal(result.googleMapsFetched, true);
+  });
+});
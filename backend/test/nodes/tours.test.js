@@ -0,0 +1,108 @@
+import { START } from '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import { makePois } from '../helpers/pois.js';
+import { createGenerateCandidateToursNode } from '../../nodes/tours/generateCandidateTours.js';
+import { createBuildSelectedPlacesTourNode } from '../../nodes/tours/buildSelectedPlacesTour.js';
+
+const request = { durationMinutes: 60, language: 'english', customization: '', ...START };
+const config = { configurable: { thread_id: 's1' } };
+
+const areaContext = (pois) => ({
+  country: 'Israel',
+  city: 'Tel Aviv-Yafo',
+  neighborhood: 'Lev HaIr',
+  pois,
+  cityData: { summary: 'City', keyFacts: [] },
+  neighborhoodData: { summary: 'Neighborhood', keyFacts: [] },
+});
+
+describe('generateCandidateTours', () => {
+  it('streams, enriches and validates the LLM tours', async () => {
+    const redis = createFakeRedis();
+    const pois = makePois(6);
+    const node = createGenerateCandidateToursNode({ ...request, redisClient: redis });
+
+    const result = await node({ messages: [], areaContext: areaContext(pois) }, config);
+
+    // providers/llm/fixtures/tours.json
+    assert.deepEqual(result.finalTours.map(t => t.originalTourId), ['mock-highlights', 'mock-hidden-gems']);
+    const [tour] = result.finalTours;
+    assert.notEqual(tour.id, tour.originalTourId);
+    assert.deepEqual(tour.stops.map(s => s.placeId), ['poi_1', 'poi_2', 'poi_3']);
+    assert.deepEqual(tour.routing, { provider: 'haversine', confidence: 'estimated' });
+
+    const session = await redis.hGetAll('session:s1');
+    assert.equal(session.stage, 'candidates_generated');
+    assert.equal(JSON.parse(session.tours).length, 2);
+    assert.equal(redis.published.filter(p => JSON.parse(p.message).type === 'tour').length, 2);
+  });
+
+  it('reports the violations when no tour meets the accessibility limits', async () => {
+    const redis = createFakeRedis();
+    const node = createGenerateCandidateToursNode({ ...request, accessibility: { maxTotalMeters: 10 }, redisClient: redis });
+
+    const result = await node({ messages: [], areaContext: areaContext(makePois(6)) }, config);
+
+    assert.equal(result.error, 'no_accessible_tour_found');
+    assert.deepEqual(result.finalTours, []);
+    assert.deepEqual(result.rejectedTours.map(t => t.title), ['Neighborhood Highlights', 'Hidden Gems']);
+    assert.ok(result.rejectedTours.every(t => t.accessibilityViolations.some(v => v.type === 'total-too-long')));
+  });
+
+  it('reports an error when the area has no POIs', async () => {
+    const node = createGenerateCandidateToursNode({ ...request, redisClient: createFakeRedis() });
+
+    const result = await node({ messages: [], areaContext: areaContext([]) }, config);
+
+    assert.equal(result.error, 'no_pois_available');
+    assert.deepEqual(result.tours, []);
+  });
+
+  it('stops when the session was cancelled', async () => {
+    const redis = createFakeRedis();
+    await redis.hSet('session:s1', { cancelled: 'true' });
+    const node = createGenerateCandidateToursNode({ ...request, redisClient: redis });
+
+    const result = await node({ messages: [], areaContext: areaContext(makePois(6)) }, config);
+
+    assert.equal(result.finalTours, undefined);
+    assert.deepEqual(result.candidateTours, []);
+  });
+
+  it('requires the area context', async () => {
+    const node = createGenerateCandidateToursNode({ ...request, redisClient: createFakeRedis() });
+    await assert.rejects(node({ messages: [] }, config), /Area context not available/);
+  });
+});
+
+describe('buildSelectedPlacesTour', () => {
+  it('builds a single tour that visits every selected place', async () => {
+    const redis = createFakeRedis();
+    const pois = makePois(8);
+    const node = createBuildSelectedPlacesTourNode({ ...request, redisClient: redis });
+
+    const result = await node({ messages: [], areaContext: areaContext(pois), selectedPoiIds: ['poi_3', 'poi_7'] }, config);
+
+    assert.equal(result.finalTours.length, 1);
+    const [tour] = result.finalTours;
+    assert.equal(tour.originalTourId, 'selected-places');
+    const placeIds = tour.stops.map(s => s.placeId);
+    assert.ok(placeIds.includes('poi_3') && placeIds.includes('poi_7'));
+    assert.ok(tour.stops.every(s => s.name && s.latitude));
+
+    assert.equal(JSON.parse(await redis.hGet('session:s1', 'tours'))[0].id, tour.id);
+  });
+
+  it("describes the tour in the request's language", async () => {
+    const pois = makePois(8);
+    const node = createBuildSelectedPlacesTourNode({ ...request, language: 'hebrew', redisClient: createFakeRedis() });
+
+    const { finalTours: [tour] } = await node({ messages: [], areaContext: areaContext(pois), selectedPoiIds: ['poi_3', 'poi_7'] }, config);
+
+    assert.match(tour.title, /^הסיור שלך: /);
+    assert.ok(tour.title.includes(pois[2].name) && tour.title.includes(pois[6].name));
+    assert.equal(tour.theme, 'המקומות שבחרת');
+  });
+});
@@ -0,0 +1,92 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+
+// SSML on, with a limit small enough that markup decides how the text is split
+process.env.TTS_SSML = 'true';
+process.env.STUB_TTS_MAX_INPUT_BYTES = '400';
+
+const { buildSsml, ssmlToText } = await import('../../providers/tts/ssml.js');
+const { synthesizeSpeech } = await import('../../providers/tts/index.js');
+const { getLexicon, saveLexicon, validateLexiconEntries } = await import('../../utils/pronunciationLexicon.js');
+
+const inner = (ssml) => ssml.replace(/^<speak>|<\/speak>$/g, '');
+
+describe('buildSsml', () => {
+  it('turns paragraphs into <p> with breaks and asterisks into emphasis', () => {
+    const ssml = buildSsml('Look *up* here.\n\nThen **turn left** & walk * on.');
+
+    assert.equal(
+      ssml,
+      '<speak><p>Look <emphasis level="moderate">up</emphasis> here.</p><break time="700ms"/>'
+        + '<p>Then <emphasis level="moderate">turn left</emphasis> &amp; walk  on.</p></speak>'
+    );
+  });
+
+  it('reads words in another script in the language registered for that script', () => {
+    assert.equal(
+      inner(buildSsml('פנו שמאלה לשדרות Rothschild Boulevard ליד הבנק.', { language: 'hebrew' })),
+      '<p>פנו שמאלה לשדרות <lang xml:lang="en-GB">Rothschild Boulevard</lang> ליד הבנק.</p>'
+    );
+    assert.equal(
+      inner(buildSsml('Bajad por la calle Yefet, junto a שוק הפשפשים y سوق يافا.', { language: 'spanish' })),
+      '<p>Bajad por la calle Yefet, junto a <lang xml:lang="he-IL">שוק הפשפשים</lang> y <lang xml:lang="ar-XA">سوق يافا</lang>.</p>'
+    );
+    assert.equal(
+      inner(buildSsml('Turn left onto שדרות רוטשילד now.', { language: 'english' })),
+      '<p>Turn left onto <lang xml:lang="he-IL">שדרות רוטשילד</lang> now.</p>'
+    );
+  });
+
+  it('applies lexicon entries to whole words, longest term first', () => {
+    const lexicon = [
+      { term: 'Dizengoff', ipa: 'dizenˈɡof' },
+      { term: 'Dizengoff Square', lang: 'he-IL' },
+      { term: 'Rehov', alias: 'reh-hove' },
+    ];
+
+    const ssml = inner(buildSsml('From dizengoff square walk down Rehov Dizengoff, past Dizengoffs.', { lexicon }));
+
+    assert.equal(
+      ssml,
+      '<p>From <lang xml:lang="he-IL">dizengoff square</lang> walk down <sub alias="reh-hove">Rehov</sub> '
+        + '<phoneme alphabet="ipa" ph="dizenˈɡof">Dizengoff</phoneme>, past Dizengoffs.</p>'
+    );
+    assert.equal(ssmlToText(ssml), 'From dizengoff square walk down Rehov Dizengoff , past Dizengoffs.');
+  });
+});
+
+describe('synthesizeSpeech with SSML', () => {
+  it('keeps every request, markup included, within the provider limit', async () => {
+    // Every word is a lexicon term, so the SSML is several times the size of the text
+    const text = Array.from({ length: 12 }, () => 'Allenby meets Rothschild near Herzl.').join(' ');
+    const lexicon = ['Allenby', 'Rothschild', 'Herzl'].map((term) => ({ term, ipa: `${term.toLowerCase()}ipa` }));
+
+    // The stub throws on any request over its 400-byte limit
+    const result = await synthesizeSpeech({ text, voiceId: 'stub:silence', language: 'english', lexicon });
+
+    assert.equal(result.contentType, 'audio/mpeg');
+    assert.ok(result.audio.length > 0);
+  });
+});
+
+describe('pronunciation lexicon', () => {
+  it('rejects entries without a term or a fix', () => {
+    assert.equal(validateLexiconEntries([{ term: 'Jaffa', lang: 'he-IL' }, { term: 'Yafo', ipa: 'ˈjafo' }]), null);
+    assert.match(validateLexiconEntries({}), /array/);
+    assert.match(validateLexiconEntries([{ term: ' ' }]), /term is required/);
+    assert.match(validateLexiconEntries([{ term: 'Jaffa' }]), /ipa, alias or lang/);
+    assert.match(validateLexiconEntries([{ term: 'Jaffa', lang: 'hebrew' }]), /language code/);
+  });
+
+  it('stores entries per city', async () => {
+    const redis = createFakeRedis();
+
+    await saveLexicon(redis, { country: 'Israel', city: 'Tel Aviv-Yafo' }, [{ term: ' Jaffa ', lang: 'he-IL', ipa: '' }]);
+
+    assert.deepEqual(await getLexicon(redis, { country: 'Israel', city: 'Tel Aviv-Yafo' }), [{ term: 'Jaffa', lang: 'he-IL' }]);
+    assert.deepEqual(await getLexicon(redis, { country: 'Israel', city: 'Haifa' }), []);
+    assert.deepEqual(await getLexicon(redis, { city: 'Tel Aviv-Yafo' }), []);
+  });
+});
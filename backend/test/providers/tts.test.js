@@ -0,0 +1,179 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Give the stub Google's kind of input limit, so long scripts have to be split
+process.env.STUB_TTS_MAX_INPUT_BYTES = '300';
+
+const { splitTextForTts, concatMp3, concatWav } = await import('../../providers/tts/chunking.js');
+const { synthesizeSpeech } = await import('../../providers/tts/index.js');
+const { estimateSpeechSeconds } = await import('../../providers/tts/stub.js');
+const { measureAudioSeconds } = await import('../../providers/tts/audioDuration.js');
+const { createGoogleTtsProvider } = await import('../../providers/tts/google.js');
+
+const bytes = (text) => Buffer.byteLength(text, 'utf8');
+const words = (text) => text.split(/\s+/).filter(Boolean);
+
+const sentence = (i) => `This is sentence number ${i}, which talks about the old market and the harbour.`;
+// MPEG-1 Layer III, 32 kbps, 44.1 kHz frames of 104 bytes (what the stub produces)
+const silentFrames = (count) => Buffer.concat(Array.from({ length: count }, () => {
+  const frame = Buffer.alloc(104);
+  Buffer.from([0xff, 0xfb, 0x10, 0xc0]).copy(frame);
+  return frame;
+}));
+const paragraph = (from, count) => Array.from({ length: count }, (_, i) => sentence(from + i)).join(' ');
+
+describe('splitTextForTts', () => {
+  it('returns short text as a single chunk', () => {
+    assert.deepEqual(splitTextForTts('  Hello there.  ', { maxBytes: 100 }), ['Hello there.']);
+    assert.deepEqual(splitTextForTts('', { maxBytes: 100 }), []);
+  });
+
+  it('splits between sentences and keeps every word', () => {
+    const text = `${paragraph(1, 6)}\n\n${paragraph(7, 6)}`;
+
+    const chunks = splitTextForTts(text, { maxBytes: 300 });
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok(bytes(chunk) <= 300, chunk);
+      assert.match(chunk, /^This is sentence number \d+,.*harbour\.$/s);
+    }
+    assert.deepEqual(words(chunks.join(' ')), words(text));
+  });
+
+  it('counts bytes, not characters, for Hebrew', () => {
+    const hebrew = Array.from({ length: 40 }, (_, i) => `זהו משפט מספר ${i} על השוק הישן והנמל.`).join(' ');
+
+    const chunks = splitTextForTts(hebrew, { maxBytes: 200, locale: 'he' });
+
+    assert.ok(hebrew.length < 200 * chunks.length);
+    assert.ok(chunks.every(chunk => bytes(chunk) <= 200 && chunk.endsWith('.')));
+    assert.deepEqual(words(chunks.join(' ')), words(hebrew));
+  });
+
+  it('breaks a sentence longer than the limit at commas, then between words', () => {
+    const longSentence = `${Array.from({ length: 30 }, (_, i) => `clause ${i} goes on`).join(', ')}.`;
+
+    const chunks = splitTextForTts(longSentence, { maxBytes: 60 });
+
+    assert.ok(chunks.every(chunk => bytes(chunk) <= 60));
+    assert.ok(chunks.slice(0, -1).every(chunk => chunk.endsWith(',')));
+    assert.deepEqual(words(chunks.join(' ')), words(longSentence));
+  });
+
+  it('cuts a single oversized word without splitting a character', () => {
+    const chunks = splitTextForTts('א'.repeat(50), { maxBytes: 21 });
+
+    assert.deepEqual(chunks.map(bytes), [20, 20, 20, 20, 20]);
+    assert.equal(chunks.join(''), 'א'.repeat(50));
+  });
+});
+
+describe('concatMp3', () => {
+  it('appends the frames and drops ID3 tags', () => {
+    const frames = (byte) => Buffer.alloc(8, byte);
+    const id3v2 = Buffer.concat([Buffer.from('ID3'), Buffer.from([4, 0, 0, 0, 0, 0, 3]), Buffer.from('abc')]);
+    const id3v1 = Buffer.concat([Buffer.from('TAG'), Buffer.alloc(125)]);
+
+    const joined = concatMp3([Buffer.concat([id3v2, frames(1)]), Buffer.concat([frames(2), id3v1]), frames(3)]);
+
+    assert.deepEqual(joined, Buffer.concat([frames(1), frames(2), frames(3)]));
+  });
+});
+
+describe('concatWav', () => {
+  // 16-bit mono PCM with the given samples
+  const wav = (sampleRate, ...samples) => {
+    const audio = Buffer.alloc(44 + samples.length * 2);
+    audio.write('RIFF', 0);
+    audio.writeUInt32LE(36 + samples.length * 2, 4);
+    audio.write('WAVEfmt ', 8);
+    audio.writeUInt32LE(16, 16);
+    audio.writeUInt16LE(1, 20);
+    audio.writeUInt16LE(1, 22);
+    audio.writeUInt32LE(sampleRate, 24);
+    audio.writeUInt32LE(sampleRate * 2, 28);
+    audio.writeUInt16LE(2, 32);
+    audio.writeUInt16LE(16, 34);
+    audio.write('data', 36);
+    audio.writeUInt32LE(samples.length * 2, 40);
+    samples.forEach((sample, i) => audio.writeInt16LE(sample, 44 + i * 2));
+    return audio;
+  };
+
+  it('appends the samples under one header', () => {
+    assert.deepEqual(concatWav([wav(22050, 1, 2), wav(22050, 3)]), wav(22050, 1, 2, 3));
+  });
+
+  it('reads streamed WAVs whose data size was left unset', () => {
+    const streamed = wav(22050, 4, 5);
+    streamed.writeUInt32LE(0xffffffff, 40);
+    assert.deepEqual(concatWav([wav(22050, 1), streamed]), wav(22050, 1, 4, 5));
+  });
+
+  it('refuses segments with different sample rates', () => {
+    assert.throws(() => concatWav([wav(22050, 1), wav(16000, 2)]), /different formats \(1 channel\(s\), 22050 Hz, 16 bit and 1 channel\(s\), 16000 Hz, 16 bit\)/);
+  });
+});
+
+describe('synthesizeSpeech', () => {
+  it('voices text over the provider limit as one MP3 with nothing dropped', async () => {
+    const text = `${paragraph(1, 10)}\n\n${paragraph(11, 10)}`;
+
+    const result = await synthesizeSpeech({ text, voiceId: 'stub:silence', language: 'english' });
+    const single = await synthesizeSpeech({ text: sentence(1), voiceId: 'stub:silence' });
+
+    assert.equal(result.contentType, 'audio/mpeg');
+    assert.equal(result.extension, 'mp3');
+    // Silent stub frames: the joined file is about as long as the whole text
+    const frameSeconds = 1152 / 44100;
+    const seconds = (result.audio.length / 104) * frameSeconds;
+    assert.ok(seconds >= estimateSpeechSeconds(text), `${seconds}s`);
+    assert.ok(single.audio.length < result.audio.length / 10);
+  });
+
+  it('joins WAV segments too', async () => {
+    const text = paragraph(1, 10);
+
+    const result = await synthesizeSpeech({ text, voiceId: 'stub:sine' });
+
+    assert.equal(result.contentType, 'audio/wav');
+    assert.equal(result.extension, 'wav');
+    assert.ok(Math.abs(result.durationSeconds - estimateSpeechSeconds(text)) < 1, `${result.durationSeconds}s`);
+  });
+});
+
+describe('measureAudioSeconds', () => {
+  it('measures MP3 and WAV files from their frames and headers', async () => {
+    const text = `${sentence(1)} ${sentence(2)}`;
+    const mp3 = await synthesizeSpeech({ text, voiceId: 'stub:silence' });
+    const wav = await synthesizeSpeech({ text, voiceId: 'stub:sine' });
+
+    const expected = estimateSpeechSeconds(text);
+    assert.ok(Math.abs(mp3.durationSeconds - expected) < 0.05, `${mp3.durationSeconds}s`);
+    assert.ok(Math.abs(wav.durationSeconds - expected) < 0.01, `${wav.durationSeconds}s`);
+  });
+
+  it('skips ID3 tags and bytes between frames', () => {
+    const single = measureAudioSeconds(silentFrames(10), 'audio/mpeg');
+    const id3v2 = Buffer.concat([Buffer.from('ID3'), Buffer.from([4, 0, 0, 0, 0, 0, 3]), Buffer.from('abc')]);
+    const id3v1 = Buffer.concat([Buffer.from('TAG'), Buffer.alloc(125)]);
+
+    const tagged = Buffer.concat([id3v2, silentFrames(10), Buffer.from('junk'), silentFrames(10), id3v1]);
+
+    assert.ok(Math.abs(single - (10 * 1152) / 44100) < 1e-9);
+    assert.ok(Math.abs(measureAudioSeconds(tagged, 'audio/mpeg') - 2 * single) < 1e-9);
+    assert.equal(measureAudioSeconds(Buffer.alloc(10), 'audio/ogg'), null);
+  });
+});
+
+describe('google provider', () => {
+  it('replays recorded synthesis without service account credentials', async () => {
+    // fixtures/http/texttospeech.googleapis.com
+    const result = await createGoogleTtsProvider().synthesize({ text: 'Welcome to the market.', voice: 'en-GB-Wavenet-B' });
+
+    assert.equal(result.contentType, 'audio/mpeg');
+    assert.deepEqual(result.audio, silentFrames(2));
+  });
+});
@@ -0,0 +1,123 @@
+import './helpers/env.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { cpSync, mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { createFakeRedis } from './helpers/fakeRedis.js';
+import { MARKET_STOP, seedTour } from './helpers/tours.js';
+
+// The usual mock fixtures, but with a checker that always finds an unsupported claim
+const fixturesDir = mkdtempSync(join(tmpdir(), 'audioguide-test-llm-'));
+cpSync(fileURLToPath(new URL('../providers/llm/fixtures/', import.meta.url)), fixturesDir, { recursive: true });
+writeFileSync(join(fixturesDir, 'reviews.json'), JSON.stringify({
+  json: {
+    issues: [{ type: 'unsupported-claim', quote: 'a little over a hundred years ago', explanation: 'The context gives no date' }],
+  },
+}));
+process.env.LLM_MOCK_FIXTURES_DIR = fixturesDir;
+
+const { findFormattingIssues, generateReviewedScript, formatReviewFeedback } = await import('../utils/scriptReview.js');
+const { regenerateStop } = await import('../audioguideGeneration.js');
+
+afterEach(() => {
+  delete process.env.SCRIPT_REVIEW;
+  delete process.env.SCRIPT_REVIEW_MAX_REWRITES;
+});
+
+describe('findFormattingIssues', () => {
+  it('passes plain spoken text, including parentheses', () => {
+    assert.deepEqual(findFormattingIssues('The market opened in the twenties (1920, to be exact). Walk on - it is close.'), []);
+  });
+
+  it('flags markdown', () => {
+    const issues = findFormattingIssues('## Carmel Market\n\nThis is **the** market.\n- fruit\n- spices');
+    assert.deepEqual(issues.map((issue) => issue.quote), ['## Carmel Market', '**the**', '- fruit']);
+    assert.ok(issues.every((issue) => issue.type === 'markdown'));
+  });
+
+  it('allows single-asterisk emphasis only with SSML', () => {
+    assert.equal(findFormattingIssues('Look at *that* door.').length, 1);
+    assert.deepEqual(findFormattingIssues('Look at *that* door.', { allowEmphasis: true }), []);
+  });
+
+  it('flags stage directions and speaker labels', () => {
+    const issues = findFormattingIssues('Narrator: Welcome! [pause] Listen (music fades) to the bells.');
+    assert.deepEqual(issues.map((issue) => issue.quote), ['[pause]', '(music fades)', 'Narrator:']);
+    assert.ok(issues.every((issue) => issue.type === 'stage-direction'));
+  });
+});
+
+describe('generateReviewedScript', () => {
+  const issue = { type: 'wrong-stop-name', quote: 'Levinsky Market', explanation: 'This stop is the Carmel Market' };
+
+  it('rewrites a failing draft with its issues as feedback', async () => {
+    const feedbacks = [];
+    const result = await generateReviewedScript(
+      async (feedback) => {
+        feedbacks.push(feedback);
+        return { script: `draft ${feedbacks.length}` };
+      },
+      async ({ script }) => (script === 'draft 1' ? { passed: false, issues: [issue] } : { passed: true, issues: [] })
+    );
+
+    assert.equal(result.script, 'draft 2');
+    assert.equal(result.review.passed, true);
+    assert.equal(result.review.attempts, 2);
+    assert.equal(feedbacks[0], null);
+    assert.equal(feedbacks[1], formatReviewFeedback([issue]));
+    assert.match(feedbacks[1], /wrong-stop-name \("Levinsky Market"\)/);
+  });
+
+  it('keeps the draft with the fewest issues when none passes', async () => {
+    process.env.SCRIPT_REVIEW_MAX_REWRITES = '2';
+    const issueCounts = [2, 1, 3];
+    let drafts = 0;
+    const result = await generateReviewedScript(
+      async () => ({ script: `draft ${++drafts}` }),
+      async ({ script }) => {
+        const count = issueCounts[Number(script.split(' ')[1]) - 1];
+        return { passed: false, issues: Array(count).fill(issue) };
+      }
+    );
+
+    assert.equal(drafts, 3);
+    assert.equal(result.script, 'draft 2');
+    assert.equal(result.review.passed, false);
+    assert.equal(result.review.issues.length, 1);
+    assert.equal(result.review.attempts, 3);
+  });
+
+  it('skips the review when it is disabled', async () => {
+    process.env.SCRIPT_REVIEW = 'false';
+    let reviewed = false;
+    const result = await generateReviewedScript(async () => ({ script: 'draft' }), async () => {
+      reviewed = true;
+      return { passed: true, issues: [] };
+    });
+    assert.deepEqual(result, { script: 'draft' });
+    assert.equal(reviewed, false);
+  });
+});
+
+describe('regenerateStop review', () => {
+  it("stores the checker's verdict next to modelUsed", async () => {
+    process.env.SCRIPT_REVIEW_MAX_REWRITES = '1';
+    const redis = createFakeRedis();
+    await seedTour(redis, { stops: [MARKET_STOP, { ...MARKET_STOP, id: 'poi_2', name: 'Garden' }] });
+
+    await regenerateStop({ tourId: 'tour_1', stopIndex: 0, redisClient: redis });
+
+    const { scripts, audioFiles } = await redis.json.get('tour:tour_1');
+    const { review, modelUsed } = scripts.stops[0];
+    assert.equal(modelUsed, 'mock');
+    assert.equal(review.passed, false);
+    assert.equal(review.attempts, 2);
+    assert.equal(review.modelUsed, 'mock');
+    assert.deepEqual(review.issues.map((issue) => issue.type), ['unsupported-claim']);
+    assert.ok(review.checkedAt);
+    // A script that never passes is still recorded, so the tour isn't left without audio
+    assert.equal(audioFiles.stops[0].status, 'complete');
+  });
+});
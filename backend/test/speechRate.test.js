@@ -0,0 +1,151 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeRedis } from './helpers/fakeRedis.js';
+import { MARKET_STOP, seedTour } from './helpers/tours.js';
+
+const { scriptWordBudget, getWordsPerMinute, recordSpeechRate, fitTourToNarration, countWords, speechRateKey } = await import('../utils/speechRate.js');
+const { regenerateStop } = await import('../audioguideGeneration.js');
+
+const words = (count) => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+describe('scriptWordBudget', () => {
+  it('fills about half of the dwell time at the speech rate', () => {
+    assert.deepEqual(scriptWordBudget({ dwellMinutes: 10, wordsPerMinute: 150 }), { minutes: 5, minWords: 560, maxWords: 750 });
+    assert.deepEqual(scriptWordBudget({ dwellMinutes: 8, wordsPerMinute: 130 }), { minutes: 4, minWords: 390, maxWords: 520 });
+  });
+
+  it('keeps short and long stops within one to six minutes', () => {
+    assert.equal(scriptWordBudget({ dwellMinutes: 1, wordsPerMinute: 150 }).maxWords, 150);
+    assert.equal(scriptWordBudget({ dwellMinutes: 45, wordsPerMinute: 150 }).maxWords, 900);
+  });
+
+  it('uses a ten minute visit when the dwell time is unknown', () => {
+    assert.equal(scriptWordBudget({ wordsPerMinute: 150 }).maxWords, 750);
+  });
+});
+
+describe('getWordsPerMinute', () => {
+  it("uses the language registry's rate until enough audio was measured", async () => {
+    const redis = createFakeRedis();
+    assert.equal(await getWordsPerMinute(redis, { voiceId: 'google:he-IL-Standard-D', language: 'hebrew' }), 130);
+
+    await recordSpeechRate(redis, { voiceId: 'google:he-IL-Standard-D', text: words(100), durationSeconds: 60 });
+    assert.equal(await getWordsPerMinute(redis, { voiceId: 'google:he-IL-Standard-D', language: 'hebrew' }), 130);
+  });
+
+  it("switches to the voice's measured rate", async () => {
+    const redis = createFakeRedis();
+    await recordSpeechRate(redis, { voiceId: 'google:en-GB-Wavenet-B', text: words(200), durationSeconds: 100 });
+    await recordSpeechRate(redis, { voiceId: 'google:en-GB-Wavenet-B', text: words(100), durationSeconds: 50 });
+
+    assert.equal(await getWordsPerMinute(redis, { voiceId: 'google:en-GB-Wavenet-B', language: 'english' }), 120);
+    assert.deepEqual(await redis.hGetAll(speechRateKey('google:en-GB-Wavenet-B')), { words: '300', seconds: '150' });
+  });
+
+  it('counts words, not punctuation', () => {
+    assert.equal(countWords('Look up - there, on the roof! 1920 ...'), 7);
+  });
+});
+
+describe('fitTourToNarration', () => {
+  const tour = {
+    startTime: '2026-10-19T10:00',
+    estimatedTotalMinutes: 24,
+    finalLeg: { walkMinutes: 2 },
+    stops: [
+      { name: 'First', walkMinutesFromPrevious: 3, dwellMinutes: 5 },
+      { name: 'Second', walkMinutesFromPrevious: 4, dwellMinutes: 10 },
+    ],
+  };
+
+  it('stretches stops whose narration is longer than their dwell time', () => {
+    const fitted = fitTourToNarration(tour, { stops: [{ durationSeconds: 400 }, { durationSeconds: 200 }] });
+
+    assert.equal(fitted.changed, true);
+    assert.deepEqual(fitted.extendedStops, [0]);
+    assert.equal(fitted.estimatedTotalMinutes, 26);
+    assert.equal(fitted.tour.estimatedTotalMinutes, 26);
+    assert.equal(fitted.tour.stops[0].dwellMinutes, 7);
+    assert.equal(fitted.tour.stops[0].plannedDwellMinutes, 5);
+    assert.equal(fitted.tour.stops[1].dwellMinutes, 10);
+    assert.equal(fitted.tour.stops[1].arrivalTime, '10:14');
+    assert.equal(fitted.tour.endTime, '10:26');
+  });
+
+  it('goes back to the planned dwell time when a stop fits again', () => {
+    const stretched = fitTourToNarration(tour, { stops: [{ durationSeconds: 400 }] }).tour;
+
+    const fitted = fitTourToNarration(stretched, { stops: [{ durationSeconds: 120 }] });
+
+    assert.equal(fitted.tour.stops[0].dwellMinutes, 5);
+    assert.equal('plannedDwellMinutes' in fitted.tour.stops[0], false);
+    assert.equal(fitted.estimatedTotalMinutes, 24);
+  });
+
+  it('leaves the tour alone when the narration fits', () => {
+    const fitted = fitTourToNarration(tour, { stops: [{ durationSeconds: 120 }, {}] });
+    assert.equal(fitted.changed, false);
+    assert.equal(fitted.tour, tour);
+  });
+});
+
+describe('regenerateStop timing', () => {
+  it('stores the measured audio length, records the speech rate and updates the tour total', async () => {
+    const redis = createFakeRedis();
+    await seedTour(redis, {
+      stops: [{ ...MARKET_STOP, walkMinutesFromPrevious: 5, dwellMinutes: 0 }],
+      tour: { estimatedTotalMinutes: 5 },
+      estimatedTotalMinutes: 5,
+    });
+
+    await regenerateStop({ tourId: 'tour_1', stopIndex: 0, redisClient: redis });
+
+    const document = await redis.json.get('tour:tour_1');
+    const { durationSeconds } = document.audioFiles.stops[0];
+    assert.ok(durationSeconds > 0);
+    assert.equal(document.tour.stops[0].dwellMinutes, Math.ceil(durationSeconds / 60));
+    assert.equal(document.tour.stops[0].plannedDwellMinutes, 0);
+    assert.equal(document.estimatedTotalMinutes, 5 + Math.ceil(durationSeconds / 60));
+    assert.equal(document.duration, document.estimatedTotalMinutes);
+
+    const rate = await redis.hGetAll(speechRateKey('stub:silence'));
+    assert.equal(Number(rate.words), countWords(document.scripts.stops[0].content));
+  });
+
+  it('fits the tour as it is when the timing is saved, keeping changes made since the job started', async () => {
+    const redis = createFakeRedis();
+    const garden = { ...MARKET_STOP, id: 'poi_2', name: 'Garden', walkMinutesFromPrevious: 3, dwellMinutes: 10 };
+    await seedTour(redis, {
+      stops: [{ ...MARKET_STOP, walkMinutesFromPrevious: 5, dwellMinutes: 0 }, garden],
+      tour: { estimatedTotalMinutes: 18 },
+      estimatedTotalMinutes: 18,
+    });
+
+    // Another write to the next stop lands once the job has read the tour
+    const duplicate = redis.duplicate;
+    let written = false;
+    redis.duplicate = () => {
+      const connection = duplicate();
+      const { watch } = connection;
+      connection.watch = async (...args) => {
+        const result = await watch(...args);
+        if (!written) {
+          written = true;
+          await redis.json.set('tour:tour_1', '$.tour.stops[1]', { ...garden, dwellMinutes: 15, walkingDirections: 'Turn left at the fountain' });
+        }
+        return result;
+      };
+      return connection;
+    };
+
+    await regenerateStop({ tourId: 'tour_1', stopIndex: 0, redisClient: redis });
+
+    const { tour, audioFiles, estimatedTotalMinutes } = await redis.json.get('tour:tour_1');
+    const narrationMinutes = Math.ceil(audioFiles.stops[0].durationSeconds / 60);
+    assert.equal(tour.stops[0].dwellMinutes, narrationMinutes);
+    assert.equal(tour.stops[1].dwellMinutes, 15);
+    assert.equal(tour.stops[1].walkingDirections, 'Turn left at the fountain');
+    assert.equal(estimatedTotalMinutes, 5 + narrationMinutes + 3 + 15);
+  });
+});
@@ -0,0 +1,164 @@
+import { START } from './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeRedis } from './helpers/fakeRedis.js';
+import { MARKET_STOP, seedTour } from './helpers/tours.js';
+
+const { editTourStops, reserveStopRegeneration } = await import('../utils/tourEditing.js');
+const { regenerateStop } = await import('../audioguideGeneration.js');
+
+const stop = (id, latitude, longitude) => ({ placeId: id, name: id, latitude, longitude, dwellMinutes: 10 });
+
+async function seedEditableTour(redis) {
+  await redis.json.set('tour:tour_1', '$', {
+    tour: { title: 'Walk', stops: [stop('a', 32.0840, 34.7810), stop('b', 32.0830, 34.7800), stop('c', 32.0820, 34.7790)] },
+    startLocation: `${START.longitude},${START.latitude}`,
+    status: 'complete',
+    scripts: { intro: 'intro', stops: ['a', 'b', 'c'] },
+    audioFiles: { intro: null, stops: [null, null, null] },
+  });
+}
+
+describe('editTourStops', () => {
+  it('saves the edit and bumps the revision', async () => {
+    const redis = createFakeRedis();
+    await seedEditableTour(redis);
+
+    const result = await editTourStops({ redisClient: redis, tourId: 'tour_1', edit: { type: 'move', index: 0, to: 2 } });
+
+    const saved = await redis.json.get('tour:tour_1');
+    assert.deepEqual(saved.tour.stops.map((s) => s.placeId), ['b', 'c', 'a']);
+    assert.equal(saved.revision, 1);
+    assert.equal(result.needsGeneration, true);
+  });
+
+  it('rejects the edit when the tour is written while it is applied', async () => {
+    const redis = createFakeRedis();
+    await seedEditableTour(redis);
+
+    // The audioguide job saves a script right after the edit has read the tour
+    const duplicate = redis.duplicate;
+    redis.duplicate = () => {
+      const connection = duplicate();
+      const { get } = connection.json;
+      connection.json = {
+        ...connection.json,
+        async get(...args) {
+          const value = await get(...args);
+          await redis.json.set('tour:tour_1', '$.scripts.stops[1]', 'new b');
+          return value;
+        },
+      };
+      return connection;
+    };
+
+    await assert.rejects(
+      editTourStops({ redisClient: redis, tourId: 'tour_1', edit: { type: 'remove', index: 0 } }),
+      (err) => err.message === 'tour-changed-during-edit' && err.status === 409
+    );
+
+    const saved = await redis.json.get('tour:tour_1');
+    assert.equal(saved.tour.stops.length, 3);
+    assert.equal(saved.scripts.stops[1], 'new b');
+  });
+
+  it('rejects dwell times that are not a whole number of minutes in range', async () => {
+    const redis = createFakeRedis();
+    await seedEditableTour(redis);
+
+    for (const dwellMinutes of [0, -5, 2.5, 241, NaN]) {
+      await assert.rejects(
+        editTourStops({ redisClient: redis, tourId: 'tour_1', edit: { type: 'insert', placeId: 'x', dwellMinutes } }),
+        (err) => err.message === 'invalid-dwell-minutes' && err.status === 400
+      );
+    }
+  });
+});
+
+describe('stop regeneration', () => {
+  const market = { ...MARKET_STOP, placeId: 'poi_1' };
+  const garden = { ...MARKET_STOP, id: 'poi_2', placeId: 'poi_2', name: 'Garden' };
+  const oldScripts = { intro: null, stops: [{ status: 'complete', content: 'Old market' }, { status: 'complete', content: 'Old garden' }] };
+
+  const regenerateFailures = (redis) => redis.published
+    .map((p) => JSON.parse(p.message))
+    .filter((event) => event.type === 'regenerate_failed');
+
+  it('reserves one stop at a time', async () => {
+    const redis = createFakeRedis();
+    await seedTour(redis, { stops: [market, garden], revision: 3 });
+
+    const reservation = await reserveStopRegeneration({ redisClient: redis, tourId: 'tour_1', stopIndex: 1 });
+
+    assert.deepEqual(reservation, { stopIndex: 1, placeId: 'poi_2', revision: 3 });
+    assert.equal((await redis.json.get('tour:tour_1')).regeneratingStop.placeId, 'poi_2');
+    await assert.rejects(
+      reserveStopRegeneration({ redisClient: redis, tourId: 'tour_1', stopIndex: 0 }),
+      (err) => err.message === 'stop-regeneration-pending' && err.status === 409
+    );
+  });
+
+  it('refuses tour edits until the regeneration is done', async () => {
+    const redis = createFakeRedis();
+    await seedEditableTour(redis);
+    await reserveStopRegeneration({ redisClient: redis, tourId: 'tour_1', stopIndex: 1 });
+
+    await assert.rejects(
+      editTourStops({ redisClient: redis, tourId: 'tour_1', edit: { type: 'remove', index: 0 } }),
+      (err) => err.message === 'stop-regeneration-pending' && err.status === 409
+    );
+    assert.equal((await redis.json.get('tour:tour_1')).tour.stops.length, 3);
+  });
+
+  it('swaps in the new version and releases the stop', async () => {
+    const redis = createFakeRedis();
+    await seedTour(redis, { stops: [market, garden], scripts: oldScripts });
+    const reservation = await reserveStopRegeneration({ redisClient: redis, tourId: 'tour_1', stopIndex: 0 });
+
+    await regenerateStop({ tourId: 'tour_1', ...reservation, redisClient: redis });
+
+    const saved = await redis.json.get('tour:tour_1');
+    assert.notEqual(saved.scripts.stops[0].content, 'Old market');
+    assert.equal(saved.regeneratingStop, null);
+  });
+
+  it('drops the new version when the stop moved while it was generated', async () => {
+    const redis = createFakeRedis();
+    await seedTour(redis, { stops: [market, garden], scripts: oldScripts });
+    const reservation = await reserveStopRegeneration({ redisClient: redis, tourId: 'tour_1', stopIndex: 0 });
+
+    // An edit swaps the two stops just before the new version is swapped in
+    const duplicate = redis.duplicate;
+    redis.duplicate = () => {
+      const connection = duplicate();
+      const { watch } = connection;
+      connection.watch = async (...args) => {
+        const result = await watch(...args);
+        await redis.json.set('tour:tour_1', '$.tour.stops', [garden, market]);
+        await redis.json.set('tour:tour_1', '$.scripts.stops', [oldScripts.stops[1], oldScripts.stops[0]]);
+        await redis.json.set('tour:tour_1', '$.revision', 1);
+        return result;
+      };
+      return connection;
+    };
+
+    await regenerateStop({ tourId: 'tour_1', ...reservation, redisClient: redis });
+
+    const saved = await redis.json.get('tour:tour_1');
+    assert.deepEqual(saved.scripts.stops.map((script) => script.content), ['Old garden', 'Old market']);
+    assert.equal(saved.regeneratingStop, null);
+    assert.deepEqual(regenerateFailures(redis).map((event) => `${event.data.stage}: ${event.data.error}`), ['swap: tour-changed-during-regeneration']);
+  });
+
+  it('does not start when the tour was edited after the request', async () => {
+    const redis = createFakeRedis();
+    await seedTour(redis, { stops: [market, garden], scripts: oldScripts });
+    const reservation = await reserveStopRegeneration({ redisClient: redis, tourId: 'tour_1', stopIndex: 0 });
+    await redis.json.set('tour:tour_1', '$.revision', 1);
+
+    await regenerateStop({ tourId: 'tour_1', ...reservation, redisClient: redis });
+
+    assert.equal((await redis.json.get('tour:tour_1')).scripts.stops[0].content, 'Old market');
+    assert.equal(regenerateFailures(redis)[0].data.stage, 'script');
+  });
+});
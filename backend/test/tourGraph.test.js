@@ -0,0 +1,89 @@
+import { START } from './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { END } from '@langchain/langgraph';
+import { createFakeRedis } from './helpers/fakeRedis.js';
+import { waitFor } from './helpers/waitFor.js';
+import { createTourGraphRouters, generateTours } from '../tourGeneration.js';
+
+const routers = (options = {}) => createTourGraphRouters({ END, ...options });
+
+describe('tour graph routing', () => {
+  it('checks the suggestions cache only for plain requests', () => {
+    assert.equal(routers().shouldCheckCache({}), 'check_cache_for_tour_suggestions');
+    assert.equal(routers({ customization: '   ' }).shouldCheckCache({}), 'check_cache_for_tour_suggestions');
+
+    for (const options of [
+      { customization: 'street art' },
+      { endLocation: { latitude: 32.09, longitude: 34.78 } },
+      { excludePlaceIds: ['poi_1'] },
+      { accessibility: { stepFree: true } },
+      { startTime: '2026-05-01T10:00' },
+    ]) {
+      assert.equal(routers(options).shouldCheckCache({}), 'query_pois', JSON.stringify(options));
+    }
+  });
+
+  it('loads selected places instead of discovering POIs', () => {
+    const { shouldCheckCache, routeAfterLoadSelectedPois, routeAfterAreaContext } = routers({ selectedPlaceIds: ['poi_1'], customization: 'x' });
+
+    assert.equal(shouldCheckCache({}), 'load_selected_pois');
+    assert.equal(routeAfterLoadSelectedPois({}), 'reverse_geocode');
+    assert.equal(routeAfterLoadSelectedPois({ error: 'selected_places_not_found' }), END);
+    assert.equal(routeAfterAreaContext({}), 'build_selected_places_tour');
+    assert.equal(routers({ selectedPlaceIds: [] }).routeAfterAreaContext({}), 'generate_candidate_tours');
+  });
+
+  it('ends on a cache hit', () => {
+    const { routeAfterCacheCheck } = routers();
+    assert.equal(routeAfterCacheCheck({ cacheHit: true }), END);
+    assert.equal(routeAfterCacheCheck({ cacheHit: false }), 'query_pois');
+  });
+
+  it('falls back to the POI provider once when fewer than 40 POIs are cached', () => {
+    const { routeAfterQueryPois } = routers();
+    const pois = (count) => Array.from({ length: count }, (_, i) => ({ id: `poi_${i}` }));
+
+    assert.equal(routeAfterQueryPois({ pois: pois(39) }), 'fetch_pois_from_google_maps');
+    assert.equal(routeAfterQueryPois({}), 'fetch_pois_from_google_maps');
+    assert.equal(routeAfterQueryPois({ pois: pois(40) }), 'reverse_geocode');
+    // After the fetch, continue with whatever was found - even nothing
+    assert.equal(routeAfterQueryPois({ pois: pois(3), googleMapsFetched: true }), 'reverse_geocode');
+    assert.equal(routeAfterQueryPois({ pois: [], googleMapsFetched: true }), 'reverse_geocode');
+  });
+});
+
+describe('generateTours', () => {
+  const request = { durationMinutes: 55, language: 'english', customization: '', ...START };
+
+  it('generates tours on a cache miss, then serves them from the cache', async () => {
+    const redis = createFakeRedis();
+
+    // Empty POI cache -> provider fetch -> geocode -> summaries -> LLM tours
+    const first = await generateTours({ ...request, redisClient: redis });
+
+    assert.equal(first.city, 'Tel Aviv-Yafo');
+    assert.equal(first.neighborhood, 'Lev HaIr');
+    assert.equal(first.tours.length, 2);
+    assert.ok(first.tours.every(tour => tour.stops.every(stop => stop.source === 'geojson')));
+
+    // Tours are cached in the background once the response is ready
+    const tourIds = first.tours.map(tour => tour.id).sort();
+    await waitFor(async () => (await redis.json.get(`toursuggest_cache:${tourIds[1]}`)) !== null);
+
+    const second = await generateTours({ ...request, redisClient: redis });
+
+    assert.deepEqual(second.tours.map(tour => tour.id).sort(), tourIds);
+  });
+
+  it('fails when no POIs are found around the start', async () => {
+    await assert.rejects(
+      generateTours({ ...request, latitude: 31.5, city: 'Nowhere', neighborhood: 'Empty', redisClient: createFakeRedis() }),
+      /No points of interest detected/
+    );
+  });
+
+  it('requires Redis', async () => {
+    await assert.rejects(generateTours({ ...request, redisClient: null }), /Redis client is required/);
+  });
+});
@@ -0,0 +1,126 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractToursFromStream, enrichTourWithPoiDetails } from '../utils/tourHelpers.js';
+import { makePois } from './helpers/pois.js';
+
+async function* chunked(text, size) {
+  for (let i = 0; i < text.length; i += size) {
+    yield text.slice(i, i + size);
+  }
+}
+
+async function collect(stream) {
+  const tours = [];
+  for await (const tour of stream) tours.push(tour);
+  return tours;
+}
+
+// Strings full of the characters the extractor tracks: braces, quotes, backslashes
+const tours = [
+  {
+    id: 'tour-1',
+    title: 'Braces {inside} a "quoted" title',
+    abstract: 'Ends with a backslash \\',
+    theme: '}{ ]',
+    stops: [{ poiIndex: 1, dwellMinutes: 10, walkMinutesFromPrevious: 0 }],
+  },
+  {
+    id: 'tour-2',
+    title: 'Escapes \\" and \\\\ and é and emoji 🏛',
+    abstract: 'Nested { "json": [1, {"a": "}"}] } in text',
+    theme: 'History',
+    stops: [],
+  },
+];
+
+describe('extractToursFromStream', () => {
+  const text = JSON.stringify(tours, null, 2);
+
+  it('emits every tour whatever the chunk size', async () => {
+    for (const size of [1, 2, 3, 7, 64, text.length]) {
+      assert.deepEqual(await collect(extractToursFromStream(chunked(text, size))), tours, `chunk size ${size}`);
+    }
+  });
+
+  it('handles an escape split across chunks', async () => {
+    const json = JSON.stringify([{ id: 'a', title: 'say \\"hi\\" }' }]);
+    const escapeAt = json.indexOf('\\');
+    const chunks = [json.slice(0, escapeAt + 1), json.slice(escapeAt + 1)];
+
+    async function* stream() {
+      yield* chunks;
+    }
+
+    assert.deepEqual(await collect(extractToursFromStream(stream())), JSON.parse(json));
+  });
+
+  it('emits each tour as soon as it is complete', async () => {
+    const cut = text.indexOf('"tour-2"');
+    const seen = [];
+
+    async function* stream() {
+      yield text.slice(0, cut);
+      seen.push('first half sent');
+      yield text.slice(cut);
+    }
+
+    for await (const tour of extractToursFromStream(stream())) {
+      seen.push(tour.id);
+    }
+
+    assert.deepEqual(seen, ['tour-1', 'first half sent', 'tour-2']);
+  });
+
+  it('drops a tour cut off by the end of the stream', async () => {
+    const truncated = text.slice(0, text.lastIndexOf('"theme"'));
+    assert.deepEqual((await collect(extractToursFromStream(chunked(truncated, 5)))).map(t => t.id), ['tour-1']);
+  });
+});
+
+describe('enrichTourWithPoiDetails', () => {
+  const pois = makePois(3);
+
+  it('fills stops from the 1-based POI index', () => {
+    const tour = enrichTourWithPoiDetails({ title: 'T', stops: [{ poiIndex: 3, dwellMinutes: 5, walkMinutesFromPrevious: 2 }] }, pois);
+
+    assert.deepEqual(tour.stops[0], {
+      poiIndex: 3,
+      placeId: 'poi_3',
+      name: 'poi place 3',
+      latitude: pois[2].latitude,
+      longitude: pois[2].longitude,
+      dwellMinutes: 5,
+      walkMinutesFromPrevious: 2,
+      wheelchairAccessibleEntrance: null,
+      openingHours: null,
+      source: 'geojson',
+    });
+  });
+
+  it('marks stops with an invalid index instead of failing', () => {
+    const invalid = [0, -1, 4, 1.5, '2', null, undefined];
+    const tour = enrichTourWithPoiDetails({ title: 'T', stops: invalid.map(poiIndex => ({ poiIndex })) }, pois);
+
+    for (const [i, stop] of tour.stops.entries()) {
+      if (invalid[i] === 1.5) {
+        // In range but not an integer - no POI at that position
+        assert.equal(stop.placeId, 'not_found');
+        assert.match(stop.name, /POI Not Found/);
+      } else {
+        assert.equal(stop.placeId, 'invalid', `poiIndex ${invalid[i]}`);
+        assert.match(stop.name, /Invalid POI Index/);
+      }
+      assert.equal(stop.latitude, 0);
+      assert.equal(stop.longitude, 0);
+    }
+  });
+
+  it('leaves the tour unchanged without stops or POIs', () => {
+    const noStops = { title: 'T', stops: [] };
+    const withStops = { title: 'T', stops: [{ poiIndex: 1 }] };
+
+    assert.equal(enrichTourWithPoiDetails(noStops, pois), noStops);
+    assert.equal(enrichTourWithPoiDetails(withStops, []), withStops);
+  });
+});
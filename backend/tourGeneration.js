@@ -10,6 +10,7 @@ import { createSavePoiToCacheNode } from './nodes/cache/savePoiToCache.js';
 // Import POI nodes
 import { createFetchPoisFromGoogleMapsNode } from './nodes/poi/fetchPoisFromGoogleMaps.js';
 import { createQueryPoisNode } from './nodes/poi/queryPois.js';
+import { createLoadSelectedPoisNode } from './nodes/poi/loadSelectedPois.js';
 
 // Import context nodes
 import { createReverseGeocodeNode } from './nodes/context/reverseGeocode.js';
@@ -18,6 +19,7 @@ import { createAssembleAreaContextNode } from './nodes/context/assembleAreaConte
 
 // Import tour nodes
 import { createGenerateCandidateToursNode } from './nodes/tours/generateCandidateTours.js';
+import { createBuildSelectedPlacesTourNode } from './nodes/tours/buildSelectedPlacesTour.js';
 
 // Add debug logging at the top
 console.log('[tourGeneration] LangSmith config check:', {
@@ -53,6 +55,8 @@ async function getLangGraphModules() {
   return langGraphModulesPromise;
 }
 
+const MINIMUM_POIS_FOR_TOUR_SUGGESTIONS = 40;
+
 // Normalize duration to discrete values for better caching
 function normalizeDuration(durationMinutes) {
   const allowedDurations = [30, 60, 90, 120, 180]; // 30min, 1h, 1.5h, 2h, 3h
@@ -72,8 +76,96 @@ function normalizeDuration(durationMinutes) {
   return closest;
 }
 
+/**
+ * Create the conditional edge functions of the tour graph
+ * Kept outside buildTourGraph so the routing can be tested without running the nodes.
+ *
+ * @param {Object} options - The tour request options that affect routing
+ * @param {*} options.END - LangGraph END marker
+ * @returns {Object} { shouldCheckCache, routeAfterCacheCheck, routeAfterQueryPois, routeAfterLoadSelectedPois, routeAfterAreaContext }
+ */
+export function createTourGraphRouters({ selectedPlaceIds, customization, endLocation, excludePlaceIds, accessibility, startTime, END }) {
+  const hasSelectedPlaces = Array.isArray(selectedPlaceIds) && selectedPlaceIds.length > 0;
+
+  const shouldCheckCache = (state) => {
+    // Selected places mode skips POI discovery and the suggestions cache entirely
+    if (hasSelectedPlaces) {
+      console.log('[tourGeneration] Routing: Load selected places');
+      return 'load_selected_pois';
+    }
+    // Check cache only if no customization
+    if (customization && customization.trim().length > 0) {
+      console.log('[tourGeneration] Routing: Skip cache check (customization provided)');
+      return 'query_pois';
+    }
+    // Cached suggestions are open-ended tours, so they can't satisfy an end location
+    if (endLocation) {
+      console.log('[tourGeneration] Routing: Skip cache check (end location provided)');
+      return 'query_pois';
+    }
+    // Cached suggestions may include excluded POIs (e.g. ones used on an earlier itinerary day)
+    if (excludePlaceIds?.length > 0) {
+      console.log('[tourGeneration] Routing: Skip cache check (excluded POIs provided)');
+      return 'query_pois';
+    }
+    // Cached suggestions weren't checked against accessibility limits
+    if (accessibility) {
+      console.log('[tourGeneration] Routing: Skip cache check (accessibility limits provided)');
+      return 'query_pois';
+    }
+    // Cached suggestions have no arrival times and may visit places that are closed
+    if (startTime) {
+      console.log('[tourGeneration] Routing: Skip cache check (start time provided)');
+      return 'query_pois';
+    }
+    console.log('[tourGeneration] Routing: Check cache');
+    return 'check_cache_for_tour_suggestions';
+  };
+
+  const routeAfterCacheCheck = (state) => {
+    if (state.cacheHit) {
+      console.log('[tourGeneration] Routing: Cache hit, skip to end');
+      return END;
+    }
+    console.log('[tourGeneration] Routing: Cache miss, continue to query POIs');
+    return 'query_pois';
+  };
+
+  const routeAfterQueryPois = (state) => {
+    // Check if we actually got POIs from the query
+    const poiCount = state.pois?.length || 0;
+
+    // If we have insufficient POIs and haven't tried Google Maps yet, fetch from Google Maps
+    if (poiCount < MINIMUM_POIS_FOR_TOUR_SUGGESTIONS && !state.googleMapsFetched) {
+      console.warn(`[tourGeneration] ⚠️ Routing: query_pois returned ${poiCount} POIs (need ${MINIMUM_POIS_FOR_TOUR_SUGGESTIONS}), falling back to Google Maps`);
+      return 'fetch_pois_from_google_maps';
+    }
+
+    console.log(`[tourGeneration] Routing: query_pois returned ${poiCount} POIs, continuing to reverse_geocode`);
+    return 'reverse_geocode';
+  };
+
+  const routeAfterLoadSelectedPois = (state) => {
+    if (state.error) {
+      console.warn('[tourGeneration] Routing: No selected places could be loaded, skip to end');
+      return END;
+    }
+    return 'reverse_geocode';
+  };
+
+  const routeAfterAreaContext = (state) => {
+    if (hasSelectedPlaces) {
+      console.log('[tourGeneration] Routing: Build tour from selected places');
+      return 'build_selected_places_tour';
+    }
+    return 'generate_candidate_tours';
+  };
+
+  return { shouldCheckCache, routeAfterCacheCheck, routeAfterQueryPois, routeAfterLoadSelectedPois, routeAfterAreaContext };
+}
+
 // Build the LangGraph workflow for tour generation
-async function buildTourGraph({ sessionId, latitude, longitude, durationMinutes, customization, language, redisClient }) {
+async function buildTourGraph({ sessionId, latitude, longitude, durationMinutes, customization, language, endLocation, selectedPlaceIds, excludePlaceIds, accessibility, startTime, redisClient }) {
   const modules = await getLangGraphModules();
   if (!modules) {
     throw new Error('LangGraph modules not available');
@@ -103,10 +195,21 @@ async function buildTourGraph({ sessionId, latitude, longitude, durationMinutes,
     latitude,
     longitude,
     durationMinutes: normalizedDuration,
+    endLocation,
     redisClient
   });
 
   const queryPoisNode = createQueryPoisNode({
+    latitude,
+    longitude,
+    durationMinutes: normalizedDuration,
+    endLocation,
+    excludePlaceIds,
+    redisClient
+  });
+
+  const loadSelectedPoisNode = createLoadSelectedPoisNode({
+    selectedPlaceIds,
     latitude,
     longitude,
     durationMinutes: normalizedDuration,
@@ -134,44 +237,32 @@ async function buildTourGraph({ sessionId, latitude, longitude, durationMinutes,
     durationMinutes: normalizedDuration,
     customization,
     language,
+    endLocation,
+    accessibility,
+    startTime,
     redisClient
   });
 
-  // Routing functions
-  const shouldCheckCache = (state) => {
-    // Check cache only if no customization
-    if (customization && customization.trim().length > 0) {
-      console.log('[tourGeneration] Routing: Skip cache check (customization provided)');
-      return 'query_pois';
-    }
-    console.log('[tourGeneration] Routing: Check cache');
-    return 'check_cache_for_tour_suggestions';
-  };
-
-  const routeAfterCacheCheck = (state) => {
-    if (state.cacheHit) {
-      console.log('[tourGeneration] Routing: Cache hit, skip to end');
-      return END;
-    }
-    console.log('[tourGeneration] Routing: Cache miss, continue to query POIs');
-    return 'query_pois';
-  };
-
-  const MINIMUM_POIS_FOR_TOUR_SUGGESTIONS = 40;
-
-  const routeAfterQueryPois = (state) => {
-    // Check if we actually got POIs from the query
-    const poiCount = state.pois?.length || 0;
-
-    // If we have insufficient POIs and haven't tried Google Maps yet, fetch from Google Maps
-    if (poiCount < MINIMUM_POIS_FOR_TOUR_SUGGESTIONS && !state.googleMapsFetched) {
-      console.warn(`[tourGeneration] ⚠️ Routing: query_pois returned ${poiCount} POIs (need ${MINIMUM_POIS_FOR_TOUR_SUGGESTIONS}), falling back to Google Maps`);
-      return 'fetch_pois_from_google_maps';
-    }
+  const buildSelectedPlacesTourNode = createBuildSelectedPlacesTourNode({
+    latitude,
+    longitude,
+    durationMinutes: normalizedDuration,
+    language,
+    endLocation,
+    accessibility,
+    startTime,
+    redisClient
+  });
 
-    console.log(`[tourGeneration] Routing: query_pois returned ${poiCount} POIs, continuing to reverse_geocode`);
-    return 'reverse_geocode';
-  };
+  const { shouldCheckCache, routeAfterCacheCheck, routeAfterQueryPois, routeAfterLoadSelectedPois, routeAfterAreaContext } = createTourGraphRouters({
+    selectedPlaceIds,
+    customization,
+    endLocation,
+    excludePlaceIds,
+    accessibility,
+    startTime,
+    END
+  });
 
   // Build and compile graph
   // Note: Cache saving nodes (savePoiToCache, saveTourSuggestionsToCache) are NOT in the graph
@@ -180,17 +271,20 @@ async function buildTourGraph({ sessionId, latitude, longitude, durationMinutes,
     .addNode('check_cache_for_tour_suggestions', checkCacheForTourSuggestionsNode)
     .addNode('fetch_pois_from_google_maps', fetchPoisNode)
     .addNode('query_pois', queryPoisNode)
+    .addNode('load_selected_pois', loadSelectedPoisNode)
     .addNode('reverse_geocode', reverseGeocodeNode)
     .addNode('generate_area_summaries', generateAreaSummariesNode)
     .addNode('assemble_area_context', assembleAreaContextNode)
     .addNode('generate_candidate_tours', generateCandidatesNode)
+    .addNode('build_selected_places_tour', buildSelectedPlacesTourNode)
     // Routing
     .addConditionalEdges(
       START,
       shouldCheckCache,
       {
         'check_cache_for_tour_suggestions': 'check_cache_for_tour_suggestions',
-        'query_pois': 'query_pois'
+        'query_pois': 'query_pois',
+        'load_selected_pois': 'load_selected_pois'
       }
     )
     .addConditionalEdges(
@@ -210,10 +304,26 @@ async function buildTourGraph({ sessionId, latitude, longitude, durationMinutes,
         'reverse_geocode': 'reverse_geocode'
       }
     )
+    .addConditionalEdges(
+      'load_selected_pois',
+      routeAfterLoadSelectedPois,
+      {
+        [END]: END,
+        'reverse_geocode': 'reverse_geocode'
+      }
+    )
     .addEdge('reverse_geocode', 'generate_area_summaries')
     .addEdge('generate_area_summaries', 'assemble_area_context')
-    .addEdge('assemble_area_context', 'generate_candidate_tours')
-    .addEdge('generate_candidate_tours', END);
+    .addConditionalEdges(
+      'assemble_area_context',
+      routeAfterAreaContext,
+      {
+        'generate_candidate_tours': 'generate_candidate_tours',
+        'build_selected_places_tour': 'build_selected_places_tour'
+      }
+    )
+    .addEdge('generate_candidate_tours', END)
+    .addEdge('build_selected_places_tour', END);
 
   // Compile graph with checkpointer if available
   let checkpointer = null;
@@ -258,7 +368,12 @@ async function isSessionCancelled(sessionId, redisClient) {
 }
 
 // Main export function - generates tours using LangGraph workflow
-export async function generateTours({ sessionId, latitude, longitude, durationMinutes, customization, language, city: providedCity, neighborhood: providedNeighborhood, country: providedCountry, redisClient }) {
+// endLocation ({ latitude, longitude, returnToStart? }) makes every tour end there instead of at its last stop
+// selectedPlaceIds (Places IDs or poi_cache IDs) builds a single tour that visits all of them
+// excludePlaceIds keeps POIs out of the generated tours (used by the itinerary planner)
+// accessibility ({ stepFree?, maxLegMeters?, maxTotalMeters? }) limits the routes and adds rest stops on long legs
+// startTime ("YYYY-MM-DDTHH:mm", local time) schedules stops around opening hours and adds arrival times
+export async function generateTours({ sessionId, latitude, longitude, durationMinutes, customization, language, endLocation = null, selectedPlaceIds = null, excludePlaceIds = [], accessibility = null, startTime = null, city: providedCity, neighborhood: providedNeighborhood, country: providedCountry, redisClient }) {
   if (!redisClient) {
     throw new Error('Redis client is required for tour generation');
   }
@@ -276,6 +391,11 @@ export async function generateTours({ sessionId, latitude, longitude, durationMi
     durationMinutes,
     customization,
     language,
+    endLocation,
+    selectedPlaceIds,
+    excludePlaceIds,
+    accessibility,
+    startTime,
     redisClient,
   });
 
@@ -330,6 +450,18 @@ export async function generateTours({ sessionId, latitude, longitude, durationMi
     throw new Error('No points of interest detected in this area. Please try again from a different location.');
   }
 
+  if (finalState.error === 'selected_places_not_found') {
+    console.warn('[tourGeneration] ⚠️ Tour generation failed: None of the selected places were found');
+    throw new Error('None of the selected places could be found.');
+  }
+
+  if (finalState.error === 'no_accessible_tour_found') {
+    console.warn('[tourGeneration] ⚠️ Tour generation failed: No tour meets the accessibility limits');
+    const error = new Error('No accessible tour found.');
+    error.rejectedTours = finalState.rejectedTours || [];
+    throw error;
+  }
+
   // Extract results from final state - use provided values if available, otherwise use generated values
   const city = providedCity || finalState.areaContext?.city || null;
   const neighborhood = providedNeighborhood || finalState.areaContext?.neighborhood || null;
@@ -343,11 +475,17 @@ export async function generateTours({ sessionId, latitude, longitude, durationMi
   // This allows the user to receive their response immediately while caching happens in the background
   saveCacheAsync({
     finalState,
-    durationMinutes,
+    // Cached under the same normalized duration the cache check looks up
+    durationMinutes: normalizeDuration(durationMinutes),
     language,
     longitude,
     latitude,
     customization,
+    endLocation,
+    selectedPlaceIds,
+    excludePlaceIds,
+    accessibility,
+    startTime,
     redisClient
   }).catch(err => {
     console.error('[tourGeneration] Background cache save failed:', err);
@@ -368,7 +506,7 @@ export async function generateTours({ sessionId, latitude, longitude, durationMi
  * Save POIs and tour suggestions to cache asynchronously
  * This runs in the background after the user receives their response
  */
-async function saveCacheAsync({ finalState, durationMinutes, language, longitude, latitude, customization, redisClient }) {
+async function saveCacheAsync({ finalState, durationMinutes, language, longitude, latitude, customization, endLocation, selectedPlaceIds, excludePlaceIds, accessibility, startTime, redisClient }) {
   console.log('[tourGeneration] Starting background cache operations...');
 
   try {
@@ -380,6 +518,11 @@ async function saveCacheAsync({ finalState, durationMinutes, language, longitude
       longitude,
       latitude,
       customization,
+      endLocation,
+      selectedPlaceIds,
+      excludePlaceIds,
+      accessibility,
+      startTime,
       redisClient
     });
 
@@ -0,0 +1,116 @@
+/**
+ * Accessibility Helpers
+ *
+ * Route limits for accessible tours (step-free, maximum walking leg, maximum total distance)
+ * and rest-stop repair for legs that are too long.
+ */
+
+import { getDistanceMeters } from './poiHelpers.js';
+
+const STREET_DETOUR_FACTOR = 1.3; // Straight-line distance -> street distance
+const REST_STOP_DWELL_MINUTES = 10;
+
+// Places where people can sit down for a while: parks and squares, plus cafes from the secondary POI types
+const REST_POINT_TYPES = new Set([
+  'park', 'garden', 'botanical_garden', 'plaza', 'picnic_ground',
+  'cafe', 'coffee_shop', 'tea_house', 'bakery', 'ice_cream_shop', 'juice_shop'
+]);
+
+/**
+ * Check leg and total walking distances against the accessibility limits
+ *
+ * @param {Array<number|null>} legDistances - Walking distance of each leg in meters (start->first stop first)
+ * @param {Object} accessibility - { stepFree?, maxLegMeters?, maxTotalMeters? }
+ * @returns {Array<Object>} Violations ({ type: 'leg-too-long', legIndex, distanceMeters } | { type: 'total-too-long', distanceMeters })
+ */
+export function findAccessibilityViolations(legDistances, accessibility) {
+  const violations = [];
+
+  if (accessibility?.maxLegMeters) {
+    legDistances.forEach((distanceMeters, legIndex) => {
+      if (distanceMeters && distanceMeters > accessibility.maxLegMeters) {
+        violations.push({ type: 'leg-too-long', legIndex, distanceMeters });
+      }
+    });
+  }
+
+  const totalMeters = legDistances.reduce((sum, distance) => sum + (distance || 0), 0);
+  if (accessibility?.maxTotalMeters && totalMeters > accessibility.maxTotalMeters) {
+    violations.push({ type: 'total-too-long', distanceMeters: totalMeters });
+  }
+
+  return violations;
+}
+
+/**
+ * Insert a rest stop into each leg that is longer than the accessibility limit
+ *
+ * The rest stop is the rest-point POI that splits the leg most evenly with the least detour.
+ * Step-free tours skip places known to have no wheelchair accessible entrance.
+ *
+ * @param {Object} params
+ * @param {Object} params.start - { latitude, longitude } where the tour starts
+ * @param {Array} params.stops - Enriched tour stops
+ * @param {Object} [params.end] - Optional { latitude, longitude } where the tour ends
+ * @param {Array<Object>} params.violations - Output of findAccessibilityViolations
+ * @param {Array} params.pois - POIs available to the tour (poiIndex is 1-based into this array)
+ * @param {Object} params.accessibility - { stepFree?, maxLegMeters? }
+ * @returns {Array} Stops with rest stops inserted (unchanged if no rest point fits)
+ */
+export function insertRestStops({ start, stops, end = null, violations, pois, accessibility }) {
+  const usedIds = new Set(stops.map(stop => stop.placeId));
+  const candidates = pois
+    .map((poi, index) => ({ poi, poiIndex: index + 1 }))
+    .filter(({ poi }) =>
+      !usedIds.has(poi.id) &&
+      (poi.types || []).some(type => REST_POINT_TYPES.has(type)) &&
+      !(accessibility?.stepFree && poi.wheelchairAccessibleEntrance === false)
+    );
+
+  const legIndexes = violations
+    .filter(violation => violation.type === 'leg-too-long')
+    .map(violation => violation.legIndex)
+    .sort((a, b) => b - a); // Insert from the back so earlier leg indexes stay valid
+
+  const updatedStops = [...stops];
+
+  for (const legIndex of legIndexes) {
+    const from = legIndex === 0 ? start : updatedStops[legIndex - 1];
+    const to = legIndex < updatedStops.length ? updatedStops[legIndex] : end;
+    if (!from || !to) continue;
+
+    let best = null;
+    for (const candidate of candidates) {
+      if (usedIds.has(candidate.poi.id)) continue;
+      const toRest = getDistanceMeters(from.latitude, from.longitude, candidate.poi.latitude, candidate.poi.longitude) * STREET_DETOUR_FACTOR;
+      const fromRest = getDistanceMeters(candidate.poi.latitude, candidate.poi.longitude, to.latitude, to.longitude) * STREET_DETOUR_FACTOR;
+      // The longer half decides whether the leg is fixed; the total breaks ties
+      const score = Math.max(toRest, fromRest) * 2 + toRest + fromRest;
+      if (!best || score < best.score) {
+        best = { ...candidate, score };
+      }
+    }
+
+    if (!best) {
+      console.warn(`[accessibility] No rest point found for leg ${legIndex}`);
+      continue;
+    }
+
+    usedIds.add(best.poi.id);
+    updatedStops.splice(legIndex, 0, {
+      poiIndex: best.poiIndex,
+      placeId: best.poi.id,
+      name: best.poi.name,
+      latitude: best.poi.latitude,
+      longitude: best.poi.longitude,
+      dwellMinutes: REST_STOP_DWELL_MINUTES,
+      walkMinutesFromPrevious: 0,
+      wheelchairAccessibleEntrance: best.poi.wheelchairAccessibleEntrance ?? null,
+      source: best.poi.source || 'google',
+      restStop: true,
+    });
+    console.log(`[accessibility] Inserted rest stop "${best.poi.name}" on leg ${legIndex}`);
+  }
+
+  return updatedStops;
+}
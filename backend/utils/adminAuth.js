@@ -0,0 +1,38 @@
+/**
+ * Admin Authentication
+ *
+ * Writes to data every tour shares (pronunciation lexicons, the knowledge base) and hand edits of
+ * tours need the ADMIN_TOKEN, sent as "Authorization: Bearer <token>". Without ADMIN_TOKEN set
+ * those writes are disabled.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Hashed so tokens of any length compare in constant time
+const digest = (value) => createHash('sha256').update(value).digest();
+
+/**
+ * Check a request's bearer token against ADMIN_TOKEN
+ * @param {string} [authorization] - Authorization header
+ * @param {string} [adminToken] - Expected token
+ * @returns {boolean}
+ */
+export function isAdminAuthorized(authorization, adminToken = process.env.ADMIN_TOKEN) {
+  const token = /^Bearer (.+)$/.exec(authorization || '')?.[1];
+  return Boolean(adminToken && token) && timingSafeEqual(digest(token), digest(adminToken));
+}
+
+/**
+ * Express middleware that lets only admin requests through
+ * Responds 403 `admin-writes-disabled` when ADMIN_TOKEN isn't set, 401 `admin-token-required` otherwise.
+ */
+export function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'admin-writes-disabled' });
+  }
+  if (!isAdminAuthorized(req.get('authorization'))) {
+    console.warn(`[adminAuth] Rejected ${req.method} ${req.path} without a valid admin token`);
+    return res.status(401).json({ error: 'admin-token-required' });
+  }
+  next();
+}
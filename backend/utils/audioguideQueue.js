@@ -0,0 +1,304 @@
+/**
+ * Audioguide Job Queue
+ *
+ * Redis Streams backed queue for audioguide generation. The API enqueues a job and
+ * returns immediately; workers (embedded in the API process or started via worker.js)
+ * consume the stream through a consumer group.
+ *
+ * Jobs are only acknowledged once they finish, so a job whose worker dies mid-run stays
+ * in the group's pending list. Workers periodically claim (XAUTOCLAIM) jobs that were left
+ * idle for too long - running jobs are kept fresh by a heartbeat, so only abandoned ones qualify.
+ *
+ * Every worker gets a unique consumer name by default, so workers on the same host never share
+ * one. A worker given a stable name (AUDIOGUIDE_WORKER_ID, which must then be unique per worker)
+ * also resumes its own pending jobs right away when it restarts.
+ */
+
+import { randomBytes } from 'crypto';
+import { hostname } from 'os';
+
+export const AUDIOGUIDE_JOBS_STREAM = 'audioguide:jobs';
+const AUDIOGUIDE_JOBS_GROUP = 'audioguide-workers';
+
+const BLOCK_MS = 5000; // How long a read waits for new jobs
+const CLAIM_IDLE_MS = parseInt(process.env.AUDIOGUIDE_JOB_CLAIM_IDLE_MS || '60000', 10);
+const HEARTBEAT_INTERVAL_MS = Math.max(1000, Math.floor(CLAIM_IDLE_MS / 3));
+const CLAIM_INTERVAL_MS = CLAIM_IDLE_MS;
+const DEFAULT_CONCURRENCY = parseInt(process.env.AUDIOGUIDE_WORKER_CONCURRENCY || '2', 10);
+
+/**
+ * Ensure the jobs stream and consumer group exist
+ * @param {Object} redisClient - Redis client instance
+ */
+export async function ensureAudioguideQueue(redisClient) {
+  try {
+    await redisClient.xGroupCreate(AUDIOGUIDE_JOBS_STREAM, AUDIOGUIDE_JOBS_GROUP, '0', { MKSTREAM: true });
+    console.log('[audioguideQueue] Created consumer group', AUDIOGUIDE_JOBS_GROUP);
+  } catch (err) {
+    if (!String(err.message || '').includes('BUSYGROUP')) {
+      throw err;
+    }
+  }
+}
+
+/**
+ * Add an audioguide job to the queue
+ *
+ * @param {Object} redisClient - Redis client instance
+ * @param {Object} job - Job description
+ * @param {string} [job.type='generate'] - Job type (selects the worker handler)
+ * @param {string} job.tourId - Shareable tour ID (the job loads everything else from tour:{tourId})
+ * @param {Object} [job.payload] - Extra handler-specific data
+ * @returns {Promise<string>} Stream entry ID
+ */
+export async function enqueueAudioguideJob(redisClient, { type = 'generate', tourId, payload = {} }) {
+  if (!tourId) {
+    throw new Error('tourId is required to enqueue an audioguide job');
+  }
+
+  await ensureAudioguideQueue(redisClient);
+
+  const jobId = await redisClient.xAdd(AUDIOGUIDE_JOBS_STREAM, '*', {
+    type,
+    tourId,
+    payload: JSON.stringify(payload),
+    enqueuedAt: new Date().toISOString(),
+  }, {
+    // Keep the stream bounded; finished jobs are only kept for debugging
+    TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: 10000 },
+  });
+
+  console.log(`[audioguideQueue] Enqueued ${type} job ${jobId} for tour ${tourId}`);
+  return jobId;
+}
+
+function parseJob(entry) {
+  const { id, message } = entry;
+  let payload = {};
+  try {
+    payload = message.payload ? JSON.parse(message.payload) : {};
+  } catch {
+    console.warn('[audioguideQueue] Ignoring malformed payload for job', id);
+  }
+
+  return {
+    id,
+    type: message.type || 'generate',
+    tourId: message.tourId,
+    payload,
+  };
+}
+
+/**
+ * Consumer name for a worker without a configured one: unique per process, so two workers on
+ * one host (or started from one container image) never read each other's pending jobs
+ * @param {string} role - e.g. 'api', 'worker'
+ * @returns {string}
+ */
+export function uniqueConsumerName(role) {
+  return `${hostname()}-${role}-${process.pid}-${randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Start consuming audioguide jobs
+ *
+ * @param {Object} config - Worker configuration
+ * @param {Object} config.redisClient - Connected Redis client (duplicated for blocking reads)
+ * @param {Object} config.handlers - Map of job type -> async (job) => void
+ * @param {string} [config.consumerName] - Stable consumer name, unique per worker; reusing it after a restart
+ *   resumes this worker's own pending jobs at once. Defaults to AUDIOGUIDE_WORKER_ID, else a unique name
+ *   (interrupted jobs are then claimed once idle for AUDIOGUIDE_JOB_CLAIM_IDLE_MS)
+ * @param {string} [config.role] - Part of the generated consumer name
+ * @param {number} [config.concurrency] - Maximum jobs processed at once
+ * @returns {Promise<{ stop: Function }>}
+ */
+export async function startAudioguideWorker({
+  redisClient,
+  handlers,
+  role = 'worker',
+  consumerName: configuredName = process.env.AUDIOGUIDE_WORKER_ID,
+  concurrency = DEFAULT_CONCURRENCY,
+}) {
+  const consumerName = configuredName || uniqueConsumerName(role);
+  await ensureAudioguideQueue(redisClient);
+
+  // Blocking reads hold the connection, so they get their own
+  const blockingClient = redisClient.duplicate();
+  blockingClient.on('error', (err) => {
+    console.error('[audioguideQueue] Redis blocking client error:', err);
+  });
+  await blockingClient.connect();
+
+  const inFlight = new Map(); // job id -> promise
+  let stopped = false;
+
+  console.log(`[audioguideQueue] Worker ${consumerName} started (concurrency: ${concurrency})`);
+
+  const processJob = async (entry) => {
+    const job = parseJob(entry);
+    const handler = handlers[job.type];
+
+    try {
+      if (!handler) {
+        console.error(`[audioguideQueue] No handler for job type '${job.type}' (job ${job.id}), dropping`);
+      } else if (!job.tourId) {
+        console.error(`[audioguideQueue] Job ${job.id} has no tourId, dropping`);
+      } else {
+        console.log(`[audioguideQueue] Processing ${job.type} job ${job.id} for tour ${job.tourId}`);
+        await handler(job);
+        console.log(`[audioguideQueue] ✅ Finished ${job.type} job ${job.id}`);
+      }
+    } catch (err) {
+      // Handlers record failures on the tour document themselves; a throwing job is not retried
+      console.error(`[audioguideQueue] Job ${job.id} failed:`, err);
+    }
+
+    try {
+      await redisClient.xAck(AUDIOGUIDE_JOBS_STREAM, AUDIOGUIDE_JOBS_GROUP, job.id);
+    } catch (err) {
+      console.error(`[audioguideQueue] Failed to ack job ${job.id}:`, err);
+    }
+  };
+
+  const dispatch = (entries) => {
+    for (const entry of entries) {
+      if (!entry || inFlight.has(entry.id)) continue;
+      const promise = processJob(entry).finally(() => inFlight.delete(entry.id));
+      inFlight.set(entry.id, promise);
+    }
+  };
+
+  const waitForSlot = async () => {
+    while (!stopped && inFlight.size >= concurrency) {
+      await Promise.race(inFlight.values());
+    }
+  };
+
+  // Reset the idle time of running jobs so other workers don't claim them
+  const heartbeat = setInterval(async () => {
+    if (inFlight.size === 0) return;
+    try {
+      await redisClient.xClaimJustId(
+        AUDIOGUIDE_JOBS_STREAM,
+        AUDIOGUIDE_JOBS_GROUP,
+        consumerName,
+        0,
+        [...inFlight.keys()]
+      );
+    } catch (err) {
+      console.error('[audioguideQueue] Heartbeat failed:', err);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // Take over jobs abandoned by workers that died (idle longer than CLAIM_IDLE_MS)
+  const claimAbandonedJobs = async () => {
+    let start = '0-0';
+    do {
+      await waitForSlot();
+      if (stopped) return;
+
+      const { nextId, messages } = await redisClient.xAutoClaim(
+        AUDIOGUIDE_JOBS_STREAM,
+        AUDIOGUIDE_JOBS_GROUP,
+        consumerName,
+        CLAIM_IDLE_MS,
+        start,
+        { COUNT: Math.max(1, concurrency - inFlight.size) }
+      );
+
+      const claimed = messages.filter(Boolean);
+      if (claimed.length > 0) {
+        console.log(`[audioguideQueue] Recovered ${claimed.length} abandoned job(s)`);
+        dispatch(claimed);
+      }
+      start = nextId;
+    } while (start !== '0-0');
+  };
+
+  // Re-read jobs this consumer received before a restart but never acknowledged
+  // (a generated name is new, so it has none)
+  const recoverOwnPendingJobs = async () => {
+    if (!configuredName) return;
+    const response = await redisClient.xReadGroup(
+      AUDIOGUIDE_JOBS_GROUP,
+      consumerName,
+      { key: AUDIOGUIDE_JOBS_STREAM, id: '0' },
+      { COUNT: 100 }
+    );
+    const entries = response?.[0]?.messages?.filter(Boolean) || [];
+    if (entries.length > 0) {
+      console.log(`[audioguideQueue] Resuming ${entries.length} interrupted job(s) for ${consumerName}`);
+    }
+    for (const entry of entries) {
+      await waitForSlot();
+      if (stopped) return;
+      dispatch([entry]);
+    }
+  };
+
+  const loop = async () => {
+    try {
+      await recoverOwnPendingJobs();
+      await claimAbandonedJobs();
+    } catch (err) {
+      console.error('[audioguideQueue] Startup recovery failed:', err);
+    }
+
+    let lastClaimAt = Date.now();
+
+    while (!stopped) {
+      try {
+        await waitForSlot();
+        if (stopped) break;
+
+        const response = await blockingClient.xReadGroup(
+          AUDIOGUIDE_JOBS_GROUP,
+          consumerName,
+          { key: AUDIOGUIDE_JOBS_STREAM, id: '>' },
+          { COUNT: concurrency - inFlight.size, BLOCK: BLOCK_MS }
+        );
+
+        const entries = response?.[0]?.messages || [];
+        dispatch(entries);
+
+        if (Date.now() - lastClaimAt >= CLAIM_INTERVAL_MS) {
+          lastClaimAt = Date.now();
+          await claimAbandonedJobs();
+        }
+      } catch (err) {
+        if (stopped) break;
+        console.error('[audioguideQueue] Worker loop error:', err);
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+    }
+  };
+
+  const loopPromise = loop();
+
+  /**
+   * Stop reading new jobs
+   * Jobs still running when the process exits stay pending and are recovered on the next start.
+   */
+  async function stop() {
+    if (stopped) return;
+    stopped = true;
+    clearInterval(heartbeat);
+    await loopPromise;
+    // A generated name is never reused, so drop it from the group unless it still owns pending jobs
+    if (inFlight.size === 0 && !configuredName) {
+      try {
+        await redisClient.xGroupDelConsumer(AUDIOGUIDE_JOBS_STREAM, AUDIOGUIDE_JOBS_GROUP, consumerName);
+      } catch (err) {
+        console.error(`[audioguideQueue] Failed to remove consumer ${consumerName}:`, err);
+      }
+    }
+    try {
+      await blockingClient.quit();
+    } catch (err) {
+      console.error('[audioguideQueue] Error closing blocking client', err);
+    }
+    console.log(`[audioguideQueue] Worker ${consumerName} stopped`);
+  }
+
+  return { stop };
+}
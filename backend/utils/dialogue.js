@@ -0,0 +1,78 @@
+/**
+ * Dialogue Narration
+ *
+ * With narrationStyle 'dialogue', each stop is written as a conversation between two hosts
+ * instead of a monologue. The LLM returns speaker-tagged lines; each line is voiced by its
+ * host's voice and the lines are joined into one MP3 per stop.
+ *
+ * Stored on scripts.stops[i]:
+ *   lines   - [{ speaker: 'A' | 'B', text }] in speaking order
+ *   content - plain transcript ("A: ...\n\nB: ..."), so views that only know content still work
+ */
+
+export const NARRATION_STYLES = ['monologue', 'dialogue'];
+export const DEFAULT_NARRATION_STYLE = 'monologue';
+export const DIALOGUE_SPEAKERS = ['A', 'B'];
+
+const MIN_DIALOGUE_LINES = 2;
+
+export const DIALOGUE_SCHEMA = {
+  type: 'object',
+  properties: {
+    lines: {
+      type: 'array',
+      description: 'The conversation in speaking order',
+      items: {
+        type: 'object',
+        properties: {
+          speaker: { type: 'string', enum: DIALOGUE_SPEAKERS, description: 'Host A or host B' },
+          text: { type: 'string', description: 'What the host says, without the speaker name' },
+        },
+        required: ['speaker', 'text'],
+      },
+    },
+  },
+  required: ['lines'],
+};
+
+/**
+ * Prompt instructions for writing a stop as a dialogue
+ * @returns {string}
+ */
+export function dialogueInstructions() {
+  return `Write the script as a natural conversation between two hosts walking with the listener:
+- Host A is the guide who knows the place well; host B is curious, asks the questions a visitor would ask and reacts.
+- Alternate between the hosts, with short turns (1-4 sentences each). Host A speaks first.
+- Both hosts talk to the listener as well as to each other; walking directions are given by host A.
+- Return the lines in order as { "lines": [{ "speaker": "A" | "B", "text": "..." }] }, with no speaker names inside the text.`;
+}
+
+/**
+ * Validate and clean the lines of a generated dialogue
+ * @param {Object} output - LLM output ({ lines })
+ * @returns {Array<Object>} [{ speaker, text }]
+ * @throws {Error} If the dialogue is empty, has one line, or uses an unknown speaker
+ */
+export function parseDialogueLines(output) {
+  const lines = (Array.isArray(output?.lines) ? output.lines : [])
+    .map((line) => ({ speaker: String(line?.speaker || '').trim().toUpperCase(), text: String(line?.text || '').trim() }))
+    .filter((line) => line.text);
+
+  const unknown = lines.find((line) => !DIALOGUE_SPEAKERS.includes(line.speaker));
+  if (unknown) {
+    throw new Error(`Dialogue line has unknown speaker "${unknown.speaker}"`);
+  }
+  if (lines.length < MIN_DIALOGUE_LINES) {
+    throw new Error('Empty response from model');
+  }
+  return lines;
+}
+
+/**
+ * Plain transcript of a dialogue, one paragraph per line
+ * @param {Array<Object>} lines - [{ speaker, text }]
+ * @returns {string}
+ */
+export function dialogueTranscript(lines) {
+  return lines.map(({ speaker, text }) => `${speaker}: ${text}`).join('\n\n');
+}
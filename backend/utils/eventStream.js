@@ -0,0 +1,274 @@
+/**
+ * Event Stream Helpers
+ *
+ * Redis pub/sub backed push channel used by the Server-Sent Events endpoints.
+ * Graph nodes publish small events to per-session and per-tour channels, and the API server
+ * fans them out to connected clients through a single shared subscriber connection.
+ */
+
+const SSE_HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Get the pub/sub channel name for a session
+ * @param {string} sessionId - Session ID
+ * @returns {string} Channel name
+ */
+export function sessionEventsChannel(sessionId) {
+  return `session:${sessionId}:events`;
+}
+
+/**
+ * Get the pub/sub channel name for a shareable tour's audioguide progress
+ * @param {string} tourId - Tour ID
+ * @returns {string} Channel name
+ */
+export function tourEventsChannel(tourId) {
+  return `tour:${tourId}:events`;
+}
+
+/**
+ * Get the pub/sub channel name for a multi-day itinerary's planning progress
+ * @param {string} itineraryId - Itinerary ID
+ * @returns {string} Channel name
+ */
+export function itineraryEventsChannel(itineraryId) {
+  return `itinerary:${itineraryId}:events`;
+}
+
+/**
+ * Publish an event to a channel
+ * Failures are logged and swallowed - events are best-effort, the Redis documents stay the source of truth.
+ *
+ * @param {Object} redisClient - Redis client instance
+ * @param {string} channel - Channel name
+ * @param {string} type - Event type (e.g. 'stage', 'tour', 'complete')
+ * @param {Object} data - Event payload
+ */
+async function publishEvent(redisClient, channel, type, data = {}) {
+  try {
+    await redisClient.publish(channel, JSON.stringify({ type, data, timestamp: Date.now() }));
+  } catch (err) {
+    console.error(`[eventStream] Failed to publish '${type}' event on ${channel}:`, err);
+  }
+}
+
+/**
+ * Publish an event to a session's channel
+ * @param {Object} redisClient - Redis client instance
+ * @param {string} sessionId - Session ID
+ * @param {string} type - Event type (e.g. 'stage', 'tour', 'complete')
+ * @param {Object} data - Event payload
+ */
+export async function publishSessionEvent(redisClient, sessionId, type, data = {}) {
+  if (!redisClient || !sessionId) {
+    return;
+  }
+  await publishEvent(redisClient, sessionEventsChannel(sessionId), type, data);
+}
+
+/**
+ * Publish an event to a tour's audioguide channel
+ * @param {Object} redisClient - Redis client instance
+ * @param {string} tourId - Tour ID
+ * @param {string} type - Event type (e.g. 'script_complete', 'audio_complete', 'failed', 'status')
+ * @param {Object} data - Event payload
+ */
+export async function publishTourEvent(redisClient, tourId, type, data = {}) {
+  if (!redisClient || !tourId) {
+    return;
+  }
+  await publishEvent(redisClient, tourEventsChannel(tourId), type, data);
+}
+
+/**
+ * Publish an event to an itinerary's channel
+ * @param {Object} redisClient - Redis client instance
+ * @param {string} itineraryId - Itinerary ID
+ * @param {string} type - Event type (e.g. 'day_complete', 'complete', 'failed')
+ * @param {Object} data - Event payload
+ */
+export async function publishItineraryEvent(redisClient, itineraryId, type, data = {}) {
+  if (!redisClient || !itineraryId) {
+    return;
+  }
+  await publishEvent(redisClient, itineraryEventsChannel(itineraryId), type, data);
+}
+
+/**
+ * Record the current generation stage on the session and push it to listeners
+ * @param {Object} redisClient - Redis client instance
+ * @param {string} sessionId - Session ID
+ * @param {string} stage - Stage name (e.g. 'area_context_built')
+ */
+export async function setSessionStage(redisClient, sessionId, stage) {
+  if (!redisClient || !sessionId) {
+    return;
+  }
+
+  try {
+    await redisClient.hSet(`session:${sessionId}`, { stage });
+  } catch (err) {
+    console.error(`[eventStream] Failed to save stage '${stage}' for session ${sessionId}:`, err);
+  }
+
+  await publishSessionEvent(redisClient, sessionId, 'stage', { stage });
+}
+
+/**
+ * Create an event hub that shares one Redis subscriber connection between all SSE clients
+ *
+ * Channels are subscribed lazily when the first listener arrives and unsubscribed when
+ * the last one leaves, so idle sessions cost nothing.
+ *
+ * @param {Object} redisClient - Connected Redis client (duplicated for subscribing)
+ * @returns {{ subscribe: Function, close: Function }}
+ */
+export function createEventHub(redisClient) {
+  const listeners = new Map(); // channel -> Set<listener>
+  const subscriptions = new Map(); // channel -> Promise of its Redis SUBSCRIBE
+  let subscriberPromise = null;
+
+  function getSubscriber() {
+    if (!subscriberPromise) {
+      const subscriber = redisClient.duplicate();
+      subscriber.on('error', (err) => {
+        console.error('[eventStream] Redis subscriber error:', err);
+      });
+      subscriberPromise = subscriber.connect().then(() => subscriber);
+      // A failed connection is retried by the next subscribe
+      subscriberPromise.catch(() => {
+        subscriberPromise = null;
+      });
+    }
+    return subscriberPromise;
+  }
+
+  function dispatch(message, channel) {
+    const channelListeners = listeners.get(channel);
+    if (!channelListeners || channelListeners.size === 0) {
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(message);
+    } catch (err) {
+      console.warn('[eventStream] Ignoring malformed event on channel', channel);
+      return;
+    }
+
+    for (const listener of channelListeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error('[eventStream] Event listener failed:', err);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to a channel
+   * @param {string} channel - Channel name
+   * @param {Function} listener - Called with each parsed event ({ type, data, timestamp })
+   * @returns {Promise<Function>} Async unsubscribe function
+   */
+  async function subscribe(channel, listener) {
+    let channelListeners = listeners.get(channel);
+
+    if (!channelListeners) {
+      channelListeners = new Set();
+      listeners.set(channel, channelListeners);
+      subscriptions.set(channel, getSubscriber().then((subscriber) => subscriber.subscribe(channel, dispatch)));
+    }
+    channelListeners.add(listener);
+
+    // Listeners that joined while the SUBSCRIBE was pending wait for it too
+    try {
+      await subscriptions.get(channel);
+    } catch (err) {
+      // Forget the channel, so the next subscriber sends a new SUBSCRIBE instead of waiting for events that never come
+      if (listeners.get(channel) === channelListeners) {
+        listeners.delete(channel);
+        subscriptions.delete(channel);
+      }
+      throw err;
+    }
+
+    return async () => {
+      const current = listeners.get(channel);
+      if (!current) {
+        return;
+      }
+
+      current.delete(listener);
+      if (current.size === 0) {
+        listeners.delete(channel);
+        subscriptions.delete(channel);
+        try {
+          const subscriber = await getSubscriber();
+          await subscriber.unsubscribe(channel);
+        } catch (err) {
+          console.error('[eventStream] Failed to unsubscribe from', channel, err);
+        }
+      }
+    };
+  }
+
+  async function close() {
+    listeners.clear();
+    subscriptions.clear();
+    if (subscriberPromise) {
+      try {
+        const subscriber = await subscriberPromise;
+        await subscriber.quit();
+      } catch (err) {
+        console.error('[eventStream] Error closing Redis subscriber', err);
+      }
+    }
+  }
+
+  return { subscribe, close };
+}
+
+/**
+ * Turn an Express response into a Server-Sent Events stream
+ * @param {Object} res - Express response
+ * @returns {{ send: Function, close: Function }}
+ */
+export function openSseStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx, Cloud Run)
+  });
+  res.flushHeaders();
+
+  let closed = false;
+
+  // Comment lines keep intermediaries from timing out idle connections
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': keep-alive\n\n');
+    }
+  }, SSE_HEARTBEAT_INTERVAL_MS);
+
+  const send = (type, data) => {
+    if (closed) {
+      return;
+    }
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data ?? {})}\n\n`);
+  };
+
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  return { send, close };
+}
@@ -2,7 +2,7 @@
  * Geocoding Helper Functions
  *
  * Functions for reverse geocoding and generating area summaries using
- * Google Maps Geocoding API and Gemini LLM.
+ * Google Maps Geocoding API and the summaries LLM (see providers/llm).
  *
  * DEBUG LOGGING:
  * To enable detailed debug logging, set the TOUR_DEBUG environment variable:
@@ -17,11 +17,11 @@
 
 import { generateNeighborhoodIntroAudio } from '../audioguideGeneration.js';
 import { v4 as uuidv4 } from 'uuid';
+import { getLlm } from '../providers/llm/index.js';
+import { httpFetch } from './http.js';
 
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
 const LOCATIONIQ_API_KEY = process.env.LOCATIONIQ_API_KEY;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_MODEL = process.env.GEMINI_MODEL_TOUR_GENERATION || 'gemini-2.5-flash';
 const TOUR_DEBUG = process.env.TOUR_DEBUG === '1' || process.env.TOUR_DEBUG === 'true';
 
 function debugLog(...args) {
@@ -30,13 +30,6 @@ function debugLog(...args) {
   }
 }
 
-async function safeFetch(url, options) {
-  if (typeof fetch === 'undefined') {
-    throw new Error('Global fetch is not available. Please use Node 18+ or polyfill fetch.');
-  }
-  return fetch(url, options);
-}
-
 /**
  * Sleep for a specified number of milliseconds
  */
@@ -78,31 +71,6 @@ async function retryWithDelay(fn, maxRetries = 4, delayMs = 1000, shouldRetry =
   throw lastError;
 }
 
-let geminiModelPromise;
-async function getGeminiModel() {
-  if (!GEMINI_API_KEY) {
-    console.warn('[geocodingHelpers] GEMINI_API_KEY is not set');
-    return null;
-  }
-
-  if (!geminiModelPromise) {
-    geminiModelPromise = import('@langchain/google-genai')
-      .then((mod) => {
-        const { ChatGoogleGenerativeAI } = mod;
-        return new ChatGoogleGenerativeAI({
-          apiKey: GEMINI_API_KEY,
-          model: GEMINI_MODEL,
-        });
-      })
-      .catch((err) => {
-        console.warn('[geocodingHelpers] Failed to load @langchain/google-genai', err);
-        return null;
-      });
-  }
-
-  return geminiModelPromise;
-}
-
 /**
  * Reverse geocode using Google Maps (fallback)
  * Only queries for RANGE_INTERPOLATED location type for better accuracy
@@ -123,7 +91,7 @@ async function reverseGeocodeWithGoogleMaps(latitude, longitude) {
     // Retry up to 4 times with 1-second delay
     return await retryWithDelay(
       async () => {
-        const res = await safeFetch(url);
+        const res = await httpFetch(url);
 
         if (!res.ok) {
           const error = new Error(`Google Maps reverse geocoding failed with status ${res.status}`);
@@ -191,7 +159,7 @@ async function reverseGeocodeWithLocationIQ(latitude, longitude) {
     // Retry up to 4 times with 1-second delay for 429 errors
     return await retryWithDelay(
       async () => {
-        const res = await safeFetch(url);
+        const res = await httpFetch(url);
 
         // If we get a 429 (rate limit), throw error to trigger retry
         if (res.status === 429) {
@@ -322,6 +290,65 @@ export async function reverseGeocode(latitude, longitude, redisClient = null) {
   return { country: null, city: null, neighborhood: null };
 }
 
+/**
+ * Geocode a city name to the coordinates of its centre using Google Maps
+ * Retries up to 4 times with 1-second delay on errors
+ *
+ * @param {string} city - City name (e.g., "Lisbon")
+ * @param {string} country - Optional country name to disambiguate (e.g., "Portugal")
+ * @returns {Promise<Object|null>} { latitude, longitude, city, country } or null if not found
+ */
+export async function geocodeCity(city, country = null) {
+  if (!GOOGLE_MAPS_API_KEY) {
+    console.warn('[geocodingHelpers] GOOGLE_MAPS_API_KEY is not set; cannot geocode city.');
+    return null;
+  }
+
+  const address = country ? `${city}, ${country}` : city;
+  const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${GOOGLE_MAPS_API_KEY}`;
+  debugLog('geocodeCity: requesting', address);
+
+  try {
+    return await retryWithDelay(
+      async () => {
+        const res = await httpFetch(url);
+
+        if (!res.ok) {
+          const error = new Error(`Google Maps geocoding failed with status ${res.status}`);
+          error.status = res.status;
+          console.warn('[geocodingHelpers]', error.message);
+          throw error; // Trigger retry
+        }
+
+        const data = await res.json();
+        const first = data.results && data.results[0];
+        if (!first?.geometry?.location) {
+          return null;
+        }
+
+        let cityName = city;
+        let countryName = country;
+        for (const comp of first.address_components || []) {
+          if (comp.types.includes('locality')) cityName = comp.long_name;
+          if (comp.types.includes('country')) countryName = comp.long_name;
+        }
+
+        return {
+          latitude: first.geometry.location.lat,
+          longitude: first.geometry.location.lng,
+          city: cityName,
+          country: countryName || null,
+        };
+      },
+      4, // maxRetries
+      1000 // 1 second delay
+    );
+  } catch (err) {
+    console.error('[geocodingHelpers] Google Maps geocoding failed after 4 retries:', err.message);
+    return null;
+  }
+}
+
 /**
  * Proactively fetch and cache summaries in the background
  * This improves cache hit rate for subsequent tour generation requests
@@ -488,7 +515,7 @@ export async function readSummaryFromCache(redisClient, country, city, neighborh
 }
 
 /**
- * Generate city summary using Gemini LLM
+ * Generate city summary using the summaries LLM
  * Checks cache first, only generates if not cached
  *
  * @param {string} city - City name
@@ -517,15 +544,13 @@ export async function generateCitySummary(city, country = null, redisClient = nu
     }
   }
 
-  // Not in cache, generate with Gemini
-  if (!GEMINI_API_KEY) {
-    console.warn('[geocodingHelpers] GEMINI_API_KEY not set, cannot generate city summary');
+  // Not in cache, generate with the LLM
+  const llm = getLlm('summaries');
+  if (!llm) {
+    console.warn('[geocodingHelpers] No LLM available, cannot generate city summary');
     return { summary: null, keyFacts: null };
   }
 
-  const model = await getGeminiModel();
-  if (!model) return { summary: null, keyFacts: null };
-
   // Build city description with country for better LLM context
   console.log('[geocodingHelpers] generateCitySummary - country:', country, 'city:', city);
   const cityDescription = country ? `${city}, ${country}` : city;
@@ -551,9 +576,8 @@ export async function generateCitySummary(city, country = null, redisClient = nu
   const prompt = `Generate a brief summary and key facts about ${cityDescription}.`;
 
   try {
-    // Use structured output with LangChain's withStructuredOutput
-    const structuredModel = model.withStructuredOutput(schema);
-    const parsed = await structuredModel.invoke(prompt);
+    // Use structured output (JSON matching the schema)
+    const parsed = await llm.generateJson(prompt, { schema });
 
     const result = {
       summary: parsed.summary || null,
@@ -576,7 +600,7 @@ export async function generateCitySummary(city, country = null, redisClient = nu
 }
 
 /**
- * Generate intro script for neighborhood using Gemini Flash 2.5
+ * Generate intro script for neighborhood using the summaries LLM
  * Creates a 1-2 minute spoken introduction about the neighborhood
  *
  * @param {string} neighborhood - Neighborhood name
@@ -597,14 +621,12 @@ async function generateNeighborhoodIntroScript(
   citySummary = null,
   cityKeyFacts = null
 ) {
-  if (!GEMINI_API_KEY) {
-    console.warn('[geocodingHelpers] GEMINI_API_KEY not set, cannot generate intro script');
+  const llm = getLlm('summaries');
+  if (!llm) {
+    console.warn('[geocodingHelpers] No LLM available, cannot generate intro script');
     return null;
   }
 
-  const model = await getGeminiModel();
-  if (!model) return null;
-
   // Build context from summaries and key facts
   const neighborhoodContext = [
     neighborhoodSummary,
@@ -647,8 +669,7 @@ Write the script now:`;
 
   try {
     console.log('[geocodingHelpers] Generating intro script for', neighborhood, city);
-    const response = await model.invoke(prompt);
-    const script = response.content?.trim() || null;
+    const script = (await llm.generateText(prompt))?.trim() || null;
 
     if (script) {
       console.log(`[geocodingHelpers] ✅ Generated intro script (${script.length} chars)`);
@@ -664,7 +685,7 @@ Write the script now:`;
 }
 
 /**
- * Generate neighborhood summary using Gemini LLM
+ * Generate neighborhood summary using the summaries LLM
  * Checks cache first, only generates if not cached
  * Also generates intro_script for the neighborhood
  *
@@ -711,9 +732,10 @@ export async function generateNeighborhoodSummary(neighborhood, city = null, cou
     }
   }
 
-  // Not in cache, generate with Gemini
-  if (!GEMINI_API_KEY) {
-    console.warn('[geocodingHelpers] GEMINI_API_KEY not set, cannot generate neighborhood summary');
+  // Not in cache, generate with the LLM
+  const llm = getLlm('summaries');
+  if (!llm) {
+    console.warn('[geocodingHelpers] No LLM available, cannot generate neighborhood summary');
     return {
       summary: null,
       keyFacts: null,
@@ -723,9 +745,6 @@ export async function generateNeighborhoodSummary(neighborhood, city = null, cou
     };
   }
 
-  const model = await getGeminiModel();
-  if (!model) return { summary: null, keyFacts: null, intro_script: null };
-
   // Build location description with available parts, including country for better LLM context
   console.log('[geocodingHelpers] generateNeighborhoodSummary - country:', country, 'city:', city, 'neighborhood:', neighborhood);
   const locationParts = [neighborhood];
@@ -754,9 +773,8 @@ export async function generateNeighborhoodSummary(neighborhood, city = null, cou
   const prompt = `Generate a brief summary and key facts about ${location}.`;
 
   try {
-    // Use structured output with LangChain's withStructuredOutput
-    const structuredModel = model.withStructuredOutput(schema);
-    const parsed = await structuredModel.invoke(prompt);
+    // Use structured output (JSON matching the schema)
+    const parsed = await llm.generateJson(prompt, { schema });
 
     const result = {
       summary: parsed.summary || null,
@@ -0,0 +1,31 @@
+/**
+ * Google Cloud Credentials
+ *
+ * Shared service account credentials for Google Cloud clients (Text-to-Speech, Cloud Storage).
+ */
+
+// In production (Railway), this comes from GOOGLE_APPLICATION_CREDENTIALS_JSON env var
+// In development, it reads from the JSON file
+let googleCredentials = null;
+
+/**
+ * Get Google Cloud service account credentials
+ * @returns {Object|null} Parsed credentials, or null to let Google libraries auto-detect the key file
+ */
+export function getGoogleCredentials() {
+  if (!googleCredentials) {
+    if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
+      googleCredentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON);
+      console.log('[googleCredentials] Using Google Cloud credentials from GOOGLE_APPLICATION_CREDENTIALS_JSON');
+      console.log('[googleCredentials] Project ID:', googleCredentials.project_id);
+      console.log('[googleCredentials] Service Account:', googleCredentials.client_email);
+    } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+      // Development: Use file path
+      console.log('[googleCredentials] Using Google Cloud credentials from file:', process.env.GOOGLE_APPLICATION_CREDENTIALS);
+      googleCredentials = null; // Let Google libraries auto-detect
+    } else {
+      throw new Error('Google Cloud credentials not configured. Set GOOGLE_APPLICATION_CREDENTIALS_JSON or GOOGLE_APPLICATION_CREDENTIALS');
+    }
+  }
+  return googleCredentials;
+}
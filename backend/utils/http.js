@@ -0,0 +1,158 @@
+/**
+ * HTTP Layer
+ *
+ * Every external HTTP call (Geocoding, LocationIQ, Places, Directions, Overpass, OSRM, TTS, LLMs, S3)
+ * goes through httpFetch, so the whole tour and audioguide pipelines can be recorded once and
+ * replayed deterministically without network access (e.g. in CI).
+ *
+ * MODES (HTTP_MODE environment variable):
+ *   live   - plain fetch (default)
+ *   record - real requests; every response is written to HTTP_FIXTURES_DIR
+ *   replay - responses are served from HTTP_FIXTURES_DIR; a request with no fixture fails
+ *
+ * SDKs that call the global fetch themselves (Gemini) are covered by swapping globalThis.fetch for
+ * httpFetch when recording or replaying.
+ *
+ * NOT COVERED: google-auth-library and @google-cloud/storage send their requests through gaxios,
+ * which uses node-fetch rather than the global fetch. Their calls always go to the network and are
+ * never recorded - token exchanges are signed with the current time and return live access tokens,
+ * so they couldn't be replayed or committed anyway. Google TTS skips the token exchange when
+ * replaying (the Authorization header isn't part of a fixture's key); GCS storage can't be replayed.
+ *
+ * FIXTURES are JSON files at <HTTP_FIXTURES_DIR>/<host>/<key>.json, where the key hashes the
+ * method, URL and body. API keys in query strings are redacted before hashing, so fixtures
+ * recorded with real keys replay without them. A request that changed (e.g. an edited prompt)
+ * needs to be recorded again.
+ */
+
+import { createHash } from 'crypto';
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+
+const HTTP_MODE = (process.env.HTTP_MODE || 'live').toLowerCase();
+const HTTP_FIXTURES_DIR = resolve(process.env.HTTP_FIXTURES_DIR || './test/fixtures/http');
+
+const SECRET_QUERY_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'token'];
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(json|xml|x-www-form-urlencoded)|.*\+json)/;
+
+// Kept before the global is swapped, so recording still reaches the network
+const networkFetch = globalThis.fetch;
+
+if (!['live', 'record', 'replay'].includes(HTTP_MODE)) {
+  throw new Error(`Unknown HTTP_MODE "${HTTP_MODE}" (expected live, record or replay)`);
+}
+
+/**
+ * Get the current HTTP mode
+ * @returns {string} live | record | replay
+ */
+export function getHttpMode() {
+  return HTTP_MODE;
+}
+
+function redactUrl(url) {
+  const parsed = new URL(url);
+  for (const param of SECRET_QUERY_PARAMS) {
+    if (parsed.searchParams.has(param)) {
+      parsed.searchParams.set(param, 'REDACTED');
+    }
+  }
+  return parsed.toString();
+}
+
+// Streams can't be read without consuming them; those requests are matched on method and URL only
+function bodyForKey(body) {
+  if (body == null) return '';
+  if (typeof body === 'string') return body;
+  if (body instanceof URLSearchParams) return body.toString();
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return createHash('sha256').update(Buffer.from(body.buffer ?? body, body.byteOffset, body.byteLength)).digest('hex');
+  }
+  return '';
+}
+
+function describeRequest(input, options = {}) {
+  const url = typeof input === 'string' ? input : input instanceof URL ? input.toString() : input.url;
+  const method = (options.method || input?.method || 'GET').toUpperCase();
+  const redactedUrl = redactUrl(url);
+  const body = bodyForKey(options.body);
+  const key = createHash('sha256').update(`${method} ${redactedUrl}\n${body}`).digest('hex').slice(0, 24);
+
+  return {
+    method,
+    url: redactedUrl,
+    host: new URL(url).host.replace(/[^\w.-]/g, '_'),
+    key,
+    body: body.length > 2000 ? `${body.slice(0, 2000)}...` : body,
+  };
+}
+
+async function recordResponse(request, response) {
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const contentType = response.headers.get('content-type') || '';
+  const isText = TEXT_CONTENT_TYPE.test(contentType);
+
+  const fixture = {
+    request: { method: request.method, url: request.url, body: request.body },
+    response: {
+      status: response.status,
+      headers: { 'content-type': contentType },
+      encoding: isText ? 'utf8' : 'base64',
+      body: buffer.toString(isText ? 'utf8' : 'base64'),
+    },
+  };
+
+  const dir = join(HTTP_FIXTURES_DIR, request.host);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, `${request.key}.json`), JSON.stringify(fixture, null, 2));
+  console.log(`[http] Recorded ${request.method} ${request.url} -> ${request.host}/${request.key}.json`);
+
+  return buildResponse(fixture.response, buffer);
+}
+
+function buildResponse(stored, buffer = Buffer.from(stored.body, stored.encoding)) {
+  return new Response(stored.status === 204 || stored.status === 304 ? null : buffer, {
+    status: stored.status,
+    headers: stored.headers,
+  });
+}
+
+function findFixture(request) {
+  try {
+    return JSON.parse(readFileSync(join(HTTP_FIXTURES_DIR, request.host, `${request.key}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch through the HTTP layer
+ * Same signature and result as the global fetch.
+ * @param {string|URL|Request} input
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function httpFetch(input, options = {}) {
+  if (HTTP_MODE === 'live') {
+    return networkFetch(input, options);
+  }
+
+  const request = describeRequest(input, options);
+
+  if (HTTP_MODE === 'replay') {
+    const fixture = findFixture(request);
+    if (!fixture) {
+      throw new Error(`[http] No recorded response for ${request.method} ${request.url} (${request.host}/${request.key}.json). Re-run with HTTP_MODE=record.`);
+    }
+    return buildResponse(fixture.response);
+  }
+
+  const response = await networkFetch(input, options);
+  return recordResponse(request, response);
+}
+
+// Route SDK traffic through the same layer when recording or replaying
+if (HTTP_MODE !== 'live') {
+  globalThis.fetch = httpFetch;
+  console.log(`[http] ${HTTP_MODE} mode, fixtures in ${HTTP_FIXTURES_DIR}`);
+}
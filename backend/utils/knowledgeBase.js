@@ -0,0 +1,147 @@
+/**
+ * Local Knowledge Base
+ *
+ * Wikipedia extracts of places, stored in Redis so stop scripts can be grounded without a
+ * network call (see providers/knowledge/wikipedia.js). Articles are imported through
+ * POST /api/knowledge/wikipedia, e.g. from the MediaWiki API (prop=extracts|coordinates).
+ *
+ * Each article is a JSON document at knowledge:wikipedia:{language}:{title}:
+ *   { source: 'wikipedia', language, title, url, location: "lon,lat", paragraphs: [...], importedAt }
+ * indexed by idx:knowledge (GEO location, TAG language and source, TEXT title).
+ */
+
+const KNOWLEDGE_INDEX_NAME = 'idx:knowledge';
+const KNOWLEDGE_PREFIX = 'knowledge:';
+const MAX_ARTICLES_PER_IMPORT = 1000;
+const MAX_EXTRACT_LENGTH = 20000;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/;
+
+/**
+ * Ensure the RediSearch index of the knowledge base exists
+ * @param {Object} redisClient - Redis client instance
+ * @returns {Promise<boolean>} True if the index exists (or was created)
+ */
+export async function ensureKnowledgeIndexExists(redisClient) {
+  try {
+    await redisClient.ft.info(KNOWLEDGE_INDEX_NAME);
+    return true;
+  } catch (err) {
+    const errorMsg = err.message || '';
+    if (!errorMsg.includes('Unknown index name') && !errorMsg.includes('no such index')) {
+      console.error('[knowledgeBase] Failed to check knowledge index:', err);
+      return false;
+    }
+  }
+
+  try {
+    console.log(`[knowledgeBase] Creating RediSearch index '${KNOWLEDGE_INDEX_NAME}'...`);
+    await redisClient.ft.create(
+      KNOWLEDGE_INDEX_NAME,
+      {
+        '$.title': { type: 'TEXT', AS: 'title' },
+        '$.source': { type: 'TAG', AS: 'source' },
+        '$.language': { type: 'TAG', AS: 'language' },
+        '$.location': { type: 'GEO', AS: 'location' },
+      },
+      {
+        ON: 'JSON',
+        PREFIX: KNOWLEDGE_PREFIX,
+      }
+    );
+    console.log(`[knowledgeBase] ✅ RediSearch index '${KNOWLEDGE_INDEX_NAME}' created successfully`);
+    return true;
+  } catch (err) {
+    console.error('[knowledgeBase] Failed to create knowledge index:', err);
+    return false;
+  }
+}
+
+/**
+ * Check a list of Wikipedia articles for import
+ * @param {*} articles - Value from a request body
+ * @returns {string|null} Problem description, or null if valid
+ */
+export function validateWikipediaArticles(articles) {
+  if (!Array.isArray(articles) || articles.length === 0) return 'articles must be a non-empty array';
+  if (articles.length > MAX_ARTICLES_PER_IMPORT) return `at most ${MAX_ARTICLES_PER_IMPORT} articles can be imported at once`;
+
+  for (const [index, article] of articles.entries()) {
+    if (!article || typeof article.title !== 'string' || !article.title.trim()) {
+      return `article ${index}: title is required`;
+    }
+    if (typeof article.extract !== 'string' || !article.extract.trim()) {
+      return `article ${index} (${article.title}): extract is required`;
+    }
+    if (article.extract.length > MAX_EXTRACT_LENGTH) {
+      return `article ${index} (${article.title}): extract is longer than ${MAX_EXTRACT_LENGTH} characters`;
+    }
+    if (!Number.isFinite(article.latitude) || !Number.isFinite(article.longitude)
+      || Math.abs(article.latitude) > 90 || Math.abs(article.longitude) > 180) {
+      return `article ${index} (${article.title}): latitude and longitude are required`;
+    }
+    if (!LANGUAGE_PATTERN.test(article.language || '')) {
+      return `article ${index} (${article.title}): language must be a Wikipedia language code such as "en" or "he"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Redis key of a Wikipedia article
+ * @param {string} language - Wikipedia language code
+ * @param {string} title - Article title
+ * @returns {string}
+ */
+export function wikipediaArticleKey(language, title) {
+  return `${KNOWLEDGE_PREFIX}wikipedia:${language}:${title.trim().replace(/\s+/g, '_')}`;
+}
+
+/**
+ * Store Wikipedia articles in the knowledge base (replacing articles with the same title)
+ * @param {Object} redisClient - Redis client instance
+ * @param {Array<Object>} articles - Validated articles { title, extract, latitude, longitude, language, url? }
+ * @returns {Promise<number>} Number of articles saved
+ */
+export async function saveWikipediaArticles(redisClient, articles) {
+  await ensureKnowledgeIndexExists(redisClient);
+
+  const importedAt = new Date().toISOString();
+  const transaction = redisClient.multi();
+  for (const { title, extract, latitude, longitude, language, url } of articles) {
+    const trimmedTitle = title.trim();
+    transaction.json.set(wikipediaArticleKey(language, trimmedTitle), '$', {
+      source: 'wikipedia',
+      language,
+      title: trimmedTitle,
+      url: url || `https://${language}.wikipedia.org/wiki/${encodeURIComponent(trimmedTitle.replace(/\s+/g, '_'))}`,
+      location: `${longitude},${latitude}`, // GEO format: "lon,lat"
+      paragraphs: extract.split(/\n+/).map((paragraph) => paragraph.trim()).filter(Boolean),
+      importedAt,
+    });
+  }
+  await transaction.exec();
+
+  console.log(`[knowledgeBase] Saved ${articles.length} Wikipedia article(s)`);
+  return articles.length;
+}
+
+/**
+ * Find knowledge base articles near a point
+ * @param {Object} redisClient - Redis client instance
+ * @param {Object} params
+ * @param {number} params.latitude
+ * @param {number} params.longitude
+ * @param {number} params.radiusMeters
+ * @param {Array<string>} params.languages - Wikipedia language codes to include
+ * @param {number} [params.limit] - Maximum number of articles
+ * @returns {Promise<Array<Object>>} Article documents
+ */
+export async function findArticlesNear(redisClient, { latitude, longitude, radiusMeters, languages, limit = 20 }) {
+  if (!(await ensureKnowledgeIndexExists(redisClient))) return [];
+
+  const query = `@location:[${longitude} ${latitude} ${radiusMeters} m] @language:{${languages.join('|')}}`;
+  const results = await redisClient.ft.search(KNOWLEDGE_INDEX_NAME, query, {
+    LIMIT: { from: 0, size: limit },
+  });
+  return (results.documents || []).map((doc) => doc.value).filter((value) => value?.location);
+}
@@ -0,0 +1,96 @@
+/**
+ * Language Registry
+ *
+ * Everything that differs between tour languages lives in languages.json (or LANGUAGES_FILE),
+ * so adding a language is a new entry there rather than code changes:
+ *   label            - name shown in the language picker
+ *   locale           - BCP 47 language for sentence splitting (Intl.Segmenter)
+ *   ttsLanguageCode  - language code of its voices, used for SSML <lang> of words in its script
+ *   script           - Unicode script of its text (Latin, Hebrew, Arabic, ...)
+ *   direction        - ltr | rtl, for displaying scripts
+ *   wordsPerMinute   - speech rate of its voices, for sizing scripts until a voice's own rate is measured
+ *   prompts          - { tours, scripts } instructions added to the LLM prompts
+ *   selectedPlacesTour - { title, abstract, abstractWithHighlights, theme } of tours built around
+ *                      picked places, with {places} for their names (optional, English otherwise)
+ *   ui               - strings of the tour player, keyed like English's (missing keys fall back to English)
+ *   voices.defaults  - default voice per TTS provider (google, espeak, piper, stub)
+ *   voices.dialogueDefaults - voice of the second host in dialogue narration, per TTS provider
+ *   voices.options   - [{ id, label, wordsPerMinute? }] provider-qualified voices offered in the voice picker
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_LANGUAGE = 'english';
+
+const LANGUAGES_FILE = process.env.LANGUAGES_FILE
+  || join(dirname(fileURLToPath(import.meta.url)), '..', 'languages.json');
+
+const REQUIRED_FIELDS = ['label', 'locale', 'ttsLanguageCode', 'script', 'direction', 'prompts', 'voices'];
+
+function loadRegistry() {
+  const registry = JSON.parse(readFileSync(LANGUAGES_FILE, 'utf8'));
+
+  for (const [key, entry] of Object.entries(registry)) {
+    const missing = REQUIRED_FIELDS.filter((field) => !entry[field]);
+    if (missing.length > 0) {
+      throw new Error(`Language "${key}" in ${LANGUAGES_FILE} is missing ${missing.join(', ')}`);
+    }
+    if (!['ltr', 'rtl'].includes(entry.direction)) {
+      throw new Error(`Language "${key}" in ${LANGUAGES_FILE} has direction "${entry.direction}" (expected ltr or rtl)`);
+    }
+  }
+  if (!registry[DEFAULT_LANGUAGE]) {
+    throw new Error(`${LANGUAGES_FILE} must define "${DEFAULT_LANGUAGE}"`);
+  }
+  return registry;
+}
+
+const registry = loadRegistry();
+
+/**
+ * Check whether a language is in the registry
+ * @param {string} key - Language key (e.g. 'english', 'hebrew')
+ * @returns {boolean}
+ */
+export function isSupportedLanguage(key) {
+  return typeof key === 'string' && Object.hasOwn(registry, key);
+}
+
+/**
+ * Get a language's registry entry
+ * Unknown or missing keys (e.g. tours stored before the language was removed) get the default language.
+ * @param {string} [key] - Language key
+ * @returns {Object} Entry with its `key`
+ */
+export function getLanguage(key) {
+  const resolved = isSupportedLanguage(key) ? key : DEFAULT_LANGUAGE;
+  if (key && resolved !== key) {
+    console.warn(`[languages] Unknown language "${key}", using ${DEFAULT_LANGUAGE}`);
+  }
+  return { key: resolved, ...registry[resolved] };
+}
+
+/**
+ * All languages, in registry order
+ * @returns {Array<Object>} Entries with their `key`
+ */
+export function listLanguages() {
+  return Object.keys(registry).map((key) => ({ key, ...registry[key] }));
+}
+
+/**
+ * Public description of the languages for the frontend (no prompts)
+ * @returns {Array<Object>} [{ key, label, direction, ui, voices: [{ id, label }] }]
+ */
+export function describeLanguages() {
+  const defaultUi = registry[DEFAULT_LANGUAGE].ui || {};
+  return listLanguages().map(({ key, label, direction, ui, voices }) => ({
+    key,
+    label,
+    direction,
+    ui: { ...defaultUi, ...ui },
+    voices: voices.options || [],
+  }));
+}
@@ -0,0 +1,251 @@
+/**
+ * Opening Hours Helpers
+ *
+ * Schedules tours against a planned start time: per-stop arrival times, and moving or dropping
+ * stops that would be closed when the walker gets there.
+ *
+ * Opening hours are the Places API `regularOpeningHours.periods` (local time at the place), and
+ * the start time is a local wall-clock time at the tour location ("YYYY-MM-DDTHH:mm"), so no
+ * time zone conversion is needed. Places with unknown opening hours are treated as open.
+ */
+
+import { getDistanceMeters } from './poiHelpers.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const WALKING_METERS_PER_MINUTE = 83; // Same walking speed used for POI search radius
+const STREET_DETOUR_FACTOR = 1.3; // Straight-line distance -> street distance
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Parse a planned start time
+ * @param {string} value - Local wall-clock time "YYYY-MM-DDTHH:mm" (seconds and offsets are ignored)
+ * @returns {Object|null} { minuteOfWeek, weekday, clock } or null if invalid
+ */
+export function parseStartTime(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59) {
+    return null;
+  }
+
+  // Places API periods use 0 = Sunday, same as getUTCDay()
+  const weekdayIndex = date.getUTCDay();
+  return {
+    minuteOfWeek: weekdayIndex * MINUTES_PER_DAY + hour * 60 + minute,
+    weekday: WEEKDAYS[weekdayIndex],
+    clock: formatClock(hour * 60 + minute),
+  };
+}
+
+/**
+ * Format minutes as a "HH:mm" clock time (wraps past midnight)
+ * @param {number} minutes - Minutes since the start of a day or week
+ * @returns {string} Clock time
+ */
+export function formatClock(minutes) {
+  const minuteOfDay = ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hh = String(Math.floor(minuteOfDay / 60)).padStart(2, '0');
+  const mm = String(minuteOfDay % 60).padStart(2, '0');
+  return `${hh}:${mm}`;
+}
+
+function periodPointToMinuteOfWeek(point) {
+  return (point.day || 0) * MINUTES_PER_DAY + (point.hour || 0) * 60 + (point.minute || 0);
+}
+
+/**
+ * Check whether a place is open at a given minute of the week
+ * @param {Array|null} openingHours - regularOpeningHours.periods
+ * @param {number} minuteOfWeek - Minutes since Sunday 00:00 (may exceed one week)
+ * @returns {boolean} True if open, or if opening hours are unknown
+ */
+export function isOpenAt(openingHours, minuteOfWeek) {
+  if (!Array.isArray(openingHours) || openingHours.length === 0) return true;
+
+  const minute = ((minuteOfWeek % MINUTES_PER_WEEK) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+
+  return openingHours.some((period) => {
+    if (!period?.open) return false;
+    // A period without a close time means open 24/7
+    if (!period.close) return true;
+
+    const open = periodPointToMinuteOfWeek(period.open);
+    let close = periodPointToMinuteOfWeek(period.close);
+    if (close <= open) close += MINUTES_PER_WEEK; // Period wraps past Saturday night
+
+    return (minute >= open && minute < close) || (minute + MINUTES_PER_WEEK >= open && minute + MINUTES_PER_WEEK < close);
+  });
+}
+
+/**
+ * Check whether a place is open for a whole visit
+ * @param {Array|null} openingHours - regularOpeningHours.periods
+ * @param {number} arrivalMinute - Arrival minute of the week
+ * @param {number} dwellMinutes - Length of the visit
+ * @returns {boolean} True if open on arrival and still open at the end of the visit
+ */
+export function isOpenDuring(openingHours, arrivalMinute, dwellMinutes = 0) {
+  return isOpenAt(openingHours, arrivalMinute) && isOpenAt(openingHours, arrivalMinute + Math.max(0, dwellMinutes - 1));
+}
+
+/**
+ * Check whether a place opens at any point of a time window (checked every 15 minutes)
+ * @param {Array|null} openingHours - regularOpeningHours.periods
+ * @param {number} fromMinute - Start of the window (minute of the week)
+ * @param {number} durationMinutes - Window length
+ * @returns {boolean} True if the place is open at some point in the window
+ */
+export function isOpenWithin(openingHours, fromMinute, durationMinutes) {
+  for (let minute = fromMinute; minute <= fromMinute + durationMinutes; minute += 15) {
+    if (isOpenAt(openingHours, minute)) return true;
+  }
+  return false;
+}
+
+/**
+ * Add arrival and departure times to every stop of a tour
+ *
+ * Uses the tour's walk and dwell times, so it should run after the walking times were validated.
+ * Stops with known opening hours also get `openAtArrival`.
+ *
+ * @param {Object} tour - Tour with stops and a `startTime` ("YYYY-MM-DDTHH:mm")
+ * @returns {Object} Tour with `stops[].arrivalTime`, `stops[].departureTime` and `endTime` ("HH:mm")
+ */
+export function addArrivalTimes(tour) {
+  const start = parseStartTime(tour.startTime);
+  if (!start || !Array.isArray(tour.stops)) return tour;
+
+  let clock = start.minuteOfWeek;
+  const stops = tour.stops.map((stop) => {
+    clock += stop.walkMinutesFromPrevious || 0;
+    const arrival = clock;
+    clock += stop.dwellMinutes || 0;
+
+    return {
+      ...stop,
+      arrivalTime: formatClock(arrival),
+      departureTime: formatClock(clock),
+      ...(Array.isArray(stop.openingHours) && stop.openingHours.length > 0 && {
+        openAtArrival: isOpenDuring(stop.openingHours, arrival, stop.dwellMinutes),
+      }),
+    };
+  });
+
+  clock += tour.finalLeg?.walkMinutes || 0;
+
+  return {
+    ...tour,
+    stops,
+    endTime: formatClock(clock),
+  };
+}
+
+function estimateWalkMinutes(from, to) {
+  const meters = getDistanceMeters(from.latitude, from.longitude, to.latitude, to.longitude) * STREET_DETOUR_FACTOR;
+  return Math.ceil(meters / WALKING_METERS_PER_MINUTE);
+}
+
+// Arrival minute of every stop for a given order, using straight-line walk estimates
+function estimateArrivals(start, stops, startMinute) {
+  let clock = startMinute;
+  let previous = start;
+  return stops.map((stop) => {
+    clock += estimateWalkMinutes(previous, stop);
+    const arrival = clock;
+    clock += stop.dwellMinutes || 0;
+    previous = stop;
+    return arrival;
+  });
+}
+
+function findClosedStop(start, stops, startMinute, ignoredPlaceIds = new Set()) {
+  const arrivals = estimateArrivals(start, stops, startMinute);
+  return stops.findIndex((stop, i) =>
+    !ignoredPlaceIds.has(stop.placeId) && !isOpenDuring(stop.openingHours, arrivals[i], stop.dwellMinutes)
+  );
+}
+
+/**
+ * Reorder or drop stops that would be closed when the walker arrives
+ *
+ * Each closed stop is moved to the position that finishes the tour earliest with every stop open;
+ * if there is no such position the stop is dropped (required stops are kept where they are).
+ * Runs before walking-time validation, so arrival times are estimated from straight-line distances.
+ *
+ * @param {Object} tour - Enriched tour (stops with coordinates, dwellMinutes and openingHours)
+ * @param {Object} params
+ * @param {number} params.latitude - Starting latitude
+ * @param {number} params.longitude - Starting longitude
+ * @param {string} params.startTime - Planned start time ("YYYY-MM-DDTHH:mm")
+ * @param {Array<string>} [params.requiredPlaceIds] - Stops that must not be dropped (e.g. user-selected places)
+ * @returns {Object} Tour with reordered stops, plus `closedStopsDropped` (stop names) if any were dropped
+ */
+export function fitTourToOpeningHours(tour, { latitude, longitude, startTime, requiredPlaceIds = [] }) {
+  const startParsed = parseStartTime(startTime);
+  if (!startParsed || !Array.isArray(tour.stops) || tour.stops.length === 0) return tour;
+
+  const start = { latitude, longitude };
+  const startMinute = startParsed.minuteOfWeek;
+  let stops = [...tour.stops];
+  const dropped = [];
+  const required = new Set(requiredPlaceIds);
+  const unfixable = new Set(); // Required stops that can't be fixed, left for validation to flag
+
+  // Each pass moves or drops one stop, so this always terminates
+  for (let pass = 0; pass < tour.stops.length; pass++) {
+    const closedIndex = findClosedStop(start, stops, startMinute, unfixable);
+    if (closedIndex === -1) break;
+
+    const closedStop = stops[closedIndex];
+    const remaining = stops.filter((_, i) => i !== closedIndex);
+
+    let best = null;
+    for (let position = 0; position <= remaining.length; position++) {
+      if (position === closedIndex) continue;
+      const candidate = [...remaining.slice(0, position), closedStop, ...remaining.slice(position)];
+      if (findClosedStop(start, candidate, startMinute, unfixable) !== -1) continue;
+
+      const arrivals = estimateArrivals(start, candidate, startMinute);
+      const finish = arrivals[arrivals.length - 1];
+      if (!best || finish < best.finish) {
+        best = { stops: candidate, finish };
+      }
+    }
+
+    if (best) {
+      console.log(`[openingHours] Moved "${closedStop.name}" so it is open on arrival`);
+      stops = best.stops;
+    } else if (required.has(closedStop.placeId) || remaining.length === 0) {
+      // Never drop a required stop or the only stop, validation flags it with openAtArrival: false
+      unfixable.add(closedStop.placeId);
+    } else {
+      console.log(`[openingHours] Dropped "${closedStop.name}" - closed during the tour`);
+      dropped.push(closedStop.name);
+      stops = remaining;
+    }
+  }
+
+  if (dropped.length === 0 && stops.every((stop, i) => stop === tour.stops[i])) {
+    return tour;
+  }
+
+  // Re-estimate walk times for the new order; validateSingleTour replaces them with real ones
+  let previous = start;
+  const scheduledStops = stops.map((stop) => {
+    const walkMinutesFromPrevious = estimateWalkMinutes(previous, stop);
+    previous = stop;
+    return { ...stop, walkMinutesFromPrevious };
+  });
+
+  return {
+    ...tour,
+    stops: scheduledStops,
+    ...(dropped.length > 0 && { closedStopsDropped: dropped }),
+  };
+}
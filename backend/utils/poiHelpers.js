@@ -2,16 +2,17 @@
  * POI Helper Functions
  *
  * Functions for fetching, caching, and querying Points of Interest (POIs)
- * from Google Maps API and Redis cache.
+ * from the configured POI provider (see providers/poi) and Redis cache.
  */
 
 import { traceable } from 'langsmith/traceable';
 import { reverseGeocode, generateCitySummary, generateNeighborhoodSummary } from './geocodingHelpers.js';
+import { getPoiProvider } from '../providers/poi/index.js';
+import { httpFetch } from './http.js';
 
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
 const POI_INDEX_NAME = 'idx:pois';
 const MAX_POIS_IN_TOURPLAN_CONTEXT = 60;
-const MIN_SECONDARY_RATING = 3.5;
 const TOUR_DEBUG = process.env.TOUR_DEBUG === '1' || process.env.TOUR_DEBUG === 'true';
 
 function debugLog(...args) {
@@ -20,11 +21,52 @@ function debugLog(...args) {
   }
 }
 
-async function safeFetch(url, options) {
-  if (typeof fetch === 'undefined') {
-    throw new Error('Global fetch is not available. Please use Node 18+ or polyfill fetch.');
+/**
+ * Great-circle distance between two coordinates
+ * @returns {number} Distance in meters
+ */
+export function getDistanceMeters(lat1, lon1, lat2, lon2) {
+  const toRadians = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Work out where to look for POIs for a tour
+ *
+ * Loops and open-ended tours search a circle around the start sized by the walking budget.
+ * Point-to-point tours search around the midpoint between start and end, wide enough to
+ * cover both ends of the route.
+ *
+ * @param {Object} params
+ * @param {number} params.latitude - Starting latitude
+ * @param {number} params.longitude - Starting longitude
+ * @param {number} params.durationMinutes - Tour duration in minutes
+ * @param {Object} [params.endLocation] - Optional { latitude, longitude } where the tour should end
+ * @returns {{ latitude: number, longitude: number, radiusMeters: number }}
+ */
+export function getPoiSearchArea({ latitude, longitude, durationMinutes, endLocation = null }) {
+  // Calculate radius based on duration
+  const walkingTimeMinutes = durationMinutes * 0.4;
+  const maxWalkingMeters = walkingTimeMinutes * 83;
+  const calculatedRadius = Math.round(maxWalkingMeters / 2);
+  const radiusMeters = Math.max(500, Math.min(3000, calculatedRadius));
+
+  if (!endLocation || endLocation.returnToStart) {
+    return { latitude, longitude, radiusMeters };
   }
-  return fetch(url, options);
+
+  const endDistance = getDistanceMeters(latitude, longitude, endLocation.latitude, endLocation.longitude);
+
+  return {
+    latitude: (latitude + endLocation.latitude) / 2,
+    longitude: (longitude + endLocation.longitude) / 2,
+    // Half the start-end distance plus a margin so POIs near either end are included
+    radiusMeters: Math.min(5000, Math.max(radiusMeters, Math.round(endDistance / 2) + 300)),
+  };
 }
 
 /**
@@ -92,6 +134,12 @@ export async function cachePlaceInRedis(redisClient, place) {
       location: `${place.longitude},${place.latitude}`, // GEO format: "lon,lat"
       rating: place.rating,
       primary: place.primary !== undefined ? place.primary : true,
+      // true/false from the Places API, null when unknown
+      wheelchairAccessibleEntrance: place.wheelchairAccessibleEntrance ?? null,
+      // regularOpeningHours.periods from the Places API (local time), null when unknown
+      openingHours: place.openingHours ?? null,
+      // POI provider that found the place (google | overpass | geojson)
+      source: place.source || 'google',
       // Location context fields (populated on-demand during audioguide generation)
       country: place.country || null,
       city: place.city || null,
@@ -119,132 +167,101 @@ export async function cachePlaceInRedis(redisClient, place) {
 }
 
 /**
- * Search for places nearby using Google Places API
+ * Get a single cached place by its place ID
+ * @param {Object} redisClient - Redis client instance
+ * @param {string} placeId - Google place ID
+ * @returns {Promise<Object|null>} POI in the same shape as queryPoisFromRedis results, or null if not cached
  */
-export const searchPlacesNearby = traceable(async (latitude, longitude, radiusMeters, includedTypes, isPrimary = false) => {
-  const url = 'https://places.googleapis.com/v1/places:searchNearby';
-  
-  const requestBody = {
-    includedTypes,
-    maxResultCount: 20,
-    locationRestriction: {
-      circle: {
-        center: { latitude, longitude },
-        radius: radiusMeters
-      }
-    }
+export async function getCachedPoi(redisClient, placeId) {
+  if (!redisClient || !placeId) return null;
+
+  const placeDoc = await redisClient.json.get(`poi_cache:${placeId}`);
+  if (!placeDoc?.location) {
+    return null;
+  }
+
+  // Location is stored as "lon,lat" for the GEO index
+  const [lon, lat] = placeDoc.location.split(',').map(parseFloat);
+
+  return {
+    id: placeDoc.place_id || placeId,
+    name: placeDoc.name || 'Unknown Place',
+    latitude: lat,
+    longitude: lon,
+    types: (placeDoc.types || []).filter(t => t !== 'point_of_interest' && t !== 'establishment'),
+    rating: placeDoc.rating ?? null,
+    primary: placeDoc.primary !== false,
+    country: placeDoc.country || null,
+    city: placeDoc.city || null,
+    neighborhood: placeDoc.neighborhood || null,
+    wheelchairAccessibleEntrance: placeDoc.wheelchairAccessibleEntrance ?? null,
+    openingHours: placeDoc.openingHours ?? null,
+    source: placeDoc.source || 'google'
   };
+}
+
+/**
+ * Look up a single place by its Google place ID using the Places API
+ * @param {string} placeId - Google place ID
+ * @returns {Promise<Object|null>} POI in the same shape as searchPlacesNearby results, or null if not found
+ */
+export const fetchPlaceDetails = traceable(async (placeId) => {
+  if (!GOOGLE_MAPS_API_KEY) {
+    console.warn('[poiHelpers] GOOGLE_MAPS_API_KEY is not set; cannot look up place', placeId);
+    return null;
+  }
 
-  debugLog('searchPlacesNearby: requesting', { url, types: includedTypes.length });
-  
-  const res = await safeFetch(url, {
-    method: 'POST',
+  const url = `https://places.googleapis.com/v1/places/${encodeURIComponent(placeId)}`;
+  debugLog('fetchPlaceDetails: requesting', url);
+
+  const res = await httpFetch(url, {
     headers: {
-      'Content-Type': 'application/json',
       'X-Goog-Api-Key': GOOGLE_MAPS_API_KEY,
-      'X-Goog-FieldMask': 'places.id,places.displayName,places.types,places.location,places.rating'
-    },
-    body: JSON.stringify(requestBody)
+      'X-Goog-FieldMask': 'id,displayName,types,location,rating,accessibilityOptions,regularOpeningHours'
+    }
   });
 
   if (!res.ok) {
-    console.warn('[poiHelpers] Places search failed with status', res.status);
-    debugLog('searchPlacesNearby: non-OK response', res.status);
-    return [];
+    console.warn(`[poiHelpers] Place details lookup for ${placeId} failed with status`, res.status);
+    return null;
   }
 
-  const data = await res.json();
-  const places = Array.isArray(data.places) ? data.places : [];
-  debugLog('searchPlacesNearby: got places count', places.length);
-
-  return places
-    .filter((place) => {
-      // Filter out secondary POIs with rating below MIN_SECONDARY_RATING
-      if (!isPrimary) {
-        const rating = place.rating || null;
-        if (rating === null || rating < MIN_SECONDARY_RATING) {
-          const displayName = place.displayName?.text || 'Unknown Place';
-          console.log(`[poiHelpers] Discarding secondary POI "${displayName}" with rating ${rating}`);
-          return false;
-        }
-      }
-      return true;
-    })
-    .map((place, index) => {
-      const originalTypes = place.types || [];
-
-      // Filter out generic types that don't add value
-      let types = originalTypes.filter(t => t !== 'point_of_interest' && t !== 'establishment');
-
-      return {
-        id: place.id || `poi_${index + 1}`,
-        name: place.displayName?.text || 'Unknown Place',
-        latitude: place.location?.latitude || latitude,
-        longitude: place.location?.longitude || longitude,
-        types: types,
-        rating: place.rating || null,
-        primary: isPrimary, // Mark as primary or secondary
-      };
-    });
-}, { name: 'searchPlacesNearby', run_type: 'tool' });
+  const place = await res.json();
+  if (!place?.location) {
+    return null;
+  }
+
+  return {
+    id: place.id || placeId,
+    name: place.displayName?.text || 'Unknown Place',
+    latitude: place.location.latitude,
+    longitude: place.location.longitude,
+    types: (place.types || []).filter(t => t !== 'point_of_interest' && t !== 'establishment'),
+    rating: place.rating || null,
+    primary: true, // Places the user picked are always treated as highlights
+    wheelchairAccessibleEntrance: place.accessibilityOptions?.wheelchairAccessibleEntrance ?? null,
+    openingHours: place.regularOpeningHours?.periods ?? null,
+    source: 'google',
+  };
+}, { name: 'fetchPlaceDetails', run_type: 'tool' });
 
 /**
- * Search for nearby POIs using Google Maps API and cache them
+ * Search for nearby POIs with the configured POI provider
+ * With an endLocation the search area covers the whole start-to-end route (see getPoiSearchArea)
+ * Caching is left to the caller (see fetchPoisFromGoogleMaps / savePoiToCache nodes)
  */
-export const searchNearbyPois = traceable(async (latitude, longitude, durationMinutes = 90, redisClient = null) => {
-  if (!GOOGLE_MAPS_API_KEY) {
-    console.warn('[poiHelpers] GOOGLE_MAPS_API_KEY is not set; skipping POI search.');
-    debugLog('searchNearbyPois: missing GOOGLE_MAPS_API_KEY');
-    return [];
-  }
-
-  // Calculate radius based on duration
-  const walkingTimeMinutes = durationMinutes * 0.4;
-  const maxWalkingMeters = walkingTimeMinutes * 83;
-  const calculatedRadius = Math.round(maxWalkingMeters / 2);
-  const radiusMeters = Math.max(500, Math.min(3000, calculatedRadius));
+export const searchNearbyPois = traceable(async (startLatitude, startLongitude, durationMinutes = 90, redisClient = null, endLocation = null) => {
+  const { latitude, longitude, radiusMeters } = getPoiSearchArea({
+    latitude: startLatitude,
+    longitude: startLongitude,
+    durationMinutes,
+    endLocation,
+  });
 
   debugLog('searchNearbyPois: calculated radius', radiusMeters, 'meters for duration', durationMinutes, 'minutes');
 
-  const primaryTypesGroup1 = [
-    'historical_place', 'historical_landmark', 'monument', 'cultural_landmark', 'museum',
-    'art_gallery', 'sculpture', 'performing_arts_theater', 'opera_house', 'philharmonic_hall',
-    'concert_hall', 'cultural_center', 'community_center', 'library',
-    'city_hall', 'courthouse', 'embassy', 'church', 'amusement_park',
-    'hindu_temple', 'mosque', 'synagogue', 'market'
-  ];
-
-  const primaryTypesGroup2 = [
-    'park', 'national_park', 'state_park', 'botanical_garden', 'garden',
-    'plaza', 'visitor_center', 'beach', 'wildlife_park', 'wildlife_refuge',
-    'zoo', 'aquarium', 'marina', 'hiking_area', 'observation_deck',
-    'athletic_field', 'playground', 'dog_park', 'skateboard_park', 'picnic_ground',
-    'campground', 'rv_park', 'tourist_attraction'
-  ];
-
-  const secondaryTypes = [
-    'restaurant', 'cafe', 'coffee_shop', 'ice_cream_shop', 'bakery',
-    'bar', 'pub', 'wine_bar', 'tea_house', 'fast_food_restaurant',
-    'pizza_restaurant', 'hamburger_restaurant', 'seafood_restaurant', 'steak_house', 'sushi_restaurant',
-    'breakfast_restaurant', 'brunch_restaurant', 'mexican_restaurant', 'indian_restaurant', 'chinese_restaurant',
-    'japanese_restaurant', 'thai_restaurant', 'mediterranean_restaurant', 'middle_eastern_restaurant', 'turkish_restaurant',
-    'greek_restaurant', 'italian_restaurant', 'spanish_restaurant', 'vegan_restaurant', 'vegetarian_restaurant',
-    'bagel_shop', 'donut_shop', 'dessert_shop', 'dessert_restaurant', 'confectionery',
-    'candy_store', 'acai_shop', 'juice_shop', 'cat_cafe', 'dog_cafe',
-    'bar_and_grill', 'food_court', 'fine_dining_restaurant', 'shopping_mall', 'gift_shop',
-    'spa', 'local_government_office', 'auditorium', 'movie_theater'
-  ];
-
-  const allResults = [];
-
-  // Query primary types in 2 groups (20 results each) + secondary types (20 results)
-  const [primaryResults1, primaryResults2, secondaryResults] = await Promise.all([
-    searchPlacesNearby(latitude, longitude, radiusMeters, primaryTypesGroup1, true),
-    searchPlacesNearby(latitude, longitude, radiusMeters, primaryTypesGroup2, true),
-    searchPlacesNearby(latitude, longitude, radiusMeters, secondaryTypes, false)
-  ]);
-
-  allResults.push(...primaryResults1, ...primaryResults2, ...secondaryResults);
+  const provider = getPoiProvider();
+  const allResults = await provider.searchNearby({ latitude, longitude, radiusMeters });
 
   // Remove duplicates by place_id (keep first occurrence which preserves primary flag)
   const uniqueResults = [];
@@ -256,12 +273,9 @@ export const searchNearbyPois = traceable(async (latitude, longitude, durationMi
     }
   }
 
-  // Note: POI caching is now handled by the savePoiToCache node
-  // This allows caching to happen asynchronously without blocking the user request
-
-  console.log(`[poiHelpers] 📍 POI search results - Primary Group 1: ${primaryResults1.length}, Primary Group 2: ${primaryResults2.length}, Secondary: ${secondaryResults.length}, Total unique: ${uniqueResults.length}`);
+  console.log(`[poiHelpers] 📍 POI search (${provider.name}) - Total unique: ${uniqueResults.length}`);
 
-  // Return all unique results (up to 60 from 3 API calls)
+  // Return all unique results
   // Don't limit here - let the caller decide how many to use
   return uniqueResults;
 }, { name: 'searchNearbyPois', run_type: 'tool' });
@@ -325,6 +339,9 @@ export const queryPoisFromRedis = traceable(async (latitude, longitude, radiusMe
             const country = value.country;
             const city = value.city;
             const neighborhood = value.neighborhood;
+            const wheelchairAccessibleEntrance = value.wheelchairAccessibleEntrance;
+            const openingHours = value.openingHours;
+            const source = value.source;
 
             if (locationStr && placeId) {
               // Parse location string "lon,lat" to extract coordinates
@@ -356,7 +373,10 @@ export const queryPoisFromRedis = traceable(async (latitude, longitude, radiusMe
                 primary: primary === 'true' || primary === true || primary === '1' || primary === 1,
                 country: country || null,
                 city: city || null,
-                neighborhood: neighborhood || null
+                neighborhood: neighborhood || null,
+                wheelchairAccessibleEntrance: wheelchairAccessibleEntrance ?? null,
+                openingHours: Array.isArray(openingHours) ? openingHours : null,
+                source: source || 'google'
               });
             }
           } catch (err) {
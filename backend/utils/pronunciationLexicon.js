@@ -0,0 +1,104 @@
+/**
+ * Pronunciation Lexicon
+ *
+ * Per-city list of place and street names the TTS voices get wrong, stored in Redis at
+ * lexicon:{country}:{city} (same hierarchy as summary_cache). Used by the SSML pipeline
+ * (providers/tts/ssml.js) when TTS_SSML=true.
+ *
+ * Each entry fixes one term in one of three ways:
+ *   { term: 'Rothschild', ipa: 'ˈʁotʃild' }          <phoneme> with an IPA pronunciation
+ *   { term: 'Rehov', alias: 'reh-hove' }              <sub> read as the alias
+ *   { term: 'Dizengoff', lang: 'he-IL' }              <lang> read by the voice for that language
+ * Terms match whole words, case-insensitively.
+ */
+
+const MAX_ENTRIES = 500;
+const MAX_TERM_LENGTH = 100;
+const LANG_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+/**
+ * Redis key for a city's lexicon
+ * @param {string} country - Full country name (e.g. "Israel")
+ * @param {string} city - City name
+ * @returns {string|null} Key, or null without both parts
+ */
+export function lexiconKey(country, city) {
+  if (!country || !city) return null;
+  return `lexicon:${country}:${city}`;
+}
+
+/**
+ * Check a list of lexicon entries
+ * @param {*} entries - Value from a request body
+ * @returns {string|null} Problem description, or null if valid
+ */
+export function validateLexiconEntries(entries) {
+  if (!Array.isArray(entries)) return 'entries must be an array';
+  if (entries.length > MAX_ENTRIES) return `at most ${MAX_ENTRIES} entries are allowed`;
+
+  for (const [index, entry] of entries.entries()) {
+    if (!entry || typeof entry.term !== 'string' || !entry.term.trim()) {
+      return `entry ${index}: term is required`;
+    }
+    if (entry.term.length > MAX_TERM_LENGTH) {
+      return `entry ${index}: term is longer than ${MAX_TERM_LENGTH} characters`;
+    }
+    const fixes = ['ipa', 'alias', 'lang'].filter((field) => typeof entry[field] === 'string' && entry[field].trim());
+    if (fixes.length === 0) {
+      return `entry ${index} (${entry.term}): one of ipa, alias or lang is required`;
+    }
+    if (entry.lang && !LANG_PATTERN.test(entry.lang)) {
+      return `entry ${index} (${entry.term}): lang must be a language code such as "en-US" or "he-IL"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load a city's lexicon
+ * @param {Object} redisClient - Redis client instance
+ * @param {Object} location - { country, city }
+ * @returns {Promise<Array<Object>>} Entries (empty if none are stored or Redis fails)
+ */
+export async function getLexicon(redisClient, { country, city }) {
+  const key = lexiconKey(country, city);
+  if (!key || !redisClient) return [];
+
+  try {
+    const result = await redisClient.json.get(key, { path: '$.entries' });
+    return Array.isArray(result) && Array.isArray(result[0]) ? result[0] : [];
+  } catch (err) {
+    console.warn(`[lexicon] Failed to load ${key}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Replace a city's lexicon
+ * @param {Object} redisClient - Redis client instance
+ * @param {Object} location - { country, city }
+ * @param {Array<Object>} entries - Validated entries (see validateLexiconEntries)
+ * @returns {Promise<Object>} Stored document { country, city, entries, updatedAt }
+ */
+export async function saveLexicon(redisClient, { country, city }, entries) {
+  const key = lexiconKey(country, city);
+  if (!key) {
+    throw new Error('country and city are required');
+  }
+
+  const document = {
+    country,
+    city,
+    entries: entries.map(({ term, ipa, alias, lang }) => ({
+      term: term.trim(),
+      ...(ipa?.trim() && { ipa: ipa.trim() }),
+      ...(alias?.trim() && { alias: alias.trim() }),
+      ...(lang?.trim() && { lang: lang.trim() }),
+    })),
+    updatedAt: new Date().toISOString(),
+  };
+
+  await redisClient.json.set(key, '$', document);
+  console.log(`[lexicon] Saved ${document.entries.length} entries at ${key}`);
+  return document;
+}
@@ -0,0 +1,207 @@
+/**
+ * Script Review
+ *
+ * A second pass over each generated script before it is synthesized. Formatting problems are found
+ * locally; a checker model (the "reviews" LLM purpose) compares the script with the brief and
+ * context its writer was given. A script with issues is rewritten with the issues as feedback,
+ * up to SCRIPT_REVIEW_MAX_REWRITES times; if none passes, the draft with the fewest issues is kept.
+ *
+ * The verdict is stored with the script as `review`:
+ *   { passed, issues: [{ type, quote, explanation }], attempts, modelUsed, checkedAt, error? }
+ *
+ * CONFIGURATION (environment):
+ *   SCRIPT_REVIEW=true               Set to false to skip the review
+ *   SCRIPT_REVIEW_MAX_REWRITES=2     Rewrites of a script that fails its review; each draft is one
+ *                                    script call and one review call, so up to 6 LLM calls per script
+ */
+
+import { getLlm } from '../providers/llm/index.js';
+
+export const REVIEW_ISSUE_TYPES = [
+  'unsupported-claim',  // a fact the context doesn't back up
+  'wrong-stop-name',    // the stop (or the next one) called by another name
+  'markdown',           // headings, bold, bullets, links...
+  'stage-direction',    // [pause], (music), "Narrator:"...
+  'missing-directions', // a stop other than the last doesn't say how to reach the next one
+];
+
+export const REVIEW_SCHEMA = {
+  type: 'object',
+  properties: {
+    issues: {
+      type: 'array',
+      description: 'Problems found in the script; empty if it is fine',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: REVIEW_ISSUE_TYPES },
+          quote: { type: 'string', description: 'The words of the script the issue is about' },
+          explanation: { type: 'string', description: 'What is wrong, in one sentence' },
+        },
+        required: ['type', 'explanation'],
+      },
+    },
+  },
+  required: ['issues'],
+};
+
+const MARKDOWN_PATTERNS = [
+  /^\s{0,3}#{1,6}\s+\S.*$/m,           // # Heading
+  /\*\*[^*\n]+\*\*|__[^_\n]+__/,       // **bold**
+  /^\s*(?:[-+•]|\d+\.)\s+\S.*$/m,      // - bullet, 1. item
+  /\[[^\]\n]+\]\([^)\s]+\)/,           // [link](url)
+  /`[^`\n]+`/,                         // `code`
+];
+const SINGLE_ASTERISK_PATTERN = /(?<!\*)\*[^*\n]+\*(?!\*)/; // *emphasis*, not **bold**
+const STAGE_DIRECTION_PATTERNS = [
+  /\[[^\]\n]{1,60}\]/,                                                                        // [pause]
+  /\((?:pause|beat|music|sound|sfx|laugh|chuckle|sigh|whisper|footsteps|applause)[^)\n]{0,40}\)/i, // (music fades)
+  /^\s*(?:narrator|guide|tour guide|host(?: [ab])?|speaker(?: \d)?)\s*:/im,                     // Narrator:
+];
+
+const getMaxRewrites = () => Math.max(0, parseInt(process.env.SCRIPT_REVIEW_MAX_REWRITES || '2', 10) || 0);
+
+/**
+ * Check whether generated scripts are reviewed
+ * @returns {boolean}
+ */
+export function isScriptReviewEnabled() {
+  return process.env.SCRIPT_REVIEW !== 'false';
+}
+
+/**
+ * Find markdown and stage directions in a script, without a model
+ * @param {string} text - Script text (for dialogues, the hosts' lines without speaker labels)
+ * @param {Object} [options]
+ * @param {boolean} [options.allowEmphasis] - *Single asterisks* are allowed (SSML emphasis)
+ * @returns {Array<Object>} Issues { type, quote, explanation }
+ */
+export function findFormattingIssues(text, { allowEmphasis = false } = {}) {
+  const issues = [];
+  const markdownPatterns = allowEmphasis ? MARKDOWN_PATTERNS : [...MARKDOWN_PATTERNS, SINGLE_ASTERISK_PATTERN];
+
+  for (const pattern of markdownPatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      issues.push({ type: 'markdown', quote: match[0].trim(), explanation: 'Markdown would be read aloud or dropped by text-to-speech' });
+    }
+  }
+  for (const pattern of STAGE_DIRECTION_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      issues.push({ type: 'stage-direction', quote: match[0].trim(), explanation: 'Stage directions and speaker labels would be read aloud' });
+    }
+  }
+  return issues;
+}
+
+function buildReviewPrompt({ script, brief, stopName, nextStopName, isDialogue }) {
+  const checks = [
+    '- unsupported-claim: a fact, date, number, name or story that the brief and context do not support. General descriptions of what the visitor can see and friendly remarks are fine.',
+    stopName && `- wrong-stop-name: the stop must be called "${stopName}"${nextStopName ? ` and the next stop "${nextStopName}"` : ''} (translations and transliterations are fine, other places' names are not)`,
+    '- markdown: headings, bold, bullet points, links or other formatting',
+    `- stage-direction: directions such as [pause] or (music), or speaker labels${isDialogue ? ' inside a line (the "A:" and "B:" at the start of each line are fine)' : ''}`,
+    nextStopName && `- missing-directions: the script must tell the visitor how to walk to ${nextStopName}`,
+  ].filter(Boolean);
+
+  return `You are fact-checking an audio tour guide script before it is recorded.
+
+The writer was given this brief and context:
+<brief>
+${brief}
+</brief>
+
+The script${isDialogue ? ' (a conversation between hosts A and B)' : ''}:
+<script>
+${script}
+</script>
+
+Report every problem of these types:
+${checks.join('\n')}
+
+Quote the exact words of the script for each problem. Report nothing else - style, length and tone are not your concern. If the script is fine, return an empty list of issues.`;
+}
+
+/**
+ * Review a script against the brief and context it was written from
+ * @param {Object} params
+ * @param {string} params.script - Script text (dialogues as an "A: ... B: ..." transcript)
+ * @param {string} [params.spokenText] - Text the listener hears, for the formatting checks (defaults to the script)
+ * @param {string} params.brief - Prompt the script was generated from
+ * @param {string} [params.stopName] - Name the script must use for its stop
+ * @param {string} [params.nextStopName] - Next stop, which the script must give directions to
+ * @param {boolean} [params.isDialogue]
+ * @param {boolean} [params.allowEmphasis] - *Single asterisks* are allowed (SSML emphasis)
+ * @returns {Promise<Object>} { passed, issues, modelUsed, error? } - checker failures leave only the formatting checks
+ */
+export async function reviewScript({ script, spokenText = script, brief, stopName, nextStopName, isDialogue = false, allowEmphasis = false }) {
+  const issues = findFormattingIssues(spokenText, { allowEmphasis });
+  let modelUsed = null;
+  let error;
+
+  try {
+    const llm = getLlm('reviews');
+    if (!llm) {
+      throw new Error('Script review model not available');
+    }
+    modelUsed = llm.model;
+    const verdict = await llm.generateJson(buildReviewPrompt({ script, brief, stopName, nextStopName, isDialogue }), { schema: REVIEW_SCHEMA });
+    const foundTypes = new Set(issues.map((issue) => issue.type));
+    for (const issue of verdict?.issues || []) {
+      if (!REVIEW_ISSUE_TYPES.includes(issue?.type)) continue;
+      // The local checks already quote formatting problems
+      if (foundTypes.has(issue.type) && (issue.type === 'markdown' || issue.type === 'stage-direction')) continue;
+      issues.push({ type: issue.type, quote: issue.quote || '', explanation: issue.explanation || '' });
+    }
+  } catch (err) {
+    console.warn('[scriptReview] Checker failed, keeping the formatting checks only:', err.message);
+    error = err.message;
+  }
+
+  return { passed: issues.length === 0, issues, modelUsed, ...(error && { error }) };
+}
+
+/**
+ * Feedback for rewriting a script that failed its review
+ * @param {Array<Object>} issues
+ * @returns {string}
+ */
+export function formatReviewFeedback(issues) {
+  return `A fact-checker rejected your previous draft. Write a new version that fixes these problems:\n${issues
+    .map((issue) => `- ${issue.type}${issue.quote ? ` ("${issue.quote}")` : ''}: ${issue.explanation}`)
+    .join('\n')}`;
+}
+
+/**
+ * Generate a script, review it and rewrite it while it fails
+ * @param {Function} generate - (feedback|null) => Promise<result>; feedback lists the previous draft's issues
+ * @param {Function} review - (result) => Promise<verdict> (see reviewScript)
+ * @returns {Promise<Object>} The kept result, with `review` set to its verdict (or just the result if reviews are disabled)
+ */
+export async function generateReviewedScript(generate, review) {
+  if (!isScriptReviewEnabled()) return generate(null);
+
+  const maxAttempts = getMaxRewrites() + 1;
+  let best = null;
+  let feedback = null;
+  let attempts = 0;
+
+  while (attempts < maxAttempts) {
+    attempts++;
+    const result = await generate(feedback);
+    const verdict = await review(result);
+
+    if (!best || verdict.issues.length < best.verdict.issues.length) {
+      best = { result, verdict };
+    }
+    if (verdict.passed) break;
+
+    console.warn(`[scriptReview] Draft ${attempts}/${maxAttempts} has ${verdict.issues.length} issue(s): ${verdict.issues.map((issue) => issue.type).join(', ')}`);
+    feedback = formatReviewFeedback(verdict.issues);
+  }
+
+  return {
+    ...best.result,
+    review: { ...best.verdict, attempts, checkedAt: new Date().toISOString() },
+  };
+}
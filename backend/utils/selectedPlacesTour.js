@@ -0,0 +1,174 @@
+/**
+ * Selected Places Tour Planner
+ *
+ * Builds a tour around places the user must visit, without asking the LLM to pick stops.
+ * The selected places are ordered into a short walking route, then the remaining time is
+ * filled with nearby highlights that add the least detour.
+ *
+ * The result has the same shape as an LLM-generated tour (stops reference POIs by 1-based
+ * poiIndex), so it goes through enrichTourWithPoiDetails and validateSingleTour like any other tour.
+ * Its title, abstract and theme come from the language's selectedPlacesTour texts in languages.json.
+ */
+
+import { getDistanceMeters } from './poiHelpers.js';
+import { DEFAULT_LANGUAGE, getLanguage } from './languages.js';
+
+const WALKING_METERS_PER_MINUTE = 83; // Same walking speed used for POI search radius
+const STREET_DETOUR_FACTOR = 1.3; // Straight-line distance -> street distance
+const SELECTED_DWELL_MINUTES = 15;
+const FILLER_DWELL_MINUTES = 10;
+const FILLER_MIN_RATING = 4.0;
+const MAX_STOPS = 12;
+
+function walkMinutesBetween(from, to) {
+  const meters = getDistanceMeters(from.latitude, from.longitude, to.latitude, to.longitude) * STREET_DETOUR_FACTOR;
+  return meters / WALKING_METERS_PER_MINUTE;
+}
+
+// Walking minutes along start -> stops -> end (end is optional)
+function routeWalkMinutes(start, stops, end) {
+  const points = [start, ...stops, ...(end ? [end] : [])];
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += walkMinutesBetween(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+// Nearest-neighbour order from the start, improved with 2-opt swaps
+function orderStops(start, stops, end) {
+  const remaining = [...stops];
+  const ordered = [];
+  let current = start;
+
+  while (remaining.length > 0) {
+    let nearestIndex = 0;
+    for (let i = 1; i < remaining.length; i++) {
+      if (walkMinutesBetween(current, remaining[i]) < walkMinutesBetween(current, remaining[nearestIndex])) {
+        nearestIndex = i;
+      }
+    }
+    current = remaining.splice(nearestIndex, 1)[0];
+    ordered.push(current);
+  }
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < ordered.length - 1; i++) {
+      for (let j = i + 1; j < ordered.length; j++) {
+        const candidate = [
+          ...ordered.slice(0, i),
+          ...ordered.slice(i, j + 1).reverse(),
+          ...ordered.slice(j + 1),
+        ];
+        if (routeWalkMinutes(start, candidate, end) + 0.01 < routeWalkMinutes(start, ordered, end)) {
+          ordered.splice(0, ordered.length, ...candidate);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return ordered;
+}
+
+// Cheapest position to insert a POI into the route, in extra walking minutes
+function cheapestInsertion(start, stops, end, poi) {
+  let best = { position: stops.length, addedMinutes: Infinity };
+  for (let position = 0; position <= stops.length; position++) {
+    const candidate = [...stops.slice(0, position), poi, ...stops.slice(position)];
+    const addedMinutes = routeWalkMinutes(start, candidate, end) - routeWalkMinutes(start, stops, end);
+    if (addedMinutes < best.addedMinutes) {
+      best = { position, addedMinutes };
+    }
+  }
+  return best;
+}
+
+// Title, abstract and theme in the tour's language; languages without these texts get English ones
+function describeTour(language, selectedNames, hasHighlights) {
+  const { locale, selectedPlacesTour } = getLanguage(language);
+  const texts = selectedPlacesTour || getLanguage(DEFAULT_LANGUAGE).selectedPlacesTour;
+  const places = new Intl.ListFormat(locale, { type: 'conjunction' }).format(selectedNames);
+  const fill = (template) => template.replaceAll('{places}', places);
+
+  return {
+    title: fill(texts.title),
+    abstract: fill(hasHighlights ? texts.abstractWithHighlights : texts.abstract),
+    theme: texts.theme,
+  };
+}
+
+/**
+ * Plan a tour that visits all selected places
+ *
+ * @param {Object} params
+ * @param {Array} params.pois - Available POIs (selected places and fillers)
+ * @param {Array<string>} params.selectedPoiIds - IDs of the POIs the tour must include
+ * @param {number} params.latitude - Starting latitude
+ * @param {number} params.longitude - Starting longitude
+ * @param {number} params.durationMinutes - Requested tour duration
+ * @param {Object} [params.endLocation] - Optional { latitude, longitude } where the tour ends
+ * @param {string} [params.language] - Tour language, for the title, abstract and theme
+ * @returns {Object} Tour with stops referencing pois by 1-based poiIndex
+ */
+export function planSelectedPlacesTour({ pois, selectedPoiIds, latitude, longitude, durationMinutes, endLocation = null, language = DEFAULT_LANGUAGE }) {
+  const start = { latitude, longitude };
+  const selectedIds = new Set(selectedPoiIds);
+  const selected = pois.filter(poi => selectedIds.has(poi.id));
+
+  let stops = orderStops(start, selected, endLocation);
+
+  // Same time target the tour generation prompt uses
+  const targetMinutes = Math.round(durationMinutes * 0.8);
+  const dwellFor = (poi) => (selectedIds.has(poi.id) ? SELECTED_DWELL_MINUTES : FILLER_DWELL_MINUTES);
+  const totalMinutes = (route) => routeWalkMinutes(start, route, endLocation) + route.reduce((sum, poi) => sum + dwellFor(poi), 0);
+
+  // Only well-rated highlights are used as fillers
+  const fillers = pois.filter(poi =>
+    !selectedIds.has(poi.id) && poi.primary && (poi.rating === null || poi.rating >= FILLER_MIN_RATING)
+  );
+
+  while (stops.length < MAX_STOPS) {
+    const currentMinutes = totalMinutes(stops);
+    let best = null;
+
+    for (const poi of fillers) {
+      if (stops.includes(poi)) continue;
+      const { position, addedMinutes } = cheapestInsertion(start, stops, endLocation, poi);
+      if (currentMinutes + addedMinutes + FILLER_DWELL_MINUTES > targetMinutes) continue;
+      // Prefer short detours, break ties with rating
+      const score = addedMinutes - (poi.rating || 0);
+      if (!best || score < best.score) {
+        best = { poi, position, score };
+      }
+    }
+
+    if (!best) break;
+    stops = [...stops.slice(0, best.position), best.poi, ...stops.slice(best.position)];
+  }
+
+  console.log(`[selectedPlacesTour] Planned ${stops.length} stops (${selected.length} selected, ${stops.length - selected.length} fillers), ~${Math.round(totalMinutes(stops))} min`);
+
+  const poiIndexById = new Map(pois.map((poi, index) => [poi.id, index + 1]));
+  const selectedNames = stops.filter(poi => selectedIds.has(poi.id)).map(poi => poi.name);
+
+  let previous = start;
+  const tourStops = stops.map((poi) => {
+    const walkMinutesFromPrevious = Math.ceil(walkMinutesBetween(previous, poi));
+    previous = poi;
+    return {
+      poiIndex: poiIndexById.get(poi.id),
+      dwellMinutes: dwellFor(poi),
+      walkMinutesFromPrevious,
+    };
+  });
+
+  return {
+    id: 'selected-places',
+    ...describeTour(language, selectedNames, stops.length > selected.length),
+    estimatedTotalMinutes: Math.round(totalMinutes(stops)),
+    stops: tourStops,
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Speech Rate and Narration Timing
+ *
+ * Stop scripts are sized to the time the walker spends at the stop: about half of its dwellMinutes
+ * is narration, the rest is for looking around. The words-per-minute figure is what the voice was
+ * measured to speak in earlier audioguides (speech_rate:{voiceId}), or the language registry's
+ * figure until enough of its audio has been measured.
+ *
+ * After synthesis the measured audio length is stored on the audio entry (durationSeconds). A stop
+ * whose narration runs past its dwell time gets a longer dwellMinutes (the planned one is kept in
+ * plannedDwellMinutes), and the tour's arrival times and total are recomputed.
+ */
+
+import { getLanguage } from './languages.js';
+import { addArrivalTimes } from './openingHours.js';
+
+const DEFAULT_WORDS_PER_MINUTE = 150;
+const MIN_MEASURED_SECONDS = 120; // Measured audio needed before a voice's own rate is trusted
+const DEFAULT_DWELL_MINUTES = 10;
+const NARRATION_SHARE = 0.5;
+const MIN_NARRATION_MINUTES = 1;
+const MAX_NARRATION_MINUTES = 6;
+const MIN_WORDS_SHARE = 0.75;
+
+/**
+ * Redis key of a voice's measured speech rate (hash: words, seconds)
+ * @param {string} voiceId - Provider-qualified voice id
+ * @returns {string}
+ */
+export function speechRateKey(voiceId) {
+  return `speech_rate:${voiceId}`;
+}
+
+/**
+ * Count the spoken words of a script
+ * @param {string} text
+ * @returns {number}
+ */
+export function countWords(text) {
+  return String(text || '').split(/\s+/).filter((word) => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+// The voice option's figure, else the language's, else the default
+function registryWordsPerMinute(voiceId, language) {
+  const entry = getLanguage(language);
+  const option = (entry.voices.options || []).find((candidate) => candidate.id === voiceId);
+  return option?.wordsPerMinute || entry.wordsPerMinute || DEFAULT_WORDS_PER_MINUTE;
+}
+
+/**
+ * Words per minute a voice speaks
+ * @param {Object} redisClient - Redis client instance
+ * @param {Object} params
+ * @param {string} params.voiceId - Provider-qualified voice id
+ * @param {string} [params.language] - Language key
+ * @returns {Promise<number>} Measured rate, or the registry's figure
+ */
+export async function getWordsPerMinute(redisClient, { voiceId, language }) {
+  try {
+    const measured = voiceId && redisClient ? await redisClient.hGetAll(speechRateKey(voiceId)) : {};
+    const words = parseFloat(measured?.words);
+    const seconds = parseFloat(measured?.seconds);
+    if (seconds >= MIN_MEASURED_SECONDS && words > 0) {
+      return Math.round((words / seconds) * 60);
+    }
+  } catch (err) {
+    console.warn(`[speechRate] Failed to load the measured rate of ${voiceId}:`, err.message);
+  }
+  return registryWordsPerMinute(voiceId, language);
+}
+
+/**
+ * Add a synthesized script to its voice's measured speech rate
+ * @param {Object} redisClient - Redis client instance
+ * @param {Object} params
+ * @param {string} params.voiceId - Voice that spoke the script
+ * @param {string} params.text - The script
+ * @param {number|null} params.durationSeconds - Measured audio length
+ */
+export async function recordSpeechRate(redisClient, { voiceId, text, durationSeconds }) {
+  const words = countWords(text);
+  if (!redisClient || !voiceId || !durationSeconds || words === 0) return;
+
+  try {
+    await redisClient.multi()
+      .hIncrByFloat(speechRateKey(voiceId), 'words', words)
+      .hIncrByFloat(speechRateKey(voiceId), 'seconds', durationSeconds)
+      .exec();
+  } catch (err) {
+    console.warn(`[speechRate] Failed to record the speech rate of ${voiceId}:`, err.message);
+  }
+}
+
+/**
+ * Word budget of a stop script
+ * @param {Object} params
+ * @param {number} [params.dwellMinutes] - Planned time at the stop
+ * @param {number} params.wordsPerMinute - Speech rate of the voice
+ * @returns {Object} { minutes, minWords, maxWords }
+ */
+export function scriptWordBudget({ dwellMinutes, wordsPerMinute }) {
+  const minutes = Math.min(
+    MAX_NARRATION_MINUTES,
+    Math.max(MIN_NARRATION_MINUTES, (dwellMinutes || DEFAULT_DWELL_MINUTES) * NARRATION_SHARE)
+  );
+  const maxWords = Math.round((minutes * wordsPerMinute) / 10) * 10;
+  return {
+    minutes: Math.round(minutes * 10) / 10,
+    minWords: Math.round((maxWords * MIN_WORDS_SHARE) / 10) * 10,
+    maxWords,
+  };
+}
+
+/**
+ * Planned dwell time of a stop, before any narration overrun
+ * @param {Object} stop
+ * @returns {number|undefined}
+ */
+export function plannedDwellMinutes(stop) {
+  return stop.plannedDwellMinutes ?? stop.dwellMinutes;
+}
+
+/**
+ * Stretch stops whose narration runs past their dwell time and recompute the tour's timing
+ * @param {Object} tour - Tour with stops
+ * @param {Object} audioFiles - { stops: [{ durationSeconds }] }
+ * @returns {Object} { tour, estimatedTotalMinutes, extendedStops, changed }
+ */
+export function fitTourToNarration(tour, audioFiles) {
+  const extendedStops = [];
+  let changed = false;
+
+  const stops = (tour.stops || []).map((stop, index) => {
+    const durationSeconds = audioFiles?.stops?.[index]?.durationSeconds;
+    if (!durationSeconds) return stop;
+
+    const planned = plannedDwellMinutes(stop) || 0;
+    const dwellMinutes = Math.max(planned, Math.ceil(durationSeconds / 60));
+    if (dwellMinutes !== stop.dwellMinutes) changed = true;
+
+    // A regenerated stop that fits again goes back to its planned time
+    const fitted = { ...stop, dwellMinutes };
+    if (dwellMinutes > planned) {
+      fitted.plannedDwellMinutes = planned;
+      extendedStops.push(index);
+    } else {
+      delete fitted.plannedDwellMinutes;
+    }
+    return fitted;
+  });
+
+  if (!changed) {
+    return { tour, estimatedTotalMinutes: tour.estimatedTotalMinutes, extendedStops, changed };
+  }
+
+  const estimatedTotalMinutes = stops.reduce(
+    (sum, stop) => sum + (stop.walkMinutesFromPrevious || 0) + (stop.dwellMinutes || 0),
+    tour.finalLeg?.walkMinutes || 0
+  );
+  return {
+    tour: addArrivalTimes({ ...tour, stops, estimatedTotalMinutes }),
+    estimatedTotalMinutes,
+    extendedStops,
+    changed,
+  };
+}
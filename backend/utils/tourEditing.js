@@ -0,0 +1,295 @@
+/**
+ * Tour Editing Helpers
+ *
+ * Hand edits of a finalized tour:{tourId} document: moving, removing and inserting stops.
+ * After every edit the route is re-validated with the routing provider (see providers/routing).
+ * Only stops whose previous or next stop changed lose their script and audio, because their
+ * "walk to the next stop" segment is now wrong. Everything else is carried over to its new position.
+ *
+ * Edits are optimistic: the tour key is WATCHed on a connection of its own while the edit is
+ * computed, so a concurrent write (another edit, or the audioguide job saving a script) aborts
+ * the save with a 409 instead of being overwritten.
+ *
+ * Regenerating one stop is reserved the same way: `regeneratingStop` on the document records the stop
+ * until its regenerate_stop job has swapped in the new version or given up. Edits, retries and
+ * other regenerations are refused meanwhile, so stop indexes never change under a queued or running job.
+ */
+
+import { WatchError } from 'redis';
+import { validateSingleTour } from './tourHelpers.js';
+import { getCachedPoi } from './poiHelpers.js';
+import { addArrivalTimes } from './openingHours.js';
+
+const DEFAULT_DWELL_MINUTES = 10;
+const MAX_DWELL_MINUTES = 240;
+
+function editError(code, status) {
+  const error = new Error(code);
+  error.status = status;
+  return error;
+}
+
+function assertStopIndex(index, stopCount, { allowEnd = false } = {}) {
+  if (!Number.isInteger(index) || index < 0) {
+    throw editError('invalid-stop-index', 400);
+  }
+  if (index > stopCount || (index === stopCount && !allowEnd)) {
+    throw editError('stop-not-found', 404);
+  }
+}
+
+function assertDwellMinutes(dwellMinutes) {
+  if (!Number.isInteger(dwellMinutes) || dwellMinutes < 1 || dwellMinutes > MAX_DWELL_MINUTES) {
+    throw editError('invalid-dwell-minutes', 400);
+  }
+}
+
+/**
+ * Apply a single edit to a list of stops
+ *
+ * @param {Array} stops - Current tour stops
+ * @param {Object} edit - { type: 'move', index, to } | { type: 'remove', index } | { type: 'insert', index, stop }
+ * @returns {Array} New stops array (the input is not modified)
+ */
+export function applyStopEdit(stops, edit) {
+  const updatedStops = [...stops];
+
+  switch (edit.type) {
+    case 'move': {
+      assertStopIndex(edit.index, stops.length);
+      assertStopIndex(edit.to, stops.length);
+      const [moved] = updatedStops.splice(edit.index, 1);
+      updatedStops.splice(edit.to, 0, moved);
+      return updatedStops;
+    }
+    case 'remove': {
+      assertStopIndex(edit.index, stops.length);
+      if (stops.length === 1) {
+        throw editError('tour-must-have-stops', 400);
+      }
+      updatedStops.splice(edit.index, 1);
+      return updatedStops;
+    }
+    case 'insert': {
+      assertStopIndex(edit.index, stops.length, { allowEnd: true });
+      updatedStops.splice(edit.index, 0, edit.stop);
+      return updatedStops;
+    }
+    default:
+      throw editError('unknown-edit-type', 400);
+  }
+}
+
+/**
+ * Work out which stops can keep their script and audio after an edit
+ * A stop keeps them when the same place still has the same previous and next stop.
+ *
+ * @param {Array} oldStops - Stops before the edit
+ * @param {Array} newStops - Stops after the edit
+ * @returns {Array<number|null>} For each new stop, the old index to reuse, or null if it needs a new script
+ */
+export function mapReusableStops(oldStops, newStops) {
+  const neighbors = (stops, i) => `${stops[i - 1]?.placeId ?? 'start'}|${stops[i + 1]?.placeId ?? 'end'}`;
+  const oldIndexByPlace = new Map(oldStops.map((stop, i) => [stop.placeId, i]));
+
+  return newStops.map((stop, i) => {
+    const oldIndex = oldIndexByPlace.get(stop.placeId);
+    if (oldIndex === undefined) {
+      return null;
+    }
+    return neighbors(oldStops, oldIndex) === neighbors(newStops, i) ? oldIndex : null;
+  });
+}
+
+// Run fn on a connection of its own with the tour key WATCHed; a write to the tour before fn's
+// MULTI is executed becomes a 409
+async function withWatchedTour(redisClient, tourId, action, fn) {
+  // WATCH is per connection, so it can't share the client other requests are using
+  const connection = redisClient.duplicate();
+  await connection.connect();
+
+  try {
+    await connection.watch(`tour:${tourId}`);
+    return await fn(connection);
+  } catch (err) {
+    if (err instanceof WatchError) {
+      console.warn(`[tourEditing] Tour ${tourId} changed during ${action}, not saved`);
+      throw editError('tour-changed-during-edit', 409);
+    }
+    throw err;
+  } finally {
+    await connection.quit();
+  }
+}
+
+async function loadTourDocument(redisClient, tourId) {
+  const tourDataArray = await redisClient.json.get(`tour:${tourId}`, { path: '$' });
+  const tourDocument = Array.isArray(tourDataArray) && tourDataArray.length > 0 ? tourDataArray[0] : null;
+  if (!tourDocument) {
+    throw editError('tour-not-found', 404);
+  }
+  return tourDocument;
+}
+
+/**
+ * Reserve a stop of a finalized tour for regeneration
+ *
+ * Sets `regeneratingStop: { stopIndex, placeId, revision, requestedAt }` on the document. The
+ * regenerate_stop job gets the same placeId and revision, so it can tell whether its stop is still
+ * at that index before swapping in the new version.
+ *
+ * @param {Object} params
+ * @param {Object} params.redisClient - Redis client instance
+ * @param {string} params.tourId - Shareable tour ID
+ * @param {number} params.stopIndex - Index of the stop in tour.stops
+ * @returns {Promise<Object>} { stopIndex, placeId, revision }
+ * @throws {Error} With a kebab-case message and an HTTP `status`: 404 for a missing tour or stop,
+ *   409 while the audioguide is generating, another stop is being regenerated or the tour changed meanwhile
+ */
+export async function reserveStopRegeneration({ redisClient, tourId, stopIndex }) {
+  return withWatchedTour(redisClient, tourId, 'regeneration request', async (connection) => {
+    const tourDocument = await loadTourDocument(connection, tourId);
+    const stop = tourDocument.tour?.stops?.[stopIndex];
+
+    if (!stop) {
+      throw editError('stop-not-found', 404);
+    }
+    if (tourDocument.status === 'generating') {
+      throw editError('audioguide-already-generating', 409);
+    }
+    if (tourDocument.regeneratingStop) {
+      throw editError('stop-regeneration-pending', 409);
+    }
+
+    const reservation = { stopIndex, placeId: stop.placeId ?? null, revision: tourDocument.revision || 0 };
+    await connection.multi()
+      .json.set(`tour:${tourId}`, '$.regeneratingStop', { ...reservation, requestedAt: new Date().toISOString() })
+      .exec();
+    return reservation;
+  });
+}
+
+/**
+ * Clear a tour's stop regeneration reservation (see reserveStopRegeneration)
+ * @param {Object} redisClient - Redis client instance
+ * @param {string} tourId - Shareable tour ID
+ */
+export async function releaseStopRegeneration(redisClient, tourId) {
+  await redisClient.json.set(`tour:${tourId}`, '$.regeneratingStop', null);
+}
+
+/**
+ * Edit the stops of a finalized tour and save the result
+ *
+ * Scripts/audio of stops that can't be reused are cleared, and the document's revision is bumped
+ * so the audioguide job starts a fresh checkpoint thread and writes new audio file names.
+ * The intro is also cleared when the number of stops changes, since it announces the stop count.
+ *
+ * @param {Object} params
+ * @param {Object} params.redisClient - Redis client instance
+ * @param {string} params.tourId - Shareable tour ID
+ * @param {Object} params.edit - { type: 'move', index, to } | { type: 'remove', index } | { type: 'insert', placeId, index?, dwellMinutes? }
+ * @returns {Promise<Object>} { tour, revision, rescriptedStops, introChanged, needsGeneration }
+ * @throws {Error} With a kebab-case message and an HTTP `status` for invalid edits, 409
+ *   `stop-regeneration-pending` while a stop is being regenerated, or 409
+ *   `tour-changed-during-edit` when the tour was written while the edit was being applied
+ */
+export async function editTourStops({ redisClient, tourId, edit }) {
+  if (edit.type === 'insert' && edit.dwellMinutes !== undefined) {
+    assertDwellMinutes(edit.dwellMinutes);
+  }
+
+  return withWatchedTour(redisClient, tourId, edit.type, (connection) => applyTourEdit({ redisClient: connection, tourId, edit }));
+}
+
+async function applyTourEdit({ redisClient, tourId, edit }) {
+  const tourDataKey = `tour:${tourId}`;
+  const tourDocument = await loadTourDocument(redisClient, tourId);
+
+  if (tourDocument.status === 'generating') {
+    throw editError('audioguide-already-generating', 409);
+  }
+
+  if (tourDocument.regeneratingStop) {
+    throw editError('stop-regeneration-pending', 409);
+  }
+
+  const oldStops = tourDocument.tour?.stops || [];
+  let resolvedEdit = edit;
+
+  if (edit.type === 'insert') {
+    const poi = await getCachedPoi(redisClient, edit.placeId);
+    if (!poi) {
+      throw editError('poi-not-found', 404);
+    }
+    if (oldStops.some(stop => stop.placeId === poi.id)) {
+      throw editError('poi-already-in-tour', 409);
+    }
+
+    resolvedEdit = {
+      type: 'insert',
+      index: edit.index ?? oldStops.length,
+      stop: {
+        poiIndex: null,
+        placeId: poi.id,
+        name: poi.name,
+        latitude: poi.latitude,
+        longitude: poi.longitude,
+        dwellMinutes: edit.dwellMinutes ?? DEFAULT_DWELL_MINUTES,
+        walkMinutesFromPrevious: 0,
+        wheelchairAccessibleEntrance: poi.wheelchairAccessibleEntrance,
+        openingHours: poi.openingHours,
+        source: poi.source,
+      },
+    };
+  }
+
+  const editedStops = applyStopEdit(oldStops, resolvedEdit);
+
+  // Re-run the route so walking times and directions match the new order
+  const [startLongitude, startLatitude] = (tourDocument.startLocation || '').split(',').map(parseFloat);
+  const validatedTour = await validateSingleTour(
+    { ...tourDocument.tour, stops: editedStops },
+    startLatitude,
+    startLongitude
+  );
+
+  // validateSingleTour leaves the old total (and arrival times) in place when validation fails outright
+  // (routing 'unverified'), so recompute the total from the stops
+  const estimatedTotalMinutes = validatedTour.stops.reduce(
+    (sum, stop) => sum + (stop.walkMinutesFromPrevious || 0) + (stop.dwellMinutes || 0),
+    validatedTour.finalLeg?.walkMinutes || 0
+  );
+  const tour = addArrivalTimes({ ...validatedTour, estimatedTotalMinutes });
+
+  const reusable = mapReusableStops(oldStops, tour.stops);
+  const rescriptedStops = reusable.flatMap((oldIndex, i) => (oldIndex === null ? [i] : []));
+  const introChanged = tour.stops.length !== oldStops.length;
+
+  const reuseEntries = (field) => ({
+    intro: introChanged ? null : (tourDocument[field]?.intro ?? null),
+    stops: reusable.map(oldIndex => (oldIndex === null ? null : (tourDocument[field]?.stops?.[oldIndex] ?? null))),
+  });
+
+  const needsGeneration = rescriptedStops.length > 0 || introChanged;
+  const revision = (tourDocument.revision || 0) + 1;
+
+  console.log(`[tourEditing] ${edit.type} on tour ${tourId}: ${tour.stops.length} stops, rescripting [${rescriptedStops.join(', ')}]${introChanged ? ' + intro' : ''}`);
+
+  const transaction = redisClient.multi()
+    .json.set(tourDataKey, '$.tour', tour)
+    .json.set(tourDataKey, '$.scripts', reuseEntries('scripts'))
+    .json.set(tourDataKey, '$.audioFiles', reuseEntries('audioFiles'))
+    .json.set(tourDataKey, '$.estimatedTotalMinutes', estimatedTotalMinutes)
+    .json.set(tourDataKey, '$.duration', estimatedTotalMinutes)
+    .json.set(tourDataKey, '$.revision', revision)
+    .json.set(tourDataKey, '$.editedAt', new Date().toISOString());
+
+  if (needsGeneration) {
+    transaction.json.set(tourDataKey, '$.status', 'generating');
+  }
+
+  await transaction.exec();
+
+  return { tour, revision, rescriptedStops, introChanged, needsGeneration };
+}
@@ -2,14 +2,17 @@
  * Tour Helper Functions
  *
  * Functions for generating, filtering, and validating walking tours using
- * Gemini LLM and Google Maps Directions API.
+ * the configured LLM provider and Google Maps Directions API.
  */
 
 import { traceable } from "langsmith/traceable";
 import { checkCancellation } from './cancellationHelper.js';
+import { findAccessibilityViolations, insertRestStops } from './accessibility.js';
+import { parseStartTime, isOpenWithin, addArrivalTimes } from './openingHours.js';
+import { getLlm } from '../providers/llm/index.js';
+import { routeWalk } from '../providers/routing/index.js';
+import { getLanguage } from './languages.js';
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_MODEL = process.env.GEMINI_MODEL_TOUR_GENERATION || 'gemini-2.5-flash';
 const TOUR_DEBUG = process.env.TOUR_DEBUG === '1' || process.env.TOUR_DEBUG === 'true';
 
 function debugLog(...args) {
@@ -18,29 +21,6 @@ function debugLog(...args) {
   }
 }
 
-let geminiModelPromise;
-async function getGeminiModel() {
-  if (!GEMINI_API_KEY) {
-    console.warn('[tourHelpers] GEMINI_API_KEY is not set');
-    return null;
-  }
-
-  if (!geminiModelPromise) {
-    geminiModelPromise = import('@google/generative-ai')
-      .then((mod) => {
-        const { GoogleGenerativeAI } = mod;
-        const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-        return genAI.getGenerativeModel({ model: GEMINI_MODEL });
-      })
-      .catch((err) => {
-        console.warn('[tourHelpers] Failed to load @google/generative-ai', err);
-        return null;
-      });
-  }
-
-  return geminiModelPromise;
-}
-
 // Define unified JSON schema for tour generation (top-level array for both streaming and non-streaming)
 // Optimized to only require poiIndex - a simple number referencing the POI list position
 const tourGenerationSchema = {
@@ -102,7 +82,7 @@ const tourGenerationSchema = {
  * @param {AsyncIterable<string>} textStream - Stream of text chunks
  * @yields {Object} Complete tour objects as they become available
  */
-async function* extractToursFromStream(textStream) {
+export async function* extractToursFromStream(textStream) {
   let buffer = '';
   let depth = 0;
   let inString = false;
@@ -210,13 +190,16 @@ async function* extractToursFromStream(textStream) {
 // Remove the entire heuristic function - no longer needed
 
 /**
- * Generate tours using Gemini LLM with streaming support
+ * Generate tours with the tour-planning LLM (see providers/llm) with streaming support
  *
  * @param {Object} options - Generation options
+ * @param {Object} [options.endLocation] - Optional { latitude, longitude, returnToStart } where tours must end
+ * @param {Object} [options.accessibility] - Optional { stepFree, maxLegMeters, maxTotalMeters } route limits
+ * @param {string} [options.startTime] - Optional planned start time ("YYYY-MM-DDTHH:mm", local time)
  * @param {boolean} options.streaming - Enable streaming mode (default: false)
  * @returns {Promise<Array>|AsyncGenerator<Object>} Tours array or async generator of tour objects
  */
-export async function generateToursWithGemini({
+export async function generateToursWithLlm({
   latitude,
   longitude,
   durationMinutes,
@@ -227,29 +210,45 @@ export async function generateToursWithGemini({
   pois,
   cityData,
   neighborhoodData,
+  endLocation = null,
+  accessibility = null,
+  startTime = null,
   sessionId = null,
   redisClient = null,
   streaming = false
 }) {
-  if (!GEMINI_API_KEY) {
-    console.error('[tourHelpers] GEMINI_API_KEY is not set');
-    throw new Error('Tour generation service is unavailable. Please try again later.');
-  }
-
-  const model = await getGeminiModel();
-  if (!model) {
-    console.error('[tourHelpers] Gemini model not initialized');
+  const llm = getLlm('tours');
+  if (!llm) {
+    console.error('[tourHelpers] No LLM provider available for tour generation');
     throw new Error('Tour generation service is unavailable. Please try again later.');
   }
 
-  const languageInstruction = language === 'hebrew'
-    ? 'Generate all tour titles, abstracts, themes, and stop names in HEBREW (עברית).'
-    : 'Generate all tour titles, abstracts, themes, and stop names in ENGLISH.';
+  const languageInstruction = getLanguage(language).prompts.tours;
 
   const customizationInstruction = customization
     ? `User customization request: "${customization}". Please incorporate this preference into the tour themes and stop selection.`
     : '';
 
+  let endLocationInstruction = '';
+  if (endLocation?.returnToStart) {
+    endLocationInstruction = 'Every tour must be a loop: order the stops so the last stop is close to the starting location, leaving time for the walk back.';
+  } else if (endLocation) {
+    endLocationInstruction = 'Every tour must end at the ending location given below: order the stops so the route progresses from the start towards the end, with the last stop close to the ending location, leaving time for the final walk.';
+  }
+
+  const accessibilityInstruction = [
+    accessibility?.stepFree ? 'The walker needs a step-free route (wheelchair or stroller): avoid stairs, steep hills and stops without an accessible entrance, prefer places marked ACCESSIBLE.' : '',
+    accessibility?.maxLegMeters ? `No single walk between consecutive stops (or from the start to the first stop) may be longer than ${accessibility.maxLegMeters} meters; add a park, square or cafe to rest at if needed.` : '',
+    accessibility?.maxTotalMeters ? `The total walking distance of each tour must not exceed ${accessibility.maxTotalMeters} meters.` : '',
+  ].filter(Boolean).join(' ');
+
+  // Places that stay closed for the whole tour window are marked so the LLM avoids them
+  const plannedStart = parseStartTime(startTime);
+  const isClosedDuringTour = (poi) => plannedStart && !isOpenWithin(poi.openingHours, plannedStart.minuteOfWeek, durationMinutes);
+  const startTimeInstruction = plannedStart
+    ? 'The tour starts at the start time given below. Do NOT include places marked CLOSED, and order the stops so every place is visited while it is open.'
+    : '';
+
   // Minimum 2 stops per 30 minutes
   const minimumStops = (durationMinutes / 30) * 2;
   const sharedStops = (durationMinutes / 30);
@@ -277,6 +276,9 @@ export async function generateToursWithGemini({
 
     languageInstruction,
     customizationInstruction,
+    endLocationInstruction,
+    accessibilityInstruction,
+    startTimeInstruction,
     responseFormatInstruction,
     //    'Each tour object must have: id, title, abstract, theme, estimatedTotalMinutes, stops.',
     //    'Each stop must have: name, latitude, longitude, dwellMinutes, walkMinutesFromPrevious.',
@@ -297,7 +299,13 @@ export async function generateToursWithGemini({
     const lon = poi.longitude.toFixed(5);
     const types = Array.isArray(poi.types) && poi.types.length > 0 ? poi.types.join(', ') : 'general';
     const rating = poi.rating ? poi.rating.toFixed(1) : 'N/A';
-    return `${poiNumber}. ${poi.name} / ${lat} / ${lon} / ${types} / ${rating}`;
+    const closed = isClosedDuringTour(poi) ? ' / CLOSED' : '';
+    if (accessibility?.stepFree) {
+      const entrance = poi.wheelchairAccessibleEntrance === true ? 'ACCESSIBLE'
+        : poi.wheelchairAccessibleEntrance === false ? 'NOT ACCESSIBLE' : 'UNKNOWN';
+      return `${poiNumber}. ${poi.name} / ${lat} / ${lon} / ${types} / ${rating} / ${entrance}${closed}`;
+    }
+    return `${poiNumber}. ${poi.name} / ${lat} / ${lon} / ${types} / ${rating}${closed}`;
   };
 
   // Format all POIs as numbered list (1-based indexing)
@@ -338,6 +346,9 @@ export async function generateToursWithGemini({
     systemPrompt,
     '',
     `Starting Location: ${latitude}, ${longitude}`,
+    ...(endLocation && !endLocation.returnToStart ? [`Ending Location: ${endLocation.latitude}, ${endLocation.longitude}`] : []),
+    ...(endLocation?.returnToStart ? ['Ending Location: back at the starting location (loop)'] : []),
+    ...(plannedStart ? [`Start Time: ${plannedStart.weekday} ${plannedStart.clock}`] : []),
     // `Duration: ${durationMinutes} minutes`,
     `Language: ${language || 'english'}`,
   ];
@@ -359,7 +370,9 @@ export async function generateToursWithGemini({
   }
 
   inputParts.push('=== AVAILABLE POINTS OF INTEREST ===');
-  inputParts.push('Format: NUMBER. NAME / LATITUDE / LONGITUDE / TYPES / RATING');
+  inputParts.push(accessibility?.stepFree
+    ? 'Format: NUMBER. NAME / LATITUDE / LONGITUDE / TYPES / RATING / WHEELCHAIR ENTRANCE'
+    : 'Format: NUMBER. NAME / LATITUDE / LONGITUDE / TYPES / RATING');
   inputParts.push('IMPORTANT: Return ONLY the NUMBER (poiIndex) for each stop. ');
   inputParts.push('');
   inputParts.push(poisText);
@@ -369,7 +382,7 @@ export async function generateToursWithGemini({
 
   const prompt = inputParts.join('\n');
 
-  debugLog('generateToursWithGemini: invoking model with payload', {
+  debugLog('generateToursWithLlm: invoking model with payload', {
     latitude,
     longitude,
     durationMinutes,
@@ -379,8 +392,8 @@ export async function generateToursWithGemini({
     streaming,
   });
 
-  // Check for cancellation before expensive Gemini call
-  await checkCancellation(sessionId, redisClient, 'generateToursWithGemini');
+  // Check for cancellation before expensive LLM call
+  await checkCancellation(sessionId, redisClient, 'generateToursWithLlm');
 
   // STREAMING MODE (always enabled)
   console.log('[tourHelpers] 🌊 Starting streaming tour generation...');
@@ -388,42 +401,18 @@ export async function generateToursWithGemini({
   // Wrap streaming call with traceable for LangSmith observability
   const generateToursStreamingTraceable = traceable(
     async function* (promptText) {
-      // Use streaming with structured output
-      const streamResult = await model.generateContentStream({
-        contents: [{ role: 'user', parts: [{ text: promptText }] }],
-        generationConfig: {
-          responseMimeType: 'application/json',
-          responseSchema: tourGenerationSchema,
-        },
-      });
-
-      // Create async generator for text chunks
-      async function* textChunks() {
-        for await (const chunk of streamResult.stream) {
-          const chunkText = chunk.text();
-          if (chunkText) {
-            yield chunkText;
-          }
-        }
-      }
-
-      // Extract and yield tours as they become complete
-      for await (const tour of extractToursFromStream(textChunks())) {
+      // Use streaming with structured output, extract and yield tours as they become complete
+      const textChunks = llm.streamText(promptText, { schema: tourGenerationSchema });
+      for await (const tour of extractToursFromStream(textChunks)) {
         yield tour;
       }
-
-      // After streaming completes, get the final response with usage metadata
-      const response = await streamResult.response;
-      if (response?.usageMetadata) {
-        const { promptTokenCount, candidatesTokenCount, totalTokenCount } = response.usageMetadata;
-        console.log(`[tourHelpers] 📊 Gemini API tokens: ${totalTokenCount || 0} (input: ${promptTokenCount || 0} / output: ${candidatesTokenCount || 0})`);
-      }
     },
     {
-      name: 'generate_tours_with_gemini_streaming',
+      name: 'generate_tours_streaming',
       run_type: 'llm',
       metadata: {
-        model: GEMINI_MODEL,
+        provider: llm.name,
+        model: llm.model,
         latitude,
         longitude,
         durationMinutes,
@@ -445,7 +434,7 @@ export async function generateToursWithGemini({
     })();
   } catch (err) {
     console.error('[tourHelpers] ❌ Streaming failed:', err);
-    debugLog('generateToursWithGemini (streaming): error', err?.message || err);
+    debugLog('generateToursWithLlm (streaming): error', err?.message || err);
     // Return fallback tours as an async generator
     return (async function* () {
       const fallbackTours = fallback();
@@ -458,50 +447,6 @@ export async function generateToursWithGemini({
 
 
 
-/**
- * Get walking directions from Google Maps Directions API
- */
-const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
-
-async function safeFetch(url, options) {
-  if (typeof fetch === 'undefined') {
-    throw new Error('Global fetch is not available. Please use Node 18+ or polyfill fetch.');
-  }
-  return fetch(url, options);
-}
-
-export const getWalkingDirections = traceable(async (origin, destination, waypoints = null) => {
-  const url = new URL('https://maps.googleapis.com/maps/api/directions/json');
-  url.searchParams.set('origin', origin);
-  url.searchParams.set('destination', destination);
-  if (waypoints) url.searchParams.set('waypoints', waypoints);
-  url.searchParams.set('mode', 'walking');
-  url.searchParams.set('key', GOOGLE_MAPS_API_KEY);
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-
-  try {
-    const response = await safeFetch(url.toString(), {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'HearAndThere/1.0'
-      }
-    });
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`Directions API returned ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
-  } catch (err) {
-    clearTimeout(timeoutId);
-    throw err;
-  }
-}, { name: 'getWalkingDirections', run_type: 'tool' });
-
 /**
  * Enrich tour stops with full POI details from poiIndex
  * @param {Object} tour - Tour object with stops containing only poiIndex (1-based)
@@ -560,6 +505,9 @@ export function enrichTourWithPoiDetails(tour, pois) {
       longitude: poi.longitude,
       dwellMinutes: stop.dwellMinutes,
       walkMinutesFromPrevious: stop.walkMinutesFromPrevious,
+      wheelchairAccessibleEntrance: poi.wheelchairAccessibleEntrance ?? null,
+      openingHours: poi.openingHours ?? null,
+      source: poi.source || 'google',
     };
   });
 
@@ -572,89 +520,127 @@ export function enrichTourWithPoiDetails(tour, pois) {
 }
 
 /**
- * Validate walking times for a single tour using Google Maps Directions API
+ * Validate walking times for a single tour with the routing provider (see providers/routing)
+ *
+ * The provider that answered is recorded as `tour.routing` ({ provider, confidence }), so the UI
+ * can tell street-network walk times from straight-line estimates.
+ *
+ * When the tour has an end location (point-to-point or loop), every stop becomes a waypoint and the
+ * walk from the last stop to the end is stored as `tour.finalLeg` and counted in the total duration.
+ *
+ * When the tour has accessibility limits (`tour.accessibility`), legs longer than `maxLegMeters` are
+ * repaired by inserting rest stops from `restPoints` and the route is validated again. Limits that
+ * still can't be met are listed in `tour.accessibilityViolations`.
+ *
+ * When the tour has a planned `startTime`, every stop gets its arrival time (see utils/openingHours.js).
+ *
  * @param {Object} tour - Tour object to validate
  * @param {number} startLatitude - Starting latitude
  * @param {number} startLongitude - Starting longitude
+ * @param {Object} [options]
+ * @param {Object} [options.endLocation] - Optional { latitude, longitude }; defaults to tour.endLocation
+ * @param {Array} [options.restPoints] - POIs the tour was built from (used to pick rest stops)
+ * @param {number} [options.repairAttempts] - How many times long legs may be repaired
  * @returns {Promise<Object>} Validated tour with updated walking times
  */
-export async function validateSingleTour(tour, startLatitude, startLongitude) {
-  if (!GOOGLE_MAPS_API_KEY) {
-    console.warn('[tourHelpers] Cannot validate walking times - missing API key');
-    return tour;
-  }
-
+export async function validateSingleTour(tour, startLatitude, startLongitude, {
+  endLocation = tour.endLocation,
+  restPoints = [],
+  repairAttempts = 2
+} = {}) {
   if (!Array.isArray(tour.stops) || tour.stops.length < 1) {
     return tour;
   }
 
   try {
-    // Include the user's starting position as the origin
-    const origin = `${startLatitude},${startLongitude}`;
-    const destination = `${tour.stops[tour.stops.length - 1].latitude},${tour.stops[tour.stops.length - 1].longitude}`;
-
-    // Build waypoints including ALL tour stops except the last one
-    let waypoints = null;
-    if (tour.stops.length > 1) {
-      const waypointCoords = tour.stops.slice(0, -1).map(stop => `${stop.latitude},${stop.longitude}`);
-      waypoints = waypointCoords.join('|');
-    }
+    // Route from the user's starting position through every stop, then on to the end location if set
+    const points = [
+      { latitude: startLatitude, longitude: startLongitude },
+      ...tour.stops,
+      ...(endLocation ? [endLocation] : []),
+    ];
 
     console.log('[tourHelpers] Validating walking times for tour:', tour.id);
 
-    const data = await getWalkingDirections(origin, destination, waypoints);
-    if (data.status !== 'OK' || !data.routes || data.routes.length === 0) {
-      console.warn('[tourHelpers] No valid route found for tour', tour.id, 'API status:', data.status);
-      return tour;
-    }
-
-    const route = data.routes[0];
-    const legs = route.legs || [];
+    // One leg per stop (including start->first POI), plus last stop->end if set
+    const { legs, provider, confidence } = await routeWalk(points);
 
-    // Now we should have legs.length === tour.stops.length (including start->first POI)
-    if (legs.length !== tour.stops.length) {
-      console.warn('[tourHelpers] Leg count mismatch for tour', tour.id, 'expected:', tour.stops.length, 'got:', legs.length);
-      return tour;
-    }
-
-    // Update each stop with actual walking time and directions from Google Maps
+    // Update each stop with actual walking time and directions from the routing provider
     const updatedStops = tour.stops.map((stop, i) => {
       const leg = legs[i];
-      const actualWalkMinutes = leg.duration?.value ? Math.ceil(leg.duration.value / 60) : stop.walkMinutesFromPrevious;
-
-      // Extract walking directions from the leg
-      const walkingDirections = leg.steps ? {
-        distance: leg.distance?.text || '',
-        duration: leg.duration?.text || '',
-        steps: leg.steps.map(step => ({
-          instruction: step.html_instructions || step.instructions || '',
-          distance: step.distance?.text || '',
-          duration: step.duration?.text || ''
-        }))
-      } : undefined;
+      const actualWalkMinutes = leg.durationSeconds != null ? Math.ceil(leg.durationSeconds / 60) : stop.walkMinutesFromPrevious;
 
       return {
         ...stop,
         walkMinutesFromPrevious: actualWalkMinutes,
-        walkingDirections
+        distanceMeters: leg.distanceMeters ?? null,
+        walkingDirections: leg.directions
       };
     });
 
+    // Walk from the last stop to the end location
+    let finalLeg;
+    if (endLocation) {
+      const leg = legs[legs.length - 1];
+      finalLeg = {
+        walkMinutes: leg.durationSeconds != null ? Math.ceil(leg.durationSeconds / 60) : 0,
+        distanceMeters: leg.distanceMeters ?? null,
+        walkingDirections: leg.directions
+      };
+    }
+
+    const legDistances = [...updatedStops.map(stop => stop.distanceMeters), ...(finalLeg ? [finalLeg.distanceMeters] : [])];
+    const totalWalkMeters = legDistances.reduce((sum, distance) => sum + (distance || 0), 0);
+
+    let accessibilityViolations;
+    if (tour.accessibility) {
+      accessibilityViolations = findAccessibilityViolations(legDistances, tour.accessibility);
+
+      if (accessibilityViolations.some(violation => violation.type === 'leg-too-long') && repairAttempts > 0 && restPoints.length > 0) {
+        const repairedStops = insertRestStops({
+          start: { latitude: startLatitude, longitude: startLongitude },
+          stops: updatedStops,
+          end: endLocation,
+          violations: accessibilityViolations,
+          pois: restPoints,
+          accessibility: tour.accessibility,
+        });
+
+        if (repairedStops.length > updatedStops.length) {
+          return validateSingleTour({ ...tour, stops: repairedStops }, startLatitude, startLongitude, {
+            endLocation,
+            restPoints,
+            repairAttempts: repairAttempts - 1,
+          });
+        }
+      }
+
+      if (accessibilityViolations.length > 0) {
+        console.warn(`[tourHelpers] ⚠️ Tour "${tour.title}" exceeds accessibility limits:`, accessibilityViolations);
+      }
+    }
+
     // Recalculate total tour duration
-    const totalWalkMinutes = updatedStops.reduce((sum, stop) => sum + (stop.walkMinutesFromPrevious || 0), 0);
+    const totalWalkMinutes = updatedStops.reduce((sum, stop) => sum + (stop.walkMinutesFromPrevious || 0), 0) +
+      (finalLeg?.walkMinutes || 0);
     const totalDwellMinutes = updatedStops.reduce((sum, stop) => sum + (stop.dwellMinutes || 0), 0);
     const estimatedTotalMinutes = totalWalkMinutes + totalDwellMinutes;
 
-    console.log(`[tourHelpers] ✅ Validated tour "${tour.title}": ${estimatedTotalMinutes} min (walk: ${totalWalkMinutes}, dwell: ${totalDwellMinutes})`);
+    console.log(`[tourHelpers] ✅ Validated tour "${tour.title}" with ${provider}: ${estimatedTotalMinutes} min (walk: ${totalWalkMinutes}, dwell: ${totalDwellMinutes})`);
 
-    return {
+    return addArrivalTimes({
       ...tour,
       stops: updatedStops,
-      estimatedTotalMinutes
-    };
+      ...(finalLeg && { finalLeg }),
+      ...(accessibilityViolations && { accessibilityViolations }),
+      totalWalkMeters,
+      estimatedTotalMinutes,
+      routing: { provider, confidence }
+    });
   } catch (err) {
     console.error('[tourHelpers] Error validating tour', tour.id, err);
-    return tour;
+    // Walk times are still the LLM's guesses
+    return { ...tour, routing: { provider: null, confidence: 'unverified' } };
   }
 }
 
@@ -64,6 +64,11 @@ export function createTourState(Annotation, MessagesAnnotation) {
       reducer: (x, y) => y ?? x,
       default: () => false,
     }),
+    // Places the user asked to visit (selected places mode)
+    selectedPoiIds: Annotation({
+      reducer: (x, y) => y ?? x,
+      default: () => [],
+    }),
 
     // Location data
     country: Annotation({
@@ -94,6 +99,11 @@ export function createTourState(Annotation, MessagesAnnotation) {
       reducer: (x, y) => y ?? x,
       default: () => null,
     }),
+    // [{ title, accessibilityViolations }] of generated tours dropped for breaking the accessibility limits
+    rejectedTours: Annotation({
+      reducer: (x, y) => y ?? x,
+      default: () => [],
+    }),
   });
 }
 
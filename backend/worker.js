@@ -0,0 +1,52 @@
+import 'dotenv/config';
+import { createClient } from 'redis';
+import { createAudioguideJobHandlers } from './audioguideGeneration.js';
+import { startAudioguideWorker } from './utils/audioguideQueue.js';
+
+// Standalone audioguide worker
+// Run one or more of these next to the API (with RUN_AUDIOGUIDE_WORKER=false on the API)
+// to keep long-running script/TTS generation out of the web process.
+
+const REDIS_URL = process.env.REDIS_URL;
+if (!REDIS_URL) {
+  console.error('REDIS_URL environment variable is not set');
+  process.exit(1);
+}
+
+const redisClient = createClient({ url: REDIS_URL });
+
+redisClient.on('error', (err) => {
+  console.error('Redis Client Error', err);
+});
+
+async function start() {
+  try {
+    await redisClient.connect();
+    console.log('Connected to Redis');
+  } catch (err) {
+    console.error('Failed to connect to Redis', err);
+    process.exit(1);
+  }
+
+  // Claims jobs abandoned by stopped workers on startup (and resumes its own with AUDIOGUIDE_WORKER_ID)
+  const worker = await startAudioguideWorker({
+    redisClient,
+    handlers: createAudioguideJobHandlers({ redisClient }),
+  });
+
+  const shutdown = async () => {
+    console.log('Shutting down audioguide worker...');
+    await worker.stop();
+    try {
+      await redisClient.quit();
+    } catch (err) {
+      console.error('Error closing Redis connection', err);
+    }
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+start();
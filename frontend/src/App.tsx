@@ -1,12 +1,12 @@
 import { useCallback, useEffect, useRef, useState } from 'react'
 import { LocateFixed, MapPinned, MapPinOff, Minus, Plus } from 'lucide-react'
 import { TourSuggestions } from './components/TourSuggestions'
+import { routingNote, type TourRouting } from './tourRouting'
 
 const API_BASE_URL = import.meta.env.MODE === 'production'
   ? 'https://api.hearnthere.com'
   : 'http://localhost:4000';
 
-const ENGLISH_VOICE = import.meta.env.VITE_ENGLISH_VOICE || 'en-GB-Wavenet-B';
 const FRONTEND_VERSION = __APP_VERSION__; // Injected from package.json by Vite
 
 type TourStop = {
@@ -15,6 +15,7 @@ type TourStop = {
   longitude: number
   dwellMinutes: number
   walkMinutesFromPrevious: number
+  arrivalTime?: string
 }
 
 type Tour = {
@@ -24,8 +25,19 @@ type Tour = {
   theme: string
   estimatedTotalMinutes: number
   stops: TourStop[]
+  routing?: TourRouting
 }
 
+// Languages from the backend's registry (GET /api/languages)
+type LanguageOption = {
+  key: string
+  label: string
+  direction: 'ltr' | 'rtl'
+  voices: Array<{ id: string; label: string }>
+}
+
+const FALLBACK_LANGUAGES: LanguageOption[] = [{ key: 'english', label: 'English', direction: 'ltr', voices: [] }]
+
 type Status = 'idle' | 'saving' | 'success' | 'error'
 type LocationStatus = 'idle' | 'detecting' | 'detected' | 'error'
 
@@ -34,7 +46,10 @@ function App() {
   const [longitude, setLongitude] = useState<number | ''>('')
   const [durationMinutes, setDurationMinutes] = useState<number>(90)
   const [customization, setCustomization] = useState<string>('')
+  const [returnToStart, setReturnToStart] = useState<boolean>(false)
+  const [startTime, setStartTime] = useState<string>('')
   const [language, setLanguage] = useState<string>('english')
+  const [languages, setLanguages] = useState<LanguageOption[]>(FALLBACK_LANGUAGES)
   const [status, setStatus] = useState<Status>('idle')
   const [message, setMessage] = useState<string>('')
   const [sessionId, setSessionId] = useState<string | null>(null)
@@ -53,7 +68,8 @@ function App() {
 
   const [locationStatus, setLocationStatus] = useState<LocationStatus>('idle')
   const [showLocationInputs, setShowLocationInputs] = useState<boolean>(false)
-  const [selectedVoice, setSelectedVoice] = useState<string>(ENGLISH_VOICE)
+  const [selectedVoice, setSelectedVoice] = useState<string>('') // '' = server default for the language
+  const [dialogueNarration, setDialogueNarration] = useState<boolean>(false)
   const [locationDisplayText, setLocationDisplayText] = useState<string>('')
   const [loadingStatus, setLoadingStatus] = useState<string>('')
   const [loadingIcon, setLoadingIcon] = useState<string>('')
@@ -62,7 +78,7 @@ function App() {
   const [currentMessageIndex, setCurrentMessageIndex] = useState<number>(0)
   const [persistentStageMessage, setPersistentStageMessage] = useState<string>('')
 
-  const progressIntervalRef = useRef<number | null>(null)
+  const progressEventSourceRef = useRef<EventSource | null>(null)
   const audioguidePollingRef = useRef<number | null>(null)
   const abortControllerRef = useRef<AbortController | null>(null)
   const audioRef = useRef<HTMLAudioElement | null>(null)
@@ -84,15 +100,23 @@ function App() {
     }, 100) // Small delay to ensure DOM has updated
   }, [])
 
-  // Update default voice when language changes
+  // Fall back to the server's default voice when language changes
   useEffect(() => {
-    if (language === 'hebrew') {
-      setSelectedVoice('he-IL-Standard-D')
-    } else {
-      setSelectedVoice('en-GB-Wavenet-B')
-    }
+    setSelectedVoice('')
   }, [language])
 
+  // Load the languages and voices the backend supports
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/api/languages`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data: { languages: LanguageOption[] }) => {
+        if (data.languages?.length) setLanguages(data.languages)
+      })
+      .catch((err) => console.warn('Failed to load languages:', err))
+  }, [])
+
+  const languageVoices = languages.find((l) => l.key === language)?.voices ?? []
+
   // Scroll to bottom when tours are generated
   useEffect(() => {
     if (toursGenerated && tours.length > 0) {
@@ -121,10 +145,10 @@ function App() {
     }
   }, [audioguideData, scrollToBottom])
 
-  const stopProgressPolling = useCallback(() => {
-    if (progressIntervalRef.current !== null) {
-      window.clearInterval(progressIntervalRef.current)
-      progressIntervalRef.current = null
+  const stopProgressStream = useCallback(() => {
+    if (progressEventSourceRef.current !== null) {
+      progressEventSourceRef.current.close()
+      progressEventSourceRef.current = null
     }
   }, [])
 
@@ -214,81 +238,125 @@ function App() {
     [],
   )
 
-  const startProgressPolling = useCallback(
-    (sessionIdForPolling: string) => {
-      if (!sessionIdForPolling) return
+  const startProgressStream = useCallback(
+    (sessionIdForStream: string) => {
+      if (!sessionIdForStream) return
 
-      stopProgressPolling()
+      stopProgressStream()
+
+      // Server-Sent Events: the backend pushes stage changes, interesting messages and
+      // each validated tour as soon as it's ready
+      const eventSource = new EventSource(
+        `${API_BASE_URL}/api/session/${sessionIdForStream}/events`,
+      )
+      progressEventSourceRef.current = eventSource
 
-      progressIntervalRef.current = window.setInterval(async () => {
+      let tourCount = 0
+
+      const parseEventData = (event: MessageEvent) => {
         try {
-          const res = await fetch(
-            `${API_BASE_URL}/api/session/${sessionIdForPolling}/progress`,
-          )
+          return JSON.parse(event.data)
+        } catch {
+          console.error('[Progress] Failed to parse event data:', event.data)
+          return null
+        }
+      }
 
-          if (!res.ok) {
-            if (res.status !== 404) {
-              console.error('Progress polling HTTP error:', res.status)
-            }
-            return
-          }
+      const updateStageMessage = (stage: string | null | undefined) => {
+        const nextMessage = mapStageToMessage(stage, tourCount)
+        if (nextMessage) {
+          setMessage(nextMessage)
+        }
+        return nextMessage
+      }
 
-          const progress = await res.json()
-          console.log('[Progress] Received:', progress)
-          const nextMessage = mapStageToMessage(progress.stage, progress.tourCount)
-          if (nextMessage) {
-            setMessage(nextMessage)
-          }
+      const handleInterestingMessages = (messages: Array<{ icon: string; message: string }> | undefined) => {
+        // Keep rotating messages only until the first tour shows up
+        if (!messages || messages.length === 0 || tourCount > 0) return
 
-          // Update tours progressively as they arrive
-          if (progress.tours && Array.isArray(progress.tours) && progress.tours.length > 0) {
-            console.log('[Progress] Updating tours progressively:', progress.tours.length)
-            setTours(progress.tours)
-            // Keep status as 'saving' so the loading cards show alongside real tours
-          }
+        console.log('[Progress] ✅ Updating interesting messages:', messages)
+        setInterestingMessages(messages)
+        interestingMessagesRef.current = messages
 
-          // If we have interesting messages, keep rotating them while still loading
-          const hasMessages = progress.interestingMessages && progress.interestingMessages.length > 0
-          const allToursComplete = progress.tourCount && progress.tourCount > 0 && progress.tours && progress.tours.length >= progress.tourCount
-
-          console.log('[Progress] Message rotation state:', {
-            hasMessages,
-            allToursComplete,
-            messagesCount: progress.interestingMessages?.length || 0,
-            isCurrentlyRotating: !!rotatingMessageIntervalRef.current,
-            currentMessagesInState: interestingMessages.length
-          })
-
-          if (hasMessages && !allToursComplete) {
-            // Update messages state AND ref immediately if they've changed
-            if (progress.interestingMessages.length !== interestingMessages.length) {
-              console.log('[Progress] ✅ Updating interesting messages:', progress.interestingMessages)
-              setInterestingMessages(progress.interestingMessages)
-              interestingMessagesRef.current = progress.interestingMessages
-            }
+        if (!rotatingMessageIntervalRef.current) {
+          console.log('[Progress] 🔄 Starting rotating messages with:', messages)
+          startRotatingMessages(messages)
+        }
+      }
 
-            // Start rotating if not already rotating
-            if (!rotatingMessageIntervalRef.current) {
-              console.log('[Progress] 🔄 Starting rotating messages with:', progress.interestingMessages)
-              startRotatingMessages(progress.interestingMessages)
-            }
-          } else if (allToursComplete) {
-            // Only stop rotating messages when ALL tours are complete
-            console.log('[Progress] ⏹️ Stopping rotation - all tours complete')
-            stopRotatingMessages()
-            const finalMessage = nextMessage || loadingStatus || 'Tours ready!'
-            console.log('[Progress] Setting final loadingStatus:', finalMessage)
-            setLoadingStatus(finalMessage)
+      const handleToursArrived = () => {
+        console.log('[Progress] ⏹️ Stopping rotation - tours are arriving')
+        stopRotatingMessages()
+        const finalMessage = updateStageMessage(null) || 'Tours ready!'
+        setLoadingStatus(finalMessage)
+      }
+
+      // Initial state of the session (covers anything that happened before we connected)
+      eventSource.addEventListener('snapshot', (event) => {
+        const progress = parseEventData(event as MessageEvent)
+        if (!progress) return
+        console.log('[Progress] Snapshot:', progress)
+
+        if (Array.isArray(progress.tours) && progress.tours.length > 0) {
+          tourCount = progress.tours.length
+          setTours(progress.tours)
+        }
+        updateStageMessage(progress.stage)
+        handleInterestingMessages(progress.interestingMessages)
+        if (tourCount > 0) {
+          handleToursArrived()
+        }
+      })
+
+      eventSource.addEventListener('stage', (event) => {
+        const data = parseEventData(event as MessageEvent)
+        if (!data) return
+        console.log('[Progress] Stage:', data.stage)
+        updateStageMessage(data.stage)
+      })
+
+      eventSource.addEventListener('interesting_messages', (event) => {
+        const data = parseEventData(event as MessageEvent)
+        if (!data) return
+        handleInterestingMessages(data.interestingMessages)
+      })
+
+      // Each validated tour is pushed individually while Gemini is still streaming the rest
+      eventSource.addEventListener('tour', (event) => {
+        const data = parseEventData(event as MessageEvent)
+        if (!data?.tour) return
+        console.log('[Progress] Tour received:', data.tour.title)
+
+        tourCount = Math.max(tourCount + 1, data.tourCount || 0)
+        setTours(prevTours => {
+          if (prevTours.some(t => t.id === data.tour.id)) {
+            return prevTours
           }
-        } catch (err) {
-          console.error('Progress polling failed:', err)
+          return [...prevTours, data.tour as Tour]
+        })
+        // Keep status as 'saving' so the loading cards show alongside real tours
+        handleToursArrived()
+      })
+
+      // Generation finished (or failed/cancelled) - the POST /api/session response handles the final state
+      const closeStream = () => {
+        if (progressEventSourceRef.current === eventSource) {
+          progressEventSourceRef.current = null
         }
-      }, 1000)
+        eventSource.close()
+      }
+      eventSource.addEventListener('complete', closeStream)
+      eventSource.addEventListener('failed', closeStream)
+      eventSource.addEventListener('cancelled', closeStream)
+
+      eventSource.onerror = () => {
+        // EventSource reconnects on its own; the snapshot on reconnect fills any gap
+        console.warn('[Progress] Event stream interrupted, reconnecting...')
+      }
     },
-    [mapStageToMessage, stopProgressPolling, startRotatingMessages, stopRotatingMessages],
+    [mapStageToMessage, stopProgressStream, startRotatingMessages, stopRotatingMessages],
   )
 
-
   const canSubmit =
     typeof latitude === 'number' &&
     typeof longitude === 'number' &&
@@ -523,7 +591,7 @@ function App() {
 
     setStatus('saving')
 
-    // Create a client-side session id so we can poll progress while the
+    // Create a client-side session id so we can stream progress while the
     // LangGraph pipeline is running on the backend.
     const clientSessionId =
       typeof window !== 'undefined' &&
@@ -536,7 +604,7 @@ function App() {
     setMessage('Saving your location and preferences...')
     setLoadingStatus('Looking at what\'s around you...')
     setShowTourSuggestions(true) // Show tour suggestions component immediately
-    startProgressPolling(clientSessionId)
+    startProgressStream(clientSessionId)
 
     // Create AbortController for cancellation
     const abortController = new AbortController()
@@ -551,6 +619,8 @@ function App() {
         sessionId: clientSessionId,
         customization: customization.trim() || undefined,
         language,
+        ...(returnToStart && { returnToStart: true }),
+        ...(startTime && { startTime }),
         // Only include city/neighborhood/country if NOT in manual input mode
         // When manual input is shown, these should be null so backend will reverse geocode from scratch
         ...(!showLocationInputs && city && { city }),
@@ -601,7 +671,7 @@ function App() {
 
       const hasTours = Array.isArray(data.tours) && data.tours.length > 0
 
-      stopProgressPolling()
+      stopProgressStream()
       stopRotatingMessages()
 
       setStatus('success')
@@ -610,7 +680,7 @@ function App() {
       setNeighborhood(data.neighborhood ?? null)
 
       // Only update tours if we don't already have tours from streaming
-      // This prevents overwriting tours that were progressively loaded via progress polling
+      // This prevents overwriting tours that were progressively loaded via the progress stream
       let finalTourCount = 0
       setTours(prevTours => {
         if (prevTours.length > 0) {
@@ -631,7 +701,7 @@ function App() {
           : message // Keep existing message instead of empty string
       )
     } catch (error) {
-      stopProgressPolling()
+      stopProgressStream()
       stopRotatingMessages()
       abortControllerRef.current = null
 
@@ -672,8 +742,8 @@ function App() {
       abortControllerRef.current = null
     }
 
-    // Stop progress polling and rotating messages
-    stopProgressPolling()
+    // Stop progress stream and rotating messages
+    stopProgressStream()
     stopRotatingMessages()
 
     // If we have a sessionId, try to cancel the backend processing
@@ -701,7 +771,7 @@ function App() {
     setInterestingMessages([])
     setCurrentMessageIndex(0)
     setStatus('idle')
-  }, [sessionId, stopProgressPolling, stopRotatingMessages])
+  }, [sessionId, stopProgressStream, stopRotatingMessages])
 
   const handleSelectTour = useCallback(async (tour: Tour) => {
     setSelectedTourId(tour.id)
@@ -786,7 +856,10 @@ function App() {
         {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ voice: selectedVoice }),
+          body: JSON.stringify({
+            ...(selectedVoice && { voice: selectedVoice }),
+            ...(dialogueNarration && { narrationStyle: 'dialogue' }),
+          }),
         }
       )
 
@@ -815,20 +888,20 @@ function App() {
       setMessage('Failed to start audioguide generation')
       setAudioguideGenerating(false)
     }
-  }, [sessionId, selectedTour, selectedVoice, startAudioguidePolling])
+  }, [sessionId, selectedTour, selectedVoice, dialogueNarration, startAudioguidePolling])
 
 
 
   useEffect(() => {
     return () => {
-      stopProgressPolling()
+      stopProgressStream()
       stopAudioguidePolling()
       if (audioRef.current) {
         audioRef.current.pause()
         audioRef.current = null
       }
     }
-  }, [stopProgressPolling, stopAudioguidePolling])
+  }, [stopProgressStream, stopAudioguidePolling])
 
   useEffect(() => {
     if (status === 'success' || status === 'error') {
@@ -1142,10 +1215,31 @@ function App() {
                       onChange={(e) => setLanguage(e.target.value)}
                       className="w-full rounded-xl border border-slate-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-sky-500/70 focus:border-sky-500/70"
                     >
-                      <option value="english">English</option>
-                      <option value="hebrew">עברית (Hebrew)</option>
+                      {languages.map((l) => (
+                        <option key={l.key} value={l.key}>{l.label}</option>
+                      ))}
                     </select>
                   </div>
+
+                  <label className="mt-4 flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={returnToStart}
+                      onChange={(e) => setReturnToStart(e.target.checked)}
+                      className="h-4 w-4 rounded border-slate-300 text-[#2FA4A9] focus:ring-[#2FA4A9]"
+                    />
+                    End the tour back where I started
+                  </label>
+
+                  <label className="mt-4 block text-sm text-slate-700">
+                    Start time <span className="text-xs text-slate-500">(optional, skips closed places)</span>
+                    <input
+                      type="datetime-local"
+                      value={startTime}
+                      onChange={(e) => setStartTime(e.target.value)}
+                      className="mt-1 w-full rounded-xl border border-slate-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-sky-500/70 focus:border-sky-500/70"
+                    />
+                  </label>
                 </section>
 
                 <section>
@@ -1256,14 +1350,15 @@ function App() {
               <div className="bg-slate-50 rounded-xl p-4 mb-6">
                 <h3 className="text-sm font-semibold text-slate-800 mb-2">Tour Details</h3>
                 <p className="text-xs text-slate-600 mb-3">
-                  ⏱️ ~{selectedTour.estimatedTotalMinutes} min · {selectedTour.stops.length} stops
+                  ⏱️ ~{selectedTour.estimatedTotalMinutes} min · {selectedTour.stops.length} stops{routingNote(selectedTour)}
                 </p>
 
                 <ol className="space-y-2 text-xs text-slate-600">
                   {selectedTour.stops.map((stop, idx) => {
                     const walkText = stop.walkMinutesFromPrevious > 0 ? `walk ${stop.walkMinutesFromPrevious} min` : null
                     const dwellText = stop.dwellMinutes > 0 ? `dwell ${stop.dwellMinutes} min` : null
-                    const details = [walkText, dwellText].filter(Boolean).join(' · ')
+                    const arrivalText = stop.arrivalTime ? `arrive ${stop.arrivalTime}` : null
+                    const details = [arrivalText, walkText, dwellText].filter(Boolean).join(' · ')
 
                     return (
                       <li key={`${selectedTour.id}-stop-${idx}`} className="flex gap-2">
@@ -1296,20 +1391,24 @@ function App() {
                       onChange={(e) => setSelectedVoice(e.target.value)}
                       className="w-full rounded-xl border border-slate-300 bg-white px-4 py-2.5 text-sm text-slate-900 focus:border-sky-500 focus:outline-none focus:ring-2 focus:ring-sky-500/20"
                     >
-                      {language === 'hebrew' ? (
-                        <>
-                          <option value="he-IL-Standard-D">Hebrew - Standard (Default)</option>
-                          <option value="he-IL-Chirp3-HD-Alnilam">Hebrew - Chirp3 HD</option>
-                        </>
-                      ) : (
-                        <>
-                          <option value={ENGLISH_VOICE}>English (UK) - Wavenet (Default)</option>
-                          <option value="en-US-Chirp3-HD-Algenib">English (US) - Chirp3 HD</option>
-                        </>
-                      )}
+                      <option value="">Default</option>
+                      {languageVoices.map((v) => (
+                        <option key={v.id} value={v.id}>{v.label}</option>
+                      ))}
                     </select>
                   </div>
 
+                  {/* Narration Style */}
+                  <label className="flex items-center gap-2 text-xs font-medium text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={dialogueNarration}
+                      onChange={(e) => setDialogueNarration(e.target.checked)}
+                      className="h-4 w-4 rounded border-slate-300 text-[#2FA4A9] focus:ring-[#2FA4A9]"
+                    />
+                    🎙️🎙️ Two hosts (dialogue)
+                  </label>
+
                   {/* Generate Button */}
                   <button
                     type="button"
@@ -1,6 +1,6 @@
 import { useEffect, useState, useRef } from 'react'
 import { useParams } from 'react-router-dom'
-import { Play, Pause, ChevronDown, ChevronUp, Frown, Meh, Laugh } from 'lucide-react'
+import { Play, Pause, ChevronDown, ChevronUp, Frown, Meh, Laugh, CircleAlert, RotateCw } from 'lucide-react'
 
 const API_BASE_URL = import.meta.env.MODE === 'production'
   ? 'https://api.hearnthere.com'
@@ -8,6 +8,24 @@ const API_BASE_URL = import.meta.env.MODE === 'production'
 const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY
 const FRONTEND_VERSION = __APP_VERSION__ // Injected from package.json by Vite
 
+// Player strings; the tour language's own come from the registry (ui in GET /api/languages)
+const DEFAULT_UI = {
+  tourIntroduction: 'Tour Introduction',
+  welcome: 'Welcome to your tour',
+  showScript: 'show script',
+  hideScript: 'hide script',
+  generatingScript: 'generating script',
+  showDirections: 'show walking directions',
+  hideDirections: 'hide directions',
+  sources: 'Sources:',
+  audioFailed: 'Audio generation failed',
+  retryFailedParts: 'Retry failed parts',
+  retrying: 'Retrying...',
+  feedbackTitle: 'Share Your Feedback',
+}
+
+type UiStrings = typeof DEFAULT_UI
+
 interface Stop {
   name: string
   placeId?: string
@@ -38,6 +56,13 @@ interface Tour {
 interface AudioFile {
   status: string
   url?: string
+  durationSeconds?: number // measured length of the audio
+  error?: string
+}
+
+const formatAudioLength = (seconds: number) => {
+  const total = Math.round(seconds)
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`
 }
 
 interface AudioFiles {
@@ -45,8 +70,36 @@ interface AudioFiles {
   stops?: AudioFile[]
 }
 
+interface DialogueLine {
+  speaker: 'A' | 'B'
+  text: string
+}
+
+interface ScriptSource {
+  provider: 'wikipedia' | 'places'
+  title: string
+  url?: string | null
+}
+
+interface ScriptReviewIssue {
+  type: 'unsupported-claim' | 'wrong-stop-name' | 'markdown' | 'stage-direction' | 'missing-directions'
+  quote?: string
+  explanation: string
+}
+
+interface ScriptReview {
+  passed: boolean
+  issues: ScriptReviewIssue[]
+  attempts: number
+}
+
 interface Script {
-  content: string
+  status?: string
+  content?: string
+  lines?: DialogueLine[] // set for dialogue narration
+  sources?: ScriptSource[] // knowledge the script is grounded in
+  review?: ScriptReview // fact-check verdict
+  error?: string
 }
 
 interface Scripts {
@@ -74,6 +127,7 @@ interface TourData {
   theme: string
   estimatedTotalMinutes: number
   language: string
+  direction?: 'ltr' | 'rtl'
   startLatitude?: number
   startLongitude?: number
   tour?: Tour
@@ -92,6 +146,8 @@ export default function TourPlayer() {
   const [expandedScripts, setExpandedScripts] = useState<Set<string>>(new Set())
   const [expandedDirections, setExpandedDirections] = useState<Set<number>>(new Set())
   const [selectedFeedback, setSelectedFeedback] = useState<'frown' | 'meh' | 'laugh' | null>(null)
+  const [retrying, setRetrying] = useState(false)
+  const [uiByLanguage, setUiByLanguage] = useState<Record<string, UiStrings>>({})
   const mapRef = useRef<HTMLDivElement>(null)
   const mapInstanceRef = useRef<google.maps.Map | null>(null)
   const audioRefs = useRef<{ [key: string]: HTMLAudioElement }>({})
@@ -117,16 +173,109 @@ export default function TourPlayer() {
     }
 
     fetchTourData()
+  }, [tourId])
+
+  // Load the player strings of every language
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/api/languages`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data: { languages: Array<{ key: string; ui?: Partial<UiStrings> }> }) => {
+        setUiByLanguage(Object.fromEntries(data.languages.map((l) => [l.key, { ...DEFAULT_UI, ...l.ui }])))
+      })
+      .catch((err) => console.warn('Failed to load languages:', err))
+  }, [])
+
+  const ui = (tourData && uiByLanguage[tourData.language]) || DEFAULT_UI
+
+  // Subscribe to audioguide progress events while generating, so each stop
+  // becomes playable as soon as its MP3 exists
+  const isGenerating = tourData?.status === 'generating'
+  useEffect(() => {
+    if (!tourId || !isGenerating) return
+
+    const eventSource = new EventSource(`${API_BASE_URL}/api/tour/${tourId}/events`)
 
-    // Poll for updates if still generating
-    const interval = setInterval(async () => {
-      if (tourData?.status === 'generating') {
-        fetchTourData()
+    const parseEventData = (event: Event) => {
+      try {
+        return JSON.parse((event as MessageEvent).data)
+      } catch {
+        console.error('[TourPlayer] Failed to parse event data')
+        return null
+      }
+    }
+
+    // Replace a single intro/stop entry in scripts or audioFiles
+    const updateItem = <T,>(
+      current: { intro?: T; stops?: T[] } | undefined,
+      itemType: string,
+      stopIndex: number,
+      value: T,
+    ) => {
+      if (itemType === 'intro') {
+        return { ...current, intro: value }
       }
-    }, 3000)
+      const stops = [...(current?.stops || [])]
+      stops[stopIndex] = value
+      return { ...current, stops }
+    }
+
+    eventSource.addEventListener('snapshot', (event) => {
+      const data = parseEventData(event)
+      if (!data) return
+      setTourData(prev => prev ? {
+        ...prev,
+        status: data.status ?? prev.status,
+        scripts: data.scripts ?? prev.scripts,
+        audioFiles: data.audioFiles ?? prev.audioFiles,
+        error: data.error ?? prev.error,
+      } : prev)
+    })
 
-    return () => clearInterval(interval)
-  }, [tourId, tourData?.status])
+    eventSource.addEventListener('script_complete', (event) => {
+      const data = parseEventData(event)
+      if (!data?.script) return
+      setTourData(prev => prev ? {
+        ...prev,
+        scripts: updateItem<Script>(prev.scripts, data.itemType, data.stopIndex, data.script),
+      } : prev)
+    })
+
+    eventSource.addEventListener('audio_complete', (event) => {
+      const data = parseEventData(event)
+      if (!data?.audio) return
+      setTourData(prev => prev ? {
+        ...prev,
+        audioFiles: updateItem<AudioFile>(prev.audioFiles, data.itemType, data.stopIndex, data.audio),
+      } : prev)
+    })
+
+    eventSource.addEventListener('failed', (event) => {
+      const data = parseEventData(event)
+      if (!data) return
+      console.error(`[TourPlayer] ${data.stage} failed for ${data.itemType} ${data.stopIndex}:`, data.error)
+      const failedItem = { status: 'failed', error: data.error }
+      setTourData(prev => {
+        if (!prev) return prev
+        return data.stage === 'audio'
+          ? { ...prev, audioFiles: updateItem<AudioFile>(prev.audioFiles, data.itemType, data.stopIndex, failedItem) }
+          : { ...prev, scripts: updateItem<Script>(prev.scripts, data.itemType, data.stopIndex, failedItem) }
+      })
+    })
+
+    // Whole audioguide finished - the effect re-runs and closes the stream once status changes
+    eventSource.addEventListener('status', (event) => {
+      const data = parseEventData(event)
+      if (!data?.status) return
+      setTourData(prev => prev ? { ...prev, status: data.status, error: data.error ?? prev.error } : prev)
+    })
+
+    eventSource.onerror = () => {
+      // EventSource reconnects on its own; the snapshot on reconnect fills any gap
+      console.warn('[TourPlayer] Event stream interrupted, reconnecting...')
+    }
+
+    return () => eventSource.close()
+  }, [tourId, isGenerating])
 
   // Load Google Maps
   useEffect(() => {
@@ -295,6 +444,30 @@ export default function TourPlayer() {
     loadMap()
   }, [tourData?.tour])
 
+  // Regenerate only the failed or missing scripts/audio
+  const handleRetry = async () => {
+    if (!tourId) return
+    setRetrying(true)
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/tour/${tourId}/retry`, { method: 'POST' })
+      if (!response.ok) {
+        throw new Error(`Retry failed (${response.status})`)
+      }
+      const data = await response.json()
+      // Re-fetch so cleared items show as pending; the event stream takes over from there
+      const tourResponse = await fetch(`${API_BASE_URL}/api/tour/${tourId}`)
+      if (tourResponse.ok) {
+        setTourData(await tourResponse.json())
+      } else {
+        setTourData(prev => prev ? { ...prev, status: data.status } : prev)
+      }
+    } catch (err) {
+      console.error('[TourPlayer] Retry failed:', err)
+    } finally {
+      setRetrying(false)
+    }
+  }
+
   const toggleScript = (key: string) => {
     const newExpanded = new Set(expandedScripts)
     if (newExpanded.has(key)) {
@@ -451,15 +624,27 @@ export default function TourPlayer() {
         </div>
 
         {/* Audio Player - Show immediately with loading states */}
-        {tourData.status === 'failed' && (
+        {(tourData.status === 'failed' || tourData.status === 'partial') && (
           <div className="rounded-3xl bg-white/80 shadow-lg shadow-sky-900/5 border border-sky-900/5 p-8">
             <div className="rounded-2xl border border-red-200 bg-red-50/50 p-6">
               <h3 className="text-sm font-semibold text-red-900 mb-4">
-                ❌ Audioguide Generation Failed
+                {tourData.status === 'partial'
+                  ? '⚠️ Some stops could not be generated'
+                  : '❌ Audioguide Generation Failed'}
               </h3>
-              <p className="text-xs text-red-700">
-                {tourData.error || 'An error occurred while generating the audioguide'}
+              <p className="text-xs text-red-700 mb-4">
+                {tourData.status === 'partial'
+                  ? 'The rest of your audioguide is ready. You can retry the missing parts.'
+                  : tourData.error || 'An error occurred while generating the audioguide'}
               </p>
+              <button
+                onClick={handleRetry}
+                disabled={retrying}
+                className="inline-flex items-center gap-2 rounded-full bg-red-600 px-4 py-2 text-xs font-semibold text-white hover:bg-red-700 transition disabled:opacity-50"
+              >
+                <RotateCw size={14} className={retrying ? 'animate-spin' : ''} />
+                {retrying ? ui.retrying : ui.retryFailedParts}
+              </button>
             </div>
           </div>
         )}
@@ -522,7 +707,7 @@ export default function TourPlayer() {
                             onClick={() => toggleScript("neighborhood-intro")}
                             className="text-xs text-slate-400 hover:text-slate-600 transition flex items-center gap-1"
                           >
-                            <span>{expandedScripts.has("neighborhood-intro") ? 'hide script' : 'show script'}</span>
+                            <span>{expandedScripts.has("neighborhood-intro") ? ui.hideScript : ui.showScript}</span>
                             {expandedScripts.has("neighborhood-intro") ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
                           </button>
                         ) : (
@@ -534,7 +719,7 @@ export default function TourPlayer() {
                               </svg>
                               <span className="sr-only">Loading...</span>
                             </div>
-                            <span>generating script</span>
+                            <span>{ui.generatingScript}</span>
                           </div>
                         )}
                       </div>
@@ -558,7 +743,14 @@ export default function TourPlayer() {
                   <div className="rounded-2xl border border-slate-200 bg-white p-4">
                     <div className="flex items-center gap-3">
                       {/* Play/Pause or Spinner */}
-                      {tourData.audioFiles?.intro?.status === "generating" || (!tourData.audioFiles?.intro?.url && tourData.status === 'generating') ? (
+                      {tourData.audioFiles?.intro?.status === 'failed' ? (
+                        <div
+                          className="w-11 h-11 rounded-full bg-red-50 text-red-500 flex items-center justify-center shrink-0"
+                          title={tourData.audioFiles.intro.error || ui.audioFailed}
+                        >
+                          <CircleAlert size={20} />
+                        </div>
+                      ) : tourData.audioFiles?.intro?.status === "generating" || (!tourData.audioFiles?.intro?.url && tourData.status === 'generating') ? (
                         <div role="status" className="shrink-0">
                           <svg aria-hidden="true" className="w-11 h-11 text-slate-200 animate-spin fill-[#2FA4A9]" viewBox="0 0 100 101" fill="none" xmlns="http://www.w3.org/2000/svg">
                             <path d="M100 50.5908C100 78.2051 77.6142 100.591 50 100.591C22.3858 100.591 0 78.2051 0 50.5908C0 22.9766 22.3858 0.59082 50 0.59082C77.6142 0.59082 100 22.9766 100 50.5908ZM9.08144 50.5908C9.08144 73.1895 27.4013 91.5094 50 91.5094C72.5987 91.5094 90.9186 73.1895 90.9186 50.5908C90.9186 27.9921 72.5987 9.67226 50 9.67226C27.4013 9.67226 9.08144 27.9921 9.08144 50.5908Z" fill="currentColor" />
@@ -576,17 +768,19 @@ export default function TourPlayer() {
                       ) : null}
 
                       <div className="flex-1">
-                        <h3 className="text-lg font-semibold text-slate-900">Tour Introduction</h3>
-                        <p className="text-xs text-slate-500">Welcome to your tour</p>
+                        <h3 className="text-lg font-semibold text-slate-900">{ui.tourIntroduction}</h3>
+                        <p className="text-xs text-slate-500">{ui.welcome}</p>
                       </div>
 
                       {/* Show script button or generating indicator */}
-                      {tourData.scripts?.intro ? (
+                      {tourData.scripts?.intro?.status === 'failed' ? (
+                        <span className="text-xs text-red-500" title={tourData.scripts.intro.error}>script failed</span>
+                      ) : tourData.scripts?.intro ? (
                         <button
                           onClick={() => toggleScript("intro")}
                           className="text-xs text-slate-400 hover:text-slate-600 transition flex items-center gap-1"
                         >
-                          <span>{expandedScripts.has("intro") ? 'hide script' : 'show script'}</span>
+                          <span>{expandedScripts.has("intro") ? ui.hideScript : ui.showScript}</span>
                           {expandedScripts.has("intro") ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
                         </button>
                       ) : tourData.status === 'generating' ? (
@@ -598,14 +792,14 @@ export default function TourPlayer() {
                             </svg>
                             <span className="sr-only">Loading...</span>
                           </div>
-                          <span>generating script</span>
+                          <span>{ui.generatingScript}</span>
                         </div>
                       ) : null}
                     </div>
 
-                    {tourData.scripts?.intro && expandedScripts.has("intro") && (
+                    {tourData.scripts?.intro?.content && expandedScripts.has("intro") && (
                       <div className="mt-4 pt-4 border-t border-slate-100">
-                        <div className="p-4 bg-slate-50 rounded-lg text-sm text-slate-700 leading-relaxed">
+                        <div dir={tourData.direction} className="p-4 bg-slate-50 rounded-lg text-sm text-slate-700 leading-relaxed">
                           {tourData.scripts.intro.content}
                         </div>
                       </div>
@@ -621,7 +815,7 @@ export default function TourPlayer() {
                       className="text-xs text-slate-400 hover:text-slate-600 transition flex items-center gap-1"
                     >
                       <span>{expandedDirections.has(-1) ? '▼' : '▶'}</span>
-                      <span>{expandedDirections.has(-1) ? 'hide directions' : 'show walking directions'}</span>
+                      <span>{expandedDirections.has(-1) ? ui.hideDirections : ui.showDirections}</span>
                     </button>
                     {expandedDirections.has(-1) && (
                       <div className="mt-2 p-4 bg-gradient-to-br from-emerald-50 to-teal-50 rounded-xl border border-emerald-200/50">
@@ -669,7 +863,14 @@ export default function TourPlayer() {
                       <div className="rounded-2xl border border-slate-200 bg-white p-4">
                         <div className="flex items-center gap-3">
                           {/* Play/Pause or Spinner */}
-                          {audioFile?.status === 'generating' || (!audioFile?.url && tourData.status === 'generating') ? (
+                          {audioFile?.status === 'failed' ? (
+                            <div
+                              className="w-11 h-11 rounded-full bg-red-50 text-red-500 flex items-center justify-center shrink-0"
+                              title={audioFile.error || ui.audioFailed}
+                            >
+                              <CircleAlert size={18} />
+                            </div>
+                          ) : audioFile?.status === 'generating' || (!audioFile?.url && tourData.status === 'generating') ? (
                             <div role="status" className="shrink-0">
                               <svg aria-hidden="true" className="w-11 h-11 text-slate-200 animate-spin fill-[#2FA4A9]" viewBox="0 0 100 101" fill="none" xmlns="http://www.w3.org/2000/svg">
                                 <path d="M100 50.5908C100 78.2051 77.6142 100.591 50 100.591C22.3858 100.591 0 78.2051 0 50.5908C0 22.9766 22.3858 0.59082 50 0.59082C77.6142 0.59082 100 22.9766 100 50.5908ZM9.08144 50.5908C9.08144 73.1895 27.4013 91.5094 50 91.5094C72.5987 91.5094 90.9186 73.1895 90.9186 50.5908C90.9186 27.9921 72.5987 9.67226 50 9.67226C27.4013 9.67226 9.08144 27.9921 9.08144 50.5908Z" fill="currentColor" />
@@ -689,19 +890,23 @@ export default function TourPlayer() {
                             <h3 className="text-normal font-semibold text-slate-900">
                               {stop.name}
                             </h3>
-                            {stop.dwellMinutes > 0 && (
+                            {(stop.dwellMinutes > 0 || audioFile?.durationSeconds) && (
                               <p className="text-xs text-slate-500">
-                                {stop.dwellMinutes} minutes
+                                {stop.dwellMinutes > 0 && `${stop.dwellMinutes} minutes`}
+                                {stop.dwellMinutes > 0 && audioFile?.durationSeconds ? ' · ' : ''}
+                                {audioFile?.durationSeconds ? `🎧 ${formatAudioLength(audioFile.durationSeconds)}` : ''}
                               </p>
                             )}
                           </div>
                           {/* Show script button or generating indicator */}
-                          {script ? (
+                          {script?.status === 'failed' ? (
+                            <span className="text-xs text-red-500" title={script.error}>script failed</span>
+                          ) : script ? (
                             <button
                               onClick={() => toggleScript(audioKey)}
                               className="text-xs text-slate-400 hover:text-slate-600 transition flex items-center gap-1"
                             >
-                              <span>{expandedScripts.has(audioKey) ? 'hide script' : 'show script'}</span>
+                              <span>{expandedScripts.has(audioKey) ? ui.hideScript : ui.showScript}</span>
                               {expandedScripts.has(audioKey) ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
                             </button>
                           ) : tourData.status === 'generating' ? (
@@ -713,16 +918,62 @@ export default function TourPlayer() {
                                 </svg>
                                 <span className="sr-only">Loading...</span>
                               </div>
-                              <span>generating script</span>
+                              <span>{ui.generatingScript}</span>
                             </div>
                           ) : null}
                         </div>
 
-                        {script && expandedScripts.has(audioKey) && (
+                        {script?.content && expandedScripts.has(audioKey) && (
                           <div className="mt-3 pt-3 border-t border-slate-100">
-                            <div className="p-4 bg-slate-50 rounded-lg text-sm text-slate-700 leading-relaxed">
-                              {script.content}
+                            <div dir={tourData.direction} className="p-4 bg-slate-50 rounded-lg text-sm text-slate-700 leading-relaxed">
+                              {script.lines?.length ? (
+                                <div className="space-y-2">
+                                  {script.lines.map((line, lineIndex) => (
+                                    <p key={lineIndex}>
+                                      <span className={`font-semibold ${line.speaker === 'A' ? 'text-sky-700' : 'text-[#2FA4A9]'}`}>
+                                        Host {line.speaker}:
+                                      </span>{' '}
+                                      {line.text}
+                                    </p>
+                                  ))}
+                                </div>
+                              ) : (
+                                script.content
+                              )}
                             </div>
+                            {script.sources?.length ? (
+                              <p className="mt-2 text-xs text-slate-400">
+                                {ui.sources}{' '}
+                                {script.sources.map((source, sourceIndex) => (
+                                  <span key={sourceIndex}>
+                                    {sourceIndex > 0 && ' · '}
+                                    {source.url ? (
+                                      <a href={source.url} target="_blank" rel="noopener noreferrer" className="underline hover:text-slate-600">
+                                        {source.title}
+                                      </a>
+                                    ) : (
+                                      source.title
+                                    )}
+                                    {source.provider === 'places' && ' (Google)'}
+                                  </span>
+                                ))}
+                              </p>
+                            ) : null}
+                            {script.review && !script.review.passed && (
+                              <div className="mt-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800">
+                                <p className="font-semibold">
+                                  ⚠️ Fact-check flagged {script.review.issues.length} issue{script.review.issues.length !== 1 ? 's' : ''} after {script.review.attempts} draft{script.review.attempts !== 1 ? 's' : ''}
+                                </p>
+                                <ul className="mt-1 list-disc list-inside">
+                                  {script.review.issues.map((issue, issueIndex) => (
+                                    <li key={issueIndex}>
+                                      {issue.quote && <span dir={tourData.direction}>"{issue.quote}" - </span>}
+                                      {issue.explanation}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </div>
+                            )}
                           </div>
                         )}
                       </div>
@@ -735,7 +986,7 @@ export default function TourPlayer() {
                             className="text-xs text-slate-400 hover:text-slate-600 transition flex items-center gap-1"
                           >
                             <span>{expandedDirections.has(index) ? '▼' : '▶'}</span>
-                            <span>{expandedDirections.has(index) ? 'hide directions' : 'show walking directions'}</span>
+                            <span>{expandedDirections.has(index) ? ui.hideDirections : ui.showDirections}</span>
                           </button>
                           {expandedDirections.has(index) && (
                             <div className="mt-2 p-4 bg-gradient-to-br from-emerald-50 to-teal-50 rounded-xl border border-emerald-200/50">
@@ -774,9 +1025,9 @@ export default function TourPlayer() {
         )}
 
         {/* Feedback Section */}
-        {tourData.status === 'complete' && (
+        {(tourData.status === 'complete' || tourData.status === 'partial') && (
           <div className="rounded-3xl bg-white/80 shadow-lg shadow-sky-900/5 border border-sky-900/5 p-8">
-            <h2 className="text-lg font-semibold text-slate-900 mb-4">Share Your Feedback</h2>
+            <h2 className="text-lg font-semibold text-slate-900 mb-4">{ui.feedbackTitle}</h2>
             <p className="text-xs text-slate-600 mb-4">
               How was your experience?
             </p>
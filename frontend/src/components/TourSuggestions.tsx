@@ -1,4 +1,5 @@
 import { TourLoadingCard } from './TourLoadingCard'
+import { routingNote, type TourRouting } from '../tourRouting'
 
 type TourStop = {
   name: string
@@ -6,6 +7,7 @@ type TourStop = {
   longitude: number
   dwellMinutes: number
   walkMinutesFromPrevious: number
+  arrivalTime?: string
 }
 
 type Tour = {
@@ -15,6 +17,7 @@ type Tour = {
   theme: string
   estimatedTotalMinutes: number
   stops: TourStop[]
+  routing?: TourRouting
 }
 
 type TourSuggestionsProps = {
@@ -106,14 +109,15 @@ export function TourSuggestions({
 
                 <p className="mt-1 text-xs text-slate-600">{tour.abstract}</p>
                 <p className="mb-3 text-[11px] text-slate-500">
-                  ⏱️ ~{tour.estimatedTotalMinutes} min · {tour.stops.length} stops
+                  ⏱️ ~{tour.estimatedTotalMinutes} min · {tour.stops.length} stops{routingNote(tour)}
                 </p>
 
                 <ol className="mb-3 space-y-1 text-[11px] text-slate-600">
                   {tour.stops.map((stop, idx) => {
                     const walkText = stop.walkMinutesFromPrevious > 0 ? `walk ${stop.walkMinutesFromPrevious} min` : null
                     const dwellText = stop.dwellMinutes > 0 ? `dwell ${stop.dwellMinutes} min` : null
-                    const details = [walkText, dwellText].filter(Boolean).join(' · ')
+                    const arrivalText = stop.arrivalTime ? `arrive ${stop.arrivalTime}` : null
+                    const details = [arrivalText, walkText, dwellText].filter(Boolean).join(' · ')
 
                     return (
                       <li key={`${tour.id}-stop-${idx}`} className="flex gap-2">
@@ -0,0 +1,9 @@
+// Which routing service checked the walk times: 'high' = street network, 'estimated' = straight line
+export type TourRouting = { provider: string | null; confidence: 'high' | 'estimated' | 'unverified' }
+
+// Walk times that weren't checked against the street network are flagged next to the duration
+export function routingNote(tour: { routing?: TourRouting }) {
+  if (tour.routing?.confidence === 'estimated') return ' · walk times estimated'
+  if (tour.routing?.confidence === 'unverified') return ' · walk times unverified'
+  return ''
+}